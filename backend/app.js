@@ -1,15 +1,55 @@
 const express = require("express");
 const app = express();
 require("./config/mongoconfig");
+const mongoose = require("mongoose");
+const { backfillSearchFields } = require("./utils/search");
+const { backfillBasePrices } = require("./utils/priceRules");
+const {
+  backfillOpeningBalances,
+  startStockReconciliation,
+  startBatchExpiry,
+} = require("./utils/stock");
+const { startLowStockDigest } = require("./utils/lowStock");
+const { startUnpaidOrderExpiry } = require("./utils/unpaidOrders");
 const cors = require("cors");
+const cookieParser = require("cookie-parser");
 
 const path = require("path");
 
 // Express setup
-app.use(express.json());
+// Keep the raw body around for payment webhooks signed over the exact bytes
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+app.use(cookieParser());
 app.use(cors({ origin: "http://localhost:5173", credentials: true }));
 app.use("/public", express.static(path.join(__dirname, "public")));
 
+// Products created before search fields, base prices or the stock ledger
+// existed need them
+mongoose.connection.once("open", () => {
+  backfillSearchFields().catch((error) =>
+    console.error("Search backfill failed:", error.message)
+  );
+  backfillBasePrices().catch((error) =>
+    console.error("Base price backfill failed:", error.message)
+  );
+  // Reconciling before products have an opening entry would flag them all
+  backfillOpeningBalances()
+    .then(startStockReconciliation)
+    .catch((error) => console.error("Opening stock backfill failed:", error.message));
+  // Daily low-stock email to admins
+  startLowStockDigest();
+  // Expired batches leave sellable stock; near-expiry ones get marked down
+  startBatchExpiry();
+  // Abandoned online orders give back their stock, coupon and slot
+  startUnpaidOrderExpiry();
+});
+
 //routes connected
 const routes = require("./routes/index");
 app.use("/v1", routes);
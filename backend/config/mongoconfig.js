@@ -1,5 +1,10 @@
 const mongoose = require("mongoose");
-const dbUrl = "mongodb://127.0.0.1:27017/collegeproject";
+require("dotenv").config();
+
+// Order placement runs inside a transaction, which MongoDB only allows on a
+// replica set. Locally, start mongod with --replSet rs0 and run rs.initiate()
+// once, then set MONGO_URI=mongodb://127.0.0.1:27017/collegeproject?replicaSet=rs0
+const dbUrl = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/collegeproject";
 mongoose.connect(dbUrl, {
     autoIndex: true,
     autoCreate: true
@@ -0,0 +1,119 @@
+const User = require("../model/usermodel");
+
+const LABELS = ["Home", "Work", "Other"];
+const PHONE_PATTERN = /^[0-9]{10}$/;
+
+const parseAddressInput = (body) => {
+  const data = {
+    label: body.label || "Home",
+    phone: String(body.phone || "").replace(/[\s-]/g, ""),
+    ward: body.ward ? String(body.ward).trim() : undefined,
+    municipality: body.municipality?.trim(),
+    district: body.district?.trim(),
+    street: body.street?.trim(),
+    landmark: body.landmark?.trim(),
+  };
+
+  if (!LABELS.includes(data.label)) {
+    return { error: `Label must be one of: ${LABELS.join(", ")}` };
+  }
+  if (!PHONE_PATTERN.test(data.phone)) return { error: "Enter a valid phone number" };
+  if (!data.municipality || !data.district) {
+    return { error: "Municipality and district are required" };
+  }
+  return { data };
+};
+
+// Exactly one address is the default while any exist
+const setDefault = (user, addressId) => {
+  user.addresses.forEach((address) => {
+    address.isDefault = address._id.equals(addressId);
+  });
+};
+
+exports.getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("addresses");
+    res.status(200).json({ addresses: user.addresses });
+  } catch (error) {
+    console.error("❌ Error fetching addresses:", error);
+    res.status(500).json({ error: "Failed to fetch addresses" });
+  }
+};
+
+exports.createAddress = async (req, res) => {
+  try {
+    const { data, error } = parseAddressInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const user = await User.findById(req.user._id);
+    user.addresses.push(data);
+    const address = user.addresses[user.addresses.length - 1];
+
+    // The first address saved becomes the default
+    if (req.body.isDefault || user.addresses.length === 1) {
+      setDefault(user, address._id);
+    }
+    await user.save();
+
+    res.status(201).json({ message: "Address saved", address, addresses: user.addresses });
+  } catch (error) {
+    console.error("❌ Error saving address:", error);
+    res.status(500).json({ error: "Failed to save address" });
+  }
+};
+
+exports.updateAddress = async (req, res) => {
+  try {
+    const { data, error } = parseAddressInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.id);
+    if (!address) return res.status(404).json({ error: "Address not found" });
+
+    address.set(data);
+    if (req.body.isDefault) setDefault(user, address._id);
+    await user.save();
+
+    res.status(200).json({ message: "Address updated", address, addresses: user.addresses });
+  } catch (error) {
+    console.error("❌ Error updating address:", error);
+    res.status(500).json({ error: "Failed to update address" });
+  }
+};
+
+exports.setDefaultAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.id);
+    if (!address) return res.status(404).json({ error: "Address not found" });
+
+    setDefault(user, address._id);
+    await user.save();
+
+    res.status(200).json({ message: "Default address changed", addresses: user.addresses });
+  } catch (error) {
+    console.error("❌ Error changing default address:", error);
+    res.status(500).json({ error: "Failed to change default address" });
+  }
+};
+
+// Past orders keep their own copy, so removing an address doesn't touch them
+exports.deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.id);
+    if (!address) return res.status(404).json({ error: "Address not found" });
+
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+    if (wasDefault && user.addresses.length) setDefault(user, user.addresses[0]._id);
+    await user.save();
+
+    res.status(200).json({ message: "Address deleted", addresses: user.addresses });
+  } catch (error) {
+    console.error("❌ Error deleting address:", error);
+    res.status(500).json({ error: "Failed to delete address" });
+  }
+};
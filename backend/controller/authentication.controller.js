@@ -1,9 +1,24 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const dotenv = require("dotenv");
 const User = require("../model/usermodel");
 const TempUser = require("../model/tempusermodel");
+const RefreshToken = require("../model/refreshtoken.model");
 const sendOTPByEmail = require("../utils/mailer");
+const Session = require("../model/session.model");
+const {
+  REFRESH_COOKIE,
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  clearRefreshCookie,
+} = require("../utils/tokens");
+const {
+  createSession,
+  findActiveSession,
+  touchSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessions");
 
 dotenv.config();
 
@@ -65,12 +80,8 @@ const verifyOTP = async (req, res) => {
     });
     // Delete temp user
     await TempUser.deleteOne({ email });
-    // Generate JWT Token
-    const token = jwt.sign(
-      { userId: newUser._id, email: newUser.email, role: newUser.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
+    // Start a session and generate JWT Token
+    const { token } = await createSession(req, res, newUser);
     res
       .status(200)
       .json({ message: "User verified and registered successfully", token });
@@ -93,11 +104,7 @@ const login = async (req, res) => {
     if (!isMatch)
       return res.status(401).json({ message: "Invalid email or password" });
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
+    const { token } = await createSession(req, res, user);
 
     // Send username, email, role, and token
     res.status(200).json({
@@ -116,4 +123,156 @@ const login = async (req, res) => {
   }
 };
 
-module.exports = { signup, verifyOTP, login };
+// Exchange the refresh cookie for a new access token, rotating the cookie
+const refresh = async (req, res) => {
+  try {
+    const presented = req.cookies?.[REFRESH_COOKIE];
+    if (!presented)
+      return res.status(401).json({ message: "No refresh token provided" });
+
+    // Claim the token in one update, so of two requests presenting it at
+    // once only one can rotate it; the other counts as reuse
+    const presentedHash = hashToken(presented);
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash: presentedHash, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!stored) {
+      const rotated = await RefreshToken.findOne({ tokenHash: presentedHash });
+      clearRefreshCookie(res);
+      if (!rotated) {
+        return res.status(401).json({ message: "Invalid refresh token" });
+      }
+
+      // A rotated token was presented again: assume it was stolen and end the login
+      console.warn("⚠️ Refresh token reuse detected for user:", rotated.userId);
+      await revokeSession(rotated.family);
+      return res
+        .status(403)
+        .json({ message: "Session revoked, please log in again" });
+    }
+
+    const session = await findActiveSession(stored.family);
+    if (stored.expiresAt < Date.now() || !session) {
+      clearRefreshCookie(res);
+      return res
+        .status(401)
+        .json({ message: "Session expired, please log in again" });
+    }
+
+    const user = await User.findById(stored.userId);
+    if (!user) {
+      await revokeSession(stored.family);
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: "User not found" });
+    }
+
+    const { tokenHash } = await issueRefreshToken(res, user._id, stored.family);
+    await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: tokenHash } });
+    await touchSession(session, req, true);
+
+    const token = signAccessToken(user, session.sessionId);
+
+    res.status(200).json({
+      message: "Token refreshed successfully",
+      token,
+      user: {
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error in refresh:", error.message);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Logout - End the current session and clear the refresh cookie
+const logout = async (req, res) => {
+  try {
+    const presented = req.cookies?.[REFRESH_COOKIE];
+    if (presented) {
+      const stored = await RefreshToken.findOne({
+        tokenHash: hashToken(presented),
+      });
+      if (stored) await revokeSession(stored.family);
+    }
+
+    clearRefreshCookie(res);
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("❌ Error in logout:", error.message);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Logout of all devices - End every session of the logged-in user
+const logoutAll = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user._id);
+
+    clearRefreshCookie(res);
+    res
+      .status(200)
+      .json({ message: `Logged out of ${count} device(s) successfully` });
+  } catch (error) {
+    console.error("❌ Error in logoutAll:", error.message);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// List active sessions of the logged-in user
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    })
+      .select("sessionId device ip lastSeenAt createdAt")
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.sessionId === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("❌ Error in getSessions:", error.message);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Log out one of the logged-in user's sessions
+const revokeUserSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await Session.findOne({ sessionId, userId: req.user._id });
+    if (!session)
+      return res.status(404).json({ message: "Session not found" });
+
+    await revokeSession(sessionId);
+    if (sessionId === req.sessionId) clearRefreshCookie(res);
+
+    res.status(200).json({ message: "Session logged out successfully" });
+  } catch (error) {
+    console.error("❌ Error in revokeUserSession:", error.message);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  signup,
+  verifyOTP,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeUserSession,
+};
@@ -5,8 +5,22 @@ const Product = require("../model/productmodel");
 const Order = require("../model/order.model");
 const OrderItem = require("../model/orderitem.model");
 const mongoose = require("mongoose");
-const axios = require("axios");
-const { generateAccessToken, PAYPAL_API } = require("../utils/paypal");
+const { round2, priceLine, summarizeQuote, isQuoteStale } = require("../utils/pricing");
+const httpError = require("../utils/httpError");
+const { notifyOrderPlaced } = require("../utils/orderNotifications");
+const { applyCoupon, redeemCoupon } = require("../utils/coupons");
+const { getActiveRules, withPricing } = require("../utils/priceRules");
+const {
+  findActiveZone,
+  resolveDelivery,
+  reserveSlot,
+} = require("../utils/delivery");
+const { ONLINE_PAYMENT_METHODS } = require("../utils/payments");
+const { formatAddress, addressSnapshot } = require("../utils/addresses");
+const { recordMovement, writeOffExpiredStock } = require("../utils/stock");
+const { drawBatches, saleCost } = require("../utils/batches");
+
+const PAYMENT_METHODS = ["Cash", "QR", ...ONLINE_PAYMENT_METHODS];
 
 // ✅ Extract User ID
 const extractUserId = (req) => {
@@ -147,7 +161,7 @@ exports.getCart = async (req, res) => {
       path: "cartItems",
       populate: {
         path: "productId",
-        select: "productName price images remainingUnits unit discount oldPrice"
+        select: "productName category price images remainingUnits unit discount activeMarkdown"
       },
     });
 
@@ -155,19 +169,138 @@ exports.getCart = async (req, res) => {
       return res.status(200).json({ cart: { cartItems: [] } });
     }
 
-    res.status(200).json({ cart });
+    // Show today's selling prices, sales included
+    const rules = await getActiveRules();
+    const pricedCart = cart.toObject();
+    pricedCart.cartItems.forEach((item) => {
+      if (item.productId) item.productId = withPricing(item.productId, rules);
+    });
+
+    res.status(200).json({ cart: pricedCart });
   } catch (error) {
     console.error("Error fetching cart:", error);
     res.status(500).json({ msg: "Internal server error" });
   }
 };
 
+// Returns an error message when selectedProducts is not a usable list
+const validateSelectedProducts = (selectedProducts) => {
+  if (!Array.isArray(selectedProducts) || selectedProducts.length === 0) {
+    return "No products selected for order";
+  }
+
+  const invalidItem = selectedProducts.find(
+    (item) =>
+      !mongoose.Types.ObjectId.isValid(item.productId) ||
+      !Number.isInteger(item.quantity) ||
+      item.quantity < 1
+  );
+  if (invalidItem) {
+    return "Each selected product needs a valid productId and a positive whole quantity";
+  }
+
+  return null;
+};
+
+// The chosen zone's fee and whether the order meets its minimum
+const deliverySummary = (zone, quote) =>
+  zone && {
+    zoneId: zone._id,
+    name: zone.name,
+    fee: zone.fee,
+    minOrderValue: zone.minOrderValue,
+    meetsMinimum: quote.subtotal >= zone.minOrderValue,
+  };
+
+// ✅ Price the selected products (or the whole cart) on the server
+exports.getQuote = async (req, res) => {
+  try {
+    const userId = extractUserId(req);
+    let { selectedProducts, couponCode, zoneId } = req.body;
+
+    // Default to everything in the user's cart
+    if (selectedProducts === undefined) {
+      const cart = await Cart.findOne({ userId }).populate("cartItems");
+      selectedProducts = (cart?.cartItems || []).map((item) => ({
+        productId: item.productId,
+        quantity: item.quantity,
+      }));
+    }
+
+    const validationError = validateSelectedProducts(selectedProducts);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const lines = [];
+    const unavailable = [];
+    const rules = await getActiveRules();
+
+    for (const { productId, quantity } of selectedProducts) {
+      const product = await Product.findById(productId);
+      if (!product) {
+        return res.status(404).json({ error: `Product with ID ${productId} not found` });
+      }
+
+      if (product.remainingUnits < quantity) {
+        unavailable.push({
+          productId,
+          productName: product.productName,
+          requested: quantity,
+          available: product.remainingUnits,
+        });
+      }
+
+      lines.push(priceLine(withPricing(product, rules), quantity));
+    }
+
+    // An unusable code fails the quote so the shopper sees why
+    const applied = couponCode ? await applyCoupon(couponCode, userId, lines) : null;
+    const coupon = applied && { code: applied.coupon.code, discount: applied.discount };
+    const zone = zoneId ? await findActiveZone(zoneId) : null;
+
+    const quote = summarizeQuote(lines, { coupon, zoneFee: zone?.fee });
+    quote.delivery = deliverySummary(zone, quote);
+
+    res.status(200).json({ quote, unavailable });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error building quote:", error);
+    res.status(500).json({ msg: "Internal server error" });
+  }
+};
+
 exports.placeOrderFromCart = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     console.log("🛒 Placing order from cart...");
 
     const userId = req.user._id;
-    const { selectedProducts, address, phoneNumber, paymentMethod } = req.body;
+    const {
+      selectedProducts,
+      addressId,
+      paymentMethod,
+      quotedTotal,
+      couponCode,
+      zoneId,
+      slotId,
+      slotDate,
+    } = req.body;
+    let { address, phoneNumber } = req.body;
+
+    // A saved address fills in the address text and phone from the address book
+    let savedAddress = null;
+    if (addressId) {
+      savedAddress = (req.user.addresses || []).find((entry) => entry._id.equals(String(addressId)));
+      if (!savedAddress) {
+        return res.status(400).json({ error: "Saved address not found, please choose another" });
+      }
+      address = formatAddress(savedAddress);
+      phoneNumber = savedAddress.phone;
+    }
 
     // Validate required fields
     if (!address || !phoneNumber || !paymentMethod) {
@@ -176,8 +309,21 @@ exports.placeOrderFromCart = async (req, res) => {
       });
     }
 
-    if (!Array.isArray(selectedProducts) || selectedProducts.length === 0) {
-      return res.status(400).json({ error: "No products selected for order" });
+    // The client must confirm the total it showed the shopper
+    if (quotedTotal === undefined || Number.isNaN(Number(quotedTotal))) {
+      return res.status(400).json({ error: "Missing quoted total, please review your order again" });
+    }
+
+    // Validate payment method
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({ 
+        error: `Invalid payment method. Must be one of: ${PAYMENT_METHODS.join(", ")}` 
+      });
+    }
+
+    const validationError = validateSelectedProducts(selectedProducts);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
     const cart = await Cart.findOne({ userId }).populate("cartItems");
@@ -186,100 +332,210 @@ exports.placeOrderFromCart = async (req, res) => {
       return res.status(400).json({ error: "Cart is empty" });
     }
 
-    let orderItems = [];
-    let totalAmount = 0;
-
-    // Validate products and check stock
-    for (let item of selectedProducts) {
-      const { productId, quantity } = item;
-      const product = await Product.findById(productId);
-      
-      if (!product) {
-        return res.status(400).json({ 
-          error: `Product with ID ${productId} not found` 
-        });
-      }
+    let order;
+
+    // Stock decrements, order items, the order and the cart cleanup either all
+    // commit together or not at all. withTransaction retries on transient
+    // write conflicts, so everything below must be safe to run again.
+    await session.withTransaction(async () => {
+      let orderItems = [];
+      let lines = [];
+      const rules = await getActiveRules(new Date(), session);
+      const { zone, slot } = await resolveDelivery({ zoneId, slotId, slotDate }, session);
+
+      const [newOrder] = await Order.create(
+        [
+          {
+            userId,
+            orderItems: [],
+            totalAmount: 0,
+            address,
+            shippingAddress: savedAddress ? addressSnapshot(savedAddress) : undefined,
+            phoneNumber,
+            paymentMethod: paymentMethod,
+            status: "Pending",
+            statusHistory: [{ status: "Pending", changedBy: userId, note: "Order placed" }],
+            // QR payments stay unpaid until an admin checks the customer's proof
+            paymentStatus: paymentMethod === "QR" ? "Awaiting Verification" : "Pending",
+          },
+        ],
+        { session }
+      );
+
+      for (let item of selectedProducts) {
+        const { productId, quantity } = item;
+
+        // Expired units mustn't count towards what is available
+        await writeOffExpiredStock(productId, session);
+
+        // Guarded decrement: only matches while enough stock remains, so two
+        // shoppers can never both take the last unit
+        const product = await Product.findOneAndUpdate(
+          { _id: productId, remainingUnits: { $gte: quantity } },
+          {
+            $inc: {
+              remainingUnits: -quantity,
+              soldUnits: quantity
+            }
+          },
+          { new: true, session }
+        );
+
+        if (!product) {
+          const existing = await Product.findById(productId).session(session);
+          if (!existing) {
+            throw httpError(`Product with ID ${productId} not found`);
+          }
+          throw httpError(
+            `Insufficient stock for product ${existing.productName}. Available: ${existing.remainingUnits}`
+          );
+        }
 
-      // Check if enough stock is available
-      if (product.remainingUnits < quantity) {
-        return res.status(400).json({ 
-          error: `Insufficient stock for product ${product.productName}. Available: ${product.remainingUnits}`
-        });
+        const line = priceLine(withPricing(product, rules), quantity);
+        const batches = await drawBatches(productId, quantity, session);
+        const totalCost = saleCost(batches, quantity, product.costPrice);
+
+        const [orderItem] = await OrderItem.create(
+          [
+            {
+              orderId: newOrder._id,
+              productId,
+              quantity,
+              price: line.unitPrice,
+              totalPrice: line.lineTotal,
+              lineDiscount: line.lineDiscount,
+              unitCost: totalCost === undefined ? undefined : round2(totalCost / quantity),
+              totalCost,
+              batches,
+            },
+          ],
+          { session }
+        );
+
+        await recordMovement(
+          product,
+          {
+            type: "Sale",
+            remainingChange: -quantity,
+            soldChange: quantity,
+            user: userId,
+            order: newOrder._id,
+            orderItem: orderItem._id,
+          },
+          session
+        );
+
+        orderItems.push(orderItem._id);
+        lines.push(line);
       }
 
-      const orderItem = await OrderItem.create({
-        orderId: null,
-        productId,
-        quantity,
-        price: product.price,
-        totalPrice: quantity * product.price,
+      // Checked again here: the coupon may have expired or run out since the quote
+      const applied = couponCode
+        ? await applyCoupon(couponCode, userId, lines, session)
+        : null;
+      const quote = summarizeQuote(lines, {
+        coupon: applied && { code: applied.coupon.code, discount: applied.discount },
+        zoneFee: zone.fee,
       });
+      quote.delivery = deliverySummary(zone, quote);
+
+      // Refuse the order if prices moved since the shopper saw them
+      if (isQuoteStale(quotedTotal, quote.grandTotal)) {
+        throw httpError(
+          "Prices have changed since you reviewed your order. Please confirm the updated total.",
+          409,
+          { quote }
+        );
+      }
 
-      // Update product inventory
-      await Product.findByIdAndUpdate(productId, {
-        $inc: {
-          remainingUnits: -quantity,
-          soldUnits: quantity
-        }
-      });
+      if (!quote.delivery.meetsMinimum) {
+        throw httpError(
+          `Orders to ${zone.name} need at least Rs. ${zone.minOrderValue.toFixed(2)} of items`
+        );
+      }
 
-      orderItems.push(orderItem._id);
-      totalAmount += orderItem.totalPrice;
-    }
+      await reserveSlot(slot, slotDate, session);
+      newOrder.deliveryZone = { zoneId: zone._id, name: zone.name };
+      newOrder.deliverySlot = {
+        slotId: slot._id,
+        date: slotDate,
+        label: slot.label,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+      };
+
+      if (applied) {
+        await redeemCoupon(
+          applied.coupon,
+          { userId, orderId: newOrder._id, discount: quote.couponDiscount },
+          session
+        );
+        newOrder.coupon = applied.coupon._id;
+        newOrder.couponCode = applied.coupon.code;
+        newOrder.couponDiscount = quote.couponDiscount;
+      }
 
-    // Validate payment method
-    if (!["Cash", "QR"].includes(paymentMethod)) {
-      return res.status(400).json({ 
-        error: "Invalid payment method. Must be 'Cash' or 'QR'" 
-      });
-    }
+      newOrder.orderItems = orderItems;
+      newOrder.subtotal = quote.subtotal;
+      newOrder.discountTotal = quote.discountTotal;
+      newOrder.deliveryFee = quote.deliveryFee;
+      newOrder.totalAmount = quote.grandTotal;
+      await newOrder.save({ session });
 
-    // Create order
-    const order = await Order.create({
-      userId,
-      orderItems,
-      totalAmount,
-      address,
-      phoneNumber,
-      paymentMethod: paymentMethod,
-      status: "Pending",
-      paymentStatus: paymentMethod === "Cash" ? "Pending" : "Paid",
+      // Remove ordered items from cart
+      const orderedProductIds = selectedProducts.map((p) => p.productId);
+      const removedItemIds = await CartItem.find({
+        cartId: cart._id,
+        productId: { $in: orderedProductIds }
+      })
+        .session(session)
+        .distinct("_id");
+
+      await CartItem.deleteMany({ _id: { $in: removedItemIds } }, { session });
+      await Cart.updateOne(
+        { _id: cart._id },
+        { $pull: { cartItems: { $in: removedItemIds } } },
+        { session }
+      );
+
+      order = newOrder;
     });
 
-    // Update orderItems with the order ID
-    await OrderItem.updateMany(
-      { _id: { $in: orderItems } },
-      { orderId: order._id }
-    );
-
-    // Remove ordered items from cart
-    const orderedProductIds = selectedProducts.map((p) => p.productId);
-    await CartItem.deleteMany({
-      cartId: cart._id,
-      productId: { $in: orderedProductIds }
-    });
+    const totalAmount = order.totalAmount;
 
     // Prepare response based on payment method
+    const messages = {
+      Cash: "Order placed successfully. Pay in cash upon delivery.",
+      QR: "Order placed successfully. Awaiting QR payment confirmation.",
+    };
     const response = {
-      message: paymentMethod === "Cash" 
-        ? "Order placed successfully. Pay in cash upon delivery."
-        : "Order placed successfully. Awaiting QR payment confirmation.",
+      // Online payments are started separately through /v1/payments
+      message: messages[paymentMethod] || "Order placed. Complete your payment to confirm it.",
       orderId: order._id,
       totalAmount
     };
 
     // Add QR specific instructions if needed
     if (paymentMethod === "QR") {
-      response.instructions = `Please scan the QR code and send the payment of NPR ${totalAmount.toFixed(2)}. Add your email in the remarks for confirmation.`;
+      response.instructions = `Please scan the QR code and send the payment of NPR ${totalAmount.toFixed(2)}, then upload your payment screenshot or transaction reference from My Orders.`;
     }
 
+    // Queued in the background; a mail failure must not fail the order
+    notifyOrderPlaced(order._id);
+
     return res.status(200).json(response);
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+
     console.error("❌ Order Placement Error:", error);
     return res.status(500).json({ 
       error: "Order placement failed, please try again",
       details: error.message 
     });
+  } finally {
+    await session.endSession();
   }
 };
@@ -1,4 +1,6 @@
 const Category = require("../model/category.model");
+const Product = require("../model/productmodel");
+const { searchFieldsFor } = require("../utils/search");
 
 // CREATE Category
 exports.createCategory = async (req, res) => {
@@ -87,6 +89,26 @@ exports.updateCategory = async (req, res) => {
       return res.status(404).json({ message: "Category not found" });
     }
 
+    // Products carry the category name for search; refresh it on rename
+    const products = await Product.find({ category: updatedCategory._id })
+      .select("productName")
+      .lean();
+    if (products.length > 0) {
+      await Product.bulkWrite(
+        products.map((product) => ({
+          updateOne: {
+            filter: { _id: product._id },
+            update: {
+              $set: searchFieldsFor(
+                product.productName,
+                updatedCategory.categoryName
+              ),
+            },
+          },
+        }))
+      );
+    }
+
     res
       .status(200)
       .json({ message: "Category updated", category: updatedCategory });
@@ -0,0 +1,175 @@
+const mongoose = require("mongoose");
+const Coupon = require("../model/coupon.model");
+const { normalizeCode } = require("../utils/coupons");
+
+const DISCOUNT_TYPES = ["Percent", "Flat"];
+
+const optionalNumber = (value) =>
+  value === undefined || value === null || value === "" ? undefined : Number(value);
+
+const optionalDate = (value) => (value ? new Date(value) : undefined);
+
+// Build the coupon fields from the request body, or return an error message
+const parseCouponInput = (body) => {
+  const data = {
+    code: normalizeCode(body.code),
+    description: body.description?.trim(),
+    discountType: body.discountType,
+    value: Number(body.value),
+    maxDiscount: optionalNumber(body.maxDiscount),
+    minOrderValue: optionalNumber(body.minOrderValue) ?? 0,
+    categories: body.categories || [],
+    products: body.products || [],
+    validFrom: optionalDate(body.validFrom),
+    validUntil: optionalDate(body.validUntil),
+    usageLimit: optionalNumber(body.usageLimit),
+    perUserLimit: optionalNumber(body.perUserLimit) ?? 1,
+    isActive: body.isActive ?? true,
+  };
+
+  if (!/^[A-Z0-9_-]{3,30}$/.test(data.code)) {
+    return { error: "Code must be 3-30 letters, numbers, dashes or underscores" };
+  }
+  if (!DISCOUNT_TYPES.includes(data.discountType)) {
+    return { error: `Discount type must be one of: ${DISCOUNT_TYPES.join(", ")}` };
+  }
+  if (!(data.value > 0)) {
+    return { error: "Discount value must be greater than zero" };
+  }
+  if (data.discountType === "Percent" && data.value > 100) {
+    return { error: "A percent discount can't be more than 100" };
+  }
+  if (
+    [data.maxDiscount, data.minOrderValue].some(
+      (value) => value !== undefined && !(value >= 0)
+    )
+  ) {
+    return { error: "Amounts must be zero or more" };
+  }
+  if (
+    [data.usageLimit, data.perUserLimit].some(
+      (value) => value !== undefined && !(Number.isInteger(value) && value >= 1)
+    )
+  ) {
+    return { error: "Usage limits must be whole numbers of at least 1" };
+  }
+  if (
+    !Array.isArray(data.categories) ||
+    !Array.isArray(data.products) ||
+    ![...data.categories, ...data.products].every((id) => mongoose.Types.ObjectId.isValid(id))
+  ) {
+    return { error: "Categories and products must be lists of valid IDs" };
+  }
+  if ([data.validFrom, data.validUntil].some((date) => date && Number.isNaN(date.getTime()))) {
+    return { error: "Invalid validity date" };
+  }
+  if (data.validFrom && data.validUntil && data.validFrom >= data.validUntil) {
+    return { error: "The coupon must end after it starts" };
+  }
+
+  return { data };
+};
+
+// CREATE Coupon
+exports.createCoupon = async (req, res) => {
+  try {
+    const { data, error } = parseCouponInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const coupon = await Coupon.create(data);
+    res.status(201).json({ message: "Coupon created successfully", coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: "A coupon with this code already exists" });
+    }
+    console.error("❌ Error creating coupon:", error);
+    res.status(500).json({ error: "Error creating coupon" });
+  }
+};
+
+// GET ALL Coupons, newest first, without the redemption log
+exports.getAllCoupons = async (req, res) => {
+  try {
+    const coupons = await Coupon.find()
+      .select("-redemptions")
+      .populate("categories", "categoryName")
+      .populate("products", "productName")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ coupons });
+  } catch (error) {
+    console.error("❌ Error fetching coupons:", error);
+    res.status(500).json({ error: "Error fetching coupons" });
+  }
+};
+
+// GET Coupon BY ID, with who used it
+exports.getCouponById = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).populate(
+      "redemptions.userId",
+      "name email"
+    );
+    if (!coupon) {
+      return res.status(404).json({ error: "Coupon not found" });
+    }
+    res.status(200).json({ coupon });
+  } catch (error) {
+    console.error("❌ Error fetching coupon:", error);
+    res.status(500).json({ error: "Error fetching coupon" });
+  }
+};
+
+// UPDATE Coupon. Usage counts are left alone; they only change on redemption.
+exports.updateCoupon = async (req, res) => {
+  try {
+    const { data, error } = parseCouponInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: "Coupon not found" });
+    }
+    if (data.usageLimit !== undefined && data.usageLimit < coupon.usedCount) {
+      return res.status(400).json({
+        error: `This coupon has already been used ${coupon.usedCount} times`,
+      });
+    }
+
+    // Cleared optional fields are removed rather than kept
+    ["maxDiscount", "validFrom", "validUntil", "usageLimit"].forEach((field) => {
+      if (data[field] === undefined) data[field] = null;
+    });
+    coupon.set(data);
+    await coupon.save();
+
+    res.status(200).json({ message: "Coupon updated", coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: "A coupon with this code already exists" });
+    }
+    console.error("❌ Error updating coupon:", error);
+    res.status(500).json({ error: "Error updating coupon" });
+  }
+};
+
+// DELETE Coupon. Used coupons are kept for the order records; deactivate them instead.
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: "Coupon not found" });
+    }
+    if (coupon.usedCount > 0) {
+      return res.status(400).json({
+        error: "This coupon has been used on orders. Deactivate it instead.",
+      });
+    }
+
+    await coupon.deleteOne();
+    res.status(200).json({ message: "Coupon deleted successfully" });
+  } catch (error) {
+    console.error("❌ Error deleting coupon:", error);
+    res.status(500).json({ error: "Error deleting coupon" });
+  }
+};
@@ -0,0 +1,167 @@
+const DeliveryZone = require("../model/deliveryzone.model");
+const DeliverySlot = require("../model/deliveryslot.model");
+const {
+  TIME_PATTERN,
+  toMinutes,
+  getDeliveryOptions,
+} = require("../utils/delivery");
+
+// Zones and bookable slots for the checkout page
+exports.getOptions = async (req, res) => {
+  try {
+    res.status(200).json(await getDeliveryOptions());
+  } catch (error) {
+    console.error("❌ Error fetching delivery options:", error);
+    res.status(500).json({ error: "Failed to load delivery options" });
+  }
+};
+
+// ----- Zones (admin) -----
+
+const parseZoneInput = (body) => {
+  const data = {
+    name: body.name?.trim(),
+    description: body.description?.trim(),
+    fee: Number(body.fee),
+    minOrderValue: Number(body.minOrderValue || 0),
+    isActive: body.isActive ?? true,
+  };
+
+  if (!data.name) return { error: "Zone name is required" };
+  if (!(data.fee >= 0) || !(data.minOrderValue >= 0)) {
+    return { error: "Fee and minimum order must be zero or more" };
+  }
+  return { data };
+};
+
+exports.getZones = async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find().sort({ name: 1 });
+    res.status(200).json({ zones });
+  } catch (error) {
+    console.error("❌ Error fetching zones:", error);
+    res.status(500).json({ error: "Failed to fetch delivery zones" });
+  }
+};
+
+exports.createZone = async (req, res) => {
+  try {
+    const { data, error } = parseZoneInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const zone = await DeliveryZone.create(data);
+    res.status(201).json({ message: "Delivery zone created", zone });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: "A zone with this name already exists" });
+    }
+    console.error("❌ Error creating zone:", error);
+    res.status(500).json({ error: "Failed to create delivery zone" });
+  }
+};
+
+exports.updateZone = async (req, res) => {
+  try {
+    const { data, error } = parseZoneInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const zone = await DeliveryZone.findByIdAndUpdate(req.params.id, data, { new: true });
+    if (!zone) return res.status(404).json({ error: "Delivery zone not found" });
+
+    res.status(200).json({ message: "Delivery zone updated", zone });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: "A zone with this name already exists" });
+    }
+    console.error("❌ Error updating zone:", error);
+    res.status(500).json({ error: "Failed to update delivery zone" });
+  }
+};
+
+// Orders keep a copy of the zone, so deleting it doesn't touch them
+exports.deleteZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) return res.status(404).json({ error: "Delivery zone not found" });
+
+    res.status(200).json({ message: "Delivery zone deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting zone:", error);
+    res.status(500).json({ error: "Failed to delete delivery zone" });
+  }
+};
+
+// ----- Slots (admin) -----
+
+const parseSlotInput = (body) => {
+  const data = {
+    label: body.label?.trim(),
+    startTime: body.startTime,
+    endTime: body.endTime,
+    capacity: Number(body.capacity),
+    isActive: body.isActive ?? true,
+  };
+
+  if (!data.label) return { error: "Slot label is required" };
+  if (!TIME_PATTERN.test(data.startTime || "") || !TIME_PATTERN.test(data.endTime || "")) {
+    return { error: "Times must be in HH:MM format" };
+  }
+  if (toMinutes(data.startTime) >= toMinutes(data.endTime)) {
+    return { error: "The slot must end after it starts" };
+  }
+  if (!Number.isInteger(data.capacity) || data.capacity < 1) {
+    return { error: "Capacity must be a whole number of at least 1" };
+  }
+  return { data };
+};
+
+exports.getSlots = async (req, res) => {
+  try {
+    const slots = await DeliverySlot.find().sort({ startTime: 1 });
+    res.status(200).json({ slots });
+  } catch (error) {
+    console.error("❌ Error fetching slots:", error);
+    res.status(500).json({ error: "Failed to fetch delivery slots" });
+  }
+};
+
+exports.createSlot = async (req, res) => {
+  try {
+    const { data, error } = parseSlotInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const slot = await DeliverySlot.create(data);
+    res.status(201).json({ message: "Delivery slot created", slot });
+  } catch (error) {
+    console.error("❌ Error creating slot:", error);
+    res.status(500).json({ error: "Failed to create delivery slot" });
+  }
+};
+
+// A lower capacity only limits new bookings; orders already booked keep their place
+exports.updateSlot = async (req, res) => {
+  try {
+    const { data, error } = parseSlotInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const slot = await DeliverySlot.findByIdAndUpdate(req.params.id, data, { new: true });
+    if (!slot) return res.status(404).json({ error: "Delivery slot not found" });
+
+    res.status(200).json({ message: "Delivery slot updated", slot });
+  } catch (error) {
+    console.error("❌ Error updating slot:", error);
+    res.status(500).json({ error: "Failed to update delivery slot" });
+  }
+};
+
+exports.deleteSlot = async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findByIdAndDelete(req.params.id);
+    if (!slot) return res.status(404).json({ error: "Delivery slot not found" });
+
+    res.status(200).json({ message: "Delivery slot deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting slot:", error);
+    res.status(500).json({ error: "Failed to delete delivery slot" });
+  }
+};
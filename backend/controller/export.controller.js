@@ -0,0 +1,277 @@
+const Order = require("../model/order.model");
+const Product = require("../model/productmodel");
+const User = require("../model/usermodel");
+const { FORMATS, startSpreadsheet } = require("../utils/spreadsheet");
+const { buildOrderFilter, buildCatalogueFilters, splitPriceMatch } = require("../utils/listFilters");
+const { getActiveRules, sellingPriceExpr } = require("../utils/priceRules");
+const { round2 } = require("../utils/pricing");
+const { storeClock } = require("../utils/delivery");
+
+// "YYYY-MM-DD HH:MM" in store time
+const storeDateTime = (date) => {
+  if (!date) return "";
+  const { date: day, minutes } = storeClock(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${day} ${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+const parseFormat = (query) => {
+  const format = query.format || "csv";
+  return FORMATS.includes(format)
+    ? { format }
+    : { error: `format must be one of: ${FORMATS.join(", ")}` };
+};
+
+// Once the download has started the status can't change, so a failure part
+// way through aborts the response rather than leaving a truncated file. A
+// client that went away needs neither a reply nor an error in the log.
+const failExport = (res, error, what) => {
+  if (error.aborted) return;
+  console.error(`❌ Error exporting ${what}:`, error);
+  if (res.headersSent) return res.destroy();
+  res.status(500).json({ error: `Failed to export ${what}` });
+};
+
+// Close the cursor as soon as the response goes away unfinished, whether the
+// client disconnected or the export failed, instead of leaving it open on the
+// server until it times out
+const closeWithResponse = (res, cursor) => {
+  res.on("close", () => {
+    if (!res.writableFinished) cursor.close().catch(() => {});
+  });
+};
+
+const ORDER_HEADERS = [
+  "Order ID",
+  "Order Date",
+  "Customer",
+  "Email",
+  "Phone",
+  "Order Status",
+  "Payment Method",
+  "Payment Status",
+  "Product",
+  "Unit",
+  "Quantity",
+  "Unit Price",
+  "Line Total",
+  "Item Status",
+  "Subtotal",
+  "Coupon Discount",
+  "Delivery Fee",
+  "Order Total",
+  "Paid",
+  "Refunded",
+  "Delivery Date",
+  "Delivery Slot",
+  "Area",
+];
+
+// One row per line item, with the order's details repeated on each, for the
+// same filters as the admin order list plus ?format=csv|xlsx
+exports.exportOrders = async (req, res) => {
+  try {
+    const { format, error: formatError } = parseFormat(req.query);
+    const { filter, error } = buildOrderFilter(req.query);
+    if (formatError || error) return res.status(400).json({ error: formatError || error });
+
+    const cursor = Order.find(filter)
+      .populate({ path: "userId", select: "name email" })
+      .populate({
+        path: "orderItems",
+        populate: { path: "productId", select: "productName unit" },
+      })
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+    closeWithResponse(res, cursor);
+
+    const sheet = await startSpreadsheet(res, {
+      format,
+      name: `orders-${storeClock().date}`,
+      headers: ORDER_HEADERS,
+    });
+
+    for await (const order of cursor) {
+      const orderColumns = [
+        order._id.toString(),
+        storeDateTime(order.orderDate),
+        order.userId?.name || "Deleted user",
+        order.userId?.email || "",
+        order.phoneNumber,
+        order.status,
+        order.paymentMethod,
+        order.paymentStatus,
+      ];
+      const totals = [
+        order.subtotal,
+        order.couponDiscount || 0,
+        order.deliveryFee || 0,
+        order.totalAmount,
+        order.paidAmount ?? "",
+        order.refundedAmount || 0,
+        order.deliverySlot?.date || "",
+        order.deliverySlot?.label || "",
+        order.deliveryZone?.name || "",
+      ];
+      const items = order.orderItems.length ? order.orderItems : [null];
+
+      for (const item of items) {
+        await sheet.addRow([
+          ...orderColumns,
+          item ? item.productId?.productName || "Deleted product" : "",
+          item?.productId?.unit || "",
+          item?.quantity ?? "",
+          item?.price ?? "",
+          item?.totalPrice ?? "",
+          item?.status || "",
+          ...totals,
+        ]);
+      }
+    }
+
+    await sheet.end();
+  } catch (error) {
+    failExport(res, error, "orders");
+  }
+};
+
+// Products for the same filters as the catalogue (?category=, ?minPrice=,
+// ?maxPrice=, ?inStock=, ?discounted=), by name
+exports.exportProducts = async (req, res) => {
+  try {
+    const { format, error: formatError } = parseFormat(req.query);
+    const { filters, error } = buildCatalogueFilters(req.query);
+    if (formatError || error) return res.status(400).json({ error: formatError || error });
+
+    const rules = await getActiveRules();
+    const { before, after } = splitPriceMatch(filters);
+    const cursor = Product.aggregate([
+      { $match: before },
+      { $addFields: { sellingPrice: sellingPriceExpr(rules) } },
+      { $match: after },
+      { $sort: { productName: 1, _id: 1 } },
+      {
+        $lookup: {
+          from: "categories",
+          localField: "category",
+          foreignField: "_id",
+          as: "category",
+          pipeline: [{ $project: { categoryName: 1 } }],
+        },
+      },
+    ]).cursor();
+    closeWithResponse(res, cursor);
+
+    const sheet = await startSpreadsheet(res, {
+      format,
+      name: `products-${storeClock().date}`,
+      headers: [
+        "Product ID",
+        "SKU",
+        "Product",
+        "Category",
+        "Unit",
+        "Price",
+        "Selling Price",
+        "Cost Price",
+        "In Stock",
+        "Total Units",
+        "Sold Units",
+        "Reorder Threshold",
+        "Rating",
+        "Reviews",
+      ],
+    });
+
+    for await (const product of cursor) {
+      await sheet.addRow([
+        product._id.toString(),
+        product.sku || "",
+        product.productName,
+        product.category[0]?.categoryName || "",
+        product.unit,
+        product.price,
+        round2(product.sellingPrice),
+        product.costPrice ?? "",
+        product.remainingUnits,
+        product.totalUnits,
+        product.soldUnits || 0,
+        product.reorderThreshold ?? "",
+        product.averageRating || 0,
+        product.totalReviews || 0,
+      ]);
+    }
+
+    await sheet.end();
+  } catch (error) {
+    failExport(res, error, "products");
+  }
+};
+
+// Customers as on the admin customer list, with their order count and spend
+// (cancelled orders and refunds left out)
+exports.exportCustomers = async (req, res) => {
+  try {
+    const { format, error } = parseFormat(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const cursor = User.aggregate([
+      { $match: { role: "Customer" } },
+      { $sort: { name: 1, _id: 1 } },
+      {
+        $lookup: {
+          from: "orders",
+          localField: "_id",
+          foreignField: "userId",
+          as: "orders",
+          pipeline: [
+            { $match: { status: { $ne: "Cancelled" } } },
+            {
+              $group: {
+                _id: null,
+                count: { $sum: 1 },
+                spent: {
+                  $sum: {
+                    $subtract: [
+                      { $ifNull: ["$paidAmount", "$totalAmount"] },
+                      { $ifNull: ["$refundedAmount", 0] },
+                    ],
+                  },
+                },
+                lastOrderAt: { $max: "$orderDate" },
+              },
+            },
+          ],
+        },
+      },
+      { $project: { name: 1, email: 1, addresses: 1, orders: { $first: "$orders" } } },
+    ]).cursor();
+    closeWithResponse(res, cursor);
+
+    const sheet = await startSpreadsheet(res, {
+      format,
+      name: `customers-${storeClock().date}`,
+      headers: ["Customer ID", "Name", "Email", "Phone", "District", "Orders", "Total Spent", "Last Order"],
+    });
+
+    for await (const customer of cursor) {
+      const address =
+        customer.addresses?.find((entry) => entry.isDefault) || customer.addresses?.[0];
+      await sheet.addRow([
+        customer._id.toString(),
+        customer.name,
+        customer.email,
+        address?.phone || "",
+        address?.district || "",
+        customer.orders?.count || 0,
+        round2(customer.orders?.spent || 0),
+        storeDateTime(customer.orders?.lastOrderAt),
+      ]);
+    }
+
+    await sheet.end();
+  } catch (error) {
+    failExport(res, error, "customers");
+  }
+};
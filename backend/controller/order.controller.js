@@ -3,52 +3,66 @@ const OrderItem = require("../model/orderitem.model");
 const Product = require("../model/productmodel");
 const Cart = require("../model/cart.model");
 const CartItem = require("../model/cartitem.model");
-const axios = require("axios");
 const mongoose = require("mongoose");
-const { generateAccessToken, PAYPAL_API } = require("../utils/paypal");
+const httpError = require("../utils/httpError");
+const {
+  ORDER_STATUS_TRANSITIONS,
+  changeStatus,
+} = require("../utils/orderStatus");
+const {
+  notifyOrderStatusChanged,
+  notifyPaymentReviewed,
+} = require("../utils/orderNotifications");
+const {
+  REFUND_METHODS,
+  issueRefund,
+  updateRefundStatus,
+} = require("../utils/refunds");
+const {
+  cancelOrderItem: cancelItem,
+  requestReturn,
+  reviewReturn,
+} = require("../utils/orderItems");
+const { buildOrderFilter } = require("../utils/listFilters");
 
 exports.cancelOrder = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { orderId } = req.params;
+    const { note } = req.body || {};
+    let order;
 
-    // Fetch the order with populated orderItems
-    const order = await Order.findById(orderId).populate({
-      path: 'orderItems',
-      populate: {
-        path: 'productId',
-        select: 'productName remainingUnits soldUnits'
-      }
-    });
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
 
-    if (!order) {
-      return res.status(404).json({ error: "Order not found" });
-    }
+      if (!order) {
+        throw httpError("Order not found", 404);
+      }
 
-    // Ensure the order can only be cancelled if it's pending
-    if (order.status !== "Pending") {
-      return res.status(400).json({ 
-        error: "Order can only be cancelled if it's pending" 
-      });
-    }
+      // Customers may only cancel their own orders; admins may cancel any
+      const isOwner = order.userId.equals(req.user._id);
+      if (!isOwner && req.user.role !== "Admin") {
+        throw httpError("You are not allowed to cancel this order", 403);
+      }
 
-    // Update product quantities
-    for (const item of order.orderItems) {
-      if (!item.productId) continue;
+      // Customers can only cancel before the order is being prepared
+      if (req.user.role !== "Admin" && order.status !== "Pending") {
+        throw httpError("Order can only be cancelled if it's pending");
+      }
 
-      await Product.findByIdAndUpdate(
-        item.productId._id,
+      await changeStatus(
+        order,
+        "Cancelled",
         {
-          $inc: {
-            remainingUnits: item.quantity,  // Add back to remaining units
-            soldUnits: -item.quantity       // Subtract from sold units
-          }
-        }
+          changedBy: req.user._id,
+          note: note || (isOwner ? "Cancelled by customer" : "Cancelled by admin"),
+        },
+        session
       );
-    }
+    });
 
-    // Update order status to "Cancelled"
-    order.status = "Cancelled";
-    await order.save();
+    notifyOrderStatusChanged(order._id, "Cancelled", note);
 
     return res.status(200).json({ 
       message: "Order cancelled successfully",
@@ -56,11 +70,17 @@ exports.cancelOrder = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error("Order Cancellation Error:", error);
     return res.status(500).json({ 
       error: "Failed to cancel order",
       details: error.message 
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -110,7 +130,11 @@ exports.getAllOrders = async (req, res) => {
   try {
     console.log("📌 Fetching all orders...");
 
-    const orders = await Order.find()
+    // Optional delivery and order date filters
+    const { filter, error } = buildOrderFilter(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const orders = await Order.find(filter)
       .populate({
         path: "userId",
         select: "name email", // Fetch user details
@@ -124,9 +148,12 @@ exports.getAllOrders = async (req, res) => {
       })
       .sort({ createdAt: -1 }); // Sort orders by latest
 
-    return res
-      .status(200)
-      .json({ message: "✅ Orders fetched successfully", orders });
+    return res.status(200).json({
+      message: "✅ Orders fetched successfully",
+      orders,
+      transitions: ORDER_STATUS_TRANSITIONS,
+      refundMethods: REFUND_METHODS,
+    });
   } catch (error) {
     console.error("❌ Error fetching orders:", error);
     return res.status(500).json({ error: "Failed to fetch orders" });
@@ -134,24 +161,22 @@ exports.getAllOrders = async (req, res) => {
 };
 
 exports.changeOrderStatus = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
 
-    // Allowed status updates
-    const validStatuses = [
-      "Pending",
-      "Processing",
-      "Shipped",
-      "Delivered",
-      "Cancelled",
-    ];
+    // Status, history and any stock restoration change together
+    await session.withTransaction(async () => {
+      const order = await Order.findById(orderId).session(session);
+      if (!order) throw httpError("Order not found", 404);
 
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: "Invalid status update" });
-    }
+      await changeStatus(order, status, { changedBy: req.user._id, note }, session);
+    });
+
+    notifyOrderStatusChanged(orderId, status, note);
 
-    // Fetch the order
     const order = await Order.findById(orderId)
       .populate({
         path: "userId",
@@ -164,24 +189,286 @@ exports.changeOrderStatus = async (req, res) => {
           select: "_id productName price images ", // Fetch product details
         },
       });
-    if (!order) return res.status(404).json({ error: "Order not found" });
-
-    // Prevent changing status of cancelled orders
-    if (order.status === "Cancelled") {
-      return res.status(400).json({ error: "Cannot update a cancelled order" });
-    }
-
-    // Update the order status
-    order.status = status;
-    await order.save();
 
     return res
       .status(200)
       .json({ message: `✅ Order status updated to ${status}`, order });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error("❌ Order Status Update Error:", error);
     return res
       .status(500)
       .json({ error: "Something went wrong, please try again" });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Customer attaches a payment screenshot and/or transaction reference to a
+// QR order. A rejected payment can be resubmitted.
+exports.submitPaymentProof = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const transactionRef = req.body.transactionRef?.trim();
+    const screenshot = req.file?.filename;
+
+    if (!screenshot && !transactionRef) {
+      return res
+        .status(400)
+        .json({ error: "Upload a payment screenshot or enter a transaction reference" });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    if (!order.userId.equals(req.user._id)) {
+      return res.status(403).json({ error: "You are not allowed to update this order" });
+    }
+    if (order.paymentMethod !== "QR") {
+      return res.status(400).json({ error: "Only QR payments need verification" });
+    }
+    if (order.status === "Cancelled") {
+      return res.status(400).json({ error: "This order has been cancelled" });
+    }
+    if (!["Awaiting Verification", "Rejected"].includes(order.paymentStatus)) {
+      return res.status(400).json({ error: "This payment has already been verified" });
+    }
+
+    order.paymentStatus = "Awaiting Verification";
+    order.paymentVerification = {
+      screenshot,
+      transactionRef,
+      submittedAt: new Date(),
+    };
+    await order.save();
+
+    return res.status(200).json({
+      message: "✅ Payment details submitted. We will verify them shortly.",
+      order,
+    });
+  } catch (error) {
+    console.error("❌ Payment Proof Error:", error);
+    return res.status(500).json({ error: "Failed to submit payment details" });
+  }
+};
+
+// QR orders waiting for an admin to check the payment, oldest first
+exports.getPaymentQueue = async (req, res) => {
+  try {
+    const orders = await Order.find({
+      paymentMethod: "QR",
+      paymentStatus: "Awaiting Verification",
+      status: { $ne: "Cancelled" },
+    })
+      .populate({
+        path: "userId",
+        select: "name email",
+      })
+      .sort({ createdAt: 1 });
+
+    return res.status(200).json({ orders });
+  } catch (error) {
+    console.error("❌ Error fetching payment queue:", error);
+    return res.status(500).json({ error: "Failed to fetch payment queue" });
+  }
+};
+
+// Admin approves or rejects a QR payment
+exports.reviewPayment = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { approved, note } = req.body;
+
+    if (typeof approved !== "boolean") {
+      return res.status(400).json({ error: "Specify whether the payment is approved" });
+    }
+    if (!approved && !note?.trim()) {
+      return res.status(400).json({ error: "Please give a reason for rejecting the payment" });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    if (order.paymentMethod !== "QR" || order.paymentStatus !== "Awaiting Verification") {
+      return res.status(400).json({ error: "This payment is not awaiting verification" });
+    }
+
+    order.paymentStatus = approved ? "Paid" : "Rejected";
+    if (approved) order.paidAmount = order.totalAmount;
+    order.paymentVerification.reviewedBy = req.user._id;
+    order.paymentVerification.reviewedAt = new Date();
+    order.paymentVerification.note = note?.trim();
+    await order.save();
+
+    notifyPaymentReviewed(order._id);
+
+    return res.status(200).json({
+      message: approved ? "✅ Payment approved" : "Payment rejected",
+      order,
+    });
+  } catch (error) {
+    console.error("❌ Payment Review Error:", error);
+    return res.status(500).json({ error: "Failed to review payment" });
+  }
+};
+
+// Admin refunds part or all of a paid order
+exports.refundOrder = async (req, res) => {
+  try {
+    const { amount, reason, method } = req.body;
+    const order = await issueRefund(req.params.orderId, {
+      amount,
+      reason,
+      method,
+      issuedBy: req.user._id,
+    });
+
+    const refund = order.refunds[order.refunds.length - 1];
+    return res.status(200).json({
+      message:
+        refund.status === "Completed"
+          ? "✅ Refund completed"
+          : "Refund recorded, mark it completed once the money has been sent",
+      order,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("❌ Refund Error:", error);
+    return res.status(500).json({ error: "Failed to issue refund" });
+  }
+};
+
+// Admin marks a pending refund as completed or failed
+exports.updateRefund = async (req, res) => {
+  try {
+    const { orderId, refundId } = req.params;
+    const order = await updateRefundStatus(orderId, refundId, req.body.status);
+
+    return res.status(200).json({ message: `Refund marked ${req.body.status.toLowerCase()}`, order });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("❌ Refund Update Error:", error);
+    return res.status(500).json({ error: "Failed to update refund" });
+  }
+};
+
+// Drop a single item before the order ships (customer or admin)
+exports.cancelOrderItem = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+
+    // Item, stock and order totals change together
+    await session.withTransaction(async () => {
+      result = await cancelItem(req.params.itemId, req.user, session);
+    });
+
+    return res.status(200).json({
+      message:
+        result.order.status === "Cancelled"
+          ? "Item cancelled. No items were left, so the order has been cancelled."
+          : "Item cancelled successfully",
+      order: result.order,
+      item: result.item,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("❌ Item Cancellation Error:", error);
+    return res.status(500).json({ error: "Failed to cancel item" });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Customer asks to return a delivered item, optionally with a photo
+exports.requestItemReturn = async (req, res) => {
+  try {
+    const item = await requestReturn(req.params.itemId, req.user, {
+      reason: req.body.reason,
+      photo: req.file?.filename,
+    });
+
+    return res.status(200).json({
+      message: "✅ Return requested. We will review it shortly.",
+      item,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("❌ Return Request Error:", error);
+    return res.status(500).json({ error: "Failed to request return" });
+  }
+};
+
+// Open return requests, oldest first
+exports.getReturnRequests = async (req, res) => {
+  try {
+    const items = await OrderItem.find({ status: "Return Requested" })
+      .populate({
+        path: "productId",
+        select: "productName images",
+      })
+      .populate({
+        path: "orderId",
+        select: "userId paymentMethod paymentStatus",
+        populate: { path: "userId", select: "name email" },
+      })
+      .sort({ "returnRequest.requestedAt": 1 });
+
+    return res.status(200).json({ items });
+  } catch (error) {
+    console.error("❌ Error fetching return requests:", error);
+    return res.status(500).json({ error: "Failed to fetch return requests" });
+  }
+};
+
+// Admin approves or rejects a return request
+exports.reviewItemReturn = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { approved, note, restock } = req.body;
+    let result;
+
+    await session.withTransaction(async () => {
+      result = await reviewReturn(
+        req.params.itemId,
+        req.user,
+        { approved, note, restock },
+        session
+      );
+    });
+
+    return res.status(200).json({
+      message: approved ? "✅ Return approved" : "Return rejected",
+      order: result.order,
+      item: result.item,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("❌ Return Review Error:", error);
+    return res.status(500).json({ error: "Failed to review return" });
+  } finally {
+    await session.endSession();
   }
 };
@@ -0,0 +1,251 @@
+const Order = require("../model/order.model");
+const {
+  getProvider,
+  ONLINE_PAYMENT_METHODS,
+  UNPAID_STATUSES,
+} = require("../utils/payments");
+const { issueRefund } = require("../utils/refunds");
+const { chargedAmount } = require("../utils/orderTotals");
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
+
+// Money that arrived after the order was cancelled goes straight back. A
+// provider without refunds leaves it Pending for an admin to pay by hand.
+const refundCancelledOrder = async (order) => {
+  try {
+    await issueRefund(order._id, {
+      amount: chargedAmount(order),
+      reason: "The order was cancelled before the payment completed",
+      method: "Original Payment",
+    });
+  } catch (error) {
+    console.error(`❌ Could not refund cancelled order ${order._id}:`, error.message);
+  }
+};
+
+// The order's payment attempts, newest first
+const paymentAttempts = (order) => {
+  const { earlierAttempts = [], ...current } = order.toObject().paymentGateway || {};
+  return [current, ...[...earlierAttempts].reverse()].filter(
+    (payment) => payment.providerPaymentId
+  );
+};
+
+// Record a confirmed payment on the order. Checks the provider charged what
+// that attempt asked for, and only flips an unpaid order so repeated
+// confirmations (return page + webhook) are harmless. The paid attempt
+// becomes the order's paymentGateway, which refunds go through. A payment
+// that completes after the order was cancelled is recorded and refunded,
+// never left as paid.
+const recordPayment = async (order, payment, result) => {
+  const expected = payment;
+  if (
+    Math.abs(result.amount - expected.amount) >= 0.01 ||
+    result.currency !== expected.currency
+  ) {
+    console.error(
+      `❌ Payment mismatch on order ${order._id}: expected ${expected.amount} ${expected.currency}, got ${result.amount} ${result.currency}`
+    );
+    await Order.updateOne(
+      { _id: order._id, paymentStatus: { $in: UNPAID_STATUSES } },
+      { $set: { paymentStatus: "Failed" } }
+    );
+    return null;
+  }
+
+  const paid = {
+    paymentStatus: "Paid",
+    paidAmount: expected.orderTotal ?? order.totalAmount,
+    "paymentGateway.providerPaymentId": expected.providerPaymentId,
+    "paymentGateway.amount": expected.amount,
+    "paymentGateway.currency": expected.currency,
+    "paymentGateway.orderTotal": expected.orderTotal,
+    "paymentGateway.transactionId": result.transactionId,
+    "paymentGateway.paidAt": new Date(),
+  };
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $ne: "Cancelled" }, paymentStatus: { $in: UNPAID_STATUSES } },
+    { $set: paid },
+    { new: true }
+  );
+  if (updated) return updated;
+
+  const cancelled = await Order.findOneAndUpdate(
+    { _id: order._id, status: "Cancelled", paymentStatus: { $in: UNPAID_STATUSES } },
+    { $set: paid },
+    { new: true }
+  );
+  if (cancelled) await refundCancelledOrder(cancelled);
+
+  return Order.findById(order._id);
+};
+
+// Load an online-payment order belonging to the logged-in customer
+const findPayableOrder = async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    res.status(404).json({ error: "Order not found" });
+    return null;
+  }
+  if (!order.userId.equals(req.user._id)) {
+    res.status(403).json({ error: "You are not allowed to pay for this order" });
+    return null;
+  }
+  if (!ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)) {
+    res.status(400).json({ error: "This order is not paid online" });
+    return null;
+  }
+  return order;
+};
+
+// Start (or restart) an online payment and return the provider's approval page
+const startPayment = async (req, res) => {
+  try {
+    const order = await findPayableOrder(req, res);
+    if (!order) return;
+
+    if (order.status === "Cancelled") {
+      return res.status(400).json({ error: "This order has been cancelled" });
+    }
+    if (!UNPAID_STATUSES.includes(order.paymentStatus)) {
+      return res.status(400).json({ error: "This order is already paid" });
+    }
+
+    const provider = getProvider(order.paymentMethod);
+    const returnUrl = `${CLIENT_URL}/payment/return?orderId=${order._id}`;
+
+    const payment = await provider.createPayment({
+      order,
+      returnUrl,
+      cancelUrl: `${returnUrl}&cancelled=true`,
+    });
+
+    order.paymentStatus = "Pending";
+    order.paymentGateway = {
+      provider: provider.name,
+      providerPaymentId: payment.providerPaymentId,
+      amount: payment.amount,
+      currency: payment.currency,
+      orderTotal: order.totalAmount,
+      // The replaced attempt may already be approved, so keep matching it
+      earlierAttempts: paymentAttempts(order).reverse(),
+    };
+    await order.save();
+
+    return res.status(200).json({ approvalUrl: payment.approvalUrl });
+  } catch (error) {
+    console.error("❌ Payment Start Error:", error.response?.data || error.message);
+    return res
+      .status(502)
+      .json({ error: "Could not reach the payment provider, please try again" });
+  }
+};
+
+// A cancelled order's payment is refunded by recordPayment
+const paymentReceived = (res, order) =>
+  order.status === "Cancelled"
+    ? res.status(409).json({
+        error: "This order was cancelled, so your payment is being refunded",
+        order,
+      })
+    : res.status(200).json({ message: "✅ Payment received", order });
+
+// Called by the frontend when the customer comes back from the provider
+const confirmPayment = async (req, res) => {
+  try {
+    const order = await findPayableOrder(req, res);
+    if (!order) return;
+
+    if (!UNPAID_STATUSES.includes(order.paymentStatus)) {
+      return paymentReceived(res, order);
+    }
+    if (!order.paymentGateway?.providerPaymentId) {
+      return res.status(400).json({ error: "No payment has been started for this order" });
+    }
+
+    // The customer may have finished an attempt they later restarted
+    const provider = getProvider(order.paymentMethod);
+    let payment;
+    let result;
+    for (payment of paymentAttempts(order)) {
+      result = await provider.confirmPayment({ order, payment, params: req.body });
+      if (result.paid) break;
+    }
+
+    if (!result.paid) {
+      return res.status(402).json({ error: "Payment has not been completed" });
+    }
+
+    const updated = await recordPayment(order, payment, result);
+    if (!updated) {
+      return res
+        .status(400)
+        .json({ error: "The amount paid does not match the order total" });
+    }
+
+    return paymentReceived(res, updated);
+  } catch (error) {
+    console.error("❌ Payment Confirm Error:", error.response?.data || error.message);
+    return res
+      .status(502)
+      .json({ error: "Could not confirm the payment, please try again" });
+  }
+};
+
+// Server-to-server notification from a provider (no user session)
+const handleWebhook = async (req, res) => {
+  const provider = ONLINE_PAYMENT_METHODS.map(getProvider).find(
+    (p) => p.name.toLowerCase() === req.params.provider.toLowerCase()
+  );
+  if (!provider) {
+    return res.status(404).json({ error: "Unknown payment provider" });
+  }
+
+  let event;
+  try {
+    event = await provider.parseWebhook(req);
+  } catch (error) {
+    console.error(`❌ ${provider.name} webhook rejected:`, error.message);
+    return res.status(400).json({ error: "Invalid webhook" });
+  }
+
+  // Events we don't act on are still acknowledged so they aren't resent
+  if (!event?.providerPaymentId) {
+    return res.status(200).json({ received: true });
+  }
+
+  try {
+    const order = await Order.findOne({
+      paymentMethod: provider.name,
+      $or: [
+        { "paymentGateway.providerPaymentId": event.providerPaymentId },
+        { "paymentGateway.earlierAttempts.providerPaymentId": event.providerPaymentId },
+      ],
+    });
+    if (!order || !UNPAID_STATUSES.includes(order.paymentStatus)) {
+      return res.status(200).json({ received: true });
+    }
+
+    const payment = paymentAttempts(order).find(
+      (attempt) => attempt.providerPaymentId === event.providerPaymentId
+    );
+    const result = await provider.confirmPayment({ order, payment, params: {} });
+    if (result.paid) {
+      await recordPayment(order, payment, result);
+    }
+
+    return res.status(200).json({ received: true });
+  } catch (error) {
+    // A 5xx makes the provider retry the webhook later
+    console.error(`❌ ${provider.name} webhook error:`, error.response?.data || error.message);
+    return res.status(500).json({ error: "Webhook processing failed" });
+  }
+};
+
+module.exports = {
+  startPayment,
+  confirmPayment,
+  handleWebhook,
+};
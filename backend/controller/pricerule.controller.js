@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+const PriceRule = require("../model/pricerule.model");
+
+const DISCOUNT_TYPES = ["Percent", "Fixed"];
+
+// Build the rule fields from the request body, or return an error message
+const parseRuleInput = (body) => {
+  const data = {
+    name: body.name?.trim(),
+    discountType: body.discountType,
+    value: Number(body.value),
+    products: body.products || [],
+    categories: body.categories || [],
+    startsAt: body.startsAt ? new Date(body.startsAt) : undefined,
+    endsAt: body.endsAt ? new Date(body.endsAt) : undefined,
+    isFlashSale: Boolean(body.isFlashSale),
+    isActive: body.isActive ?? true,
+  };
+
+  if (!data.name) {
+    return { error: "Sale name is required" };
+  }
+  if (!DISCOUNT_TYPES.includes(data.discountType)) {
+    return { error: `Discount type must be one of: ${DISCOUNT_TYPES.join(", ")}` };
+  }
+  if (!(data.value > 0)) {
+    return { error: "Discount value must be greater than zero" };
+  }
+  if (data.discountType === "Percent" && data.value > 100) {
+    return { error: "A percent discount can't be more than 100" };
+  }
+  if (
+    !Array.isArray(data.products) ||
+    !Array.isArray(data.categories) ||
+    ![...data.products, ...data.categories].every((id) => mongoose.Types.ObjectId.isValid(id))
+  ) {
+    return { error: "Products and categories must be lists of valid IDs" };
+  }
+  if (data.products.length === 0 && data.categories.length === 0) {
+    return { error: "Choose at least one product or category for the sale" };
+  }
+  if (
+    !data.startsAt ||
+    !data.endsAt ||
+    Number.isNaN(data.startsAt.getTime()) ||
+    Number.isNaN(data.endsAt.getTime())
+  ) {
+    return { error: "Start and end times are required" };
+  }
+  if (data.startsAt >= data.endsAt) {
+    return { error: "The sale must end after it starts" };
+  }
+
+  return { data };
+};
+
+// CREATE Price rule
+exports.createPriceRule = async (req, res) => {
+  try {
+    const { data, error } = parseRuleInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const rule = await PriceRule.create(data);
+    res.status(201).json({ message: "Sale scheduled successfully", rule });
+  } catch (error) {
+    console.error("❌ Error creating price rule:", error);
+    res.status(500).json({ error: "Error creating sale" });
+  }
+};
+
+// GET ALL Price rules, latest start first
+exports.getAllPriceRules = async (req, res) => {
+  try {
+    const rules = await PriceRule.find()
+      .populate("products", "productName")
+      .populate("categories", "categoryName")
+      .sort({ startsAt: -1 });
+
+    res.status(200).json({ rules });
+  } catch (error) {
+    console.error("❌ Error fetching price rules:", error);
+    res.status(500).json({ error: "Error fetching sales" });
+  }
+};
+
+// GET Price rule BY ID
+exports.getPriceRuleById = async (req, res) => {
+  try {
+    const rule = await PriceRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: "Sale not found" });
+    }
+    res.status(200).json({ rule });
+  } catch (error) {
+    console.error("❌ Error fetching price rule:", error);
+    res.status(500).json({ error: "Error fetching sale" });
+  }
+};
+
+// UPDATE Price rule. Takes effect on the next price lookup.
+exports.updatePriceRule = async (req, res) => {
+  try {
+    const { data, error } = parseRuleInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const rule = await PriceRule.findByIdAndUpdate(req.params.id, data, {
+      new: true,
+    });
+    if (!rule) {
+      return res.status(404).json({ error: "Sale not found" });
+    }
+
+    res.status(200).json({ message: "Sale updated", rule });
+  } catch (error) {
+    console.error("❌ Error updating price rule:", error);
+    res.status(500).json({ error: "Error updating sale" });
+  }
+};
+
+// DELETE Price rule. Orders keep the prices they were placed at.
+exports.deletePriceRule = async (req, res) => {
+  try {
+    const rule = await PriceRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: "Sale not found" });
+    }
+    res.status(200).json({ message: "Sale deleted successfully" });
+  } catch (error) {
+    console.error("❌ Error deleting price rule:", error);
+    res.status(500).json({ error: "Error deleting sale" });
+  }
+};
@@ -1,5 +1,33 @@
+const mongoose = require("mongoose");
 const Product = require("../model/productmodel");
 const Category = require("../model/category.model");
+const {
+  MAX_QUERY_LENGTH,
+  escapeRegex,
+  searchFieldsFor,
+  correctQuery,
+} = require("../utils/search");
+const { getActiveRules, withPricing, sellingPriceExpr } = require("../utils/priceRules");
+const { recordMovement, adjustTotalUnits } = require("../utils/stock");
+const {
+  buildCatalogueFilters,
+  matchExcept,
+  splitPriceMatch,
+} = require("../utils/listFilters");
+const { planImport, importReport, applyImport } = require("../utils/productImport");
+const {
+  parseBatchInput,
+  createBatch,
+  refreshMarkdowns,
+} = require("../utils/batches");
+
+// Reorder and markdown settings are optional; blank clears them so the
+// default applies
+const parseOptionalNumber = (value) =>
+  value === undefined ? undefined : value === "" || value === null ? null : Number(value);
+
+const invalidOptionalNumber = (...values) =>
+  values.some((value) => value !== undefined && value !== null && !(value >= 0));
 
 // Create a new product
 exports.createProduct = async (req, res) => {
@@ -14,11 +42,23 @@ exports.createProduct = async (req, res) => {
       unit,
       totalUnits
     } = req.body;
+    const reorderThreshold = parseOptionalNumber(req.body.reorderThreshold);
+    const reorderQuantity = parseOptionalNumber(req.body.reorderQuantity);
+    const expiryMarkdown = parseOptionalNumber(req.body.expiryMarkdown);
+    const sku = req.body.sku?.trim() || undefined;
 
     // Validate total units
     if (!totalUnits || totalUnits < 0) {
       return res.status(400).json({ message: "Total units must be a positive number" });
     }
+    if (invalidOptionalNumber(reorderThreshold, reorderQuantity)) {
+      return res.status(400).json({ message: "Reorder threshold and quantity must be zero or more" });
+    }
+    if (invalidOptionalNumber(expiryMarkdown) || expiryMarkdown > 100) {
+      return res.status(400).json({ message: "Expiry markdown must be between 0 and 100" });
+    }
+    // The initial stock is the first batch: expiry, cost and lot number
+    const batchDetails = parseBatchInput(req.body);
 
     // Check if category exists
     const foundCategory = await Category.findById(category);
@@ -30,47 +70,213 @@ exports.createProduct = async (req, res) => {
       ? req.files.map((file) => file.filename)
       : undefined;
 
-    let finalPrice = price;
-    let oldPrice = undefined;
-
-    if (discount) {
-      oldPrice = price;
-      finalPrice = price - (price * discount) / 100;
-    }
-
+    // price stays the base price; the discount is applied when products are read
     const newProduct = new Product({
       productName,
+      sku,
       description,
       category: foundCategory._id,
-      price: finalPrice,
-      oldPrice: oldPrice,
+      price,
       unit,
       totalUnits,
       remainingUnits: totalUnits, // Initially, remaining units equals total units
       soldUnits: 0, // Initially, no units are sold
+      reorderThreshold,
+      reorderQuantity,
+      expiryMarkdown,
+      costPrice: batchDetails.costPrice,
       images,
       discount: discount || 0,
+      ...searchFieldsFor(productName, foundCategory.categoryName),
     });
 
     if (imagePaths) {
       newProduct.images = imagePaths;
     }
-    await newProduct.save();
-    return res
-      .status(201)
-      .json({ message: "Product created successfully", product: newProduct });
+
+    // The product, its first batch and its opening ledger entry are saved together
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await newProduct.save({ session });
+        const batch = await createBatch(
+          newProduct._id,
+          newProduct.totalUnits,
+          batchDetails,
+          req.user,
+          session
+        );
+        await recordMovement(
+          newProduct,
+          {
+            type: "Opening",
+            remainingChange: newProduct.totalUnits,
+            totalChange: newProduct.totalUnits,
+            user: req.user._id,
+            batch: batch._id,
+            note: "Initial stock",
+          },
+          session
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+    return res.status(201).json({
+      message: "Product created successfully",
+      product: withPricing(newProduct, await getActiveRules()),
+    });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "Another product already has this SKU" });
+    }
     return res
       .status(500)
       .json({ message: "Error creating product", error: error.message });
   }
 };
 
-// Get all products
+// Price sorts and filters use the selling price added by sellingPriceExpr
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  price_asc: { sellingPrice: 1 },
+  price_desc: { sellingPrice: -1 },
+  best_selling: { soldUnits: -1 },
+};
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 100;
+
+// Get products: paginated, filterable and sortable, with facet counts
 exports.getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find().populate("category");
-    return res.status(200).json({ products });
+    const page = req.query.page ? Number(req.query.page) : 1;
+    const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LIMIT;
+    const sortKey = req.query.sort || "newest";
+
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ message: "page must be a positive integer" });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res
+        .status(400)
+        .json({ message: `limit must be an integer from 1 to ${MAX_LIMIT}` });
+    }
+    if (!SORT_OPTIONS[sortKey]) {
+      return res.status(400).json({
+        message: `sort must be one of: ${Object.keys(SORT_OPTIONS).join(", ")}`,
+      });
+    }
+
+    const { filters, error } = buildCatalogueFilters(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { before, after } = splitPriceMatch(filters);
+    const rules = await getActiveRules();
+
+    const addSellingPrice = { $addFields: { sellingPrice: sellingPriceExpr(rules) } };
+    // The page is matched before its $facet so the filters can use indexes;
+    // the facet counts each leave out their own filter, so they get a
+    // pipeline of their own
+    const [[listing], [counts]] = await Promise.all([
+      Product.aggregate([
+        { $match: before },
+        addSellingPrice,
+        { $match: after },
+        {
+          $facet: {
+            products: [
+              // _id keeps the order stable across pages
+              { $sort: { ...SORT_OPTIONS[sortKey], _id: 1 } },
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              { $unset: "sellingPrice" },
+              {
+                $lookup: {
+                  from: "categories",
+                  localField: "category",
+                  foreignField: "_id",
+                  as: "category",
+                },
+              },
+              { $unwind: { path: "$category", preserveNullAndEmptyArrays: true } },
+            ],
+            total: [{ $count: "count" }],
+          },
+        },
+      ]),
+      Product.aggregate([
+        addSellingPrice,
+        {
+          $facet: {
+            categories: [
+              { $match: matchExcept(filters, "category") },
+              { $group: { _id: "$category", count: { $sum: 1 } } },
+              {
+                $lookup: {
+                  from: "categories",
+                  localField: "_id",
+                  foreignField: "_id",
+                  as: "category",
+                },
+              },
+              { $unwind: "$category" },
+              {
+                $project: {
+                  _id: 1,
+                  categoryName: "$category.categoryName",
+                  count: 1,
+                },
+              },
+              { $sort: { categoryName: 1 } },
+            ],
+            inStock: [
+              { $match: matchExcept(filters, "inStock") },
+              { $match: { remainingUnits: { $gt: 0 } } },
+              { $count: "count" },
+            ],
+            discounted: [
+              { $match: matchExcept(filters, "discounted") },
+              { $match: { $expr: { $lt: ["$sellingPrice", "$price"] } } },
+              { $count: "count" },
+            ],
+            price: [
+              { $match: matchExcept(filters, "price") },
+              {
+                $group: {
+                  _id: null,
+                  min: { $min: "$sellingPrice" },
+                  max: { $max: "$sellingPrice" },
+                },
+              },
+            ],
+          },
+        },
+      ]),
+    ]);
+
+    const total = listing.total[0]?.count || 0;
+
+    return res.status(200).json({
+      products: listing.products.map((product) => withPricing(product, rules)),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      facets: {
+        categories: counts.categories,
+        inStock: counts.inStock[0]?.count || 0,
+        discounted: counts.discounted[0]?.count || 0,
+        price: {
+          min: counts.price[0]?.min ?? 0,
+          max: counts.price[0]?.max ?? 0,
+        },
+      },
+    });
   } catch (error) {
     return res
       .status(500)
@@ -86,7 +292,9 @@ exports.getProductById = async (req, res) => {
     if (!product) {
       return res.status(404).json({ message: "Product not found" });
     }
-    return res.status(200).json({ product });
+    return res
+      .status(200)
+      .json({ product: withPricing(product, await getActiveRules()) });
   } catch (error) {
     return res
       .status(500)
@@ -94,6 +302,21 @@ exports.getProductById = async (req, res) => {
   }
 };
 
+// Admin only: the product's cost price, which the public product responses leave out
+exports.getProductCost = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select("costPrice");
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    return res.status(200).json({ costPrice: product.costPrice ?? null });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: "Error retrieving product cost", error: error.message });
+  }
+};
+
 // Update a product by ID
 exports.updateProduct = async (req, res) => {
   try {
@@ -107,6 +330,22 @@ exports.updateProduct = async (req, res) => {
       unit,
       totalUnits 
     } = req.body;
+    const reorderThreshold = parseOptionalNumber(req.body.reorderThreshold);
+    const reorderQuantity = parseOptionalNumber(req.body.reorderQuantity);
+    const expiryMarkdown = parseOptionalNumber(req.body.expiryMarkdown);
+    const costPrice = parseOptionalNumber(req.body.costPrice);
+    // Blank removes the SKU
+    const sku = req.body.sku === undefined ? undefined : String(req.body.sku).trim();
+
+    if (invalidOptionalNumber(reorderThreshold, reorderQuantity)) {
+      return res.status(400).json({ message: "Reorder threshold and quantity must be zero or more" });
+    }
+    if (invalidOptionalNumber(expiryMarkdown) || expiryMarkdown > 100) {
+      return res.status(400).json({ message: "Expiry markdown must be between 0 and 100" });
+    }
+    if (invalidOptionalNumber(costPrice)) {
+      return res.status(400).json({ message: "Cost price must be zero or more" });
+    }
 
     const existingProduct = await Product.findById(id);
     if (!existingProduct) {
@@ -128,50 +367,134 @@ exports.updateProduct = async (req, res) => {
       imagePaths = existingProduct.images; // Preserve existing images
     }
 
-    // Handle discount logic
-    let finalPrice = price;
-    let oldPrice = undefined;
+    // A new total moves remaining stock by the same amount, through the
+    // stock ledger so added units get a batch and removed ones leave FEFO
+    const unitsDifference = totalUnits ? Number(totalUnits) - existingProduct.totalUnits : 0;
 
-    if (discount) {
-      oldPrice = price;
-      finalPrice = price - (price * discount) / 100;
-    }
+    // Keep search fields in sync with the name and category
+    const searchCategory = await Category.findById(
+      category || existingProduct.category
+    );
 
-    // Calculate new remaining units if total units is updated
-    let newRemainingUnits = existingProduct.remainingUnits;
-    if (totalUnits !== undefined) {
-      const unitsDifference = totalUnits - existingProduct.totalUnits;
-      newRemainingUnits = existingProduct.remainingUnits + unitsDifference;
+    let updatedProduct;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        updatedProduct = await Product.findOneAndUpdate(
+          { _id: id },
+          {
+            ...searchFieldsFor(
+              productName || existingProduct.productName,
+              searchCategory?.categoryName
+            ),
+            productName,
+            sku: sku || undefined,
+            ...(sku === "" ? { $unset: { sku: 1 } } : {}),
+            description,
+            category,
+            unit,
+            price, // Base price; discounts are applied when products are read
+            // Left alone when omitted; blank clears it
+            discount: discount === undefined ? undefined : discount || 0,
+            reorderThreshold,
+            reorderQuantity,
+            expiryMarkdown,
+            costPrice, // Batches keep their own cost; this covers stock outside them
+            images: imagePaths, // Always set this explicitly
+          },
+          { new: true, session }
+        );
+
+        if (updatedProduct && unitsDifference !== 0) {
+          ({ product: updatedProduct } = await adjustTotalUnits(
+            id,
+            unitsDifference,
+            req.user,
+            "Total units changed on the product form",
+            session
+          ));
+        }
+      });
+    } finally {
+      await session.endSession();
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      id,
-      {
-        productName,
-        description,
-        category,
-        unit,
-        price: finalPrice,
-        discount: discount || 0,
-        oldPrice: oldPrice,
-        totalUnits: totalUnits || existingProduct.totalUnits,
-        remainingUnits: newRemainingUnits,
-        images: imagePaths, // Always set this explicitly
-      },
-      { new: true }
-    );
+    if (!updatedProduct) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    // Start or stop the markdown now rather than at the next expiry check
+    if (expiryMarkdown !== undefined) {
+      await refreshMarkdowns();
+      updatedProduct = await Product.findById(id);
+    }
 
     return res.status(200).json({
       message: "Product updated successfully",
-      product: updatedProduct,
+      product: withPricing(updatedProduct, await getActiveRules()),
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "Another product already has this SKU" });
+    }
+    // Not enough stock left to lower the total that far
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     return res
       .status(500)
       .json({ message: "Error updating product", error: error.message });
   }
 };
 
+// Create or update products from an uploaded CSV, matched by SKU, with
+// images from an optional zip. ?dryRun=true only checks the rows; a real
+// import saves nothing unless every row is valid.
+exports.importProducts = async (req, res) => {
+  try {
+    const csv = req.files?.file?.[0];
+    const zip = req.files?.images?.[0];
+    if (!csv) {
+      return res.status(400).json({ message: "Upload a CSV file of products" });
+    }
+    const dryRun = req.query.dryRun === "true";
+
+    const plan = await planImport(csv.buffer, zip?.buffer);
+    const report = importReport(plan);
+
+    if (report.summary.invalid > 0) {
+      return res.status(dryRun ? 200 : 400).json({
+        message: `${report.summary.invalid} row(s) have errors; nothing was imported`,
+        dryRun,
+        ...report,
+      });
+    }
+    if (dryRun) {
+      return res.status(200).json({
+        message: `All ${report.summary.rows} row(s) are valid`,
+        dryRun,
+        ...report,
+      });
+    }
+
+    const failed = await applyImport(plan, req.user);
+    const saved = importReport(plan, failed);
+    const { create, update } = saved.summary;
+    const notSaved = failed.size ? `; ${failed.size} row(s) could not be saved` : "";
+    return res.status(200).json({
+      message: `Created ${create} and updated ${update} product(s)${notSaved}`,
+      dryRun,
+      ...saved,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    return res
+      .status(500)
+      .json({ message: "Error importing products", error: error.message });
+  }
+};
+
 // Delete a product by ID
 exports.deleteProduct = async (req, res) => {
   try {
@@ -188,27 +511,40 @@ exports.deleteProduct = async (req, res) => {
   }
 };
 
-// Search products
+// Search products by relevance using the weighted text index. If nothing
+// matches, retry once with misspelled words corrected (e.g. "tomatos")
 exports.searchProducts = async (req, res) => {
   try {
-    const { query } = req.query;
-    
+    const query = String(req.query.query || "").trim().slice(0, MAX_QUERY_LENGTH);
+
     if (!query) {
       return res.status(200).json({ products: [] });
     }
 
-    // Create a case-insensitive regex pattern
-    const searchPattern = new RegExp(query, 'i');
+    const runTextSearch = (text) =>
+      Product.find(
+        { $text: { $search: text } },
+        { score: { $meta: "textScore" } }
+      )
+        .sort({ score: { $meta: "textScore" } })
+        .limit(50)
+        .populate("category");
+
+    let products = await runTextSearch(query);
+    let correctedQuery = null;
 
-    // Search in product name and description
-    const products = await Product.find({
-      $or: [
-        { productName: searchPattern },
-        { description: searchPattern }
-      ]
-    }).populate('category');
+    if (products.length === 0) {
+      correctedQuery = await correctQuery(query);
+      if (correctedQuery) {
+        products = await runTextSearch(correctedQuery);
+      }
+    }
 
-    res.status(200).json({ products });
+    const rules = await getActiveRules();
+    res.status(200).json({
+      products: products.map((product) => withPricing(product, rules)),
+      correctedQuery,
+    });
   } catch (error) {
     console.error('Search error:', error);
     res.status(500).json({ 
@@ -217,3 +553,58 @@ exports.searchProducts = async (req, res) => {
     });
   }
 };
+
+// Autocomplete: products with a name or category word starting with the prefix
+exports.suggestProducts = async (req, res) => {
+  try {
+    const query = String(req.query.q || "")
+      .trim()
+      .toLowerCase()
+      .slice(0, MAX_QUERY_LENGTH);
+    // Single letters only make sense as the prefix being typed
+    const words = query
+      .split(/\s+/)
+      .filter((word, index, all) => word.length >= 2 || index === all.length - 1);
+
+    if (words.length === 0) {
+      return res.status(200).json({ suggestions: [] });
+    }
+
+    // Every finished word must match; the last word is matched as a prefix.
+    // Anchored, escaped regexes on lowercase keywords can use the index.
+    const buildFilter = (terms) => ({
+      $and: terms.map((word, index) =>
+        index === terms.length - 1
+          ? { searchKeywords: { $regex: `^${escapeRegex(word)}` } }
+          : { searchKeywords: word }
+      ),
+    });
+
+    const findSuggestions = (terms) =>
+      Product.find(buildFilter(terms))
+        .select("productName categoryName category price discount activeMarkdown unit images")
+        .sort({ soldUnits: -1 })
+        .limit(8)
+        .lean();
+
+    let suggestions = await findSuggestions(words);
+
+    if (suggestions.length === 0) {
+      const correctedQuery = await correctQuery(query);
+      if (correctedQuery) {
+        suggestions = await findSuggestions(correctedQuery.split(" "));
+      }
+    }
+
+    const rules = await getActiveRules();
+    res.status(200).json({
+      suggestions: suggestions.map((product) => withPricing(product, rules)),
+    });
+  } catch (error) {
+    console.error('Suggest error:', error);
+    res.status(500).json({
+      message: "Error fetching suggestions",
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,277 @@
+const mongoose = require("mongoose");
+const PurchaseOrder = require("../model/purchaseorder.model");
+const Supplier = require("../model/supplier.model");
+const httpError = require("../utils/httpError");
+const { enqueueMail } = require("../utils/mailQueue");
+const { purchaseOrderEmail } = require("../utils/emailTemplates");
+const { purchaseOrderPdf } = require("../utils/purchaseOrderPdf");
+const {
+  EDITABLE_STATUSES,
+  poNumberFor,
+  buildLines,
+  receivePurchaseOrder,
+} = require("../utils/purchaseOrders");
+
+const ORDERS_PER_PAGE = 20;
+const STATUSES = PurchaseOrder.schema.path("status").enumValues;
+
+// Supplier, lines, expected date and notes from the create/edit form
+const parsePurchaseOrderInput = async (body) => {
+  if (!mongoose.isValidObjectId(body.supplier)) throw httpError("Choose a supplier");
+  const supplier = await Supplier.findById(body.supplier).select("isActive").lean();
+  if (!supplier) throw httpError("Supplier not found", 404);
+  if (!supplier.isActive) throw httpError("This supplier is inactive");
+
+  const expectedAt = body.expectedAt ? new Date(body.expectedAt) : undefined;
+  if (expectedAt && Number.isNaN(expectedAt.getTime())) {
+    throw httpError("Invalid expected delivery date");
+  }
+
+  return {
+    supplier: supplier._id,
+    lines: await buildLines(body.lines),
+    expectedAt,
+    notes: body.notes?.trim(),
+  };
+};
+
+const findPurchaseOrder = async (id, session) => {
+  if (!mongoose.isValidObjectId(id)) throw httpError("Invalid purchase order id");
+  const po = await PurchaseOrder.findById(id).session(session || null);
+  if (!po) throw httpError("Purchase order not found", 404);
+  return po;
+};
+
+// Newest first, optionally filtered with ?status= and/or ?supplier=
+exports.getPurchaseOrders = async (req, res) => {
+  try {
+    const { status, supplier } = req.query;
+    const page = req.query.page ? Number(req.query.page) : 1;
+
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "page must be a positive integer" });
+    }
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(", ")}` });
+    }
+    if (supplier && !mongoose.isValidObjectId(supplier)) {
+      return res.status(400).json({ error: "Invalid supplier id" });
+    }
+
+    const filter = {
+      ...(status && { status }),
+      ...(supplier && { supplier }),
+    };
+
+    const [purchaseOrders, total] = await Promise.all([
+      PurchaseOrder.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * ORDERS_PER_PAGE)
+        .limit(ORDERS_PER_PAGE)
+        .populate("supplier", "name")
+        .select("-receipts")
+        .lean(),
+      PurchaseOrder.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      purchaseOrders,
+      page,
+      totalPages: Math.ceil(total / ORDERS_PER_PAGE),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching purchase orders:", error);
+    res.status(500).json({ error: "Failed to fetch purchase orders" });
+  }
+};
+
+exports.getPurchaseOrder = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid purchase order id" });
+    }
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate("supplier")
+      .populate("createdBy", "name email")
+      .populate("receipts.receivedBy", "name email")
+      .lean();
+    if (!purchaseOrder) return res.status(404).json({ error: "Purchase order not found" });
+
+    res.status(200).json({ purchaseOrder });
+  } catch (error) {
+    console.error("❌ Error fetching purchase order:", error);
+    res.status(500).json({ error: "Failed to fetch purchase order" });
+  }
+};
+
+// The order as the supplier receives it, for printing or sending by hand
+exports.getPurchaseOrderPdf = async (req, res) => {
+  try {
+    const po = await findPurchaseOrder(req.params.id);
+    const supplier = await Supplier.findById(po.supplier).lean();
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${po.poNumber}.pdf"`);
+    res.status(200).send(purchaseOrderPdf({ purchaseOrder: po, supplier: supplier || {} }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error("❌ Error creating purchase order PDF:", error);
+    res.status(500).json({ error: "Failed to create purchase order PDF" });
+  }
+};
+
+exports.createPurchaseOrder = async (req, res) => {
+  try {
+    const data = await parsePurchaseOrderInput(req.body);
+    const _id = new mongoose.Types.ObjectId();
+
+    const purchaseOrder = await PurchaseOrder.create({
+      _id,
+      poNumber: poNumberFor(_id),
+      ...data,
+      createdBy: req.user._id,
+    });
+    res.status(201).json({ message: "Purchase order created", purchaseOrder });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error("❌ Error creating purchase order:", error);
+    res.status(500).json({ error: "Failed to create purchase order" });
+  }
+};
+
+// Only drafts can be edited; once sent, the supplier has the order as it was
+exports.updatePurchaseOrder = async (req, res) => {
+  try {
+    const po = await findPurchaseOrder(req.params.id);
+    if (!EDITABLE_STATUSES.includes(po.status)) {
+      throw httpError("Only draft purchase orders can be edited");
+    }
+
+    po.set(await parsePurchaseOrderInput(req.body));
+    await po.save();
+    res.status(200).json({ message: "Purchase order updated", purchaseOrder: po });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error("❌ Error updating purchase order:", error);
+    res.status(500).json({ error: "Failed to update purchase order" });
+  }
+};
+
+// Email the order to the supplier. A sent order can be sent again, e.g. after
+// the supplier's address changed.
+exports.sendPurchaseOrder = async (req, res) => {
+  try {
+    const po = await findPurchaseOrder(req.params.id);
+    if (!["Draft", "Sent"].includes(po.status)) {
+      throw httpError(`A ${po.status.toLowerCase()} purchase order can't be sent`);
+    }
+
+    const supplier = await Supplier.findById(po.supplier).lean();
+    if (!supplier?.email) {
+      throw httpError("Add an email address to the supplier before sending");
+    }
+
+    enqueueMail({
+      to: supplier.email,
+      ...purchaseOrderEmail({ purchaseOrder: po, supplier }),
+      attachments: [
+        {
+          filename: `${po.poNumber}.pdf`,
+          content: purchaseOrderPdf({ purchaseOrder: po, supplier }),
+          contentType: "application/pdf",
+        },
+      ],
+    });
+
+    po.status = "Sent";
+    po.sentAt = new Date();
+    await po.save();
+    res.status(200).json({ message: `Purchase order sent to ${supplier.email}`, purchaseOrder: po });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error("❌ Error sending purchase order:", error);
+    res.status(500).json({ error: "Failed to send purchase order" });
+  }
+};
+
+// Book in delivered goods. Each line received becomes a stock batch at the
+// actual cost per unit.
+exports.receivePurchaseOrder = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let purchaseOrder;
+    await session.withTransaction(async () => {
+      const po = await findPurchaseOrder(req.params.id, session);
+      purchaseOrder = await receivePurchaseOrder(po, req.body, req.user, session);
+    });
+
+    res.status(200).json({
+      message:
+        purchaseOrder.status === "Received"
+          ? "Purchase order fully received"
+          : "Receipt recorded; the rest is still due",
+      purchaseOrder,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error("❌ Error receiving purchase order:", error);
+    res.status(500).json({ error: "Failed to receive purchase order" });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Stop waiting for the rest of a partially received order, e.g. when the
+// supplier can't deliver it. What arrived stays in stock; nothing more can
+// be received against the order.
+exports.closePurchaseOrder = async (req, res) => {
+  try {
+    const po = await findPurchaseOrder(req.params.id);
+    if (po.status !== "Partially Received") {
+      throw httpError("Only partially received purchase orders can be closed short");
+    }
+
+    po.status = "Closed Short";
+    po.closedAt = new Date();
+    await po.save();
+    res.status(200).json({ message: "Purchase order closed short", purchaseOrder: po });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error("❌ Error closing purchase order:", error);
+    res.status(500).json({ error: "Failed to close purchase order" });
+  }
+};
+
+// Orders with stock already received can't be cancelled; close them short
+// instead
+exports.cancelPurchaseOrder = async (req, res) => {
+  try {
+    const po = await findPurchaseOrder(req.params.id);
+    if (!["Draft", "Sent"].includes(po.status)) {
+      throw httpError(`A ${po.status.toLowerCase()} purchase order can't be cancelled`);
+    }
+
+    po.status = "Cancelled";
+    await po.save();
+    res.status(200).json({ message: "Purchase order cancelled", purchaseOrder: po });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error("❌ Error cancelling purchase order:", error);
+    res.status(500).json({ error: "Failed to cancel purchase order" });
+  }
+};
@@ -3,97 +3,116 @@ const Product = require("../model/productmodel");
 const Category = require("../model/category.model");
 const Order = require("../model/order.model"); // Import your Order model
 const Cart = require("../model/cart.model");
+const { GROUP_BY, getProfitReport } = require("../utils/profit");
+const { GRANULARITIES, getSalesAnalytics } = require("../utils/analytics");
+const { storeClock, addDays } = require("../utils/delivery");
+const { PAID_STATUSES } = require("../utils/orderTotals");
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_REPORT_DAYS = 731;
+const ORDER_STATUSES = Order.schema.path("status").enumValues;
+
+// ?from= and ?to= as store dates, defaulting to the last 30 days, plus the
+// grouping named by key (?groupBy= or ?granularity=)
+const parseReportRange = (query, key, allowed) => {
+  const to = query.to || storeClock().date;
+  const from = query.from || addDays(to, -29);
+  const group = query[key] || "day";
+
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    return { error: "from and to must be dates (YYYY-MM-DD)" };
+  }
+  if (from > to) return { error: "from must not be after to" };
+  if (addDays(from, MAX_REPORT_DAYS) <= to) {
+    return { error: "The report can cover at most two years" };
+  }
+  if (!allowed.includes(group)) {
+    return { error: `${key} must be one of: ${allowed.join(", ")}` };
+  }
+  return { from, to, group };
+};
+
+// Store-wide totals for the dashboard cards. Data only; the client decides
+// how to show it.
 exports.getAdminStats = async (req, res) => {
   try {
-    const totalUsers = await User.countDocuments();
-    const totalProducts = await Product.countDocuments();
-    const totalCategories = await Category.countDocuments();
-    const totalOrders = await Order.countDocuments();
-
-    // Sum of totalAmount from all orders
-    const totalEarningsResult = await Order.aggregate([
-      { $group: { _id: null, totalEarnings: { $sum: "$totalAmount" } } },
+    const [users, products, categories, orders, earnings, statusCounts] = await Promise.all([
+      User.countDocuments(),
+      Product.countDocuments(),
+      Category.countDocuments(),
+      Order.countDocuments(),
+      // Sum of what each order was paid (or is billed), less the money
+      // refunded. Money received counts whatever the order's status: a
+      // cancelled order that was paid and not refunded still holds it. Only
+      // an unpaid cancelled order bills nothing.
+      Order.aggregate([
+        {
+          $group: {
+            _id: null,
+            grossRevenue: {
+              $sum: {
+                $cond: [
+                  { $in: ["$paymentStatus", PAID_STATUSES] },
+                  { $ifNull: ["$paidAmount", "$totalAmount"] },
+                  { $cond: [{ $eq: ["$status", "Cancelled"] }, 0, "$totalAmount"] },
+                ],
+              },
+            },
+            refunds: { $sum: { $ifNull: ["$refundedAmount", 0] } },
+          },
+        },
+      ]),
+      Order.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
     ]);
-    const totalEarnings =
-      totalEarningsResult.length > 0 ? totalEarningsResult[0].totalEarnings : 0;
-
-    // Order statuses
-    const statuses = [
-      "Pending",
-      "Processing",
-      "Shipped",
-      "Delivered",
-      "Cancelled",
-    ];
-    const orderStatusCounts = await Promise.all(
-      statuses.map(async (status) => {
-        const count = await Order.countDocuments({ status });
-        return { status, count };
-      })
-    );
-
-    const stats = [
-      {
-        label: "Total Users",
-        value: totalUsers,
-        color: "bg-green-100",
-        textColor: "text-green-700",
-      },
-      {
-        label: "Total Products",
-        value: totalProducts,
-        color: "bg-blue-100",
-        textColor: "text-blue-700",
-      },
-      {
-        label: "Total Categories",
-        value: totalCategories,
-        color: "bg-yellow-100",
-        textColor: "text-yellow-700",
-      },
-      {
-        label: "Total Orders",
-        value: totalOrders,
-        color: "bg-purple-100",
-        textColor: "text-purple-700",
-      },
-      {
-        label: "Total Earnings (NPR)",
-        value: totalEarnings.toFixed(2),
-        color: "bg-teal-100",
-        textColor: "text-teal-700",
-      },
-      ...orderStatusCounts.map((s) => ({
-        label: `${s.status} Orders`,
-        value: s.count,
-        color: getStatusColor(s.status).bg,
-        textColor: getStatusColor(s.status).text,
-      })),
-    ];
 
-    res.status(200).json({ stats });
+    const refunds = earnings[0]?.refunds || 0;
+    const grossRevenue = (earnings[0]?.grossRevenue || 0) - refunds;
+    const counts = new Map(statusCounts.map((entry) => [entry._id, entry.count]));
+
+    res.status(200).json({
+      stats: {
+        users,
+        products,
+        categories,
+        orders,
+        grossRevenue: Number(grossRevenue.toFixed(2)),
+        refunds: Number(refunds.toFixed(2)),
+        ordersByStatus: Object.fromEntries(
+          ORDER_STATUSES.map((status) => [status, counts.get(status) || 0])
+        ),
+      },
+    });
   } catch (err) {
     console.error("❌ Error fetching stats:", err);
     res.status(500).json({ error: "Failed to fetch stats" });
   }
 };
 
-// Helper to map status to Tailwind colors
-const getStatusColor = (status) => {
-  switch (status) {
-    case "Pending":
-      return { bg: "bg-orange-100", text: "text-orange-700" };
-    case "Processing":
-      return { bg: "bg-indigo-100", text: "text-indigo-700" };
-    case "Shipped":
-      return { bg: "bg-blue-100", text: "text-blue-700" };
-    case "Delivered":
-      return { bg: "bg-green-100", text: "text-green-700" };
-    case "Cancelled":
-      return { bg: "bg-red-100", text: "text-red-700" };
-    default:
-      return { bg: "bg-gray-100", text: "text-gray-700" };
+// Revenue, orders, average order value, top sellers, new vs returning
+// customers and cancellations between ?from= and ?to=, per ?granularity=
+exports.getSalesAnalytics = async (req, res) => {
+  try {
+    const { from, to, group, error } = parseReportRange(req.query, "granularity", GRANULARITIES);
+    if (error) return res.status(400).json({ error });
+
+    res.status(200).json(await getSalesAnalytics({ from, to, granularity: group }));
+  } catch (err) {
+    console.error("❌ Error building sales analytics:", err);
+    res.status(500).json({ error: "Failed to build sales analytics" });
+  }
+};
+
+// Revenue, COGS and gross profit between ?from= and ?to=, per
+// ?groupBy=day|week|month and per category
+exports.getProfitReport = async (req, res) => {
+  try {
+    const { from, to, group, error } = parseReportRange(req.query, "groupBy", GROUP_BY);
+    if (error) return res.status(400).json({ error });
+
+    res.status(200).json(await getProfitReport({ from, to, groupBy: group }));
+  } catch (err) {
+    console.error("❌ Error building profit report:", err);
+    res.status(500).json({ error: "Failed to build profit report" });
   }
 };
 
@@ -110,18 +129,25 @@ exports.getCustomerStats = async (req, res) => {
       status: "Pending",
     });
 
-    // Total spend (only from paid orders)
+    // Total spend (only from paid orders, less refunds)
     const totalSpendResult = await Order.aggregate([
       {
         $match: {
           userId,
-          paymentStatus: "Paid",
+          paymentStatus: { $in: ["Paid", "Partially Refunded", "Refunded"] },
         },
       },
       {
         $group: {
           _id: null,
-          totalSpend: { $sum: "$totalAmount" },
+          totalSpend: {
+            $sum: {
+              $subtract: [
+                { $ifNull: ["$paidAmount", "$totalAmount"] },
+                { $ifNull: ["$refundedAmount", 0] },
+              ],
+            },
+          },
         },
       },
     ]);
@@ -0,0 +1,171 @@
+const mongoose = require("mongoose");
+const Product = require("../model/productmodel");
+const StockMovement = require("../model/stockmovement.model");
+const Batch = require("../model/batch.model");
+const { adjustStock, reconcileStock } = require("../utils/stock");
+const {
+  DEFAULT_REORDER_THRESHOLD,
+  getLowStock,
+  REORDER_LIST_HEADERS,
+  reorderListRows,
+} = require("../utils/lowStock");
+const { startSpreadsheet } = require("../utils/spreadsheet");
+const { EXPIRY_WARNING_DAYS, byFefo, getExpiringBatches } = require("../utils/batches");
+
+const MOVEMENTS_PER_PAGE = 25;
+
+// A product's stock counters and its ledger, newest first
+exports.getMovements = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const page = req.query.page ? Number(req.query.page) : 1;
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ error: "Invalid product id" });
+    }
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "page must be a positive integer" });
+    }
+
+    const product = await Product.findById(productId).select(
+      "productName unit totalUnits remainingUnits soldUnits stockDiscrepancy"
+    );
+    if (!product) return res.status(404).json({ error: "Product not found" });
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find({ product: productId })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * MOVEMENTS_PER_PAGE)
+        .limit(MOVEMENTS_PER_PAGE)
+        .populate("user", "name email")
+        .lean(),
+      StockMovement.countDocuments({ product: productId }),
+    ]);
+
+    res.status(200).json({
+      product,
+      movements,
+      page,
+      totalPages: Math.ceil(total / MOVEMENTS_PER_PAGE),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching stock movements:", error);
+    res.status(500).json({ error: "Failed to fetch stock history" });
+  }
+};
+
+// A product's batches with stock left, in the order they will sell
+exports.getBatches = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ error: "Invalid product id" });
+    }
+
+    const batches = await Batch.find({ product: productId, remaining: { $gt: 0 } }).lean();
+    res.status(200).json({ batches: batches.sort(byFefo) });
+  } catch (error) {
+    console.error("❌ Error fetching batches:", error);
+    res.status(500).json({ error: "Failed to fetch batches" });
+  }
+};
+
+// Batches expiring within ?days= (default EXPIRY_WARNING_DAYS), for the
+// near-expiry report
+exports.getExpiring = async (req, res) => {
+  try {
+    const days = req.query.days ? Number(req.query.days) : EXPIRY_WARNING_DAYS;
+    if (!Number.isInteger(days) || days < 0 || days > 60) {
+      return res.status(400).json({ error: "days must be a whole number from 0 to 60" });
+    }
+
+    const batches = await getExpiringBatches(days);
+    res.status(200).json({ batches, days });
+  } catch (error) {
+    console.error("❌ Error fetching expiring batches:", error);
+    res.status(500).json({ error: "Failed to fetch expiring batches" });
+  }
+};
+
+// Restock, spoilage or stock-take adjustment
+exports.adjust = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await adjustStock(req.params.productId, req.body, req.user, session);
+    });
+
+    res.status(201).json({ message: "Stock updated", ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.extra });
+    }
+    console.error("❌ Error adjusting stock:", error);
+    res.status(500).json({ error: "Failed to update stock" });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Products flagged by the last reconciliation
+exports.getDiscrepancies = async (req, res) => {
+  try {
+    const products = await Product.find({ "stockDiscrepancy.detectedAt": { $exists: true } })
+      .select("productName totalUnits remainingUnits soldUnits stockDiscrepancy")
+      .sort({ "stockDiscrepancy.detectedAt": -1 });
+    res.status(200).json({ products });
+  } catch (error) {
+    console.error("❌ Error fetching stock discrepancies:", error);
+    res.status(500).json({ error: "Failed to fetch stock discrepancies" });
+  }
+};
+
+// Run the reconciliation now instead of waiting for the next scheduled run
+exports.reconcile = async (req, res) => {
+  try {
+    const mismatched = await reconcileStock();
+    res.status(200).json({
+      message: mismatched.length
+        ? `${mismatched.length} product(s) don't match their stock history`
+        : "All products match their stock history",
+      mismatched,
+    });
+  } catch (error) {
+    console.error("❌ Error reconciling stock:", error);
+    res.status(500).json({ error: "Failed to reconcile stock" });
+  }
+};
+
+// Dashboard widget: products out of stock or at their reorder threshold
+exports.getLowStock = async (req, res) => {
+  try {
+    const report = await getLowStock();
+    res.status(200).json({ ...report, defaultThreshold: DEFAULT_REORDER_THRESHOLD });
+  } catch (error) {
+    console.error("❌ Error fetching low stock:", error);
+    res.status(500).json({ error: "Failed to fetch low-stock products" });
+  }
+};
+
+// The same list as a CSV to send to suppliers
+exports.exportReorderList = async (req, res) => {
+  try {
+    const report = await getLowStock();
+    const date = new Date().toISOString().slice(0, 10);
+
+    // Written like the other exports, so cells are escaped the same way
+    const sheet = await startSpreadsheet(res, {
+      format: "csv",
+      name: `reorder-list-${date}`,
+      headers: REORDER_LIST_HEADERS,
+    });
+    for (const row of reorderListRows(report)) await sheet.addRow(row);
+    await sheet.end();
+  } catch (error) {
+    if (error.aborted) return; // The client went away mid-download
+    console.error("❌ Error exporting reorder list:", error);
+    res.status(500).json({ error: "Failed to export reorder list" });
+  }
+};
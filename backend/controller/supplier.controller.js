@@ -0,0 +1,87 @@
+const Supplier = require("../model/supplier.model");
+const PurchaseOrder = require("../model/purchaseorder.model");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const parseSupplierInput = (body) => {
+  const data = {
+    name: body.name?.trim(),
+    contactName: body.contactName?.trim(),
+    email: body.email?.trim().toLowerCase(),
+    phone: body.phone?.trim(),
+    address: body.address?.trim(),
+    notes: body.notes?.trim(),
+    isActive: body.isActive ?? true,
+  };
+
+  if (!data.name) return { error: "Supplier name is required" };
+  if (data.email && !EMAIL_PATTERN.test(data.email)) {
+    return { error: "Enter a valid email address" };
+  }
+  return { data };
+};
+
+// ?active=true for the purchase order form
+exports.getSuppliers = async (req, res) => {
+  try {
+    const filter = req.query.active === "true" ? { isActive: true } : {};
+    const suppliers = await Supplier.find(filter).sort({ name: 1 });
+    res.status(200).json({ suppliers });
+  } catch (error) {
+    console.error("❌ Error fetching suppliers:", error);
+    res.status(500).json({ error: "Failed to fetch suppliers" });
+  }
+};
+
+exports.createSupplier = async (req, res) => {
+  try {
+    const { data, error } = parseSupplierInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const supplier = await Supplier.create(data);
+    res.status(201).json({ message: "Supplier created", supplier });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: "A supplier with this name already exists" });
+    }
+    console.error("❌ Error creating supplier:", error);
+    res.status(500).json({ error: "Failed to create supplier" });
+  }
+};
+
+exports.updateSupplier = async (req, res) => {
+  try {
+    const { data, error } = parseSupplierInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const supplier = await Supplier.findByIdAndUpdate(req.params.id, data, { new: true });
+    if (!supplier) return res.status(404).json({ error: "Supplier not found" });
+
+    res.status(200).json({ message: "Supplier updated", supplier });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: "A supplier with this name already exists" });
+    }
+    console.error("❌ Error updating supplier:", error);
+    res.status(500).json({ error: "Failed to update supplier" });
+  }
+};
+
+// Suppliers with purchase orders are kept for the record; deactivate them instead
+exports.deleteSupplier = async (req, res) => {
+  try {
+    if (await PurchaseOrder.exists({ supplier: req.params.id })) {
+      return res.status(400).json({
+        error: "This supplier has purchase orders. Mark it inactive instead.",
+      });
+    }
+
+    const supplier = await Supplier.findByIdAndDelete(req.params.id);
+    if (!supplier) return res.status(404).json({ error: "Supplier not found" });
+
+    res.status(200).json({ message: "Supplier deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting supplier:", error);
+    res.status(500).json({ error: "Failed to delete supplier" });
+  }
+};
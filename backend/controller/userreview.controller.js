@@ -1,18 +1,67 @@
+const mongoose = require("mongoose");
 const UserReview = require("../model/userreview.model");
 const Product = require("../model/productmodel");
+const Order = require("../model/order.model");
+const OrderItem = require("../model/orderitem.model");
+
+// Only customers with a Delivered order containing the product may review it
+const hasPurchasedProduct = async (userId, productId) => {
+  const deliveredOrderIds = await Order.find({
+    userId,
+    status: "Delivered",
+  }).distinct("_id");
+
+  if (deliveredOrderIds.length === 0) return false;
+
+  const item = await OrderItem.exists({
+    orderId: { $in: deliveredOrderIds },
+    productId,
+  });
+  return Boolean(item);
+};
 
 exports.addReview = async (req, res) => {
   try {
     const { productId, rating, reviewText } = req.body;
-    const userId = req.user._id; 
+    const userId = req.user._id;
+
+    if (req.user.role !== "Customer") {
+      return res.status(403).json({ error: "Only customers can review products" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ error: "Invalid product ID" });
+    }
+
+    const numericRating = Number(rating);
+    if (!Number.isInteger(numericRating) || numericRating < 1 || numericRating > 5) {
+      return res.status(400).json({ error: "Rating must be a whole number from 1 to 5" });
+    }
+
     // Check if the product exists
     const product = await Product.findById(productId);
     if (!product) {
       return res.status(404).json({ error: "Product not found" });
     }
 
+    if (!(await hasPurchasedProduct(userId, productId))) {
+      return res.status(403).json({
+        error: "You can only review products from your delivered orders",
+      });
+    }
+
+    const existingReview = await UserReview.findOne({ userId, productId });
+    if (existingReview) {
+      return res.status(400).json({ error: "You have already reviewed this product" });
+    }
+
     // Create a new review
-    const review = new UserReview({ userId, productId, rating, reviewText });
+    const review = new UserReview({
+      userId,
+      productId,
+      rating: numericRating,
+      reviewText,
+    });
     await review.save();
     await updateProductRating(productId);
 
@@ -28,11 +77,31 @@ exports.getProductReviews = async (req, res) => {
   try {
     const { productId } = req.params;
 
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ error: "Invalid product ID" });
+    }
+
     const reviews = await UserReview.find({ productId })
-      .populate("userId", "name email ") // Populate user details
+      .populate("userId", "name") // Populate reviewer name only
       .sort({ createdAt: -1 });
 
-    res.status(200).json({ reviews });
+    // Count of reviews for each star rating, 5 down to 1
+    const breakdown = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    reviews.forEach((review) => {
+      breakdown[review.rating] += 1;
+    });
+
+    const totalReviews = reviews.length;
+    const averageRating = totalReviews
+      ? Number(
+          (
+            reviews.reduce((sum, review) => sum + review.rating, 0) /
+            totalReviews
+          ).toFixed(1)
+        )
+      : 0;
+
+    res.status(200).json({ reviews, averageRating, totalReviews, breakdown });
   } catch (error) {
     console.error("❌ Error fetching reviews:", error);
     res.status(500).json({ error: "Failed to fetch reviews" });
@@ -44,7 +113,7 @@ exports.getUserReviews = async (req, res) => {
   try {
     const userId = req.user._id;
     const reviews = await UserReview.find({ userId })
-      .populate("productId", "name price")
+      .populate("productId", "productName price images")
       .sort({ createdAt: -1 });
 
     res.status(200).json({ reviews });
@@ -55,17 +124,52 @@ exports.getUserReviews = async (req, res) => {
 };
 
 
+// Tells the product page whether to show the review form
+exports.getReviewEligibility = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ error: "Invalid product ID" });
+    }
+
+    const existingReview = await UserReview.findOne({ userId, productId });
+    const purchased =
+      req.user.role === "Customer" &&
+      (await hasPurchasedProduct(userId, productId));
+
+    res.status(200).json({
+      canReview: purchased && !existingReview,
+      review: existingReview,
+    });
+  } catch (error) {
+    console.error("❌ Error checking review eligibility:", error);
+    res.status(500).json({ error: "Failed to check review eligibility" });
+  }
+};
+
+
 exports.updateReview = async (req, res) => {
   try {
     const { reviewId } = req.params;
     const { rating, reviewText } = req.body;
     const userId = req.user._id;
 
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+      return res.status(400).json({ error: "Invalid review ID" });
+    }
+
+    const numericRating = Number(rating);
+    if (!Number.isInteger(numericRating) || numericRating < 1 || numericRating > 5) {
+      return res.status(400).json({ error: "Rating must be a whole number from 1 to 5" });
+    }
+
     // Find and update review
     const review = await UserReview.findOneAndUpdate(
       { _id: reviewId, userId },
-      { rating, reviewText, updatedAt: Date.now() },
-      { new: true }
+      { rating: numericRating, reviewText },
+      { new: true, runValidators: true }
     );
 
     if (!review) {
@@ -86,11 +190,16 @@ exports.deleteReview = async (req, res) => {
     const { reviewId } = req.params;
     const userId = req.user._id;
 
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+      return res.status(400).json({ error: "Invalid review ID" });
+    }
+
     const review = await UserReview.findOneAndDelete({ _id: reviewId, userId });
 
     if (!review) {
       return res.status(404).json({ error: "Review not found or unauthorized" });
     }
+    await updateProductRating(review.productId);
 
     res.status(200).json({ message: "Review deleted successfully" });
   } catch (error) {
@@ -105,9 +214,9 @@ const updateProductRating = async (productId) => {
     const averageRating = totalReviews
       ? reviews.reduce((sum, review) => sum + review.rating, 0) / totalReviews
       : 0;
-  
+
     await Product.findByIdAndUpdate(productId, {
-      averageRating: averageRating.toFixed(1), 
+      averageRating: averageRating.toFixed(1),
       totalReviews,
     });
-  };
\ No newline at end of file
+  };
@@ -0,0 +1,31 @@
+const multer = require("multer");
+
+// Bulk import uploads are read in memory rather than saved: the CSV as
+// "file" and an optional zip of product images as "images"
+const ALLOWED = { file: ["csv"], images: ["zip"] };
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = file.originalname.split(".").pop().toLowerCase();
+
+    if (ALLOWED[file.fieldname]?.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Upload a .csv file and optionally a .zip of images"), false);
+    }
+  },
+}).fields([
+  { name: "file", maxCount: 1 },
+  { name: "images", maxCount: 1 },
+]);
+
+// Upload problems (wrong type, too large) answer 400 like the import's own
+// validation errors
+const importUpload = (req, res, next) =>
+  upload(req, res, (error) =>
+    error ? res.status(400).json({ message: error.message }) : next()
+  );
+
+module.exports = importUpload;
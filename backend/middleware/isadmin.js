@@ -1,6 +1,7 @@
 const jwt = require("jsonwebtoken");
 const dotenv = require("dotenv");
 const User = require("../model/usermodel");
+const { findActiveSession, touchSession } = require("../utils/sessions");
 
 dotenv.config();
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -30,6 +31,15 @@ const isAdmin = async (req, res, next) => {
           .json({ msg: "Session expired, please log in again" });
       }
 
+      // Reject tokens whose session was logged out or revoked
+      const session = decoded.sid && (await findActiveSession(decoded.sid));
+      if (!session) {
+        return res
+          .status(401)
+          .json({ msg: "Session has ended, please log in again" });
+      }
+      await touchSession(session, req);
+
       // Retrieve user by decoded ID
       const user = await User.findById(decoded.userId).lean();
       if (!user) {
@@ -45,6 +55,7 @@ const isAdmin = async (req, res, next) => {
 
       // Attach user to req.user for further use
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       if (error.name === "TokenExpiredError") {
@@ -1,6 +1,7 @@
 const jwt = require("jsonwebtoken");
 const dotenv = require("dotenv");
 const User = require("../model/usermodel");
+const { findActiveSession, touchSession } = require("../utils/sessions");
 
 dotenv.config();
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -31,6 +32,15 @@ const isLoggedIn = async (req, res, next) => {
           .json({ msg: "Session expired, please log in again" });
       }
 
+      // Reject tokens whose session was logged out or revoked
+      const session = decoded.sid && (await findActiveSession(decoded.sid));
+      if (!session) {
+        return res
+          .status(401)
+          .json({ msg: "Session has ended, please log in again" });
+      }
+      await touchSession(session, req);
+
       // Fetch user by ID
       const user = await User.findById(decoded.userId).lean();
       console.log("👤 Retrieved User:", user);
@@ -44,6 +54,7 @@ const isLoggedIn = async (req, res, next) => {
 
       // Attach user to req.user
       req.user = user;
+      req.sessionId = decoded.sid;
       console.log("🟢 User attached to req.user:", req.user);
       next();
     } catch (error) {
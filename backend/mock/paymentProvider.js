@@ -0,0 +1,237 @@
+// Offline stand-in for the online payment providers, covering just the parts
+// of the PayPal Orders v2 API and the wallet initiate/lookup API that
+// utils/payments uses. Start it with `npm run mock:payments` and point the
+// backend at it:
+//
+//   PAYPAL_BASE_URL=http://localhost:4010
+//   WALLET_BASE_URL=http://localhost:4010
+//   WALLET_SECRET_KEY=mock-wallet-secret
+//
+// Payments are approved or cancelled by hand on the checkout page it serves.
+// Approving also sends the matching webhook to MOCK_WEBHOOK_BASE.
+const express = require("express");
+const axios = require("axios");
+const crypto = require("crypto");
+require("dotenv").config();
+
+const PORT = Number(process.env.MOCK_PAYMENT_PORT) || 4010;
+const BASE_URL = `http://localhost:${PORT}`;
+const WEBHOOK_BASE =
+  process.env.MOCK_WEBHOOK_BASE || "http://localhost:3001/v1/payments/webhook";
+const WALLET_SECRET_KEY = process.env.WALLET_SECRET_KEY || "mock-wallet-secret";
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+// id -> { kind: "paypal" | "wallet", status, amount, currency, returnUrl, cancelUrl, captureId }
+const payments = new Map();
+
+const newId = (prefix) =>
+  `${prefix}${crypto.randomBytes(8).toString("hex").toUpperCase()}`;
+
+// ----- PayPal -----
+
+const paypalOrderBody = (id, payment) => ({
+  id,
+  status: payment.status,
+  purchase_units: [
+    {
+      amount: { currency_code: payment.currency, value: payment.amount },
+      payments: payment.captureId
+        ? {
+            captures: [
+              {
+                id: payment.captureId,
+                status: "COMPLETED",
+                amount: { currency_code: payment.currency, value: payment.amount },
+              },
+            ],
+          }
+        : undefined,
+    },
+  ],
+  links: [{ rel: "approve", href: `${BASE_URL}/checkout/${id}`, method: "GET" }],
+});
+
+app.post("/v1/oauth2/token", (req, res) => {
+  res.json({ access_token: "mock-access-token", token_type: "Bearer", expires_in: 32400 });
+});
+
+app.post("/v2/checkout/orders", (req, res) => {
+  const unit = req.body.purchase_units?.[0];
+  const id = newId("PP");
+  const payment = {
+    kind: "paypal",
+    status: "CREATED",
+    amount: unit?.amount?.value,
+    currency: unit?.amount?.currency_code,
+    returnUrl: req.body.application_context?.return_url,
+    cancelUrl: req.body.application_context?.cancel_url,
+  };
+  payments.set(id, payment);
+  res.status(201).json(paypalOrderBody(id, payment));
+});
+
+app.get("/v2/checkout/orders/:id", (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (payment?.kind !== "paypal") return res.status(404).json({ name: "RESOURCE_NOT_FOUND" });
+  res.json(paypalOrderBody(req.params.id, payment));
+});
+
+app.post("/v2/checkout/orders/:id/capture", (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (payment?.kind !== "paypal") return res.status(404).json({ name: "RESOURCE_NOT_FOUND" });
+
+  if (payment.status === "COMPLETED") {
+    return res.status(422).json({
+      name: "UNPROCESSABLE_ENTITY",
+      details: [{ issue: "ORDER_ALREADY_CAPTURED" }],
+    });
+  }
+  if (payment.status !== "APPROVED") {
+    return res.status(422).json({
+      name: "UNPROCESSABLE_ENTITY",
+      details: [{ issue: "ORDER_NOT_APPROVED" }],
+    });
+  }
+
+  payment.status = "COMPLETED";
+  payment.captureId = newId("CAP");
+  res.status(201).json(paypalOrderBody(req.params.id, payment));
+});
+
+app.post("/v2/payments/captures/:captureId/refund", (req, res) => {
+  const captured = [...payments.values()].some(
+    (payment) => payment.kind === "paypal" && payment.captureId === req.params.captureId
+  );
+  if (!captured) return res.status(404).json({ name: "RESOURCE_NOT_FOUND" });
+
+  res.status(201).json({
+    id: newId("RF"),
+    status: "COMPLETED",
+    amount: req.body.amount,
+  });
+});
+
+app.post("/v1/notifications/verify-webhook-signature", (req, res) => {
+  const valid = req.body.transmission_sig === "mock-signature";
+  res.json({ verification_status: valid ? "SUCCESS" : "FAILURE" });
+});
+
+// ----- NPR wallet -----
+
+app.post("/epayment/initiate/", (req, res) => {
+  const pidx = newId("W");
+  payments.set(pidx, {
+    kind: "wallet",
+    status: "Initiated",
+    amount: req.body.amount,
+    currency: "NPR",
+    returnUrl: req.body.return_url,
+    cancelUrl: req.body.return_url,
+  });
+  res.json({ pidx, payment_url: `${BASE_URL}/checkout/${pidx}` });
+});
+
+app.post("/epayment/lookup/", (req, res) => {
+  const payment = payments.get(req.body.pidx);
+  if (payment?.kind !== "wallet") return res.status(404).json({ detail: "Not found." });
+
+  res.json({
+    pidx: req.body.pidx,
+    total_amount: payment.amount,
+    status: payment.status,
+    transaction_id: payment.captureId || null,
+  });
+});
+
+// ----- Hosted checkout page -----
+
+const withQuery = (url, params) => {
+  const target = new URL(url);
+  Object.entries(params).forEach(([key, value]) => target.searchParams.set(key, value));
+  return target.toString();
+};
+
+const sendWebhook = async (id, payment) => {
+  try {
+    if (payment.kind === "paypal") {
+      await axios.post(
+        `${WEBHOOK_BASE}/paypal`,
+        { event_type: "CHECKOUT.ORDER.APPROVED", resource: { id } },
+        { headers: { "paypal-transmission-sig": "mock-signature" } }
+      );
+    } else {
+      const body = JSON.stringify({ pidx: id, status: payment.status });
+      const signature = crypto
+        .createHmac("sha256", WALLET_SECRET_KEY)
+        .update(body)
+        .digest("hex");
+      await axios.post(`${WEBHOOK_BASE}/wallet`, body, {
+        headers: { "Content-Type": "application/json", "x-wallet-signature": signature },
+      });
+    }
+  } catch (error) {
+    console.error("Mock webhook failed:", error.message);
+  }
+};
+
+app.get("/checkout/:id", (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).send("Unknown payment");
+
+  const amount =
+    payment.kind === "wallet"
+      ? `NPR ${(payment.amount / 100).toFixed(2)}`
+      : `${payment.currency} ${payment.amount}`;
+
+  res.send(`<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;max-width:420px;margin:80px auto;text-align:center;">
+    <h2>Mock ${payment.kind === "paypal" ? "PayPal" : "Wallet"} checkout</h2>
+    <p>Amount: <strong>${amount}</strong></p>
+    <form method="POST" action="/checkout/${req.params.id}/approve" style="display:inline;">
+      <button type="submit">Approve payment</button>
+    </form>
+    <form method="POST" action="/checkout/${req.params.id}/cancel" style="display:inline;">
+      <button type="submit">Cancel</button>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post("/checkout/:id/approve", (req, res) => {
+  const id = req.params.id;
+  const payment = payments.get(id);
+  if (!payment) return res.status(404).send("Unknown payment");
+
+  if (payment.kind === "paypal") {
+    payment.status = "APPROVED";
+    res.redirect(withQuery(payment.returnUrl, { token: id, PayerID: "MOCKPAYER" }));
+  } else {
+    payment.status = "Completed";
+    payment.captureId = newId("TXN");
+    res.redirect(withQuery(payment.returnUrl, { pidx: id, status: "Completed" }));
+  }
+
+  sendWebhook(id, payment);
+});
+
+app.post("/checkout/:id/cancel", (req, res) => {
+  const id = req.params.id;
+  const payment = payments.get(id);
+  if (!payment) return res.status(404).send("Unknown payment");
+
+  if (payment.kind === "paypal") {
+    payment.status = "VOIDED";
+    res.redirect(withQuery(payment.cancelUrl, { token: id }));
+  } else {
+    payment.status = "User canceled";
+    res.redirect(withQuery(payment.cancelUrl, { pidx: id, status: "User canceled", cancelled: "true" }));
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock payment provider running on ${BASE_URL}`);
+});
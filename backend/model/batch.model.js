@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// A delivery of one product, tracked so the earliest-expiring stock sells
+// first. Product.remainingUnits stays the sellable total; batches say which
+// of those units are which. Stock from before batches existed isn't in any.
+// Changed only by utils/batches.js.
+const batchSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    batchCode: { type: String }, // Supplier lot number, if any
+    receivedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date }, // Empty for goods that don't expire
+    costPrice: { type: Number, min: 0 }, // Per unit
+    quantity: { type: Number, required: true, min: 0 }, // Units received
+    remaining: { type: Number, required: true, min: 0 }, // Units not yet sold or written off
+    writtenOffAt: { type: Date }, // Set when expired stock was removed
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// FEFO picking and the expiry report
+batchSchema.index({ product: 1, expiresAt: 1, receivedAt: 1 });
+batchSchema.index({ expiresAt: 1, remaining: 1 });
+
+module.exports = mongoose.model("Batch", batchSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String },
+    discountType: {
+      type: String,
+      enum: ["Percent", "Flat"],
+      required: true,
+    },
+    value: { type: Number, required: true, min: 0 }, // Percent off, or NPR off for Flat
+    maxDiscount: { type: Number, min: 0 }, // Caps a Percent coupon
+    minOrderValue: { type: Number, default: 0, min: 0 }, // Against the eligible subtotal
+
+    // Empty lists mean the coupon applies to the whole cart
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+
+    validFrom: { type: Date },
+    validUntil: { type: Date },
+    usageLimit: { type: Number, min: 1 }, // Total redemptions; unlimited when unset
+    perUserLimit: { type: Number, default: 1, min: 1 },
+    isActive: { type: Boolean, default: true },
+
+    // Written by utils/coupons.js#redeemCoupon in the order's transaction
+    usedCount: { type: Number, default: 0 },
+    redemptions: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+        discount: { type: Number, required: true },
+        redeemedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// A daily delivery window, e.g. 09:00-12:00, in the store's time zone.
+// Bookings per day are counted in SlotBooking.
+const deliverySlotSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true, trim: true }, // e.g. "Morning"
+    startTime: { type: String, required: true }, // "HH:MM"
+    endTime: { type: String, required: true }, // "HH:MM"
+    capacity: { type: Number, required: true, min: 1 }, // Orders per day
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("DeliverySlot", deliverySlotSchema);
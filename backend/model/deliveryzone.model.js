@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// An area we deliver to, with its own fee and minimum order
+const deliveryZoneSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true }, // e.g. "Kushma Bazaar"
+    description: { type: String }, // Wards or landmarks covered, shown at checkout
+    fee: { type: Number, required: true, min: 0 },
+    minOrderValue: { type: Number, default: 0, min: 0 }, // Against the items subtotal
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("DeliveryZone", deliveryZoneSchema);
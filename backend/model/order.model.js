@@ -9,8 +9,38 @@ const orderSchema = new mongoose.Schema(
     },
     orderDate: { type: Date, default: Date.now },
     orderItems: [{ type: mongoose.Schema.Types.ObjectId, ref: "OrderItem" }],
-    totalAmount: { type: Number, required: true },
-    address: { type: String, required: true },
+    subtotal: { type: Number, default: 0 }, // Sum of line totals
+    discountTotal: { type: Number, default: 0 }, // Savings against oldPrice
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    couponCode: { type: String },
+    couponDiscount: { type: Number, default: 0 }, // Taken off the subtotal
+    deliveryFee: { type: Number, default: 0 },
+    totalAmount: { type: Number, required: true }, // subtotal - couponDiscount + deliveryFee, for items still billed
+    paidAmount: { type: Number }, // What the customer paid; totalAmount may drop later
+    address: { type: String, required: true }, // Formatted one-line address
+    // Copy of the saved address used at checkout, so later edits don't change the order
+    shippingAddress: {
+      addressId: { type: mongoose.Schema.Types.ObjectId },
+      label: { type: String },
+      phone: { type: String },
+      ward: { type: String },
+      municipality: { type: String },
+      district: { type: String },
+      street: { type: String },
+      landmark: { type: String },
+    },
+    // Copies of the zone and slot as booked, so later edits don't change the order
+    deliveryZone: {
+      zoneId: { type: mongoose.Schema.Types.ObjectId, ref: "DeliveryZone" },
+      name: { type: String },
+    },
+    deliverySlot: {
+      slotId: { type: mongoose.Schema.Types.ObjectId, ref: "DeliverySlot" },
+      date: { type: String }, // "YYYY-MM-DD" in the store's time zone
+      label: { type: String },
+      startTime: { type: String },
+      endTime: { type: String },
+    },
     phoneNumber: { type: String, required: true },
 
     status: {
@@ -18,21 +48,94 @@ const orderSchema = new mongoose.Schema(
       enum: ["Pending", "Processing", "Shipped", "Delivered", "Cancelled"],
       default: "Pending",
     },
+    // Append-only log of status changes, written by utils/orderStatus.js
+    statusHistory: [
+      {
+        status: { type: String, required: true },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        note: { type: String },
+      },
+    ],
 
     paymentMethod: {
       type: String,
-      enum: ["Cash", "QR"], // ✅ Removed "PayPal"
+      enum: ["Cash", "QR", "PayPal", "Wallet"], // PayPal and Wallet go through utils/payments
       required: true,
     },
     paymentStatus: {
       type: String,
-      enum: ["Pending", "Paid", "Failed"],
+      enum: [
+        "Pending",
+        "Awaiting Verification",
+        "Paid",
+        "Rejected",
+        "Failed",
+        "Partially Refunded",
+        "Refunded",
+      ],
       default: "Pending",
     },
+    // Money returned to the customer; managed by utils/refunds.js
+    refunds: [
+      {
+        amount: { type: Number, required: true },
+        reason: { type: String, required: true },
+        method: {
+          type: String,
+          enum: ["Original Payment", "Cash", "Bank Transfer"],
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ["Pending", "Completed", "Failed"],
+          default: "Pending",
+        },
+        providerRefundId: { type: String }, // Set when refunded through utils/payments
+        issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        createdAt: { type: Date, default: Date.now },
+        completedAt: { type: Date },
+      },
+    ],
+    refundedAmount: { type: Number, default: 0 }, // Sum of completed refunds
+    // Proof submitted by the customer for a QR payment and the admin's review
+    paymentVerification: {
+      screenshot: { type: String }, // File name under /public
+      transactionRef: { type: String },
+      submittedAt: { type: Date },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reviewedAt: { type: Date },
+      note: { type: String },
+    },
+
+    // Online payment started with a provider from utils/payments
+    paymentGateway: {
+      provider: { type: String },
+      providerPaymentId: { type: String, index: true },
+      amount: { type: Number }, // In the provider's currency
+      currency: { type: String },
+      orderTotal: { type: Number }, // NPR total the payment was started for
+      transactionId: { type: String },
+      paidAt: { type: Date },
+      // Attempts replaced by a restart, oldest first. The customer may still
+      // finish one of them, so confirmations and webhooks check them too.
+      earlierAttempts: [
+        {
+          _id: false,
+          providerPaymentId: { type: String, index: true },
+          amount: { type: Number },
+          currency: { type: String },
+          orderTotal: { type: Number },
+        },
+      ],
+    },
 
     currency: { type: String, default: "NPR" }, // Still useful
   },
   { timestamps: true }
 );
 
+// Rider run sheets: orders for a delivery day and slot
+orderSchema.index({ "deliverySlot.date": 1, "deliverySlot.slotId": 1 });
+
 module.exports = mongoose.model("Order", orderSchema);
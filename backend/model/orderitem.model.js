@@ -5,7 +5,40 @@ const orderItemSchema = new mongoose.Schema({
   productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
   quantity: { type: Number, required: true },
   price: { type: Number, required: true },
-  totalPrice: { type: Number, required: true }
+  totalPrice: { type: Number, required: true },
+  lineDiscount: { type: Number, default: 0 }, // Savings against oldPrice for this line
+  // Cost of the units sold, from their batches or the product's cost price at
+  // the time. Empty when no cost was known. Kept out of normal reads so
+  // customers never see it; reports use aggregation.
+  unitCost: { type: Number, select: false },
+  totalCost: { type: Number, select: false },
+  // Which batches the units came from (see utils/batches.js); units beyond
+  // these came from stock that isn't in a batch
+  batches: [
+    {
+      batch: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" },
+      quantity: { type: Number },
+      costPrice: { type: Number, select: false }, // Hidden like unitCost
+    },
+  ],
+
+  // Only Active and Return Requested items count towards the order total
+  status: {
+    type: String,
+    enum: ["Active", "Cancelled", "Return Requested", "Returned"],
+    default: "Active"
+  },
+  cancelledAt: { type: Date },
+  returnRequest: {
+    reason: { type: String },
+    photo: { type: String }, // File name under /public
+    requestedAt: { type: Date },
+    outcome: { type: String, enum: ["Approved", "Rejected"] },
+    restocked: { type: Boolean },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    note: { type: String }
+  }
 }, { timestamps: true }); // ✅ Adds createdAt & updatedAt
 
 module.exports = mongoose.model("OrderItem", orderItemSchema);
\ No newline at end of file
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// A scheduled discount on products and/or whole categories. Rules never touch
+// Product.price; utils/priceRules.js works out the selling price when a
+// product is read.
+const priceRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // Shown to shoppers, e.g. "Weekend Veg Sale"
+    discountType: {
+      type: String,
+      enum: ["Percent", "Fixed"],
+      required: true,
+    },
+    value: { type: Number, required: true, min: 0 }, // Percent off, or NPR off each unit for Fixed
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    isFlashSale: { type: Boolean, default: false }, // Product cards count down to endsAt
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+// Looking up the rules running right now
+priceRuleSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model("PriceRule", priceRuleSchema);
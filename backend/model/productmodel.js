@@ -4,20 +4,47 @@ const mongoose = require("mongoose");
 const productSchema = new mongoose.Schema(
   {
     productName: { type: String, required: true },
+    sku: { type: String, trim: true }, // Optional; the key for CSV imports
     description: { type: String },
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
       required: true,
     },
-    price: { type: Number, required: true },
+    price: { type: Number, required: true }, // Base price; never changed by discounts
     unit: { type: String, required: true },
-    oldPrice: { type: Number },
-    discount: { type: Number },
+    discount: { type: Number }, // Standing percent off; see utils/priceRules.js for selling prices
+    // What one unit costs us: the latest received cost, or set by hand. Sales
+    // from batches use the batch's own cost. Never sent to shoppers.
+    costPrice: { type: Number, min: 0 },
     images: [{ type: String, required: true }],
     totalUnits: { type: Number, required: true, min: 0 },
     remainingUnits: { type: Number, required: true, min: 0 },
-    soldUnits: { type: Number, default: 0, min: 0 }
+    soldUnits: { type: Number, default: 0, min: 0 },
+    // Low-stock alerts fire at or below this many units (see utils/lowStock.js)
+    reorderThreshold: { type: Number, min: 0 },
+    reorderQuantity: { type: Number, min: 0 }, // Usual order size from the supplier
+    // Percent off while the next batch to sell is close to expiry; empty for none
+    expiryMarkdown: { type: Number, min: 0, max: 100 },
+    // The markdown currently running, kept up to date by utils/batches.js
+    activeMarkdown: {
+      percent: { type: Number },
+      batch: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" },
+      endsAt: { type: Date }, // The batch's expiry
+    },
+    // Set by the stock reconciliation when the counters don't match the
+    // StockMovement ledger; holds what the ledger says they should be
+    stockDiscrepancy: {
+      totalUnits: { type: Number },
+      remainingUnits: { type: Number },
+      soldUnits: { type: Number },
+      detectedAt: { type: Date },
+    },
+    averageRating: { type: Number, default: 0, min: 0, max: 5 },
+    totalReviews: { type: Number, default: 0, min: 0 },
+    // Search fields, kept in sync by utils/search.js#searchFieldsFor
+    categoryName: { type: String },
+    searchKeywords: [{ type: String }]
   },
   {
     timestamps: true,
@@ -26,4 +53,20 @@ const productSchema = new mongoose.Schema(
   }
 );
 
+// Catalogue filtering and sorting (see getAllProducts)
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ soldUnits: -1 });
+productSchema.index({ sku: 1 }, { unique: true, sparse: true });
+
+// Product search: weighted full-text relevance and keyword prefix suggestions
+productSchema.index(
+  { productName: "text", categoryName: "text", description: "text" },
+  {
+    name: "product_text_search",
+    weights: { productName: 10, categoryName: 5, description: 1 },
+  }
+);
+productSchema.index({ searchKeywords: 1 });
+
 module.exports = mongoose.model("Product", productSchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// An order placed with a supplier. Lines keep the product name and expected
+// cost as ordered; receipts record what actually arrived, and each receipt
+// line becomes a stock batch (see utils/purchaseOrders.js).
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: { type: String, required: true, unique: true },
+    supplier: { type: mongoose.Schema.Types.ObjectId, ref: "Supplier", required: true },
+    status: {
+      type: String,
+      // Closed Short: part arrived and the rest is no longer expected
+      enum: ["Draft", "Sent", "Partially Received", "Received", "Closed Short", "Cancelled"],
+      default: "Draft",
+    },
+    lines: [
+      {
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+        productName: { type: String, required: true },
+        unit: { type: String },
+        quantity: { type: Number, required: true, min: 1 },
+        unitCost: { type: Number, required: true, min: 0 }, // Expected, per unit
+        receivedQuantity: { type: Number, default: 0, min: 0 },
+      },
+    ],
+    expectedAt: { type: Date },
+    notes: { type: String },
+    sentAt: { type: Date },
+    closedAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    receipts: [
+      {
+        receivedAt: { type: Date, default: Date.now },
+        receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        note: { type: String },
+        lines: [
+          {
+            lineId: { type: mongoose.Schema.Types.ObjectId, required: true },
+            quantity: { type: Number, required: true },
+            unitCost: { type: Number, required: true }, // Actual, per unit
+            batch: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" },
+          },
+        ],
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PurchaseOrder", purchaseOrderSchema);
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the cookie value
+    family: { type: String, required: true, index: true }, // Shared by every rotation of one login
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    replacedBy: { type: String }, // tokenHash of the token issued on rotation
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB clean up expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
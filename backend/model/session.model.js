@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, required: true, unique: true }, // Also the refresh token family
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    device: { type: String, default: "Unknown device" },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB clean up expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
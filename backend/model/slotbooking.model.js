@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// How many orders hold a delivery slot on a given day. Changed only by
+// utils/delivery.js, with a guarded $inc so a slot can't be overbooked.
+const slotBookingSchema = new mongoose.Schema({
+  slot: { type: mongoose.Schema.Types.ObjectId, ref: "DeliverySlot", required: true },
+  date: { type: String, required: true }, // "YYYY-MM-DD" in the store's time zone
+  booked: { type: Number, default: 0, min: 0 },
+});
+
+slotBookingSchema.index({ slot: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model("SlotBooking", slotBookingSchema);
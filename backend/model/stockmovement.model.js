@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Append-only stock ledger: one entry per change to a product's stock
+// counters, written by utils/stock.js in the same transaction as the change.
+// Summing a product's entries gives back its counters (see reconcileStock).
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    type: {
+      type: String,
+      enum: ["Opening", "Restock", "Sale", "Cancellation", "Return", "Adjustment", "Spoilage"],
+      required: true,
+    },
+    // Signed changes to the product's counters
+    remainingChange: { type: Number, default: 0 },
+    soldChange: { type: Number, default: 0 },
+    totalChange: { type: Number, default: 0 },
+    remainingAfter: { type: Number }, // remainingUnits right after this entry, for the history view
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Who caused it
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    orderItem: { type: mongoose.Schema.Types.ObjectId, ref: "OrderItem" },
+    batch: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" }, // Received or expired batch
+    purchaseOrder: { type: mongoose.Schema.Types.ObjectId, ref: "PurchaseOrder" },
+    note: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
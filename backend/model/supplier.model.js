@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+const supplierSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    contactName: { type: String },
+    email: { type: String }, // Purchase orders are sent here
+    phone: { type: String },
+    address: { type: String },
+    notes: { type: String },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Supplier", supplierSchema);
@@ -1,9 +1,23 @@
 const mongoose = require("mongoose")
+
+// Saved delivery address; orders copy it at checkout (see utils/addresses.js)
+const AddressSchema = new mongoose.Schema({
+    label: { type: String, enum: ["Home", "Work", "Other"], default: "Home" },
+    phone: { type: String, required: true },
+    ward: { type: String },
+    municipality: { type: String, required: true },
+    district: { type: String, required: true },
+    street: { type: String },
+    landmark: { type: String },
+    isDefault: { type: Boolean, default: false }
+});
+
 const UserSchema = new mongoose.Schema({
     
     name: { type: String, required: true },
     email: { type: String, unique: true, required: true },
     password: { type: String, required: true },
-    role: { type: String, enum: ["Admin", "Customer"], required: true }
+    role: { type: String, enum: ["Admin", "Customer"], required: true },
+    addresses: [AddressSchema]
 });
-module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
+module.exports = mongoose.model('User', UserSchema);
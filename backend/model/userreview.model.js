@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+const userReviewSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    reviewText: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+// One review per customer per product
+userReviewSchema.index({ userId: 1, productId: 1 }, { unique: true });
+
+module.exports = mongoose.model("UserReview", userReviewSchema);
@@ -0,0 +1,19 @@
+const express = require("express");
+const {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+} = require("../controller/address.controller");
+const isLoggedIn = require("../middleware/isloggedin");
+const router = express.Router();
+
+// The logged-in user's own address book
+router.get("/", isLoggedIn, getAddresses);
+router.post("/", isLoggedIn, createAddress);
+router.put("/:id", isLoggedIn, updateAddress);
+router.put("/:id/default", isLoggedIn, setDefaultAddress);
+router.delete("/:id", isLoggedIn, deleteAddress);
+
+module.exports = router;
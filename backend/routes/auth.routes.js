@@ -1,11 +1,22 @@
 const express = require("express");
 const router = express.Router();
+const isLoggedIn = require("../middleware/isloggedin");
 const {
   signup,
   verifyOTP,
   login,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeUserSession,
 } = require("../controller/authentication.controller");
 router.post("/login", login);
 router.post("/signup", signup);
 router.post("/verify-otp", verifyOTP);
+router.post("/refresh", refresh);
+router.post("/logout", logout);
+router.post("/logout-all", isLoggedIn, logoutAll);
+router.get("/sessions", isLoggedIn, getSessions);
+router.delete("/sessions/:sessionId", isLoggedIn, revokeUserSession);
 module.exports = router;
@@ -7,12 +7,14 @@ const {
   getCart,
   placeOrderFromCart,
   updateCartQuantity,
+  getQuote,
 } = require("../controller/cart.controller");
 
 router.post("/add", isLoggedIn, addToCart);
 router.delete("/remove/:productId", isLoggedIn, removeFromCart);
 router.put("/updatecart", isLoggedIn, updateCartQuantity);
 router.get("/getcart", isLoggedIn, getCart);
+router.post("/quote", isLoggedIn, getQuote);
 router.post("/placeorder", isLoggedIn, placeOrderFromCart);
 
 module.exports = router;
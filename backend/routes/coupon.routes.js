@@ -0,0 +1,20 @@
+const express = require("express");
+const {
+  createCoupon,
+  getAllCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon,
+} = require("../controller/coupon.controller");
+const isLoggedIn = require("../middleware/isloggedin");
+const isAdmin = require("../middleware/isadmin");
+const router = express.Router();
+
+// Admin-only; shoppers apply codes through /cart/quote and /cart/placeorder
+router.post("/", isLoggedIn, isAdmin, createCoupon);
+router.get("/", isLoggedIn, isAdmin, getAllCoupons);
+router.get("/:id", isLoggedIn, isAdmin, getCouponById);
+router.put("/:id", isLoggedIn, isAdmin, updateCoupon);
+router.delete("/:id", isLoggedIn, isAdmin, deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require("express");
+const {
+  getOptions,
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone,
+  getSlots,
+  createSlot,
+  updateSlot,
+  deleteSlot,
+} = require("../controller/delivery.controller");
+const isLoggedIn = require("../middleware/isloggedin");
+const isAdmin = require("../middleware/isadmin");
+const router = express.Router();
+
+// Checkout
+router.get("/options", isLoggedIn, getOptions);
+
+// Admin-only:
+router.get("/zones", isLoggedIn, isAdmin, getZones);
+router.post("/zones", isLoggedIn, isAdmin, createZone);
+router.put("/zones/:id", isLoggedIn, isAdmin, updateZone);
+router.delete("/zones/:id", isLoggedIn, isAdmin, deleteZone);
+
+router.get("/slots", isLoggedIn, isAdmin, getSlots);
+router.post("/slots", isLoggedIn, isAdmin, createSlot);
+router.put("/slots/:id", isLoggedIn, isAdmin, updateSlot);
+router.delete("/slots/:id", isLoggedIn, isAdmin, deleteSlot);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const {
+  exportOrders,
+  exportProducts,
+  exportCustomers,
+} = require("../controller/export.controller");
+const isLoggedIn = require("../middleware/isloggedin");
+const isAdmin = require("../middleware/isadmin");
+
+// Spreadsheet downloads of the admin lists; ?format=csv|xlsx
+router.get("/orders", isLoggedIn, isAdmin, exportOrders);
+router.get("/products", isLoggedIn, isAdmin, exportProducts);
+router.get("/customers", isLoggedIn, isAdmin, exportCustomers);
+
+module.exports = router;
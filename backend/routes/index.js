@@ -10,6 +10,16 @@ const cart_routes = require("./cart.routes");
 const order_routes = require("./order.routes");
 const category_routes = require("./category.route");
 const stats = require("./stats.route");
+const review_routes = require("./userreview.routes");
+const payment_routes = require("./payment.routes");
+const coupon_routes = require("./coupon.routes");
+const price_rule_routes = require("./pricerule.routes");
+const delivery_routes = require("./delivery.routes");
+const address_routes = require("./address.routes");
+const stock_routes = require("./stock.routes");
+const supplier_routes = require("./supplier.routes");
+const purchase_order_routes = require("./purchaseorder.routes");
+const export_routes = require("./export.routes");
 
 app.use("/", forgotpassword_routes);
 app.use("/", admin_routes);
@@ -21,5 +31,15 @@ app.use("/cart", cart_routes);
 app.use("/orders", order_routes);
 app.use("/", category_routes);
 app.use("/stats", stats);
+app.use("/reviews", review_routes);
+app.use("/payments", payment_routes);
+app.use("/coupons", coupon_routes);
+app.use("/price-rules", price_rule_routes);
+app.use("/delivery", delivery_routes);
+app.use("/addresses", address_routes);
+app.use("/stock", stock_routes);
+app.use("/suppliers", supplier_routes);
+app.use("/purchase-orders", purchase_order_routes);
+app.use("/exports", export_routes);
 
 module.exports = app;
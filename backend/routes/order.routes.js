@@ -2,11 +2,21 @@ const express = require("express");
 const router = express.Router();
 const isLoggedIn = require("../middleware/isloggedin");
 const isadmin = require("../middleware/isadmin");
+const uploader = require("../middleware/multer");
 const {
   cancelOrder,
   getOrders,
   getAllOrders,
   changeOrderStatus,
+  submitPaymentProof,
+  getPaymentQueue,
+  reviewPayment,
+  refundOrder,
+  updateRefund,
+  cancelOrderItem,
+  requestItemReturn,
+  getReturnRequests,
+  reviewItemReturn,
 } = require("../controller/order.controller");
 
 // Route to cancel an order
@@ -19,4 +29,35 @@ router.get("/getallorder", isLoggedIn, isadmin, getAllOrders);
 
 router.put("/change-status/:orderId", isLoggedIn, isadmin, changeOrderStatus);
 
+// QR payment verification
+router.put(
+  "/payment-proof/:orderId",
+  isLoggedIn,
+  uploader.single("screenshot"),
+  submitPaymentProof
+);
+
+router.get("/payment-queue", isLoggedIn, isadmin, getPaymentQueue);
+
+router.put("/verify-payment/:orderId", isLoggedIn, isadmin, reviewPayment);
+
+// Refunds
+router.post("/refund/:orderId", isLoggedIn, isadmin, refundOrder);
+
+router.put("/refund/:orderId/:refundId", isLoggedIn, isadmin, updateRefund);
+
+// Per-item cancellation and returns
+router.delete("/cancel-item/:itemId", isLoggedIn, cancelOrderItem);
+
+router.post(
+  "/return-item/:itemId",
+  isLoggedIn,
+  uploader.single("photo"),
+  requestItemReturn
+);
+
+router.get("/returns", isLoggedIn, isadmin, getReturnRequests);
+
+router.put("/review-return/:itemId", isLoggedIn, isadmin, reviewItemReturn);
+
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const isLoggedIn = require("../middleware/isloggedin");
+const {
+  startPayment,
+  confirmPayment,
+  handleWebhook,
+} = require("../controller/payment.controller");
+
+// Start an online payment for an order and get the approval URL
+router.post("/:orderId/start", isLoggedIn, startPayment);
+
+// Confirm the payment once the customer returns from the provider
+router.post("/:orderId/confirm", isLoggedIn, confirmPayment);
+
+// Provider webhooks, authenticated by signature instead of a session
+router.post("/webhook/:provider", handleWebhook);
+
+module.exports = router;
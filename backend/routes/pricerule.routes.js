@@ -0,0 +1,20 @@
+const express = require("express");
+const {
+  createPriceRule,
+  getAllPriceRules,
+  getPriceRuleById,
+  updatePriceRule,
+  deletePriceRule,
+} = require("../controller/pricerule.controller");
+const isLoggedIn = require("../middleware/isloggedin");
+const isAdmin = require("../middleware/isadmin");
+const router = express.Router();
+
+// Admin-only; shoppers see sales through the product endpoints
+router.post("/", isLoggedIn, isAdmin, createPriceRule);
+router.get("/", isLoggedIn, isAdmin, getAllPriceRules);
+router.get("/:id", isLoggedIn, isAdmin, getPriceRuleById);
+router.put("/:id", isLoggedIn, isAdmin, updatePriceRule);
+router.delete("/:id", isLoggedIn, isAdmin, deletePriceRule);
+
+module.exports = router;
@@ -3,13 +3,17 @@ const {
   createProduct,
   getAllProducts,
   getProductById,
+  getProductCost,
+  importProducts,
   updateProduct,
   deleteProduct,
   searchProducts,
+  suggestProducts,
 } = require("../controller/product.controller");
 const isLoggedIn = require("../middleware/isloggedin");
 const isAdmin = require("../middleware/isadmin");
 const uploader = require("../middleware/multer");
+const importUpload = require("../middleware/importUpload");
 const router = express.Router();
 
 // Admin-only routes:
@@ -26,10 +30,13 @@ router.put(
 );
 
 router.delete("/product/:id", isLoggedIn, isAdmin, deleteProduct);
+router.get("/product/:id/cost", isLoggedIn, isAdmin, getProductCost);
+router.post("/products/import", isLoggedIn, isAdmin, importUpload, importProducts);
 
 // Public routes:
 router.get("/products", getAllProducts);
 router.get("/products/search", searchProducts);
+router.get("/products/suggest", suggestProducts);
 router.get("/product/:id", getProductById);
 
 module.exports = router;
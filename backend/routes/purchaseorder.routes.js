@@ -0,0 +1,28 @@
+const express = require("express");
+const {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  getPurchaseOrderPdf,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+} = require("../controller/purchaseorder.controller");
+const isLoggedIn = require("../middleware/isloggedin");
+const isAdmin = require("../middleware/isadmin");
+const router = express.Router();
+
+// Admin-only routes:
+router.get("/", isLoggedIn, isAdmin, getPurchaseOrders);
+router.post("/", isLoggedIn, isAdmin, createPurchaseOrder);
+router.get("/:id", isLoggedIn, isAdmin, getPurchaseOrder);
+router.get("/:id/pdf", isLoggedIn, isAdmin, getPurchaseOrderPdf);
+router.put("/:id", isLoggedIn, isAdmin, updatePurchaseOrder);
+router.post("/:id/send", isLoggedIn, isAdmin, sendPurchaseOrder);
+router.post("/:id/receive", isLoggedIn, isAdmin, receivePurchaseOrder);
+router.post("/:id/close", isLoggedIn, isAdmin, closePurchaseOrder);
+router.post("/:id/cancel", isLoggedIn, isAdmin, cancelPurchaseOrder);
+
+module.exports = router;
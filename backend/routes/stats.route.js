@@ -4,11 +4,15 @@ const router = express.Router();
 const {
   getAdminStats,
   getCustomerStats,
+  getProfitReport,
+  getSalesAnalytics,
 } = require("../controller/stats.controller");
 const isLoggedIn = require("../middleware/isloggedin");
 const isAdmin = require("../middleware/isadmin");
 
 router.get("/adminstats", isLoggedIn, isAdmin, getAdminStats);
 router.get("/customerstats", isLoggedIn, getCustomerStats);
+router.get("/analytics", isLoggedIn, isAdmin, getSalesAnalytics);
+router.get("/profit", isLoggedIn, isAdmin, getProfitReport);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require("express");
+const {
+  getMovements,
+  adjust,
+  getDiscrepancies,
+  reconcile,
+  getLowStock,
+  exportReorderList,
+  getBatches,
+  getExpiring,
+} = require("../controller/stock.controller");
+const isLoggedIn = require("../middleware/isloggedin");
+const isAdmin = require("../middleware/isadmin");
+const router = express.Router();
+
+// Admin-only routes:
+router.get("/low", isLoggedIn, isAdmin, getLowStock);
+router.get("/reorder-list.csv", isLoggedIn, isAdmin, exportReorderList);
+router.get("/expiring", isLoggedIn, isAdmin, getExpiring);
+router.get("/discrepancies", isLoggedIn, isAdmin, getDiscrepancies);
+router.post("/reconcile", isLoggedIn, isAdmin, reconcile);
+router.get("/:productId/movements", isLoggedIn, isAdmin, getMovements);
+router.get("/:productId/batches", isLoggedIn, isAdmin, getBatches);
+router.post("/:productId/adjust", isLoggedIn, isAdmin, adjust);
+
+module.exports = router;
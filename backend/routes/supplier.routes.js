@@ -0,0 +1,18 @@
+const express = require("express");
+const {
+  getSuppliers,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+} = require("../controller/supplier.controller");
+const isLoggedIn = require("../middleware/isloggedin");
+const isAdmin = require("../middleware/isadmin");
+const router = express.Router();
+
+// Admin-only routes:
+router.get("/", isLoggedIn, isAdmin, getSuppliers);
+router.post("/", isLoggedIn, isAdmin, createSupplier);
+router.put("/:id", isLoggedIn, isAdmin, updateSupplier);
+router.delete("/:id", isLoggedIn, isAdmin, deleteSupplier);
+
+module.exports = router;
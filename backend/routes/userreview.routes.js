@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const isLoggedIn = require("../middleware/isloggedin");
+const {
+  addReview,
+  getProductReviews,
+  getUserReviews,
+  getReviewEligibility,
+  updateReview,
+  deleteReview,
+} = require("../controller/userreview.controller");
+
+// Public route
+router.get("/product/:productId", getProductReviews);
+
+// Customer routes
+router.get("/myreviews", isLoggedIn, getUserReviews);
+router.get("/eligibility/:productId", isLoggedIn, getReviewEligibility);
+router.post("/", isLoggedIn, addReview);
+router.put("/:reviewId", isLoggedIn, updateReview);
+router.delete("/:reviewId", isLoggedIn, deleteReview);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { needsDatabase, useTestDatabase, fakeResponse } = require("./helpers");
+const { refresh } = require("../controller/authentication.controller");
+const { createSession } = require("../utils/sessions");
+const { REFRESH_COOKIE } = require("../utils/tokens");
+const User = require("../model/usermodel");
+const RefreshToken = require("../model/refreshtoken.model");
+
+useTestDatabase(__filename);
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+
+const browser = (cookie) => ({
+  headers: { "user-agent": "Mozilla/5.0 (X11; Linux x86_64) Chrome/126.0" },
+  ip: "127.0.0.1",
+  cookies: { [REFRESH_COOKIE]: cookie },
+});
+
+describe("refresh token rotation", needsDatabase, () => {
+  let cookie;
+  let sessionId;
+
+  beforeEach(async () => {
+    mock.method(console, "warn", () => {});
+    await Promise.all([User.deleteMany({}), RefreshToken.deleteMany({})]);
+    const user = await User.create({
+      name: "Sita",
+      email: "sita@example.com",
+      password: "not-used",
+      role: "Customer",
+    });
+    const res = fakeResponse();
+    ({ sessionId } = await createSession(browser(), res, user));
+    cookie = res.cookies[REFRESH_COOKIE];
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const refreshWith = async (token) => {
+    const res = fakeResponse();
+    await refresh(browser(token), res);
+    return res;
+  };
+
+  it("swaps the refresh token for a new one", async () => {
+    const res = await refreshWith(cookie);
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.token);
+    assert.notEqual(res.cookies[REFRESH_COOKIE], cookie);
+    assert.equal((await refreshWith(res.cookies[REFRESH_COOKIE])).statusCode, 200);
+  });
+
+  it("lets only one of two simultaneous refreshes rotate, and ends the login", async () => {
+    const results = await Promise.all([refreshWith(cookie), refreshWith(cookie)]);
+
+    assert.deepEqual(results.map((res) => res.statusCode).sort(), [200, 403]);
+    // The token the winner got is revoked with the rest of the family
+    assert.equal(
+      await RefreshToken.countDocuments({ family: sessionId, revokedAt: { $exists: false } }),
+      0
+    );
+  });
+
+  it("refuses a token it never issued", async () => {
+    assert.equal((await refreshWith("not-a-real-token")).statusCode, 401);
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { needsDatabase, useTestDatabase } = require("./helpers");
+const { redeemCoupon, releaseCoupon } = require("../utils/coupons");
+const { couponDiscount } = require("../utils/pricing");
+const { cancelOrderItem } = require("../utils/orderItems");
+const Coupon = require("../model/coupon.model");
+const Product = require("../model/productmodel");
+const Order = require("../model/order.model");
+const OrderItem = require("../model/orderitem.model");
+
+useTestDatabase(__filename);
+
+const newId = () => new mongoose.Types.ObjectId();
+
+// Redeem for several orders at once; returns the ones that got the coupon
+// and the errors of the rest
+const redeemAtOnce = async (coupon, userIds) => {
+  const results = await Promise.allSettled(
+    userIds.map((userId) => redeemCoupon(coupon, { userId, orderId: newId(), discount: 50 }))
+  );
+  return {
+    redeemed: results.filter((result) => result.status === "fulfilled"),
+    refused: results.filter((result) => result.status === "rejected").map((result) => result.reason),
+  };
+};
+
+describe("coupon discount", () => {
+  const lines = [{ productId: newId(), categoryId: newId(), lineTotal: 400 }];
+
+  it("caps a percent coupon at its maximum discount", () => {
+    assert.equal(couponDiscount({ discountType: "Percent", value: 50, maxDiscount: 100 }, lines), 100);
+  });
+
+  it("never takes off more than the items cost", () => {
+    assert.equal(couponDiscount({ discountType: "Flat", value: 1000 }, lines), 400);
+  });
+});
+
+describe("coupon redemption", needsDatabase, () => {
+  it("gives the last use to only one of several orders at once", async () => {
+    const coupon = await Coupon.create({
+      code: "LASTONE",
+      discountType: "Flat",
+      value: 50,
+      usageLimit: 1,
+    });
+
+    const { redeemed, refused } = await redeemAtOnce(coupon, [newId(), newId(), newId(), newId()]);
+
+    assert.equal(redeemed.length, 1);
+    for (const error of refused) {
+      assert.equal(error.status, 409);
+      assert.match(error.message, /just reached its usage limit/);
+    }
+    const saved = await Coupon.findById(coupon._id).lean();
+    assert.equal(saved.usedCount, 1);
+    assert.equal(saved.redemptions.length, 1);
+  });
+
+  it("holds one shopper to the per-user limit across simultaneous orders", async () => {
+    const coupon = await Coupon.create({
+      code: "ONEEACH",
+      discountType: "Flat",
+      value: 50,
+      usageLimit: 10,
+      perUserLimit: 1,
+    });
+    const shopper = newId();
+
+    const { redeemed } = await redeemAtOnce(coupon, [shopper, shopper, shopper]);
+    assert.equal(redeemed.length, 1);
+
+    // Someone else can still use it
+    const other = await redeemAtOnce(coupon, [newId()]);
+    assert.equal(other.redeemed.length, 1);
+    assert.equal((await Coupon.findById(coupon._id).lean()).usedCount, 2);
+  });
+
+  it("frees the use again when the order is cancelled", async () => {
+    const coupon = await Coupon.create({
+      code: "COMEBACK",
+      discountType: "Flat",
+      value: 50,
+      usageLimit: 1,
+    });
+    const orderId = newId();
+    await redeemCoupon(coupon, { userId: newId(), orderId, discount: 50 });
+
+    await releaseCoupon({ _id: orderId, coupon: coupon._id });
+
+    const saved = await Coupon.findById(coupon._id).lean();
+    assert.equal(saved.usedCount, 0);
+    assert.deepEqual(saved.redemptions, []);
+    const { redeemed } = await redeemAtOnce(coupon, [newId()]);
+    assert.equal(redeemed.length, 1);
+  });
+
+  it("drops the discount once cancelled items take the order below the minimum", async () => {
+    const coupon = await Coupon.create({
+      code: "SPEND300",
+      discountType: "Flat",
+      value: 50,
+      minOrderValue: 300,
+    });
+    const product = await Product.create({
+      productName: "Ghee",
+      category: newId(),
+      price: 200,
+      unit: "jar",
+      images: ["ghee.jpg"],
+      totalUnits: 10,
+      remainingUnits: 8,
+      soldUnits: 2,
+    });
+    const customer = { _id: newId(), role: "Customer" };
+    const order = await Order.create({
+      userId: customer._id,
+      subtotal: 400,
+      coupon: coupon._id,
+      couponCode: coupon.code,
+      couponDiscount: 50,
+      totalAmount: 350,
+      address: "Ward 3, Kushma",
+      phoneNumber: "9800000000",
+      paymentMethod: "Cash",
+    });
+    const items = await OrderItem.create(
+      [1, 2].map(() => ({
+        orderId: order._id,
+        productId: product._id,
+        quantity: 1,
+        price: 200,
+        totalPrice: 200,
+      }))
+    );
+    await redeemCoupon(coupon, { userId: customer._id, orderId: order._id, discount: 50 });
+
+    const { order: updated } = await cancelOrderItem(items[0]._id, customer);
+
+    assert.equal(updated.couponDiscount, 0);
+    assert.equal(updated.totalAmount, 200);
+    const saved = await Coupon.findById(coupon._id).lean();
+    assert.equal(saved.usedCount, 0);
+    assert.deepEqual(saved.redemptions, []);
+  });
+});
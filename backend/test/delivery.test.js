@@ -0,0 +1,96 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { needsDatabase, useTestDatabase } = require("./helpers");
+const {
+  storeClock,
+  startOfStoreDay,
+  getDeliveryOptions,
+  reserveSlot,
+  releaseSlot,
+} = require("../utils/delivery");
+const DeliverySlot = require("../model/deliveryslot.model");
+const SlotBooking = require("../model/slotbooking.model");
+
+useTestDatabase(__filename);
+
+// Each reservation in a transaction of its own, as placing an order does.
+// Returns how many got a place.
+const reserveAtOnce = async (slot, date, count) => {
+  const results = await Promise.allSettled(
+    Array.from({ length: count }, async () => {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(() => reserveSlot(slot, date, session));
+      } finally {
+        await session.endSession();
+      }
+    })
+  );
+  for (const result of results.filter((entry) => entry.status === "rejected")) {
+    assert.equal(result.reason.status, 409);
+  }
+  return results.filter((result) => result.status === "fulfilled").length;
+};
+
+const bookedFor = async (slot, date) =>
+  (await SlotBooking.findOne({ slot: slot._id, date }).lean())?.booked || 0;
+
+describe("store clock", () => {
+  // The default store time zone, Asia/Kathmandu, is UTC+05:45
+  it("gives the date and time in the store's time zone", () => {
+    assert.deepEqual(storeClock(new Date("2026-05-04T18:30:00Z")), {
+      date: "2026-05-05",
+      minutes: 15,
+    });
+  });
+
+  it("finds the instant a store day starts", () => {
+    assert.equal(startOfStoreDay("2026-05-05").toISOString(), "2026-05-04T18:15:00.000Z");
+  });
+});
+
+describe("delivery slots", needsDatabase, () => {
+  let slot;
+  const date = "2026-05-05";
+
+  beforeEach(async () => {
+    await Promise.all([DeliverySlot.deleteMany({}), SlotBooking.deleteMany({})]);
+    slot = await DeliverySlot.create({
+      label: "Morning",
+      startTime: "09:00",
+      endTime: "12:00",
+      capacity: 2,
+    });
+  });
+
+  it("never books more orders than the slot's capacity", async () => {
+    assert.equal(await reserveAtOnce(slot, date, 5), 2);
+    assert.equal(await bookedFor(slot, date), 2);
+  });
+
+  it("gives a cancelled order's place back", async () => {
+    await reserveAtOnce(slot, date, 2);
+    await releaseSlot({ deliverySlot: { slotId: slot._id, date } });
+
+    assert.equal(await bookedFor(slot, date), 1);
+    assert.equal(await reserveAtOnce(slot, date, 2), 1);
+  });
+
+  it("offers a slot until an hour before it starts, with the places left", async () => {
+    await reserveAtOnce(slot, date, 1);
+    // 08:15 in the store on the 5th: the 09:00 slot has closed for today
+    const days = (await getDeliveryOptions(new Date("2026-05-05T02:30:00Z"))).days;
+
+    assert.deepEqual(
+      days.map((day) => day.date),
+      ["2026-05-05", "2026-05-06", "2026-05-07"]
+    );
+    assert.deepEqual(days[0].slots, []);
+    assert.equal(days[1].slots[0].remaining, 2);
+
+    // 07:45: still open, with the one place that is left
+    const earlier = (await getDeliveryOptions(new Date("2026-05-05T02:00:00Z"))).days;
+    assert.equal(earlier[0].slots[0].remaining, 1);
+  });
+});
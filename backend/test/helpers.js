@@ -0,0 +1,72 @@
+// Shared setup for the backend tests, which run on Node's built-in test
+// runner (`npm test`).
+//
+// Tests that touch MongoDB need a replica set, since orders, coupons and
+// slot bookings are written in transactions. Point MONGODB_TEST_URI at one,
+// e.g. a throwaway container:
+//   docker run -d --name grocery-test -p 27018:27017 mongo:7 --replSet rs0
+//   docker exec grocery-test mongosh --quiet --eval "rs.initiate()"
+//   MONGODB_TEST_URI="mongodb://localhost:27018/?directConnection=true" npm test
+// Without it those tests are skipped. Each test file uses a database of its
+// own that is emptied first and dropped afterwards, so never point this at
+// real data.
+const os = require("os");
+const path = require("path");
+
+// Mail queued by the code under test is written to files, never sent
+process.env.MAIL_TRANSPORT = "file";
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), "grocery-test-mail");
+
+const mongoose = require("mongoose");
+const { before, after } = require("node:test");
+
+const { MONGODB_TEST_URI } = process.env;
+
+// Options for describe() blocks that need the database
+const needsDatabase = MONGODB_TEST_URI ? {} : { skip: "MONGODB_TEST_URI is not set" };
+
+// Connect the file's tests to a database named after the file. Require the
+// models first: their collections and indexes are created up front, because
+// a transaction can't create an index on the fly.
+const useTestDatabase = (file) => {
+  if (!MONGODB_TEST_URI) return;
+
+  before(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      dbName: `grocery-test-${path.basename(file, ".test.js").replace(/\W/g, "-")}`,
+    });
+    const models = Object.values(mongoose.models);
+    await Promise.all(models.map((model) => model.init()));
+    await Promise.all(models.map((model) => model.deleteMany({})));
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+};
+
+// Stand-in for the Express response a controller writes to
+const fakeResponse = () => {
+  const res = { statusCode: 200, headers: {}, cookies: {}, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  res.cookie = (name, value) => {
+    res.cookies[name] = value;
+  };
+  res.clearCookie = (name) => {
+    delete res.cookies[name];
+  };
+  return res;
+};
+
+module.exports = { needsDatabase, useTestDatabase, fakeResponse };
@@ -0,0 +1,48 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const MODULE = require.resolve("../utils/lowStock");
+
+// The settings are read when the module loads, so load it afresh with them
+const settingsWith = (env) => {
+  Object.assign(process.env, env);
+  delete require.cache[MODULE];
+  const { DEFAULT_REORDER_THRESHOLD, DIGEST_HOUR } = require(MODULE);
+  return { threshold: DEFAULT_REORDER_THRESHOLD, hour: DIGEST_HOUR };
+};
+
+describe("low-stock settings", () => {
+  afterEach(() => {
+    delete process.env.LOW_STOCK_THRESHOLD;
+    delete process.env.LOW_STOCK_DIGEST_HOUR;
+    delete require.cache[MODULE];
+  });
+
+  it("uses the defaults when unset or not a number", () => {
+    assert.deepEqual(settingsWith({}), { threshold: 5, hour: 7 });
+    assert.deepEqual(
+      settingsWith({ LOW_STOCK_THRESHOLD: "lots", LOW_STOCK_DIGEST_HOUR: "" }),
+      { threshold: 5, hour: 7 }
+    );
+  });
+
+  it("keeps a configured zero", () => {
+    assert.deepEqual(
+      settingsWith({ LOW_STOCK_THRESHOLD: "0", LOW_STOCK_DIGEST_HOUR: "0" }),
+      { threshold: 0, hour: 0 }
+    );
+  });
+
+  it("refuses an hour outside 0-23", () => {
+    assert.throws(() => settingsWith({ LOW_STOCK_DIGEST_HOUR: "24" }), /from 0 to 23/);
+  });
+
+  it("refuses a fractional hour", () => {
+    assert.throws(() => settingsWith({ LOW_STOCK_DIGEST_HOUR: "7.5" }), /whole number/);
+  });
+
+  it("refuses a negative threshold", () => {
+    assert.throws(() => settingsWith({ LOW_STOCK_THRESHOLD: "-1" }), /LOW_STOCK_THRESHOLD/);
+  });
+});
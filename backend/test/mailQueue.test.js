@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+const mailer = require("../utils/mailer");
+
+// The queue takes sendMail from the mailer when it is loaded, so the fake
+// transport goes in first. Each test sets how the fake behaves.
+let sendMail;
+mailer.sendMail = (mailOptions) => sendMail(mailOptions);
+const { enqueueMail } = require("../utils/mailQueue");
+
+// Let the queue run: it starts on setImmediate, and the fake transport
+// settles at once
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Attempts so far for each recipient
+const attempts = (calls) =>
+  calls.reduce((counts, to) => ({ ...counts, [to]: (counts[to] || 0) + 1 }), {});
+
+describe("mail queue", () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    mock.timers.enable({ apis: ["setTimeout"] });
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  // A transport that fails the first `failures` sends to each address
+  const failingFirst = (failures) => async ({ to }) => {
+    calls.push(to);
+    if (attempts(calls)[to] <= failures) throw new Error("SMTP unavailable");
+    return { messageId: "sent" };
+  };
+
+  it("retries a failed send with backoff until it goes through", async () => {
+    sendMail = failingFirst(2);
+    enqueueMail({ to: "shopper@example.com", subject: "Order placed", text: "Thanks" });
+    await flush();
+    assert.deepEqual(attempts(calls), { "shopper@example.com": 1 });
+
+    // 5 s after the first failure, then 10 s after the second
+    mock.timers.tick(4999);
+    await flush();
+    assert.equal(calls.length, 1);
+    mock.timers.tick(1);
+    await flush();
+    assert.equal(calls.length, 2);
+    mock.timers.tick(10000);
+    await flush();
+    assert.equal(calls.length, 3);
+
+    mock.timers.tick(60 * 60 * 1000);
+    await flush();
+    assert.equal(calls.length, 3, "no more attempts once sent");
+  });
+
+  it("gives up after five attempts", async () => {
+    sendMail = failingFirst(Infinity);
+    enqueueMail({ to: "nobody@example.com", subject: "Order placed", text: "Thanks" });
+    await flush();
+
+    for (let i = 0; i < 10; i++) {
+      mock.timers.tick(5 * 60 * 1000);
+      await flush();
+    }
+    assert.equal(calls.length, 5);
+    assert.match(console.error.mock.calls.at(-1).arguments[0], /dropped after 5 attempts/);
+  });
+
+  it("keeps sending other mail while one message waits to retry", async () => {
+    sendMail = async ({ to }) => {
+      calls.push(to);
+      if (to === "down@example.com") throw new Error("Mailbox unavailable");
+      return { messageId: "sent" };
+    };
+    enqueueMail({ to: "down@example.com", subject: "A", text: "A" });
+    enqueueMail({ to: "up@example.com", subject: "B", text: "B" });
+    await flush();
+
+    assert.deepEqual(calls, ["down@example.com", "up@example.com"]);
+  });
+
+  it("ignores mail without a recipient", async () => {
+    sendMail = failingFirst(0);
+    enqueueMail({ to: undefined, subject: "A", text: "A" });
+    await flush();
+    assert.deepEqual(calls, []);
+  });
+});
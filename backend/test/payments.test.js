@@ -0,0 +1,174 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { needsDatabase, useTestDatabase, fakeResponse } = require("./helpers");
+const { confirmPayment, handleWebhook } = require("../controller/payment.controller");
+const wallet = require("../utils/payments/wallet");
+const Order = require("../model/order.model");
+
+useTestDatabase(__filename);
+
+const SECRET = "test-wallet-secret";
+process.env.WALLET_SECRET_KEY = SECRET;
+
+const sign = (body) => crypto.createHmac("sha256", SECRET).update(body).digest("hex");
+
+// A webhook request as Express hands it over: the parsed body plus the raw
+// bytes the signature covers
+const webhookRequest = (body, signature = sign(JSON.stringify(body))) => ({
+  params: { provider: "wallet" },
+  body,
+  rawBody: Buffer.from(JSON.stringify(body)),
+  get: (header) => (header.toLowerCase() === "x-wallet-signature" ? signature : undefined),
+});
+
+describe("wallet webhook signature", () => {
+  beforeEach(() => mock.method(console, "error", () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it("accepts a body signed with the shared secret", async () => {
+    const event = await wallet.parseWebhook(webhookRequest({ pidx: "pidx-1" }));
+    assert.deepEqual(event, { providerPaymentId: "pidx-1" });
+  });
+
+  it("rejects a wrong or missing signature", async () => {
+    await assert.rejects(wallet.parseWebhook(webhookRequest({ pidx: "pidx-1" }, "0".repeat(64))));
+    await assert.rejects(wallet.parseWebhook(webhookRequest({ pidx: "pidx-1" }, "")));
+  });
+
+  it("rejects a body changed after signing", async () => {
+    const req = webhookRequest({ pidx: "pidx-1" });
+    req.rawBody = Buffer.from(JSON.stringify({ pidx: "pidx-2" }));
+    await assert.rejects(wallet.parseWebhook(req), /signature is invalid/);
+  });
+
+  it("turns a forged webhook away before looking anything up", async () => {
+    const lookup = mock.method(wallet, "confirmPayment");
+    const res = fakeResponse();
+    await handleWebhook(webhookRequest({ pidx: "pidx-1" }, sign("something else")), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(lookup.mock.callCount(), 0);
+  });
+});
+
+describe("payment confirmation", needsDatabase, () => {
+  const customer = { _id: new mongoose.Types.ObjectId() };
+  let order;
+
+  // What the wallet's lookup reports for the payment
+  const walletReports = (result) =>
+    mock.method(wallet, "confirmPayment", async () => ({
+      paid: true,
+      transactionId: "txn-1",
+      ...result,
+    }));
+
+  const confirm = async () => {
+    const res = fakeResponse();
+    await confirmPayment({ params: { orderId: String(order._id) }, user: customer, body: {} }, res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    mock.method(console, "error", () => {});
+    order = await Order.create({
+      userId: customer._id,
+      totalAmount: 500,
+      address: "Ward 3, Kushma",
+      phoneNumber: "9800000000",
+      paymentMethod: "Wallet",
+      paymentStatus: "Pending",
+      paymentGateway: {
+        provider: "Wallet",
+        providerPaymentId: `pidx-${new mongoose.Types.ObjectId()}`,
+        amount: 500,
+        currency: "NPR",
+        orderTotal: 500,
+      },
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("marks the order paid when the amount and currency match", async () => {
+    walletReports({ amount: 500, currency: "NPR" });
+    const res = await confirm();
+
+    assert.equal(res.statusCode, 200);
+    const saved = await Order.findById(order._id).lean();
+    assert.equal(saved.paymentStatus, "Paid");
+    assert.equal(saved.paidAmount, 500);
+    assert.equal(saved.paymentGateway.transactionId, "txn-1");
+  });
+
+  it("refuses a payment for less than the order total", async () => {
+    walletReports({ amount: 5, currency: "NPR" });
+    const res = await confirm();
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /does not match the order total/);
+    assert.equal((await Order.findById(order._id).lean()).paymentStatus, "Failed");
+  });
+
+  it("refuses a payment in another currency", async () => {
+    walletReports({ amount: 500, currency: "USD" });
+    const res = await confirm();
+
+    assert.equal(res.statusCode, 400);
+    assert.equal((await Order.findById(order._id).lean()).paymentStatus, "Failed");
+  });
+
+  it("refunds a payment that completes after the order was cancelled", async () => {
+    await Order.updateOne({ _id: order._id }, { $set: { status: "Cancelled", totalAmount: 0 } });
+    walletReports({ amount: 500, currency: "NPR" });
+    const res = await confirm();
+
+    assert.equal(res.statusCode, 409);
+    const saved = await Order.findById(order._id).lean();
+    assert.equal(saved.paidAmount, 500);
+    // The wallet can't refund by API, so it waits for an admin to pay it back
+    assert.deepEqual(
+      saved.refunds.map(({ amount, method, status }) => ({ amount, method, status })),
+      [{ amount: 500, method: "Original Payment", status: "Pending" }]
+    );
+  });
+
+  it("still accepts an attempt the customer restarted", async () => {
+    const earlier = {
+      providerPaymentId: `pidx-${new mongoose.Types.ObjectId()}`,
+      amount: 500,
+      currency: "NPR",
+    };
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { "paymentGateway.earlierAttempts": [earlier] } }
+    );
+    walletReports({ amount: 500, currency: "NPR" });
+
+    const res = fakeResponse();
+    await handleWebhook(webhookRequest({ pidx: earlier.providerPaymentId }), res);
+
+    assert.equal(res.statusCode, 200);
+    const saved = await Order.findById(order._id).lean();
+    assert.equal(saved.paymentStatus, "Paid");
+    // Refunds go back through the attempt that was actually paid
+    assert.equal(saved.paymentGateway.providerPaymentId, earlier.providerPaymentId);
+  });
+
+  it("records a signed webhook's payment only once", async () => {
+    const lookup = walletReports({ amount: 500, currency: "NPR" });
+    const body = { pidx: order.paymentGateway.providerPaymentId };
+
+    for (let i = 0; i < 2; i++) {
+      const res = fakeResponse();
+      await handleWebhook(webhookRequest(body), res);
+      assert.equal(res.statusCode, 200);
+    }
+
+    assert.equal((await Order.findById(order._id).lean()).paymentStatus, "Paid");
+    // The second delivery found the order paid and didn't ask the wallet again
+    assert.equal(lookup.mock.callCount(), 1);
+  });
+});
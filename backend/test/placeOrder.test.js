@@ -0,0 +1,171 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { needsDatabase, useTestDatabase, fakeResponse } = require("./helpers");
+const { placeOrderFromCart } = require("../controller/cart.controller");
+const Product = require("../model/productmodel");
+const User = require("../model/usermodel");
+const Cart = require("../model/cart.model");
+const CartItem = require("../model/cartitem.model");
+const Order = require("../model/order.model");
+const OrderItem = require("../model/orderitem.model");
+const DeliveryZone = require("../model/deliveryzone.model");
+const DeliverySlot = require("../model/deliveryslot.model");
+const SlotBooking = require("../model/slotbooking.model");
+const Batch = require("../model/batch.model");
+const StockMovement = require("../model/stockmovement.model");
+const { storeClock, addDays } = require("../utils/delivery");
+
+useTestDatabase(__filename);
+
+const SHOPPERS = 5;
+
+const shopperWithCart = async (index, product) => {
+  const user = await User.create({
+    name: `Shopper ${index}`,
+    email: `shopper${index}@example.com`,
+    password: "not-used",
+    role: "Customer",
+  });
+  const cart = await Cart.create({ userId: user._id });
+  const item = await CartItem.create({ cartId: cart._id, productId: product._id, quantity: 1 });
+  cart.cartItems.push(item._id);
+  await cart.save();
+  return user;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("placeOrderFromCart", needsDatabase, () => {
+  it("sells the last unit to only one of several shoppers ordering at once", async () => {
+    const product = await Product.create({
+      productName: "Wild Honey",
+      category: new mongoose.Types.ObjectId(),
+      price: 100,
+      unit: "jar",
+      images: ["honey.jpg"],
+      totalUnits: 1,
+      remainingUnits: 1,
+    });
+    const zone = await DeliveryZone.create({ name: "Kushma Bazaar", fee: 0 });
+    const slot = await DeliverySlot.create({
+      label: "Morning",
+      startTime: "09:00",
+      endTime: "12:00",
+      capacity: SHOPPERS,
+    });
+    const slotDate = addDays(storeClock().date, 1);
+
+    const shoppers = await Promise.all(
+      Array.from({ length: SHOPPERS }, (_, index) => shopperWithCart(index, product))
+    );
+
+    const responses = await Promise.all(
+      shoppers.map(async (user) => {
+        const res = fakeResponse();
+        await placeOrderFromCart(
+          {
+            user,
+            body: {
+              selectedProducts: [{ productId: String(product._id), quantity: 1 }],
+              address: "Ward 3, Kushma",
+              phoneNumber: "9800000000",
+              paymentMethod: "Cash",
+              quotedTotal: 100,
+              zoneId: zone._id,
+              slotId: slot._id,
+              slotDate,
+            },
+          },
+          res
+        );
+        return res;
+      })
+    );
+
+    const placed = responses.filter((res) => res.statusCode === 200);
+    const refused = responses.filter((res) => res.statusCode !== 200);
+    assert.equal(placed.length, 1);
+    for (const res of refused) {
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.error, /Insufficient stock for product Wild Honey/);
+    }
+
+    const stock = await Product.findById(product._id).lean();
+    assert.equal(stock.remainingUnits, 0);
+    assert.equal(stock.soldUnits, 1);
+    // The refused orders rolled back completely
+    assert.equal(await Order.countDocuments(), 1);
+    assert.equal(await OrderItem.countDocuments(), 1);
+    assert.equal((await SlotBooking.findOne({ slot: slot._id, date: slotDate })).booked, 1);
+    assert.equal(await CartItem.countDocuments(), SHOPPERS - 1);
+  });
+
+  it("doesn't sell units whose batch has expired", async () => {
+    const product = await Product.create({
+      productName: "Fresh Milk",
+      category: new mongoose.Types.ObjectId(),
+      price: 100,
+      unit: "litre",
+      images: ["milk.jpg"],
+      totalUnits: 3,
+      remainingUnits: 3,
+    });
+    // Expired a minute ago, before the write-off check has run
+    const expired = await Batch.create({
+      product: product._id,
+      quantity: 2,
+      remaining: 2,
+      expiresAt: new Date(Date.now() - 60000),
+    });
+    await Batch.create({
+      product: product._id,
+      quantity: 1,
+      remaining: 1,
+      expiresAt: new Date(Date.now() + 3 * DAY_MS),
+    });
+    const zone = await DeliveryZone.create({ name: "Dhairing", fee: 0 });
+    const slot = await DeliverySlot.create({
+      label: "Evening",
+      startTime: "16:00",
+      endTime: "19:00",
+      capacity: 5,
+    });
+    const user = await shopperWithCart("milk", product);
+
+    const order = async (quantity) => {
+      const res = fakeResponse();
+      await placeOrderFromCart(
+        {
+          user,
+          body: {
+            selectedProducts: [{ productId: String(product._id), quantity }],
+            address: "Ward 3, Kushma",
+            phoneNumber: "9800000000",
+            paymentMethod: "Cash",
+            quotedTotal: 100 * quantity,
+            zoneId: zone._id,
+            slotId: slot._id,
+            slotDate: addDays(storeClock().date, 1),
+          },
+        },
+        res
+      );
+      return res;
+    };
+
+    const tooMany = await order(2);
+    assert.equal(tooMany.statusCode, 400);
+    assert.match(tooMany.body.error, /Available: 1/);
+
+    assert.equal((await order(1)).statusCode, 200);
+    const stock = await Product.findById(product._id).lean();
+    assert.equal(stock.remainingUnits, 0);
+    assert.equal(stock.totalUnits, 1);
+    assert.ok((await Batch.findById(expired._id).lean()).writtenOffAt);
+    assert.equal(
+      await StockMovement.countDocuments({ product: product._id, type: "Spoilage" }),
+      1
+    );
+  });
+});
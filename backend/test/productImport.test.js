@@ -0,0 +1,67 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { needsDatabase, useTestDatabase } = require("./helpers");
+const { planImport, importReport, applyImport } = require("../utils/productImport");
+const Product = require("../model/productmodel");
+
+useTestDatabase(__filename);
+
+const csv = (lines) => Buffer.from(lines.join("\r\n"));
+
+describe("import report", () => {
+  const plan = {
+    rows: [
+      { row: 2, sku: "A-1", productName: "Rice", action: "create", errors: [] },
+      { row: 3, sku: "B-1", productName: "Lentils", action: "update", errors: [] },
+    ],
+  };
+
+  it("lists rows that could not be saved with the reason", () => {
+    const report = importReport(plan, new Map([[3, "B-1 was deleted during the import"]]));
+
+    assert.deepEqual(report.summary, { rows: 2, create: 1, update: 0, invalid: 1, failed: 1 });
+    assert.deepEqual(report.rows[1].errors, ["B-1 was deleted during the import"]);
+  });
+});
+
+describe("product import", needsDatabase, () => {
+  beforeEach(async () => {
+    await Product.deleteMany({});
+    await Product.create(
+      ["A-1", "A-2", "A-3"].map((sku) => ({
+        sku,
+        productName: `Product ${sku}`,
+        category: new mongoose.Types.ObjectId(),
+        price: 100,
+        unit: "kg",
+        images: ["product.jpg"],
+        totalUnits: 10,
+        remainingUnits: 10,
+      }))
+    );
+  });
+
+  it("refuses SVG images", async () => {
+    const plan = await planImport(csv(["sku,images", "A-1,logo.svg"]));
+
+    assert.deepEqual(plan.rows[0].errors, ["logo.svg is not a supported image type"]);
+  });
+
+  it("saves the other rows when one fails", async () => {
+    const plan = await planImport(csv(["sku,price", "A-1,150", "A-2,150", "A-3,150"]));
+    await Product.deleteOne({ sku: "A-2" });
+
+    const failed = await applyImport(plan, { _id: new mongoose.Types.ObjectId() });
+
+    assert.deepEqual([...failed], [[3, "A-2 was deleted during the import"]]);
+    const prices = await Product.find().sort({ sku: 1 }).lean();
+    assert.deepEqual(
+      prices.map((product) => [product.sku, product.price]),
+      [
+        ["A-1", 150],
+        ["A-3", 150],
+      ]
+    );
+  });
+});
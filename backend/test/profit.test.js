@@ -0,0 +1,69 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { needsDatabase, useTestDatabase } = require("./helpers");
+const { getProfitReport } = require("../utils/profit");
+const { storeClock } = require("../utils/delivery");
+const Order = require("../model/order.model");
+const OrderItem = require("../model/orderitem.model");
+
+useTestDatabase(__filename);
+
+// A paid order of one item per line, each line [price, status]
+const paidOrder = async (lines, fields) => {
+  const billed = lines.filter(([, status]) => status === "Active");
+  const subtotal = billed.reduce((sum, [price]) => sum + price, 0);
+  const order = await Order.create({
+    userId: new mongoose.Types.ObjectId(),
+    address: "Ward 3, Kushma",
+    phoneNumber: "9800000000",
+    paymentMethod: "Wallet",
+    paymentStatus: "Partially Refunded",
+    subtotal,
+    totalAmount: subtotal,
+    paidAmount: lines.reduce((sum, [price]) => sum + price, 0),
+    ...fields,
+  });
+  const items = await OrderItem.create(
+    lines.map(([price, status]) => ({
+      orderId: order._id,
+      productId: new mongoose.Types.ObjectId(),
+      quantity: 1,
+      price,
+      totalPrice: price,
+      status,
+    }))
+  );
+  await Order.updateOne({ _id: order._id }, { orderItems: items.map((item) => item._id) });
+};
+
+describe("profit report", needsDatabase, () => {
+  const today = storeClock().date;
+  const revenue = async () => (await getProfitReport({ from: today, to: today })).totals.revenue;
+
+  beforeEach(() => Promise.all([Order.deleteMany({}), OrderItem.deleteMany({})]));
+
+  it("takes a partial refund off the items' revenue", async () => {
+    await paidOrder(
+      [
+        [600, "Active"],
+        [400, "Active"],
+      ],
+      { refundedAmount: 100 }
+    );
+
+    assert.equal(await revenue(), 900);
+  });
+
+  it("doesn't take a returned item's refund off twice", async () => {
+    await paidOrder(
+      [
+        [600, "Active"],
+        [400, "Returned"],
+      ],
+      { refundedAmount: 400 }
+    );
+
+    assert.equal(await revenue(), 600);
+  });
+});
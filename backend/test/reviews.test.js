@@ -0,0 +1,25 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeResponse } = require("./helpers");
+const { updateReview, deleteReview } = require("../controller/userreview.controller");
+
+describe("review ids", () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  it("refuses to update a review with a malformed id", async () => {
+    const res = fakeResponse();
+    await updateReview({ params: { reviewId: "not-an-id" }, body: { rating: 4 }, user }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, "Invalid review ID");
+  });
+
+  it("refuses to delete a review with a malformed id", async () => {
+    const res = fakeResponse();
+    await deleteReview({ params: { reviewId: "not-an-id" }, user }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, "Invalid review ID");
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { needsDatabase, useTestDatabase, fakeResponse } = require("./helpers");
+const { searchProducts, suggestProducts } = require("../controller/product.controller");
+const Product = require("../model/productmodel");
+const Category = require("../model/category.model");
+const { escapeRegex, levenshtein, searchFieldsFor } = require("../utils/search");
+
+useTestDatabase(__filename);
+
+// A small catalogue: [category, [productName, description, soldUnits]]
+const CATALOGUE = [
+  [
+    "Vegetables",
+    [
+      ["Tomato", "Ripe red tomatoes from Parbat", 40],
+      ["Cherry Tomato", "Sweet little tomatoes", 25],
+      ["Potato", "Local potatoes for curry", 60],
+    ],
+  ],
+  [
+    "Fruits",
+    [
+      ["Red Apple", "Crisp apples from Mustang", 30],
+      ["Green Apple", "Sour apples for baking", 10],
+      ["Banana", "A dozen ripe bananas", 80],
+    ],
+  ],
+  [
+    "Pantry",
+    [
+      ["Mixed Fruit Jam", "Made with apple, mango and berries", 5],
+      ["Tomato Ketchup", "Thick tomato sauce", 15],
+    ],
+  ],
+];
+
+const seedCatalogue = async () => {
+  for (const [categoryName, products] of CATALOGUE) {
+    const category = await Category.create({ categoryName, images: ["category.jpg"] });
+    await Product.create(
+      products.map(([productName, description, soldUnits]) => ({
+        productName,
+        description,
+        category: category._id,
+        price: 100,
+        unit: "kg",
+        images: ["product.jpg"],
+        totalUnits: 100,
+        remainingUnits: 100 - soldUnits,
+        soldUnits,
+        ...searchFieldsFor(productName, categoryName),
+      }))
+    );
+  }
+};
+
+const search = async (query) => {
+  const res = fakeResponse();
+  await searchProducts({ query: { query } }, res);
+  assert.equal(res.statusCode, 200);
+  return res.body;
+};
+
+const suggest = async (q) => {
+  const res = fakeResponse();
+  await suggestProducts({ query: { q } }, res);
+  assert.equal(res.statusCode, 200);
+  return res.body.suggestions.map((product) => product.productName);
+};
+
+describe("search helpers", () => {
+  it("counts single-letter edits", () => {
+    assert.equal(levenshtein("tomato", "tomato"), 0);
+    assert.equal(levenshtein("bananna", "banana"), 1);
+    assert.equal(levenshtein("aple", "apple"), 1);
+    assert.equal(levenshtein("potato", "tomato"), 2);
+  });
+
+  it("escapes regex syntax in user input", () => {
+    const pattern = new RegExp(`^${escapeRegex("c++ (a|b).*")}`);
+    assert.ok(pattern.test("c++ (a|b).*"));
+    assert.ok(!pattern.test("ccc (a"));
+  });
+
+  it("keys products by the lowercase words of their name and category", () => {
+    assert.deepEqual(searchFieldsFor("Cherry Tomato", "Vegetables"), {
+      categoryName: "Vegetables",
+      searchKeywords: ["cherry", "tomato", "vegetables"],
+    });
+  });
+});
+
+describe("the seeded catalogue", needsDatabase, () => {
+  before(seedCatalogue);
+
+  describe("product search", () => {
+    it("ranks name matches above description matches", async () => {
+      const { products, correctedQuery } = await search("apple");
+      const names = products.map((product) => product.productName);
+
+      assert.equal(correctedQuery, null);
+      assert.deepEqual(names.slice(0, 2).sort(), ["Green Apple", "Red Apple"]);
+      assert.equal(names.at(-1), "Mixed Fruit Jam");
+    });
+
+    it("matches on the category name", async () => {
+      const { products } = await search("vegetables");
+      assert.deepEqual(
+        products.map((product) => product.productName).sort(),
+        ["Cherry Tomato", "Potato", "Tomato"]
+      );
+    });
+
+    it("finds tomatoes for a misspelt plural", async () => {
+      const { products } = await search("tomatos");
+      const names = products.map((product) => product.productName);
+      assert.ok(names.includes("Tomato"));
+      assert.ok(names.includes("Cherry Tomato"));
+    });
+
+    it("corrects a typo and says what it searched for instead", async () => {
+      const { products, correctedQuery } = await search("bananna");
+      assert.equal(correctedQuery, "banana");
+      assert.deepEqual(
+        products.map((product) => product.productName),
+        ["Banana"]
+      );
+    });
+
+    it("returns nothing, not an error, for gibberish", async () => {
+      const { products } = await search("zzqxw");
+      assert.deepEqual(products, []);
+    });
+  });
+
+  describe("product suggestions", () => {
+    it("completes the word being typed, best sellers first", async () => {
+      assert.deepEqual(await suggest("tom"), ["Tomato", "Cherry Tomato", "Tomato Ketchup"]);
+    });
+
+    it("needs every finished word to match", async () => {
+      assert.deepEqual(await suggest("cherry to"), ["Cherry Tomato"]);
+    });
+
+    it("falls back to a corrected query", async () => {
+      assert.deepEqual(await suggest("bananna"), ["Banana"]);
+    });
+
+    it("treats regex characters as plain text", async () => {
+      assert.deepEqual(await suggest("(tom.*"), []);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { needsDatabase, useTestDatabase, fakeResponse } = require("./helpers");
+const { getAdminStats } = require("../controller/stats.controller");
+const Order = require("../model/order.model");
+
+useTestDatabase(__filename);
+
+const order = (fields) => ({
+  userId: new mongoose.Types.ObjectId(),
+  address: "Ward 3, Kushma",
+  phoneNumber: "9800000000",
+  paymentMethod: "Wallet",
+  ...fields,
+});
+
+describe("admin dashboard stats", needsDatabase, () => {
+  it("counts money still held on cancelled orders and takes off refunds", async () => {
+    await Order.create([
+      // Paid, then cancelled without a refund yet
+      order({ status: "Cancelled", totalAmount: 0, paidAmount: 500, paymentStatus: "Paid" }),
+      // Never paid: cancelled from an old order that kept its total
+      order({ status: "Cancelled", totalAmount: 300, paymentStatus: "Pending" }),
+      // Cash due on delivery
+      order({ totalAmount: 200, paymentMethod: "Cash" }),
+      order({
+        status: "Delivered",
+        totalAmount: 400,
+        paidAmount: 400,
+        paymentStatus: "Partially Refunded",
+        refundedAmount: 100,
+      }),
+    ]);
+
+    const res = fakeResponse();
+    await getAdminStats({}, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.stats.grossRevenue, 1000);
+    assert.equal(res.body.stats.refunds, 100);
+    assert.equal(res.body.stats.ordersByStatus.Cancelled, 2);
+  });
+});
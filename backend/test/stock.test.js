@@ -0,0 +1,62 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { needsDatabase, useTestDatabase, fakeResponse } = require("./helpers");
+const { updateProduct } = require("../controller/product.controller");
+const { reconcileStock } = require("../utils/stock");
+const Product = require("../model/productmodel");
+const Batch = require("../model/batch.model");
+const StockMovement = require("../model/stockmovement.model");
+
+useTestDatabase(__filename);
+
+describe("changing total units on the product form", needsDatabase, () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), role: "Admin" };
+  let product;
+
+  const setTotal = async (totalUnits) => {
+    const res = fakeResponse();
+    await updateProduct(
+      { params: { id: String(product._id) }, body: { totalUnits }, user: admin },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(async () => {
+    await Promise.all([Product, Batch, StockMovement].map((model) => model.deleteMany({})));
+    product = await Product.create({
+      productName: "Basmati Rice",
+      category: new mongoose.Types.ObjectId(),
+      price: 200,
+      unit: "kg",
+      images: ["rice.jpg"],
+      totalUnits: 10,
+      remainingUnits: 10,
+    });
+    await Batch.create({ product: product._id, quantity: 10, remaining: 10 });
+    await StockMovement.create({
+      product: product._id,
+      type: "Opening",
+      remainingChange: 10,
+      totalChange: 10,
+      remainingAfter: 10,
+    });
+  });
+
+  it("receives extra units as a batch in the ledger", async () => {
+    assert.equal((await setTotal(15)).statusCode, 200);
+
+    const batches = await Batch.find({ product: product._id }).lean();
+    assert.deepEqual(batches.map((batch) => batch.remaining).sort((a, b) => a - b), [5, 10]);
+    assert.deepEqual(await reconcileStock(), []);
+  });
+
+  it("takes removed units out of the batches", async () => {
+    assert.equal((await setTotal(4)).statusCode, 200);
+
+    const [batch] = await Batch.find({ product: product._id }).lean();
+    assert.equal(batch.remaining, 4);
+    assert.deepEqual(await reconcileStock(), []);
+  });
+});
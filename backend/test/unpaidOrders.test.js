@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { needsDatabase, useTestDatabase } = require("./helpers");
+const { expireUnpaidOrders, UNPAID_ORDER_TIMEOUT_MS } = require("../utils/unpaidOrders");
+const Product = require("../model/productmodel");
+const Order = require("../model/order.model");
+const OrderItem = require("../model/orderitem.model");
+const DeliverySlot = require("../model/deliveryslot.model");
+const SlotBooking = require("../model/slotbooking.model");
+
+useTestDatabase(__filename);
+
+describe("unpaid order expiry", needsDatabase, () => {
+  let product;
+  let slot;
+  const slotDate = "2026-05-05";
+
+  // An online order for one unit, placed `age` ms ago, holding a slot place
+  const placeOrder = async (age, paymentStatus = "Pending") => {
+    const order = await Order.create({
+      userId: new mongoose.Types.ObjectId(),
+      totalAmount: 100,
+      address: "Ward 3, Kushma",
+      phoneNumber: "9800000000",
+      paymentMethod: "Wallet",
+      paymentStatus,
+      deliverySlot: { slotId: slot._id, date: slotDate },
+    });
+    const item = await OrderItem.create({
+      orderId: order._id,
+      productId: product._id,
+      quantity: 1,
+      price: 100,
+      totalPrice: 100,
+    });
+    await Order.collection.updateOne(
+      { _id: order._id },
+      { $set: { orderItems: [item._id], createdAt: new Date(Date.now() - age) } }
+    );
+    await Product.updateOne({ _id: product._id }, { $inc: { remainingUnits: -1, soldUnits: 1 } });
+    await SlotBooking.updateOne(
+      { slot: slot._id, date: slotDate },
+      { $inc: { booked: 1 } },
+      { upsert: true }
+    );
+    return order;
+  };
+
+  beforeEach(async () => {
+    mock.method(console, "log", () => {});
+    await Promise.all(
+      [Product, Order, OrderItem, DeliverySlot, SlotBooking].map((model) => model.deleteMany({}))
+    );
+    product = await Product.create({
+      productName: "Wild Honey",
+      category: new mongoose.Types.ObjectId(),
+      price: 100,
+      unit: "jar",
+      images: ["honey.jpg"],
+      totalUnits: 10,
+      remainingUnits: 10,
+    });
+    slot = await DeliverySlot.create({
+      label: "Morning",
+      startTime: "09:00",
+      endTime: "12:00",
+      capacity: 5,
+    });
+  });
+
+  it("cancels an abandoned order and gives back its stock and slot place", async () => {
+    const order = await placeOrder(UNPAID_ORDER_TIMEOUT_MS + 60000);
+
+    assert.equal(await expireUnpaidOrders(), 1);
+
+    const saved = await Order.findById(order._id).lean();
+    assert.equal(saved.status, "Cancelled");
+    assert.equal(saved.statusHistory.at(-1).note, "Payment was not completed in time");
+    assert.equal((await Product.findById(product._id).lean()).remainingUnits, 10);
+    assert.equal((await SlotBooking.findOne({ slot: slot._id }).lean()).booked, 0);
+  });
+
+  it("leaves paid orders and orders still within the timeout alone", async () => {
+    const recent = await placeOrder(60000);
+    const paid = await placeOrder(UNPAID_ORDER_TIMEOUT_MS + 60000, "Paid");
+
+    assert.equal(await expireUnpaidOrders(), 0);
+
+    assert.equal((await Order.findById(recent._id).lean()).status, "Pending");
+    assert.equal((await Order.findById(paid._id).lean()).status, "Pending");
+    assert.equal((await Product.findById(product._id).lean()).remainingUnits, 8);
+  });
+});
@@ -0,0 +1,27 @@
+// One line for the rider and the emails, e.g.
+// "Near Bus Park, Main Road, Ward 3, Kushma, Parbat"
+const formatAddress = (address) =>
+  [
+    address.landmark && `Near ${address.landmark}`,
+    address.street,
+    address.ward && `Ward ${address.ward}`,
+    address.municipality,
+    address.district,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+// Copy stored on the order so editing or deleting the saved address
+// later doesn't change where a past order went
+const addressSnapshot = (address) => ({
+  addressId: address._id,
+  label: address.label,
+  phone: address.phone,
+  ward: address.ward,
+  municipality: address.municipality,
+  district: address.district,
+  street: address.street,
+  landmark: address.landmark,
+});
+
+module.exports = { formatAddress, addressSnapshot };
@@ -0,0 +1,204 @@
+// Sales analytics for the admin dashboard: revenue and orders over time,
+// top sellers, new vs returning customers and cancellations. Periods are
+// store-time days, weeks (from Monday) or months, keyed by the store date
+// they start on; periods without orders are included with zeros so charts
+// have no gaps. Revenue is what orders were paid or billed less refunds;
+// cancelled orders don't count.
+const Order = require("../model/order.model");
+const { round2 } = require("./pricing");
+const { BILLABLE_ITEM_STATUSES } = require("./orderTotals");
+const { STORE_TIMEZONE, storeClock, startOfStoreDay, addDays } = require("./delivery");
+
+const GRANULARITIES = ["day", "week", "month"];
+const TOP_LIMIT = 10;
+
+const orderRevenue = {
+  $subtract: [
+    { $ifNull: ["$paidAmount", "$totalAmount"] },
+    { $ifNull: ["$refundedAmount", 0] },
+  ],
+};
+
+const periodOf = (field, granularity) => ({
+  $dateTrunc: { date: field, unit: granularity, timezone: STORE_TIMEZONE, startOfWeek: "monday" },
+});
+
+// The store date the period containing date starts on
+const periodStart = (date, granularity) => {
+  if (granularity === "month") return `${date.slice(0, 7)}-01`;
+  if (granularity === "week") {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay(); // 0 is Sunday
+    return addDays(date, -((weekday + 6) % 7));
+  }
+  return date;
+};
+
+const nextPeriod = (start, granularity) => {
+  if (granularity === "day") return addDays(start, 1);
+  if (granularity === "week") return addDays(start, 7);
+  const [year, month] = start.split("-").map(Number);
+  return month === 12
+    ? `${year + 1}-01-01`
+    : `${year}-${String(month + 1).padStart(2, "0")}-01`;
+};
+
+const periodsBetween = (from, to, granularity) => {
+  const periods = [];
+  for (let start = periodStart(from, granularity); start <= to; start = nextPeriod(start, granularity)) {
+    periods.push(start);
+  }
+  return periods;
+};
+
+const toDate = (date) => storeClock(date).date;
+
+// Best sellers by item sales (before coupons), per product or per category
+const topSellers = (match, groupBy) =>
+  Order.aggregate([
+    { $match: { ...match, status: { $ne: "Cancelled" } } },
+    { $lookup: { from: "orderitems", localField: "orderItems", foreignField: "_id", as: "item" } },
+    { $unwind: "$item" },
+    { $match: { "item.status": { $in: BILLABLE_ITEM_STATUSES } } },
+    {
+      $lookup: {
+        from: "products",
+        localField: "item.productId",
+        foreignField: "_id",
+        as: "product",
+        pipeline: [{ $project: { productName: 1, category: 1 } }],
+      },
+    },
+    { $set: { product: { $first: "$product" } } },
+    {
+      $group: {
+        _id: groupBy === "category" ? "$product.category" : "$item.productId",
+        name: { $first: "$product.productName" },
+        unitsSold: { $sum: "$item.quantity" },
+        revenue: { $sum: "$item.totalPrice" },
+      },
+    },
+    { $sort: { revenue: -1 } },
+    { $limit: TOP_LIMIT },
+    ...(groupBy === "category"
+      ? [
+          {
+            $lookup: {
+              from: "categories",
+              localField: "_id",
+              foreignField: "_id",
+              as: "category",
+              pipeline: [{ $project: { categoryName: 1 } }],
+            },
+          },
+          { $set: { name: { $first: "$category.categoryName" } } },
+        ]
+      : []),
+  ]);
+
+// from and to are "YYYY-MM-DD" store dates, both included
+const getSalesAnalytics = async ({ from, to, granularity = "day" }) => {
+  const match = {
+    orderDate: { $gte: startOfStoreDay(from), $lt: startOfStoreDay(addDays(to, 1)) },
+  };
+
+  const [byPeriod, customerPeriods, topProducts, topCategories] = await Promise.all([
+    Order.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: periodOf("$orderDate", granularity),
+          placed: { $sum: 1 },
+          cancelled: { $sum: { $cond: [{ $eq: ["$status", "Cancelled"] }, 1, 0] } },
+          revenue: { $sum: { $cond: [{ $eq: ["$status", "Cancelled"] }, 0, orderRevenue] } },
+        },
+      },
+    ]),
+    // Each customer once per period they ordered in
+    Order.aggregate([
+      { $match: { ...match, status: { $ne: "Cancelled" } } },
+      { $group: { _id: { userId: "$userId", period: periodOf("$orderDate", granularity) } } },
+    ]),
+    topSellers(match, "product"),
+    topSellers(match, "category"),
+  ]);
+
+  // A customer is new in the period of their first order ever, returning after
+  const customerIds = [...new Set(customerPeriods.map((entry) => entry._id.userId.toString()))];
+  const firstOrders = await Order.aggregate([
+    {
+      $match: {
+        userId: { $in: customerPeriods.map((entry) => entry._id.userId) },
+        status: { $ne: "Cancelled" },
+      },
+    },
+    { $group: { _id: "$userId", firstOrderAt: { $min: "$orderDate" } } },
+  ]);
+  const firstOrderAt = new Map(firstOrders.map((entry) => [entry._id.toString(), entry.firstOrderAt]));
+
+  const rows = new Map(
+    periodsBetween(from, to, granularity).map((period) => [
+      period,
+      { period, revenue: 0, orders: 0, cancelled: 0, newCustomers: 0, returningCustomers: 0 },
+    ])
+  );
+  for (const entry of byPeriod) {
+    const row = rows.get(toDate(entry._id));
+    if (!row) continue;
+    row.revenue = entry.revenue;
+    row.orders = entry.placed - entry.cancelled;
+    row.cancelled = entry.cancelled;
+  }
+  for (const { _id } of customerPeriods) {
+    const row = rows.get(toDate(_id.period));
+    if (!row) continue;
+    const first = periodStart(toDate(firstOrderAt.get(_id.userId.toString())), granularity);
+    if (first === row.period) row.newCustomers += 1;
+    else row.returningCustomers += 1;
+  }
+
+  const series = [...rows.values()].map((row) => ({
+    ...row,
+    revenue: round2(row.revenue),
+    averageOrderValue: row.orders ? round2(row.revenue / row.orders) : 0,
+  }));
+
+  const revenue = series.reduce((sum, row) => sum + row.revenue, 0);
+  const orders = series.reduce((sum, row) => sum + row.orders, 0);
+  const cancelled = series.reduce((sum, row) => sum + row.cancelled, 0);
+  const rangeStart = startOfStoreDay(from);
+  const newCustomers = customerIds.filter((id) => firstOrderAt.get(id) >= rangeStart).length;
+
+  return {
+    from,
+    to,
+    granularity,
+    summary: {
+      revenue: round2(revenue),
+      orders,
+      averageOrderValue: orders ? round2(revenue / orders) : 0,
+      cancelledOrders: cancelled,
+      cancellationRate: orders + cancelled ? round2((cancelled / (orders + cancelled)) * 100) : 0,
+      customers: customerIds.length,
+      newCustomers,
+      returningCustomers: customerIds.length - newCustomers,
+    },
+    series,
+    topProducts: topProducts.map((row) => ({
+      productId: row._id,
+      productName: row.name || "Deleted product",
+      unitsSold: row.unitsSold,
+      revenue: round2(row.revenue),
+    })),
+    topCategories: topCategories.map((row) => ({
+      categoryId: row._id ?? null,
+      categoryName: row.name || "Uncategorised",
+      unitsSold: row.unitsSold,
+      revenue: round2(row.revenue),
+    })),
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  getSalesAnalytics,
+};
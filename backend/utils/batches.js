@@ -0,0 +1,228 @@
+// Batch bookkeeping for perishables. Units leave batches earliest expiry
+// first (FEFO); batches without an expiry go last, oldest first. Callers
+// change Product.remainingUnits themselves and call these in the same
+// transaction; writing off expired batches is in utils/stock.js.
+const Batch = require("../model/batch.model");
+const Product = require("../model/productmodel");
+const httpError = require("./httpError");
+const { round2 } = require("./pricing");
+const { startOfStoreDay, addDays } = require("./delivery");
+
+const EXPIRY_WARNING_DAYS = Number(process.env.EXPIRY_WARNING_DAYS) || 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const fefoKey = (batch) => [
+  batch.expiresAt ? new Date(batch.expiresAt).getTime() : Infinity,
+  new Date(batch.receivedAt).getTime(),
+];
+
+// Sort comparator; Mongo would put missing expiry dates first
+const byFefo = (a, b) => {
+  const [aExpiry, aReceived] = fefoKey(a);
+  const [bExpiry, bReceived] = fefoKey(b);
+  return aExpiry - bExpiry || aReceived - bReceived;
+};
+
+// Validate and normalise the batch fields sent with a restock
+const parseBatchInput = (body, now = new Date()) => {
+  const data = {
+    batchCode: body.batchCode?.trim() || undefined,
+    // A bare date is good until the end of that day in the store's timezone,
+    // whatever the server's own timezone is
+    expiresAt: !body.expiresAt
+      ? undefined
+      : /^\d{4}-\d{2}-\d{2}$/.test(body.expiresAt)
+        ? new Date(startOfStoreDay(addDays(body.expiresAt, 1)).getTime() - 1)
+        : new Date(body.expiresAt),
+    costPrice: body.costPrice === undefined || body.costPrice === "" ? undefined : Number(body.costPrice),
+  };
+
+  if (data.expiresAt && Number.isNaN(data.expiresAt.getTime())) {
+    throw httpError("Invalid expiry date");
+  }
+  if (data.expiresAt && data.expiresAt <= now) {
+    throw httpError("The expiry date must be in the future");
+  }
+  if (data.costPrice !== undefined && !(data.costPrice >= 0)) {
+    throw httpError("Cost price must be zero or more");
+  }
+  return data;
+};
+
+const createBatch = async (productId, quantity, details, user, session) => {
+  const [batch] = await Batch.create(
+    [
+      {
+        product: productId,
+        quantity,
+        remaining: quantity,
+        receivedBy: user?._id,
+        ...details,
+      },
+    ],
+    { session }
+  );
+  return batch;
+};
+
+// Take units out of a product's unexpired batches, FEFO. Returns
+// [{ batch, quantity, costPrice }]; any units not covered came from stock
+// outside batches. Call after taking the units off remainingUnits. Throws,
+// aborting the caller's transaction, when the units could only come from
+// expired batches that haven't been written off yet.
+const drawBatches = async (productId, quantity, session, now = new Date()) => {
+  const batches = await Batch.find({
+    product: productId,
+    remaining: { $gt: 0 },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  }).session(session);
+
+  const allocations = [];
+  let left = quantity;
+
+  for (const batch of batches.sort(byFefo)) {
+    if (left === 0) break;
+    const take = Math.min(batch.remaining, left);
+    batch.remaining -= take;
+    await batch.save({ session });
+    allocations.push({ batch: batch._id, quantity: take, costPrice: batch.costPrice });
+    left -= take;
+
+    // A sold-out batch takes its markdown with it
+    if (batch.remaining === 0) {
+      await Product.updateOne(
+        { _id: productId, "activeMarkdown.batch": batch._id },
+        { $unset: { activeMarkdown: "" } },
+        { session }
+      );
+    }
+  }
+
+  // What is left of remainingUnits after this draw must still cover the
+  // expired units, or some of the units drawn were expired ones
+  if (left > 0) {
+    const [product, expired] = await Promise.all([
+      Product.findById(productId).select("productName remainingUnits").session(session).lean(),
+      Batch.find({ product: productId, remaining: { $gt: 0 }, expiresAt: { $lte: now } })
+        .select("remaining")
+        .session(session)
+        .lean(),
+    ]);
+    const expiredUnits = expired.reduce((sum, batch) => sum + batch.remaining, 0);
+    if (product && product.remainingUnits < expiredUnits) {
+      throw httpError(`Not enough unexpired stock of ${product.productName}`);
+    }
+  }
+
+  return allocations;
+};
+
+// What the units drawn for a sale cost: each batch's own cost, with
+// fallbackCost (the product's cost price) for batches without one and for
+// units from outside batches. Undefined if any unit's cost is unknown.
+const saleCost = (allocations, quantity, fallbackCost) => {
+  let total = 0;
+  let covered = 0;
+
+  for (const allocation of allocations) {
+    const cost = allocation.costPrice ?? fallbackCost;
+    if (cost == null) return undefined;
+    total += cost * allocation.quantity;
+    covered += allocation.quantity;
+  }
+  if (covered < quantity) {
+    if (fallbackCost == null) return undefined;
+    total += fallbackCost * (quantity - covered);
+  }
+  return round2(total);
+};
+
+// Put cancelled or returned units back into the batches they came from.
+// A batch that expired meanwhile is written off again on the next check.
+const returnToBatches = async (allocations = [], session) => {
+  for (const allocation of allocations) {
+    await Batch.updateOne(
+      { _id: allocation.batch },
+      { $inc: { remaining: allocation.quantity } },
+      { session }
+    );
+  }
+};
+
+// Batches with stock left that expire within the given days, soonest first,
+// including expired ones not yet written off
+const getExpiringBatches = (days = EXPIRY_WARNING_DAYS, now = new Date()) =>
+  Batch.find({
+    remaining: { $gt: 0 },
+    expiresAt: { $lte: new Date(now.getTime() + days * DAY_MS) },
+  })
+    .sort({ expiresAt: 1 })
+    .populate("product", "productName unit price expiryMarkdown activeMarkdown")
+    .lean();
+
+// Start or stop each product's expiry markdown: it runs while the product's
+// next batch to sell expires within EXPIRY_WARNING_DAYS
+const refreshMarkdowns = async (now = new Date()) => {
+  const expiringSoon = await Batch.aggregate([
+    {
+      $match: {
+        remaining: { $gt: 0 },
+        expiresAt: { $gt: now, $lte: new Date(now.getTime() + EXPIRY_WARNING_DAYS * DAY_MS) },
+      },
+    },
+    { $sort: { expiresAt: 1, receivedAt: 1 } },
+    { $group: { _id: "$product", batch: { $first: "$_id" }, expiresAt: { $first: "$expiresAt" } } },
+  ]);
+  const soonByProduct = new Map(expiringSoon.map((entry) => [entry._id.toString(), entry]));
+
+  const products = await Product.find({
+    $or: [{ expiryMarkdown: { $gt: 0 } }, { "activeMarkdown.batch": { $exists: true } }],
+  })
+    .select("expiryMarkdown activeMarkdown")
+    .lean();
+
+  const updates = [];
+  for (const product of products) {
+    const soon = product.expiryMarkdown > 0 && soonByProduct.get(product._id.toString());
+    const current = product.activeMarkdown;
+
+    if (soon) {
+      const unchanged =
+        current?.batch?.equals(soon.batch) && current.percent === product.expiryMarkdown;
+      if (!unchanged) {
+        updates.push({
+          updateOne: {
+            filter: { _id: product._id },
+            update: {
+              $set: {
+                activeMarkdown: {
+                  percent: product.expiryMarkdown,
+                  batch: soon.batch,
+                  endsAt: soon.expiresAt,
+                },
+              },
+            },
+          },
+        });
+      }
+    } else if (current?.batch) {
+      updates.push({
+        updateOne: { filter: { _id: product._id }, update: { $unset: { activeMarkdown: "" } } },
+      });
+    }
+  }
+
+  if (updates.length) await Product.bulkWrite(updates);
+};
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  byFefo,
+  parseBatchInput,
+  createBatch,
+  drawBatches,
+  saleCost,
+  returnToBatches,
+  getExpiringBatches,
+  refreshMarkdowns,
+};
@@ -0,0 +1,123 @@
+// Coupon checks and redemption. The discount itself is worked out in
+// utils/pricing.js so the quote and the placed order always agree.
+const mongoose = require("mongoose");
+const Coupon = require("../model/coupon.model");
+const httpError = require("./httpError");
+const { round2, couponEligibleLines, couponDiscount } = require("./pricing");
+
+const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+// What the coupon's minimum order value is checked against
+const eligibleSubtotal = (coupon, lines) =>
+  round2(couponEligibleLines(coupon, lines).reduce((sum, line) => sum + line.lineTotal, 0));
+
+const redemptionsBy = (coupon, userId) =>
+  coupon.redemptions.filter((entry) => entry.userId.equals(userId)).length;
+
+// Look up a code and check it against the shopper and their priced lines.
+// Returns { coupon, discount } for summarizeQuote, or throws a 400 saying
+// why the code can't be used.
+const applyCoupon = async (code, userId, lines, session) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).session(session);
+  if (!coupon || !coupon.isActive) {
+    throw httpError("This coupon code is not valid");
+  }
+
+  const now = new Date();
+  if (coupon.validFrom && now < coupon.validFrom) {
+    throw httpError("This coupon is not active yet");
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    throw httpError("This coupon has expired");
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw httpError("This coupon has reached its usage limit");
+  }
+  if (redemptionsBy(coupon, userId) >= coupon.perUserLimit) {
+    throw httpError("You have already used this coupon");
+  }
+
+  if (couponEligibleLines(coupon, lines).length === 0) {
+    throw httpError("This coupon doesn't apply to any item in your order");
+  }
+  const subtotal = eligibleSubtotal(coupon, lines);
+  if (subtotal < coupon.minOrderValue) {
+    throw httpError(
+      `Add Rs. ${round2(coupon.minOrderValue - subtotal).toFixed(2)} more of eligible items to use this coupon`
+    );
+  }
+
+  return {
+    coupon,
+    discount: couponDiscount(coupon, lines),
+  };
+};
+
+// Record a redemption against the coupon's limits in a single update, so two
+// orders racing for the last use can't both get it. Call inside the order's
+// transaction.
+const redeemCoupon = async (coupon, { userId, orderId, discount }, session) => {
+  const user = new mongoose.Types.ObjectId(String(userId));
+
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $expr: {
+        $and: [
+          {
+            $lt: [
+              "$usedCount",
+              { $ifNull: ["$usageLimit", Number.MAX_SAFE_INTEGER] },
+            ],
+          },
+          {
+            $lt: [
+              {
+                $size: {
+                  $filter: {
+                    input: "$redemptions",
+                    cond: { $eq: ["$$this.userId", user] },
+                  },
+                },
+              },
+              { $ifNull: ["$perUserLimit", 1] },
+            ],
+          },
+        ],
+      },
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { userId: user, orderId, discount } },
+    },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw httpError("This coupon has just reached its usage limit", 409);
+  }
+  return updated;
+};
+
+// Give the use back when an order is cancelled
+const releaseCoupon = async (order, session) => {
+  if (!order.coupon) return;
+
+  await Coupon.updateOne(
+    { _id: order.coupon, "redemptions.orderId": order._id },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { orderId: order._id } },
+    },
+    { session }
+  );
+};
+
+module.exports = {
+  normalizeCode,
+  eligibleSubtotal,
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
@@ -0,0 +1,162 @@
+// Delivery zones and time slots: what a shopper can book, and booking it.
+// Slot times and dates are in the store's time zone (Kushma, Parbat).
+const DeliveryZone = require("../model/deliveryzone.model");
+const DeliverySlot = require("../model/deliveryslot.model");
+const SlotBooking = require("../model/slotbooking.model");
+const httpError = require("./httpError");
+
+const STORE_TIMEZONE = process.env.STORE_TIMEZONE || "Asia/Kathmandu";
+const BOOKING_DAYS = 3; // Today and the next two days
+const LEAD_MINUTES = 60; // A slot closes this long before it starts
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Today's date and the minutes since midnight in the store's time zone
+const storeClock = (now = new Date()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: STORE_TIMEZONE,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((part) => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+// The instant a "YYYY-MM-DD" store date begins
+const startOfStoreDay = (date) => {
+  const utcMidnight = new Date(`${date}T00:00:00Z`);
+  const clock = storeClock(utcMidnight);
+  const offsetMs =
+    new Date(`${clock.date}T00:00:00Z`).getTime() + clock.minutes * 60000 - utcMidnight.getTime();
+  return new Date(utcMidnight.getTime() - offsetMs);
+};
+
+const addDays = (date, days) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+};
+
+const bookingDates = (clock) =>
+  Array.from({ length: BOOKING_DAYS }, (_, i) => addDays(clock.date, i));
+
+// Whether a slot can still be booked for a date
+const isBookable = (slot, date, clock) =>
+  bookingDates(clock).includes(date) &&
+  (date > clock.date || toMinutes(slot.startTime) - LEAD_MINUTES >= clock.minutes);
+
+// Active zones and, for each bookable day, the slots with their free places
+const getDeliveryOptions = async (now = new Date()) => {
+  const clock = storeClock(now);
+  const dates = bookingDates(clock);
+
+  const [zones, slots] = await Promise.all([
+    DeliveryZone.find({ isActive: true }).sort({ name: 1 }).lean(),
+    DeliverySlot.find({ isActive: true }).sort({ startTime: 1 }).lean(),
+  ]);
+  const bookings = await SlotBooking.find({
+    slot: { $in: slots.map((slot) => slot._id) },
+    date: { $in: dates },
+  }).lean();
+
+  const bookedCount = (slot, date) =>
+    bookings.find((b) => b.slot.equals(slot._id) && b.date === date)?.booked || 0;
+
+  return {
+    zones,
+    days: dates.map((date) => ({
+      date,
+      slots: slots
+        .filter((slot) => isBookable(slot, date, clock))
+        .map((slot) => ({
+          slotId: slot._id,
+          label: slot.label,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          remaining: Math.max(0, slot.capacity - bookedCount(slot, date)),
+        })),
+    })),
+  };
+};
+
+const findActiveZone = async (zoneId, session = null) => {
+  const zone = await DeliveryZone.findOne({ _id: zoneId, isActive: true }).session(session);
+  if (!zone) throw httpError("Please choose a delivery area we serve");
+  return zone;
+};
+
+// Check the shopper's zone and slot choice for an order
+const resolveDelivery = async ({ zoneId, slotId, slotDate }, session) => {
+  if (!zoneId || !slotId || !slotDate) {
+    throw httpError("Please choose a delivery area and time slot");
+  }
+
+  const zone = await findActiveZone(zoneId, session);
+  const slot = await DeliverySlot.findOne({ _id: slotId, isActive: true }).session(session);
+  if (!slot || !isBookable(slot, slotDate, storeClock())) {
+    throw httpError("That delivery slot is no longer available. Please pick another.");
+  }
+
+  return { zone, slot };
+};
+
+// Take a place in the slot for the day. The counter is created on first use;
+// the guarded $inc only matches while places are left, so concurrent orders
+// can't overbook it. Call inside the order's transaction.
+const reserveSlot = async (slot, date, session) => {
+  await SlotBooking.updateOne(
+    { slot: slot._id, date },
+    { $setOnInsert: { booked: 0 } },
+    { upsert: true, session }
+  );
+
+  const booking = await SlotBooking.findOneAndUpdate(
+    { slot: slot._id, date, booked: { $lt: slot.capacity } },
+    { $inc: { booked: 1 } },
+    { new: true, session }
+  );
+  if (!booking) {
+    throw httpError("This delivery slot is full. Please pick another.", 409);
+  }
+};
+
+// Free the order's place when it is cancelled
+const releaseSlot = async (order, session) => {
+  if (!order.deliverySlot?.slotId) return;
+
+  await SlotBooking.updateOne(
+    { slot: order.deliverySlot.slotId, date: order.deliverySlot.date, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { session }
+  );
+};
+
+module.exports = {
+  STORE_TIMEZONE,
+  TIME_PATTERN,
+  toMinutes,
+  storeClock,
+  startOfStoreDay,
+  addDays,
+  getDeliveryOptions,
+  findActiveZone,
+  resolveDelivery,
+  reserveSlot,
+  releaseSlot,
+};
@@ -0,0 +1,333 @@
+// Order emails. Every template returns { subject, text, html } so clients
+// that cannot render HTML still get a readable plain-text version.
+
+const STORE_NAME = process.env.STORE_NAME || "Grocery Store";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatMoney = (amount) => `NPR ${Number(amount || 0).toFixed(2)}`;
+
+const shortId = (order) => String(order._id).slice(-8).toUpperCase();
+
+// Shared HTML frame around every message body
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f9fafb;font-family:Arial,sans-serif;color:#111827;">
+    <div style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+      <h2 style="color:#15803d;margin-top:0;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="margin-top:32px;font-size:12px;color:#6b7280;">${escapeHtml(STORE_NAME)}</p>
+    </div>
+  </body>
+</html>`;
+
+const itemRows = (items) =>
+  items
+    .map(
+      (item) => `
+        <tr>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;">${escapeHtml(item.productName)}</td>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;text-align:center;">${item.quantity}</td>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;text-align:right;">${formatMoney(item.price)}</td>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;text-align:right;">${formatMoney(item.totalPrice)}</td>
+        </tr>`
+    )
+    .join("");
+
+const totalRow = (label, amount, bold = false) => `
+        <tr>
+          <td colspan="3" style="padding:8px;text-align:right;${bold ? "font-weight:bold;" : ""}">${label}</td>
+          <td style="padding:8px;text-align:right;${bold ? "font-weight:bold;" : ""}">${formatMoney(amount)}</td>
+        </tr>`;
+
+// e.g. "2026-05-04, Morning (09:00-12:00), Kushma Bazaar"
+const deliverySlotText = ({ deliverySlot, deliveryZone }) =>
+  [
+    deliverySlot.date,
+    `${deliverySlot.label} (${deliverySlot.startTime}-${deliverySlot.endTime})`,
+    deliveryZone?.name,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+// items: [{ productName, quantity, price, totalPrice }]
+const orderConfirmation = ({ customerName, order, items }) => {
+  const subject = `Order #${shortId(order)} confirmed`;
+
+  const text = [
+    `Hi ${customerName},`,
+    "",
+    `Thanks for your order! We have received order #${shortId(order)} and will let you know when it ships.`,
+    "",
+    ...items.map(
+      (item) =>
+        `- ${item.productName} x ${item.quantity} @ ${formatMoney(item.price)} = ${formatMoney(item.totalPrice)}`
+    ),
+    "",
+    `Subtotal: ${formatMoney(order.subtotal)}`,
+    ...(order.couponDiscount > 0
+      ? [`Coupon ${order.couponCode}: -${formatMoney(order.couponDiscount)}`]
+      : []),
+    `Delivery: ${formatMoney(order.deliveryFee)}`,
+    `Total: ${formatMoney(order.totalAmount)}`,
+    "",
+    `Payment method: ${order.paymentMethod}`,
+    `Delivery address: ${order.address}`,
+    ...(order.deliverySlot?.date ? [`Delivery slot: ${deliverySlotText(order)}`] : []),
+  ].join("\n");
+
+  const html = layout(
+    "Thanks for your order!",
+    `
+      <p>Hi ${escapeHtml(customerName)},</p>
+      <p>We have received order <strong>#${shortId(order)}</strong> and will let you know when it ships.</p>
+      <table style="width:100%;border-collapse:collapse;font-size:14px;">
+        <thead>
+          <tr style="background:#f3f4f6;">
+            <th style="padding:8px;text-align:left;">Item</th>
+            <th style="padding:8px;text-align:center;">Qty</th>
+            <th style="padding:8px;text-align:right;">Price</th>
+            <th style="padding:8px;text-align:right;">Total</th>
+          </tr>
+        </thead>
+        <tbody>${itemRows(items)}
+        </tbody>
+        <tfoot>${totalRow("Subtotal", order.subtotal)}${
+          order.couponDiscount > 0
+            ? totalRow(`Coupon ${escapeHtml(order.couponCode)}`, -order.couponDiscount)
+            : ""
+        }${totalRow("Delivery", order.deliveryFee)}${totalRow("Total", order.totalAmount, true)}
+        </tfoot>
+      </table>
+      <p>Payment method: ${escapeHtml(order.paymentMethod)}<br/>
+      Delivery address: ${escapeHtml(order.address)}${
+        order.deliverySlot?.date
+          ? `<br/>Delivery slot: ${escapeHtml(deliverySlotText(order))}`
+          : ""
+      }</p>`
+  );
+
+  return { subject, text, html };
+};
+
+// Wording for each status a customer is notified about
+const STATUS_MESSAGES = {
+  Processing: {
+    subject: "is being prepared",
+    message: "We are packing your items now.",
+  },
+  Shipped: {
+    subject: "is on its way",
+    message: "Your order has left our store and is on its way to you.",
+  },
+  Delivered: {
+    subject: "has been delivered",
+    message: "Your order has been delivered. Enjoy, and thanks for shopping with us!",
+  },
+  Cancelled: {
+    subject: "has been cancelled",
+    message:
+      "Your order has been cancelled. If you already paid, we will be in touch about your refund.",
+  },
+};
+
+const orderStatusChanged = ({ customerName, order, status, note }) => {
+  const copy = STATUS_MESSAGES[status];
+  if (!copy) return null;
+
+  const subject = `Order #${shortId(order)} ${copy.subject}`;
+
+  const text = [
+    `Hi ${customerName},`,
+    "",
+    copy.message,
+    ...(note ? ["", `Note: ${note}`] : []),
+    // Cancelled orders no longer have a billed total
+    ...(status !== "Cancelled"
+      ? ["", `Order total: ${formatMoney(order.totalAmount)}`]
+      : []),
+  ].join("\n");
+
+  const html = layout(
+    `Order #${shortId(order)} ${copy.subject}`,
+    `
+      <p>Hi ${escapeHtml(customerName)},</p>
+      <p>${escapeHtml(copy.message)}</p>
+      ${note ? `<p><strong>Note:</strong> ${escapeHtml(note)}</p>` : ""}
+      ${
+        status !== "Cancelled"
+          ? `<p>Order total: <strong>${formatMoney(order.totalAmount)}</strong></p>`
+          : ""
+      }`
+  );
+
+  return { subject, text, html };
+};
+
+const paymentReviewed = ({ customerName, order }) => {
+  const approved = order.paymentStatus === "Paid";
+  const note = order.paymentVerification?.note;
+  const subject = approved
+    ? `Payment received for order #${shortId(order)}`
+    : `We could not verify your payment for order #${shortId(order)}`;
+  const message = approved
+    ? `We have confirmed your QR payment of ${formatMoney(order.totalAmount)}.`
+    : "We could not confirm your QR payment. Please check the details and submit your payment screenshot or transaction reference again from My Orders.";
+
+  const text = [
+    `Hi ${customerName},`,
+    "",
+    message,
+    ...(note ? ["", `Note: ${note}`] : []),
+  ].join("\n");
+
+  const html = layout(
+    subject,
+    `
+      <p>Hi ${escapeHtml(customerName)},</p>
+      <p>${escapeHtml(message)}</p>
+      ${note ? `<p><strong>Note:</strong> ${escapeHtml(note)}</p>` : ""}`
+  );
+
+  return { subject, text, html };
+};
+
+// Admin digest. outOfStock and lowStock are rows from utils/lowStock.js
+const lowStockDigest = ({ date, outOfStock, lowStock }) => {
+  const subject = `Stock alert ${date}: ${outOfStock.length} out of stock, ${lowStock.length} running low`;
+  const line = (item) =>
+    `- ${item.productName}: ${item.remainingUnits} ${item.unit} left (reorder at ${item.reorderThreshold}, suggest ${item.suggestedQuantity})`;
+
+  const text = [
+    "Out of stock:",
+    ...(outOfStock.length ? outOfStock.map(line) : ["- None"]),
+    "",
+    "Running low:",
+    ...(lowStock.length ? lowStock.map(line) : ["- None"]),
+    "",
+    "Download the reorder list from the admin dashboard.",
+  ].join("\n");
+
+  const rows = (items) =>
+    items
+      .map(
+        (item) => `
+        <tr>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;">${escapeHtml(item.productName)}</td>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;text-align:right;">${item.remainingUnits} ${escapeHtml(item.unit)}</td>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;text-align:right;">${item.reorderThreshold}</td>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;text-align:right;">${item.suggestedQuantity}</td>
+        </tr>`
+      )
+      .join("");
+
+  const table = (title, items) =>
+    items.length
+      ? `
+      <h3>${escapeHtml(title)}</h3>
+      <table style="width:100%;border-collapse:collapse;font-size:14px;">
+        <thead>
+          <tr style="background:#f3f4f6;">
+            <th style="padding:8px;text-align:left;">Product</th>
+            <th style="padding:8px;text-align:right;">Left</th>
+            <th style="padding:8px;text-align:right;">Reorder At</th>
+            <th style="padding:8px;text-align:right;">Suggested Order</th>
+          </tr>
+        </thead>
+        <tbody>${rows(items)}
+        </tbody>
+      </table>`
+      : "";
+
+  const html = layout(
+    "Stock alert",
+    `
+      <p>${outOfStock.length} product(s) are out of stock and ${lowStock.length} are running low.</p>
+      ${table("Out of stock", outOfStock)}
+      ${table("Running low", lowStock)}
+      <p>Download the reorder list from the admin dashboard.</p>`
+  );
+
+  return { subject, text, html };
+};
+
+// Sent to the supplier. lines are the purchase order's lines; the expected
+// cost is what we agreed, the supplier's invoice can still differ.
+const purchaseOrderEmail = ({ purchaseOrder, supplier }) => {
+  const subject = `Purchase order ${purchaseOrder.poNumber} from ${STORE_NAME}`;
+  const total = purchaseOrder.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+  const expected = purchaseOrder.expectedAt
+    ? new Date(purchaseOrder.expectedAt).toISOString().slice(0, 10)
+    : null;
+
+  const text = [
+    `Hi ${supplier.contactName || supplier.name},`,
+    "",
+    `Please supply the following for purchase order ${purchaseOrder.poNumber}:`,
+    "",
+    ...purchaseOrder.lines.map(
+      (line) =>
+        `- ${line.productName} x ${line.quantity} ${line.unit || ""} @ ${formatMoney(line.unitCost)} = ${formatMoney(line.quantity * line.unitCost)}`
+    ),
+    "",
+    `Total: ${formatMoney(total)}`,
+    ...(expected ? [`Needed by: ${expected}`] : []),
+    ...(purchaseOrder.notes ? ["", `Notes: ${purchaseOrder.notes}`] : []),
+    "",
+    `Please quote ${purchaseOrder.poNumber} on your invoice. A copy of the order is attached as a PDF.`,
+  ].join("\n");
+
+  const rows = purchaseOrder.lines
+    .map(
+      (line) => `
+        <tr>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;">${escapeHtml(line.productName)}</td>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;text-align:center;">${line.quantity} ${escapeHtml(line.unit)}</td>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;text-align:right;">${formatMoney(line.unitCost)}</td>
+          <td style="padding:8px;border-bottom:1px solid #e5e7eb;text-align:right;">${formatMoney(line.quantity * line.unitCost)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const html = layout(
+    `Purchase order ${purchaseOrder.poNumber}`,
+    `
+      <p>Hi ${escapeHtml(supplier.contactName || supplier.name)},</p>
+      <p>Please supply the following:</p>
+      <table style="width:100%;border-collapse:collapse;font-size:14px;">
+        <thead>
+          <tr style="background:#f3f4f6;">
+            <th style="padding:8px;text-align:left;">Item</th>
+            <th style="padding:8px;text-align:center;">Qty</th>
+            <th style="padding:8px;text-align:right;">Unit Cost</th>
+            <th style="padding:8px;text-align:right;">Total</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+        <tfoot>${totalRow("Total", total, true)}
+        </tfoot>
+      </table>
+      ${expected ? `<p>Needed by: <strong>${expected}</strong></p>` : ""}
+      ${purchaseOrder.notes ? `<p><strong>Notes:</strong> ${escapeHtml(purchaseOrder.notes)}</p>` : ""}
+      <p>Please quote <strong>${escapeHtml(purchaseOrder.poNumber)}</strong> on your invoice. A copy of the order is attached as a PDF.</p>`
+  );
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  STORE_NAME,
+  formatMoney,
+  orderConfirmation,
+  orderStatusChanged,
+  paymentReviewed,
+  lowStockDigest,
+  purchaseOrderEmail,
+};
@@ -0,0 +1,10 @@
+// Error carrying an HTTP status (and optional response fields), thrown from
+// inside transactions or helpers so the controller can answer the client
+const httpError = (message, status = 400, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.extra = extra;
+  return error;
+};
+
+module.exports = httpError;
@@ -0,0 +1,95 @@
+// Query-param filters shared by the admin list views and their exports, so
+// an export holds exactly what the list shows. Each returns { error } for a
+// bad parameter.
+const mongoose = require("mongoose");
+const { startOfStoreDay, addDays } = require("./delivery");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Delivery filters for the rider's run sheet, plus ?from= and ?to= store
+// dates (both included) on when the order was placed
+const buildOrderFilter = (query) => {
+  const { slotDate, slotId, zoneId, from, to } = query;
+  if ([slotId, zoneId].some((id) => id && !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: "Invalid slot or zone" };
+  }
+  if ([from, to].some((date) => date && !DATE_PATTERN.test(date))) {
+    return { error: "from and to must be dates (YYYY-MM-DD)" };
+  }
+  if (from && to && from > to) return { error: "from must not be after to" };
+
+  const filter = {};
+  if (slotDate) filter["deliverySlot.date"] = slotDate;
+  if (slotId) filter["deliverySlot.slotId"] = slotId;
+  if (zoneId) filter["deliveryZone.zoneId"] = zoneId;
+  if (from || to) {
+    filter.orderDate = {};
+    if (from) filter.orderDate.$gte = startOfStoreDay(from);
+    if (to) filter.orderDate.$lt = startOfStoreDay(addDays(to, 1));
+  }
+  return { filter };
+};
+
+// Turn catalogue query params into one $match fragment per filter, so each
+// facet can be counted with every filter except its own
+const buildCatalogueFilters = (query) => {
+  const filters = {};
+
+  if (query.category) {
+    const ids = String(query.category).split(",").filter(Boolean);
+    if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: "Invalid category id" };
+    }
+    filters.category = {
+      category: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+    };
+  }
+
+  const price = {};
+  if (query.minPrice !== undefined && query.minPrice !== "") {
+    price.$gte = Number(query.minPrice);
+  }
+  if (query.maxPrice !== undefined && query.maxPrice !== "") {
+    price.$lte = Number(query.maxPrice);
+  }
+  if (Object.values(price).some((value) => Number.isNaN(value))) {
+    return { error: "minPrice and maxPrice must be numbers" };
+  }
+  if (Object.keys(price).length) filters.price = { sellingPrice: price };
+
+  if (query.inStock === "true") {
+    filters.inStock = { remainingUnits: { $gt: 0 } };
+  }
+  if (query.discounted === "true") {
+    filters.discounted = { $expr: { $lt: ["$sellingPrice", "$price"] } };
+  }
+
+  return { filters };
+};
+
+const matchExcept = (filters, ...excluded) =>
+  Object.entries(filters).reduce(
+    (match, [key, fragment]) =>
+      excluded.includes(key) ? match : { ...match, ...fragment },
+    {}
+  );
+
+// The price and discounted filters compare the computed sellingPrice, so they
+// can only run after it is added; the rest are matched first, on stored
+// fields where indexes apply
+const PRICED_FILTERS = ["price", "discounted"];
+
+const splitPriceMatch = (filters) => ({
+  before: matchExcept(filters, ...PRICED_FILTERS),
+  after: matchExcept(
+    filters,
+    ...Object.keys(filters).filter((key) => !PRICED_FILTERS.includes(key))
+  ),
+});
+
+module.exports = {
+  buildOrderFilter,
+  buildCatalogueFilters,
+  matchExcept,
+  splitPriceMatch,
+};
@@ -0,0 +1,133 @@
+// Low-stock alerts: which products are at or below their reorder threshold,
+// the daily digest email to admins and the reorder list for suppliers.
+const Product = require("../model/productmodel");
+const User = require("../model/usermodel");
+const { enqueueMail } = require("./mailQueue");
+const { lowStockDigest } = require("./emailTemplates");
+const { storeClock } = require("./delivery");
+
+// A setting from the environment, or the default when it is unset or not a
+// number. 0 is a real value (midnight, or never warn before running out);
+// a number out of range stops the server rather than being guessed at.
+const settingFromEnv = (name, fallback, { min, max = Infinity, integer = false }) => {
+  const raw = process.env[name];
+  const value = raw === undefined || raw.trim() === "" ? NaN : Number(raw);
+  if (Number.isNaN(value)) return fallback;
+
+  if (value < min || value > max || (integer && !Number.isInteger(value))) {
+    const range = max === Infinity ? `${min} or more` : `from ${min} to ${max}`;
+    throw new Error(`${name} must be ${integer ? "a whole number" : "a number"} ${range}`);
+  }
+  return value;
+};
+
+// Used for products without their own threshold
+const DEFAULT_REORDER_THRESHOLD = settingFromEnv("LOW_STOCK_THRESHOLD", 5, { min: 0 });
+const DIGEST_HOUR = settingFromEnv("LOW_STOCK_DIGEST_HOUR", 7, {
+  min: 0,
+  max: 23,
+  integer: true,
+}); // Store time
+
+// How much to order: the product's usual order size, otherwise enough to
+// get back to twice the threshold
+const suggestedQuantity = (product) =>
+  product.reorderQuantity ||
+  Math.max(product.reorderThreshold * 2 - product.remainingUnits, 1);
+
+// Products at or below their threshold, emptiest first, split into out of
+// stock and running low
+const getLowStock = async () => {
+  const products = await Product.aggregate([
+    {
+      $addFields: {
+        reorderThreshold: { $ifNull: ["$reorderThreshold", DEFAULT_REORDER_THRESHOLD] },
+      },
+    },
+    { $match: { $expr: { $lte: ["$remainingUnits", "$reorderThreshold"] } } },
+    {
+      $project: {
+        productName: 1,
+        categoryName: 1,
+        unit: 1,
+        remainingUnits: 1,
+        reorderThreshold: 1,
+        reorderQuantity: 1,
+      },
+    },
+    { $sort: { remainingUnits: 1, productName: 1 } },
+  ]);
+
+  const rows = products.map((product) => ({
+    ...product,
+    suggestedQuantity: suggestedQuantity(product),
+  }));
+
+  return {
+    outOfStock: rows.filter((row) => row.remainingUnits <= 0),
+    lowStock: rows.filter((row) => row.remainingUnits > 0),
+  };
+};
+
+const REORDER_LIST_HEADERS = [
+  "Product",
+  "Category",
+  "Unit",
+  "In Stock",
+  "Reorder At",
+  "Order Quantity",
+];
+
+// Reorder list for suppliers, one row per product to order
+const reorderListRows = ({ outOfStock, lowStock }) =>
+  [...outOfStock, ...lowStock].map((row) => [
+    row.productName,
+    row.categoryName,
+    row.unit,
+    row.remainingUnits,
+    row.reorderThreshold,
+    row.suggestedQuantity,
+  ]);
+
+// Email every admin the current low-stock list; nothing is sent when all
+// products are above their thresholds
+const sendLowStockDigest = async () => {
+  const report = await getLowStock();
+  if (report.outOfStock.length === 0 && report.lowStock.length === 0) return;
+
+  const admins = await User.find({ role: "Admin" }).select("email").lean();
+  const email = lowStockDigest({ date: storeClock().date, ...report });
+  admins.forEach((admin) => enqueueMail({ to: admin.email, ...email }));
+};
+
+// Send the digest every day at DIGEST_HOUR store time
+const startLowStockDigest = () => {
+  const msUntilNextRun = () => {
+    const minutesLeft = (DIGEST_HOUR * 60 - storeClock().minutes + 24 * 60) % (24 * 60);
+    return (minutesLeft || 24 * 60) * 60 * 1000;
+  };
+
+  const schedule = () => {
+    const timer = setTimeout(async () => {
+      try {
+        await sendLowStockDigest();
+      } catch (error) {
+        console.error("Low-stock digest failed:", error.message);
+      }
+      schedule();
+    }, msUntilNextRun());
+    timer.unref();
+  };
+
+  schedule();
+};
+
+module.exports = {
+  DEFAULT_REORDER_THRESHOLD,
+  DIGEST_HOUR,
+  getLowStock,
+  REORDER_LIST_HEADERS,
+  reorderListRows,
+  sendLowStockDigest,
+  startLowStockDigest,
+};
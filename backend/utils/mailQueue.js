@@ -0,0 +1,61 @@
+// In-process queue for outgoing mail. Requests enqueue and return right away;
+// sending happens in the background and failed sends are retried with
+// exponential backoff, so an SMTP outage never fails an API request.
+// Queued mail lives in memory only and is lost if the server restarts.
+const { sendMail } = require("./mailer");
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 5 * 1000;
+
+const queue = [];
+let processing = false;
+
+const retryLater = (job) => {
+  const delay = BASE_DELAY_MS * 2 ** (job.attempts - 1);
+  const timer = setTimeout(() => {
+    queue.push(job);
+    processQueue();
+  }, delay);
+  // Pending retries should not keep the process alive on shutdown
+  timer.unref();
+};
+
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  while (queue.length > 0) {
+    const job = queue.shift();
+    job.attempts += 1;
+
+    try {
+      await sendMail(job.mailOptions);
+      console.log(`📩 Mail "${job.mailOptions.subject}" sent to:`, job.mailOptions.to);
+    } catch (error) {
+      if (job.attempts < MAX_ATTEMPTS) {
+        console.error(
+          `❌ Mail to ${job.mailOptions.to} failed (attempt ${job.attempts}), retrying:`,
+          error.message
+        );
+        retryLater(job);
+      } else {
+        console.error(
+          `❌ Mail to ${job.mailOptions.to} dropped after ${job.attempts} attempts:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  processing = false;
+};
+
+// Queue a message ({ to, subject, text, html, attachments? }) for background
+// delivery
+const enqueueMail = (mailOptions) => {
+  if (!mailOptions.to) return;
+  queue.push({ mailOptions, attempts: 0 });
+  setImmediate(processQueue);
+};
+
+module.exports = { enqueueMail };
@@ -1,26 +1,68 @@
 const nodemailer = require("nodemailer");
 const dotenv = require("dotenv");
+const fs = require("fs/promises");
+const path = require("path");
 
 dotenv.config();
 
-const transporter = nodemailer.createTransport({
-    service: "gmail",
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-    },
-});
+// MAIL_TRANSPORT picks where mail goes:
+//   gmail (default) - Gmail with EMAIL_USER / EMAIL_PASS
+//   smtp            - any SMTP server, e.g. Mailpit or MailHog on localhost:1025
+//   file            - writes each message as an .eml file to MAIL_OUTBOX_DIR
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "gmail";
+const MAIL_OUTBOX_DIR =
+    process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "mail-outbox");
+const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_USER;
+
+const createTransporter = () => {
+    if (MAIL_TRANSPORT === "file") {
+        return nodemailer.createTransport({ streamTransport: true, buffer: true });
+    }
+
+    if (MAIL_TRANSPORT === "smtp") {
+        return nodemailer.createTransport({
+            host: process.env.MAIL_HOST || "localhost",
+            port: Number(process.env.MAIL_PORT) || 1025,
+            secure: process.env.MAIL_SECURE === "true",
+            auth: process.env.MAIL_USER
+                ? { user: process.env.MAIL_USER, pass: process.env.MAIL_PASS }
+                : undefined,
+        });
+    }
+
+    return nodemailer.createTransport({
+        service: "gmail",
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS,
+        },
+    });
+};
+
+const transporter = createTransporter();
+
+// Send one message, throwing on failure so callers (the mail queue) can retry
+const sendMail = async (mailOptions) => {
+    const info = await transporter.sendMail({ from: MAIL_FROM, ...mailOptions });
+
+    if (MAIL_TRANSPORT === "file") {
+        await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`;
+        await fs.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), info.message);
+    }
+
+    return info;
+};
 
 const sendOTPByEmail = async (email, otp) => {
     const mailOptions = {
-        from: process.env.EMAIL_USER,
         to: email,
         subject: "Your OTP Code",
         text: `Your OTP is ${otp}. It is valid for 10 minutes.`,
     };
 
     try {
-        await transporter.sendMail(mailOptions);
+        await sendMail(mailOptions);
         console.log("📩 OTP Sent to:", email);
     } catch (error) {
         console.error("❌ Error Sending OTP:", error.message);
@@ -28,3 +70,5 @@ const sendOTPByEmail = async (email, otp) => {
 };
 
 module.exports = sendOTPByEmail;
+module.exports.sendOTPByEmail = sendOTPByEmail;
+module.exports.sendMail = sendMail;
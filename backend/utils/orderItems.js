@@ -0,0 +1,150 @@
+// Per-item changes to an order: dropping an item before dispatch, and
+// returning an item after delivery. Each change restocks as needed and
+// recalculates the order's totals in the same transaction.
+const Order = require("../model/order.model");
+const OrderItem = require("../model/orderitem.model");
+const httpError = require("./httpError");
+const { changeStatus, restoreItemStock } = require("./orderStatus");
+const { recalculateTotals } = require("./orderTotals");
+
+// Items can be dropped until the order leaves the store
+const ITEM_CANCELLABLE_ORDER_STATUSES = ["Pending", "Processing"];
+
+const RETURN_WINDOW_DAYS = 7;
+
+const loadItemWithOrder = async (itemId, session) => {
+  const item = await OrderItem.findById(itemId).session(session);
+  if (!item) throw httpError("Order item not found", 404);
+
+  const order = await Order.findById(item.orderId).session(session);
+  if (!order) throw httpError("Order not found", 404);
+
+  return { item, order };
+};
+
+const cancelOrderItem = async (itemId, user, session) => {
+  const { item, order } = await loadItemWithOrder(itemId, session);
+
+  const isOwner = order.userId.equals(user._id);
+  if (!isOwner && user.role !== "Admin") {
+    throw httpError("You are not allowed to change this order", 403);
+  }
+  if (!ITEM_CANCELLABLE_ORDER_STATUSES.includes(order.status)) {
+    throw httpError("Items can only be cancelled before the order is shipped");
+  }
+  if (item.status !== "Active") {
+    throw httpError(`This item is already ${item.status.toLowerCase()}`);
+  }
+
+  await restoreItemStock(item, session, { user: user._id });
+  item.status = "Cancelled";
+  item.cancelledAt = new Date();
+  await item.save({ session });
+
+  // Dropping the last item cancels the whole order
+  const activeItems = await OrderItem.countDocuments({
+    orderId: order._id,
+    status: "Active",
+  }).session(session);
+
+  if (activeItems === 0) {
+    await changeStatus(
+      order,
+      "Cancelled",
+      { changedBy: user._id, note: "All items cancelled" },
+      session
+    );
+  } else {
+    await recalculateTotals(order, session);
+    await order.save({ session });
+  }
+
+  return { order, item };
+};
+
+// When the order was delivered, from its history where available
+const deliveredAt = (order) =>
+  order.statusHistory.find((entry) => entry.status === "Delivered")?.changedAt ||
+  order.updatedAt;
+
+const requestReturn = async (itemId, user, { reason, photo }) => {
+  if (!reason?.trim()) {
+    throw httpError("Please tell us why you are returning this item");
+  }
+
+  const { item, order } = await loadItemWithOrder(itemId);
+
+  if (!order.userId.equals(user._id)) {
+    throw httpError("You are not allowed to change this order", 403);
+  }
+  if (order.status !== "Delivered") {
+    throw httpError("Only delivered items can be returned");
+  }
+  const windowEnds =
+    new Date(deliveredAt(order)).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  if (Date.now() > windowEnds) {
+    throw httpError(`Items can only be returned within ${RETURN_WINDOW_DAYS} days of delivery`);
+  }
+  if (item.status !== "Active") {
+    throw httpError(`This item is already ${item.status.toLowerCase()}`);
+  }
+
+  // A previously rejected request is replaced by the new one
+  item.status = "Return Requested";
+  item.returnRequest = {
+    reason: reason.trim(),
+    photo,
+    requestedAt: new Date(),
+  };
+  await item.save();
+
+  return item;
+};
+
+// Admin decision on a return. Approved items leave the order total; spoiled
+// goods are usually not restocked, so restocking is the admin's call.
+const reviewReturn = async (itemId, reviewer, { approved, note, restock }, session) => {
+  if (typeof approved !== "boolean") {
+    throw httpError("Specify whether the return is approved");
+  }
+  if (!approved && !note?.trim()) {
+    throw httpError("Please give a reason for rejecting the return");
+  }
+
+  const { item, order } = await loadItemWithOrder(itemId, session);
+  if (item.status !== "Return Requested") {
+    throw httpError("This item has no open return request");
+  }
+
+  item.returnRequest.outcome = approved ? "Approved" : "Rejected";
+  item.returnRequest.reviewedBy = reviewer._id;
+  item.returnRequest.reviewedAt = new Date();
+  item.returnRequest.note = note?.trim();
+
+  if (approved) {
+    await restoreItemStock(item, session, {
+      restock: Boolean(restock),
+      type: "Return",
+      user: reviewer._id,
+    });
+    item.status = "Returned";
+    item.returnRequest.restocked = Boolean(restock);
+  } else {
+    item.status = "Active";
+  }
+  await item.save({ session });
+
+  if (approved) {
+    await recalculateTotals(order, session);
+    await order.save({ session });
+  }
+
+  return { order, item };
+};
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  cancelOrderItem,
+  requestReturn,
+  reviewReturn,
+};
@@ -0,0 +1,77 @@
+// Customer emails for order lifecycle events. Call these after the order's
+// transaction has committed; they only queue mail and never throw, so a
+// notification problem can't fail the request that triggered it.
+const Order = require("../model/order.model");
+const OrderItem = require("../model/orderitem.model");
+const { enqueueMail } = require("./mailQueue");
+const {
+  orderConfirmation,
+  orderStatusChanged,
+  paymentReviewed,
+} = require("./emailTemplates");
+
+const loadOrder = (orderId) =>
+  Order.findById(orderId).populate("userId", "name email").lean();
+
+const notifyOrderPlaced = async (orderId) => {
+  try {
+    const order = await loadOrder(orderId);
+    if (!order?.userId?.email) return;
+
+    const orderItems = await OrderItem.find({ orderId })
+      .populate("productId", "productName")
+      .lean();
+    const items = orderItems.map((item) => ({
+      productName: item.productId?.productName || "Product",
+      quantity: item.quantity,
+      price: item.price,
+      totalPrice: item.totalPrice,
+    }));
+
+    enqueueMail({
+      to: order.userId.email,
+      ...orderConfirmation({ customerName: order.userId.name, order, items }),
+    });
+  } catch (error) {
+    console.error("❌ Order confirmation email not queued:", error.message);
+  }
+};
+
+const notifyOrderStatusChanged = async (orderId, status, note) => {
+  try {
+    const order = await loadOrder(orderId);
+    if (!order?.userId?.email) return;
+
+    const email = orderStatusChanged({
+      customerName: order.userId.name,
+      order,
+      status,
+      note,
+    });
+    if (!email) return;
+
+    enqueueMail({ to: order.userId.email, ...email });
+  } catch (error) {
+    console.error("❌ Order status email not queued:", error.message);
+  }
+};
+
+const notifyPaymentReviewed = async (orderId) => {
+  try {
+    const order = await loadOrder(orderId);
+    if (!order?.userId?.email) return;
+
+    enqueueMail({
+      to: order.userId.email,
+      ...paymentReviewed({ customerName: order.userId.name, order }),
+    });
+  } catch (error) {
+    console.error("❌ Payment review email not queued:", error.message);
+  }
+};
+
+module.exports = {
+  notifyOrderPlaced,
+  notifyOrderStatusChanged,
+  notifyPaymentReviewed,
+};
@@ -0,0 +1,110 @@
+const Product = require("../model/productmodel");
+const OrderItem = require("../model/orderitem.model");
+const httpError = require("./httpError");
+const { recalculateTotals } = require("./orderTotals");
+const { releaseCoupon } = require("./coupons");
+const { releaseSlot } = require("./delivery");
+const { recordMovement } = require("./stock");
+const { returnToBatches } = require("./batches");
+
+const ORDER_STATUSES = [
+  "Pending",
+  "Processing",
+  "Shipped",
+  "Delivered",
+  "Cancelled",
+];
+
+// Allowed next statuses for each status. Delivered and Cancelled are final.
+const ORDER_STATUS_TRANSITIONS = {
+  Pending: ["Processing", "Cancelled"],
+  Processing: ["Shipped", "Cancelled"],
+  Shipped: ["Delivered"],
+  Delivered: [],
+  Cancelled: [],
+};
+
+const canTransition = (from, to) =>
+  (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Put a cancelled or restocked item's units back into stock and log it.
+// type is "Cancellation" or "Return"; user is who made the change.
+const restoreItemStock = async (
+  item,
+  session,
+  { restock = true, type = "Cancellation", user } = {}
+) => {
+  const remainingChange = restock ? item.quantity : 0;
+  const product = await Product.findOneAndUpdate(
+    { _id: item.productId },
+    { $inc: { remainingUnits: remainingChange, soldUnits: -item.quantity } },
+    { new: true, session }
+  );
+  // A deleted product has no stock left to restore
+  if (!product) return;
+  if (restock) await returnToBatches(item.batches, session);
+
+  await recordMovement(
+    product,
+    {
+      type,
+      remainingChange,
+      soldChange: -item.quantity,
+      user,
+      order: item.orderId,
+      orderItem: item._id,
+      note: restock ? undefined : "Not restocked",
+    },
+    session
+  );
+};
+
+// Cancel every item still active in the order and restock it. Items already
+// cancelled or returned were restocked when that happened.
+const cancelActiveItems = async (order, changedBy, session) => {
+  const items = await OrderItem.find({
+    orderId: order._id,
+    status: "Active",
+  }).session(session);
+
+  for (const item of items) {
+    await restoreItemStock(item, session, { user: changedBy });
+    item.status = "Cancelled";
+    item.cancelledAt = new Date();
+    await item.save({ session });
+  }
+};
+
+// The only way an order's status should change: checks the transition
+// table, appends to statusHistory and, on cancellation, cancels and restocks
+// the items and gives back any coupon use and delivery slot place.
+// Call inside a transaction so stock and status change together.
+const changeStatus = async (order, status, { changedBy, note }, session) => {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw httpError("Invalid status update");
+  }
+  if (!canTransition(order.status, status)) {
+    throw httpError(`Cannot change order status from ${order.status} to ${status}`);
+  }
+
+  if (status === "Cancelled") {
+    await cancelActiveItems(order, changedBy, session);
+    await recalculateTotals(order, session);
+    await releaseCoupon(order, session);
+    await releaseSlot(order, session);
+  }
+
+  order.status = status;
+  order.statusHistory.push({ status, changedBy, note, changedAt: new Date() });
+  await order.save({ session });
+
+  return order;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  canTransition,
+  restoreItemStock,
+  changeStatus,
+};
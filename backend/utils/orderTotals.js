@@ -0,0 +1,80 @@
+const OrderItem = require("../model/orderitem.model");
+const Product = require("../model/productmodel");
+const Coupon = require("../model/coupon.model");
+const { round2 } = require("./pricing");
+const { eligibleSubtotal, releaseCoupon } = require("./coupons");
+
+// Item states that are still billed to the customer
+const BILLABLE_ITEM_STATUSES = ["Active", "Return Requested"];
+
+// Payment states where the customer's money has been received
+const PAID_STATUSES = ["Paid", "Partially Refunded", "Refunded"];
+
+// What the customer was charged. Orders paid before paidAmount existed
+// fall back to their total.
+const chargedAmount = (order) => order.paidAmount ?? order.totalAmount;
+
+// Whether the items still billed reach the coupon's minimum order value
+const stillMeetsCouponMinimum = async (order, items, session) => {
+  const coupon = await Coupon.findById(order.coupon).session(session);
+  if (!coupon) return true;
+
+  const products = await Product.find({ _id: { $in: items.map((item) => item.productId) } })
+    .select("category")
+    .session(session)
+    .lean();
+  const categoryOf = new Map(products.map((product) => [String(product._id), product.category]));
+  const lines = items.map((item) => ({
+    productId: item.productId,
+    categoryId: categoryOf.get(String(item.productId)),
+    lineTotal: item.totalPrice,
+  }));
+
+  return eligibleSubtotal(coupon, lines) >= coupon.minOrderValue;
+};
+
+// Recompute subtotal, discounts, delivery fee and totalAmount from the items
+// still billed. Call after any item is cancelled or returned, inside the
+// same transaction. Does not save the order. If what is left no longer
+// reaches the coupon's minimum, the discount goes and the coupon use is
+// given back, as when the whole order is cancelled.
+const recalculateTotals = async (order, session) => {
+  // Keep what was paid before the total changes, so refunds stay correct
+  if (PAID_STATUSES.includes(order.paymentStatus) && order.paidAmount == null) {
+    order.paidAmount = order.totalAmount;
+  }
+
+  const items = await OrderItem.find({
+    orderId: order._id,
+    status: { $in: BILLABLE_ITEM_STATUSES },
+  }).session(session);
+
+  order.subtotal = round2(items.reduce((sum, item) => sum + item.totalPrice, 0));
+  order.discountTotal = round2(
+    items.reduce((sum, item) => sum + (item.lineDiscount || 0), 0)
+  );
+  // The coupon discount was fixed when the order was placed; it only shrinks
+  // if the remaining items no longer cover it
+  order.couponDiscount = round2(Math.min(order.couponDiscount || 0, order.subtotal));
+  if (
+    order.coupon &&
+    order.couponDiscount > 0 &&
+    !(await stillMeetsCouponMinimum(order, items, session))
+  ) {
+    order.couponDiscount = 0;
+    await releaseCoupon(order, session);
+  }
+  if (items.length === 0) order.deliveryFee = 0;
+  order.totalAmount = round2(
+    order.subtotal - order.couponDiscount + order.deliveryFee
+  );
+
+  return order;
+};
+
+module.exports = {
+  BILLABLE_ITEM_STATUSES,
+  PAID_STATUSES,
+  chargedAmount,
+  recalculateTotals,
+};
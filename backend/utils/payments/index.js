@@ -0,0 +1,45 @@
+// Registry of online payment providers. Each provider is keyed by the
+// paymentMethod value stored on the order and implements:
+//
+//   createPayment({ order, returnUrl, cancelUrl })
+//     -> { providerPaymentId, approvalUrl, amount, currency }
+//     Starts a payment and returns the page the customer is sent to approve it.
+//
+//   confirmPayment({ order, payment, params })
+//     -> { paid, transactionId, amount, currency }
+//     Asks the provider whether one of the order's payment attempts (the
+//     current paymentGateway or an earlier attempt) went through, completing
+//     it if the provider needs that (e.g. a PayPal capture). params holds the
+//     query string the provider added to the return URL, if any.
+//
+//   parseWebhook(req)
+//     -> { providerPaymentId } or null
+//     Checks the webhook is genuine and says which payment it is about.
+//     Webhook bodies are never trusted for the outcome: the controller always
+//     calls confirmPayment afterwards.
+//
+//   refundPayment({ order, amount, reason })   optional
+//     -> { providerRefundId, status: "Completed" | "Pending" | "Failed" }
+//     Returns money to the customer; amount is in the provider's currency.
+//     Providers without it are refunded by hand (see utils/refunds.js).
+const paypal = require("./paypal");
+const wallet = require("./wallet");
+
+const PROVIDERS = {
+  PayPal: paypal,
+  Wallet: wallet,
+};
+
+const ONLINE_PAYMENT_METHODS = Object.keys(PROVIDERS);
+
+// Payment states an online order can still be paid from. Anything else
+// (Paid, Refunded, ...) means the money has already moved.
+const UNPAID_STATUSES = ["Pending", "Failed"];
+
+const getProvider = (paymentMethod) => PROVIDERS[paymentMethod] || null;
+
+module.exports = {
+  ONLINE_PAYMENT_METHODS,
+  UNPAID_STATUSES,
+  getProvider,
+};
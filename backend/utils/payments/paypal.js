@@ -0,0 +1,158 @@
+// PayPal adapter using the Orders v2 API. PayPal does not settle in NPR, so
+// order totals are converted to PAYPAL_CURRENCY at PAYPAL_EXCHANGE_RATE
+// (NPR per unit of that currency).
+const axios = require("axios");
+const { generateAccessToken, PAYPAL_API } = require("../paypal");
+
+const PAYPAL_CURRENCY = process.env.PAYPAL_CURRENCY || "USD";
+const PAYPAL_EXCHANGE_RATE = Number(process.env.PAYPAL_EXCHANGE_RATE) || 133;
+
+const toPayPalAmount = (nprAmount) =>
+  (nprAmount / PAYPAL_EXCHANGE_RATE).toFixed(2);
+
+const paypalRequest = async (method, path, data) => {
+  const accessToken = await generateAccessToken();
+  const response = await axios({
+    method,
+    url: `${PAYPAL_API}${path}`,
+    data,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json",
+    },
+  });
+  return response.data;
+};
+
+const createPayment = async ({ order, returnUrl, cancelUrl }) => {
+  const amount = toPayPalAmount(order.totalAmount);
+
+  const paypalOrder = await paypalRequest("post", "/v2/checkout/orders", {
+    intent: "CAPTURE",
+    purchase_units: [
+      {
+        reference_id: String(order._id),
+        amount: { currency_code: PAYPAL_CURRENCY, value: amount },
+      },
+    ],
+    application_context: {
+      return_url: returnUrl,
+      cancel_url: cancelUrl,
+      user_action: "PAY_NOW",
+      shipping_preference: "NO_SHIPPING",
+    },
+  });
+
+  const approveLink = paypalOrder.links?.find((link) => link.rel === "approve");
+  if (!approveLink) {
+    throw new Error("PayPal did not return an approval link");
+  }
+
+  return {
+    providerPaymentId: paypalOrder.id,
+    approvalUrl: approveLink.href,
+    amount: Number(amount),
+    currency: PAYPAL_CURRENCY,
+  };
+};
+
+const completedCapture = (paypalOrder) =>
+  paypalOrder.purchase_units?.[0]?.payments?.captures?.find(
+    (capture) => capture.status === "COMPLETED"
+  );
+
+// Capture an approved PayPal order. Safe to call again after the capture has
+// happened (e.g. the return page and the webhook both arrive).
+const confirmPayment = async ({ payment }) => {
+  const paypalOrderId = payment.providerPaymentId;
+  let paypalOrder = await paypalRequest("get", `/v2/checkout/orders/${paypalOrderId}`);
+
+  if (paypalOrder.status === "APPROVED") {
+    try {
+      paypalOrder = await paypalRequest(
+        "post",
+        `/v2/checkout/orders/${paypalOrderId}/capture`
+      );
+    } catch (error) {
+      // Someone else captured it in the meantime; read the final state
+      if (error.response?.data?.details?.[0]?.issue !== "ORDER_ALREADY_CAPTURED") {
+        throw error;
+      }
+      paypalOrder = await paypalRequest("get", `/v2/checkout/orders/${paypalOrderId}`);
+    }
+  }
+
+  const capture = completedCapture(paypalOrder);
+  if (paypalOrder.status !== "COMPLETED" || !capture) {
+    return { paid: false };
+  }
+
+  return {
+    paid: true,
+    transactionId: capture.id,
+    amount: Number(capture.amount.value),
+    currency: capture.amount.currency_code,
+  };
+};
+
+const parseWebhook = async (req) => {
+  const event = req.body;
+
+  // Ask PayPal whether the webhook really came from them
+  const verification = await paypalRequest(
+    "post",
+    "/v1/notifications/verify-webhook-signature",
+    {
+      auth_algo: req.get("paypal-auth-algo"),
+      cert_url: req.get("paypal-cert-url"),
+      transmission_id: req.get("paypal-transmission-id"),
+      transmission_sig: req.get("paypal-transmission-sig"),
+      transmission_time: req.get("paypal-transmission-time"),
+      webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+      webhook_event: event,
+    }
+  );
+  if (verification.verification_status !== "SUCCESS") {
+    throw new Error("PayPal webhook signature could not be verified");
+  }
+
+  if (event.event_type === "CHECKOUT.ORDER.APPROVED") {
+    return { providerPaymentId: event.resource.id };
+  }
+  if (event.event_type === "PAYMENT.CAPTURE.COMPLETED") {
+    return {
+      providerPaymentId: event.resource.supplementary_data?.related_ids?.order_id,
+    };
+  }
+  return null;
+};
+
+const REFUND_STATUSES = {
+  COMPLETED: "Completed",
+  PENDING: "Pending",
+};
+
+// Refund part or all of the captured amount (in PAYPAL_CURRENCY)
+const refundPayment = async ({ order, amount, reason }) => {
+  const refund = await paypalRequest(
+    "post",
+    `/v2/payments/captures/${order.paymentGateway.transactionId}/refund`,
+    {
+      amount: { currency_code: order.paymentGateway.currency, value: amount.toFixed(2) },
+      note_to_payer: reason.slice(0, 255),
+    }
+  );
+
+  return {
+    providerRefundId: refund.id,
+    status: REFUND_STATUSES[refund.status] || "Failed",
+  };
+};
+
+module.exports = {
+  name: "PayPal",
+  createPayment,
+  confirmPayment,
+  parseWebhook,
+  refundPayment,
+};
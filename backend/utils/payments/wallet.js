@@ -0,0 +1,81 @@
+// Generic NPR wallet adapter following the initiate/lookup flow used by
+// Nepali wallets such as Khalti: we initiate a payment and get back a pidx
+// and payment_url, the customer pays on the wallet's page, and the result is
+// always confirmed with a server-side lookup. Amounts are sent in paisa.
+const axios = require("axios");
+const crypto = require("crypto");
+
+const WALLET_BASE_URL = process.env.WALLET_BASE_URL || "https://dev.khalti.com/api/v2";
+
+const walletRequest = async (path, data) => {
+  const response = await axios.post(`${WALLET_BASE_URL}${path}`, data, {
+    headers: {
+      Authorization: `Key ${process.env.WALLET_SECRET_KEY}`,
+      "Content-Type": "application/json",
+    },
+  });
+  return response.data;
+};
+
+const toPaisa = (amount) => Math.round(amount * 100);
+
+const createPayment = async ({ order, returnUrl }) => {
+  const payment = await walletRequest("/epayment/initiate/", {
+    return_url: returnUrl,
+    website_url: process.env.CLIENT_URL || "http://localhost:5173",
+    amount: toPaisa(order.totalAmount),
+    purchase_order_id: String(order._id),
+    purchase_order_name: `Order #${String(order._id).slice(-8).toUpperCase()}`,
+  });
+
+  return {
+    providerPaymentId: payment.pidx,
+    approvalUrl: payment.payment_url,
+    amount: order.totalAmount,
+    currency: "NPR",
+  };
+};
+
+// The wallet redirects to returnUrl for both success and cancellation, so
+// the lookup, not the query string, decides whether the order is paid
+const confirmPayment = async ({ payment }) => {
+  const lookup = await walletRequest("/epayment/lookup/", {
+    pidx: payment.providerPaymentId,
+  });
+
+  if (lookup.status !== "Completed") {
+    return { paid: false };
+  }
+
+  return {
+    paid: true,
+    transactionId: lookup.transaction_id,
+    amount: lookup.total_amount / 100,
+    currency: "NPR",
+  };
+};
+
+// Webhooks are signed with an HMAC-SHA256 of the raw body
+const parseWebhook = async (req) => {
+  const signature = req.get("x-wallet-signature") || "";
+  const expected = crypto
+    .createHmac("sha256", process.env.WALLET_SECRET_KEY || "")
+    .update(req.rawBody || "")
+    .digest("hex");
+
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new Error("Wallet webhook signature is invalid");
+  }
+
+  return req.body.pidx ? { providerPaymentId: req.body.pidx } : null;
+};
+
+module.exports = {
+  name: "Wallet",
+  createPayment,
+  confirmPayment,
+  parseWebhook,
+};
@@ -1,7 +1,8 @@
 const axios = require("axios");
 require("dotenv").config();
 
-const PAYPAL_API = "https://api-m.sandbox.paypal.com"; //  "https://api-m.paypal.com" for live mode
+// "https://api-m.paypal.com" for live mode, or the mock provider server for offline testing
+const PAYPAL_API = process.env.PAYPAL_BASE_URL || "https://api-m.sandbox.paypal.com";
 
 async function generateAccessToken() {
     const auth = Buffer.from(
@@ -10,7 +11,7 @@ async function generateAccessToken() {
 
     try {
         const response = await axios.post(
-            `${process.env.PAYPAL_BASE_URL}/v1/oauth2/token`,
+            `${PAYPAL_API}/v1/oauth2/token`,
             "grant_type=client_credentials",
             {
                 headers: {
@@ -0,0 +1,190 @@
+// Minimal PDF writer for plain printable documents: A4 pages of text in the
+// standard Helvetica fonts plus ruled lines. Standard fonts need no
+// embedding but only cover the WinAnsi (Latin-1) characters, so anything
+// else prints as "?". Positions are in points from the top-left corner,
+// with y at the text's baseline.
+const zlib = require("zlib");
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Glyph widths in 1/1000 em for character codes 32-126, from the Adobe font
+// metrics. Other characters are measured at DEFAULT_WIDTH.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556,
+    556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667,
+    611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667,
+    667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500,
+    222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556,
+    556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667,
+    611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667,
+    667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556,
+    278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+const DEFAULT_WIDTH = 556;
+
+// Typographic characters outside Latin-1 that WinAnsi still has
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+};
+
+// One WinAnsi byte per character; control characters become spaces
+const encode = (text) =>
+  Buffer.from(
+    Array.from(String(text ?? ""), (char) => {
+      const code = char.codePointAt(0);
+      if (code < 32) return 32;
+      if (code < 127 || (code >= 160 && code <= 255)) return code;
+      return WIN_ANSI_EXTRAS[char] || 63; // "?"
+    })
+  );
+
+const measure = (bytes, size, bold) =>
+  (bytes.reduce(
+    (sum, byte) =>
+      sum + (byte >= 32 && byte <= 126 ? WIDTHS[bold ? "bold" : "regular"][byte - 32] : DEFAULT_WIDTH),
+    0
+  ) *
+    size) /
+  1000;
+
+// A PDF string literal; backslashes and brackets are escaped
+const literal = (bytes) =>
+  `(${bytes.toString("latin1").replace(/[\\()]/g, (char) => `\\${char}`)})`;
+
+const num = (value) => Number(value.toFixed(2));
+
+// Returns a document to draw on; the first page is already added.
+// text(x, y, value, { size, bold, align }) draws one line, where align is
+// "left", "right" (x is the right edge) or "center". wrap() splits text
+// into lines no wider than maxWidth, breaking at spaces.
+const createPdf = ({ title } = {}) => {
+  const pages = [];
+  let ops;
+
+  const addPage = () => {
+    ops = [];
+    pages.push(ops);
+  };
+  addPage();
+
+  const widthOf = (value, { size = 10, bold = false } = {}) => measure(encode(value), size, bold);
+
+  const text = (x, y, value, { size = 10, bold = false, align = "left" } = {}) => {
+    const bytes = encode(value);
+    const width = measure(bytes, size, bold);
+    const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+    ops.push(
+      `BT /${bold ? "F2" : "F1"} ${size} Tf ${num(left)} ${num(PAGE_HEIGHT - y)} Td ${literal(bytes)} Tj ET`
+    );
+  };
+
+  const line = (x1, y1, x2, y2) => {
+    ops.push(
+      `0.75 G 0.5 w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+    );
+  };
+
+  const wrap = (value, maxWidth, options) =>
+    String(value ?? "")
+      .split(/\r?\n/)
+      .flatMap((paragraph) => {
+        const lines = [];
+        let current = "";
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+          const candidate = current ? `${current} ${word}` : word;
+          if (current && widthOf(candidate, options) > maxWidth) {
+            lines.push(current);
+            current = word;
+          } else {
+            current = candidate;
+          }
+        }
+        return [...lines, current];
+      });
+
+  // The numbered objects, then the cross-reference table of their byte
+  // offsets that readers use to find them
+  const toBuffer = () => {
+    const objects = [];
+    const add = (body) => objects.push(body); // Returns the object number
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const regularId = add(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+    );
+    const boldId = add(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+    );
+    const infoId = add(`<< /Title ${literal(encode(title || ""))} >>`);
+
+    const pageIds = pages.map((pageOps) => {
+      const content = zlib.deflateSync(Buffer.from(pageOps.join("\n"), "latin1"));
+      const contentId = add(
+        Buffer.concat([
+          Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+          content,
+          Buffer.from("\nendstream"),
+        ])
+      );
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] =
+      `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+    // The binary comment tells transfer tools the file isn't plain text
+    const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+        Buffer.from("\nendobj\n"),
+      ]);
+      chunks.push(chunk);
+      const start = offset;
+      offset += chunk.length;
+      return start;
+    });
+
+    // Every cross-reference entry is exactly 20 bytes
+    chunks.push(
+      Buffer.from(
+        [
+          "xref",
+          `0 ${objects.length + 1}`,
+          "0000000000 65535 f \n" +
+            offsets.map((start) => `${String(start).padStart(10, "0")} 00000 n \n`).join("") +
+            "trailer",
+          `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+          "startxref",
+          String(offset),
+          "%%EOF\n",
+        ].join("\n")
+      )
+    );
+    return Buffer.concat(chunks);
+  };
+
+  return { addPage, text, line, widthOf, wrap, toBuffer };
+};
+
+module.exports = { PAGE_WIDTH, PAGE_HEIGHT, createPdf };
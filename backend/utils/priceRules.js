@@ -0,0 +1,168 @@
+// Selling prices. Product.price is the base price and is never changed by a
+// discount; the selling price is the lowest of the product's own standing
+// discount, any scheduled price rule running right now and its expiry
+// markdown (see utils/batches.js). Nothing has to be switched on or off when
+// a sale starts or ends: it just stops matching.
+const PriceRule = require("../model/pricerule.model");
+const Product = require("../model/productmodel");
+const { round2 } = require("./pricing");
+
+// Rules running at the given moment
+const getActiveRules = (now = new Date(), session = null) =>
+  PriceRule.find({
+    isActive: true,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+  })
+    .session(session)
+    .lean();
+
+const idOf = (value) => String(value?._id || value);
+
+const ruleAppliesTo = (rule, product) =>
+  rule.products.some((id) => idOf(id) === idOf(product._id)) ||
+  rule.categories.some((id) => idOf(id) === idOf(product.category));
+
+const rulePrice = (rule, basePrice) =>
+  rule.discountType === "Percent"
+    ? basePrice * (1 - rule.value / 100)
+    : Math.max(0, basePrice - rule.value);
+
+const markdownRunning = (product, now) =>
+  product.activeMarkdown?.percent > 0 && new Date(product.activeMarkdown.endsAt) > now;
+
+// How a product is priced right now
+const priceProduct = (product, rules, now = new Date()) => {
+  const basePrice = product.price;
+  let best = {
+    price: basePrice * (1 - (product.discount || 0) / 100),
+    rule: null,
+  };
+
+  for (const rule of rules) {
+    if (!ruleAppliesTo(rule, product)) continue;
+    const price = rulePrice(rule, basePrice);
+    if (price < best.price) best = { price, rule };
+  }
+
+  // Shown like a sale that ends when the batch expires
+  if (markdownRunning(product, now)) {
+    const price = basePrice * (1 - product.activeMarkdown.percent / 100);
+    if (price < best.price) {
+      best = {
+        price,
+        rule: {
+          _id: null,
+          name: "Best before clearance",
+          endsAt: product.activeMarkdown.endsAt,
+          isFlashSale: false,
+        },
+      };
+    }
+  }
+
+  const price = round2(best.price);
+  const discounted = price < basePrice;
+
+  return {
+    basePrice,
+    price,
+    oldPrice: discounted ? basePrice : undefined,
+    discount: discounted ? Math.round((1 - price / basePrice) * 100) : 0,
+    sale: best.rule
+      ? {
+          ruleId: best.rule._id,
+          name: best.rule.name,
+          endsAt: best.rule.endsAt,
+          isFlashSale: best.rule.isFlashSale,
+        }
+      : null,
+  };
+};
+
+// A product as the API sends it: price is the selling price and oldPrice the
+// base price when discounted, as the storefront expects. standingDiscount is
+// the product's own discount, for the admin edit form. The cost price is
+// left out; admins read it from getProductCost.
+const withPricing = (product, rules) => {
+  const { costPrice, ...plain } = product.toObject ? product.toObject() : product;
+  return {
+    ...plain,
+    standingDiscount: plain.discount || 0,
+    ...priceProduct(plain, rules),
+  };
+};
+
+// Same as priceProduct's price, as an aggregation expression, so the
+// catalogue can filter and sort on what shoppers actually pay
+const sellingPriceExpr = (rules, now = new Date()) => {
+  const standing = {
+    $multiply: [
+      "$price",
+      { $subtract: [1, { $divide: [{ $ifNull: ["$discount", 0] }, 100] }] },
+    ],
+  };
+
+  const fromRules = rules.map((rule) => ({
+    $cond: [
+      {
+        $or: [
+          { $in: ["$_id", rule.products] },
+          { $in: ["$category", rule.categories] },
+        ],
+      },
+      rule.discountType === "Percent"
+        ? { $multiply: ["$price", 1 - rule.value / 100] }
+        : { $max: [0, { $subtract: ["$price", rule.value] }] },
+      "$price",
+    ],
+  }));
+
+  const markdown = {
+    $cond: [
+      { $gt: ["$activeMarkdown.endsAt", now] },
+      {
+        $multiply: [
+          "$price",
+          { $subtract: [1, { $divide: [{ $ifNull: ["$activeMarkdown.percent", 0] }, 100] }] },
+        ],
+      },
+      "$price",
+    ],
+  };
+
+  return { $round: [{ $min: [standing, ...fromRules, markdown] }, 2] };
+};
+
+// Products saved before base prices were kept stored the discounted price in
+// price and the original in oldPrice. Put the original back. oldPrice is no
+// longer in the schema, hence the raw collection.
+const backfillBasePrices = async () => {
+  const products = await Product.collection
+    .find({ oldPrice: { $exists: true } })
+    .project({ price: 1, oldPrice: 1 })
+    .toArray();
+
+  if (products.length === 0) return;
+
+  await Product.collection.bulkWrite(
+    products.map((product) => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: {
+          ...(product.oldPrice > product.price && { $set: { price: product.oldPrice } }),
+          $unset: { oldPrice: "" },
+        },
+      },
+    }))
+  );
+  console.log(`🏷️ Base prices restored for ${products.length} product(s)`);
+};
+
+module.exports = {
+  getActiveRules,
+  priceProduct,
+  withPricing,
+  sellingPriceExpr,
+  backfillBasePrices,
+};
@@ -0,0 +1,101 @@
+// Server-side price calculation shared by the cart quote and order placement.
+// Products are priced with utils/priceRules.js#withPricing first, so price is
+// the selling price (oldPrice holds the base price) and discounts are never
+// applied a second time here.
+// Coupons come off the subtotal on top of that (see utils/coupons.js).
+
+// Used until the shopper picks a delivery zone, which sets its own fee
+const DELIVERY_FEE = 100;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Price a single product/quantity pair; product comes from withPricing
+const priceLine = (product, quantity) => {
+  const unitPrice = product.price;
+  const originalUnitPrice =
+    product.oldPrice && product.oldPrice > unitPrice
+      ? product.oldPrice
+      : unitPrice;
+
+  return {
+    productId: product._id,
+    categoryId: product.category,
+    productName: product.productName,
+    unit: product.unit,
+    quantity,
+    unitPrice: round2(unitPrice),
+    originalUnitPrice: round2(originalUnitPrice),
+    discountPercent: product.discount || 0,
+    lineDiscount: round2((originalUnitPrice - unitPrice) * quantity),
+    lineTotal: round2(unitPrice * quantity),
+  };
+};
+
+// Lines a coupon applies to. A coupon without categories or products
+// applies to every line; otherwise a line matches either list.
+const couponEligibleLines = (coupon, lines) => {
+  const productIds = (coupon.products || []).map(String);
+  const categoryIds = (coupon.categories || []).map(String);
+  if (productIds.length === 0 && categoryIds.length === 0) return lines;
+
+  return lines.filter(
+    (line) =>
+      productIds.includes(String(line.productId)) ||
+      categoryIds.includes(String(line.categoryId))
+  );
+};
+
+// Amount a coupon takes off the given lines. Never more than they cost.
+const couponDiscount = (coupon, lines) => {
+  const eligibleSubtotal = couponEligibleLines(coupon, lines).reduce(
+    (sum, line) => sum + line.lineTotal,
+    0
+  );
+
+  let discount =
+    coupon.discountType === "Percent"
+      ? (eligibleSubtotal * coupon.value) / 100
+      : coupon.value;
+  if (coupon.discountType === "Percent" && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return round2(Math.min(discount, eligibleSubtotal));
+};
+
+// Add up priced lines into the totals shown at checkout and stored on the
+// order. coupon is { code, discount } from utils/coupons.js, when one applies;
+// zoneFee is the chosen delivery zone's fee.
+const summarizeQuote = (lines, { coupon, zoneFee } = {}) => {
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const discountTotal = round2(
+    lines.reduce((sum, line) => sum + line.lineDiscount, 0)
+  );
+  const deliveryFee = lines.length > 0 ? (zoneFee ?? DELIVERY_FEE) : 0;
+  const couponAmount = coupon ? Math.min(coupon.discount, subtotal) : 0;
+
+  return {
+    items: lines,
+    subtotal,
+    discountTotal,
+    coupon: coupon ? { code: coupon.code, discount: couponAmount } : null,
+    couponDiscount: couponAmount,
+    deliveryFee,
+    grandTotal: round2(subtotal - couponAmount + deliveryFee),
+    currency: "NPR",
+  };
+};
+
+// True when the total the client saw no longer matches the server's total
+const isQuoteStale = (quotedTotal, grandTotal) =>
+  Math.abs(Number(quotedTotal) - grandTotal) >= 0.01;
+
+module.exports = {
+  DELIVERY_FEE,
+  round2,
+  priceLine,
+  couponEligibleLines,
+  couponDiscount,
+  summarizeQuote,
+  isQuoteStale,
+};
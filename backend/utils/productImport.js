@@ -0,0 +1,396 @@
+// Bulk product import from CSV. Rows are matched to products by SKU: a
+// new SKU creates a product with its opening stock, a known one updates
+// the cells that aren't blank. Categories are found by name and images by
+// file name in an optional zip. Every row is checked before anything is
+// saved, and a file with any bad row saves nothing. A valid file is saved a
+// chunk of rows at a time, and rows that still fail are reported back.
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const Product = require("../model/productmodel");
+const Category = require("../model/category.model");
+const httpError = require("./httpError");
+const { parseCsv } = require("./spreadsheet");
+const { listZip, extractZip } = require("./zip");
+const { searchFieldsFor } = require("./search");
+const { recordMovement, adjustTotalUnits } = require("./stock");
+const { parseBatchInput, createBatch, refreshMarkdowns } = require("./batches");
+
+const COLUMNS = [
+  "sku",
+  "productName",
+  "categoryName",
+  "price",
+  "unit",
+  "description",
+  "discount",
+  "totalUnits",
+  "costPrice",
+  "expiresAt",
+  "batchCode",
+  "reorderThreshold",
+  "reorderQuantity",
+  "expiryMarkdown",
+  "images",
+];
+const REQUIRED_FOR_NEW = ["productName", "categoryName", "price", "unit", "totalUnits", "images"];
+const MAX_ROWS = 2000;
+// Rows saved per transaction, so a large file never holds one long transaction
+const CHUNK_ROWS = 100;
+// Raster images only: an SVG in public/ could run scripts on our origin
+const IMAGE_EXTENSIONS = ["jpg", "jpeg", "png", "gif", "bmp", "webp", "jfif"];
+const UPLOAD_DIR = path.join(__dirname, "../public");
+
+const extensionOf = (name) => name.split(".").pop().toLowerCase();
+
+// Images are matched by file name alone, so folders inside the zip don't matter
+const imageKey = (name) => path.basename(name).toLowerCase();
+
+// Number cells: undefined when blank, an error message when out of range
+const NUMBER_RULES = {
+  price: { min: 0, exclusive: true, message: "price must be greater than zero" },
+  discount: { min: 0, max: 100, message: "discount must be between 0 and 100" },
+  totalUnits: { min: 0, integer: true, message: "totalUnits must be a whole number of zero or more" },
+  costPrice: { min: 0, message: "costPrice must be zero or more" },
+  reorderThreshold: { min: 0, message: "reorderThreshold must be zero or more" },
+  reorderQuantity: { min: 0, message: "reorderQuantity must be zero or more" },
+  expiryMarkdown: { min: 0, max: 100, message: "expiryMarkdown must be between 0 and 100" },
+};
+
+const parseNumber = (value, { min, max, exclusive, integer }) => {
+  const number = Number(value);
+  const valid =
+    value !== "" &&
+    Number.isFinite(number) &&
+    (exclusive ? number > min : number >= min) &&
+    (max === undefined || number <= max) &&
+    (!integer || Number.isInteger(number));
+  return valid ? number : null;
+};
+
+// Map header cells to known columns, ignoring case and spaces
+const readHeader = (header) => {
+  const byKey = new Map(COLUMNS.map((column) => [column.toLowerCase(), column]));
+  const columns = header.map((cell) => byKey.get(cell.trim().toLowerCase().replace(/\s+/g, "")));
+
+  const unknown = header.filter((cell, index) => cell.trim() && !columns[index]);
+  if (unknown.length) {
+    throw httpError(`Unknown column(s): ${unknown.join(", ")}. Expected: ${COLUMNS.join(", ")}`);
+  }
+  if (!columns.includes("sku")) throw httpError("The CSV needs a sku column");
+  return columns;
+};
+
+// Check every row against the catalogue without saving anything. Returns
+// { rows: [{ row, sku, productName, action, errors, fields, product,
+// images, batch }], zipImages: Map of file name to zip entry }.
+const planImport = async (csvBuffer, zipBuffer) => {
+  const [header, ...lines] = parseCsv(csvBuffer.toString("utf8"));
+  if (!header || lines.length === 0) throw httpError("The CSV has no product rows");
+  if (lines.length > MAX_ROWS) throw httpError(`Import at most ${MAX_ROWS} rows at a time`);
+  const columns = readHeader(header);
+
+  // Only the zip's index is read until the rows say which images they use
+  const zipEntries = new Map(
+    (zipBuffer ? listZip(zipBuffer) : []).map((entry) => [imageKey(entry.name), entry])
+  );
+
+  // Columns the file leaves out read as blank cells: required for new
+  // products, left unchanged on updates
+  const cellsOf = (line) => ({
+    ...Object.fromEntries(COLUMNS.map((column) => [column, ""])),
+    ...Object.fromEntries(
+      columns
+        .map((column, index) => [column, (line[index] || "").trim()])
+        .filter(([column]) => column)
+    ),
+  });
+  const parsed = lines.map(cellsOf);
+
+  const [categories, existing] = await Promise.all([
+    Category.find().select("categoryName").lean(),
+    Product.find({ sku: { $in: parsed.map((cells) => cells.sku).filter(Boolean) } })
+      .select("sku productName totalUnits remainingUnits soldUnits")
+      .lean(),
+  ]);
+  const categoryByName = new Map(
+    categories.map((category) => [category.categoryName.trim().toLowerCase(), category])
+  );
+  const productBySku = new Map(existing.map((product) => [product.sku, product]));
+  const seenSkus = new Set();
+
+  const rows = parsed.map((cells, index) => {
+    const errors = [];
+    const product = productBySku.get(cells.sku);
+    const action = product ? "update" : "create";
+    const fields = {};
+
+    if (!cells.sku) errors.push("sku is required");
+    else if (seenSkus.has(cells.sku)) errors.push(`sku ${cells.sku} appears more than once`);
+    seenSkus.add(cells.sku);
+
+    if (action === "create") {
+      const missing = REQUIRED_FOR_NEW.filter((column) => !cells[column]);
+      if (missing.length) errors.push(`New products need ${missing.join(", ")}`);
+    }
+
+    for (const column of ["productName", "unit", "description"]) {
+      if (cells[column]) fields[column] = cells[column];
+    }
+
+    for (const [column, rule] of Object.entries(NUMBER_RULES)) {
+      if (!cells[column]) continue;
+      const number = parseNumber(cells[column], rule);
+      if (number === null) errors.push(rule.message);
+      else fields[column] = number;
+    }
+    if (action === "create" && fields.totalUnits === 0) {
+      errors.push("totalUnits must be at least 1 for a new product");
+    }
+    if (action === "update" && fields.totalUnits !== undefined) {
+      if (fields.totalUnits < product.soldUnits) {
+        errors.push(`totalUnits can't be less than the ${product.soldUnits} already sold`);
+      } else if (product.remainingUnits + fields.totalUnits - product.totalUnits < 0) {
+        errors.push("Not enough units left in stock to lower the total that far");
+      }
+    }
+
+    let category = null;
+    if (cells.categoryName) {
+      category = categoryByName.get(cells.categoryName.toLowerCase());
+      if (category) fields.category = category._id;
+      else errors.push(`Unknown category "${cells.categoryName}"`);
+    }
+
+    // Expiry and lot number describe the opening stock; later deliveries
+    // are received on purchase orders
+    let batch;
+    if (action === "create") {
+      try {
+        // costPrice was checked above
+        batch = parseBatchInput({ ...cells, costPrice: fields.costPrice });
+      } catch (error) {
+        if (!error.status) throw error;
+        errors.push(error.message);
+      }
+    } else if (cells.expiresAt || cells.batchCode) {
+      errors.push("expiresAt and batchCode only apply to new products");
+    }
+
+    // Several images are separated by ; or |
+    const images = cells.images.split(/[;|]/).map((name) => name.trim()).filter(Boolean);
+    for (const name of images) {
+      if (!IMAGE_EXTENSIONS.includes(extensionOf(name))) {
+        errors.push(`${name} is not a supported image type`);
+      } else if (!zipEntries.has(imageKey(name))) {
+        errors.push(zipBuffer ? `${name} is not in the zip` : `${name} needs an images zip`);
+      }
+    }
+
+    return {
+      row: index + 2, // Row in the spreadsheet, counting the header
+      sku: cells.sku,
+      productName: fields.productName || product?.productName || "",
+      action,
+      errors,
+      fields,
+      product,
+      categoryName: category?.categoryName,
+      images,
+      batch,
+    };
+  });
+
+  const used = new Set(rows.flatMap((row) => row.images.map(imageKey)));
+  const zipImages = new Map(
+    extractZip(
+      zipBuffer,
+      [...used].filter((key) => zipEntries.has(key)).map((key) => zipEntries.get(key))
+    ).map((file) => [imageKey(file.name), file])
+  );
+
+  return { rows, zipImages };
+};
+
+// What the client sees: each row's outcome, without the planned changes.
+// `failed` maps the numbers of rows that could not be saved to the reason.
+const importReport = ({ rows }, failed = new Map()) => {
+  const reported = rows.map(({ row, sku, productName, action, errors }) => ({
+    row,
+    sku,
+    productName,
+    action,
+    errors: failed.has(row) ? [...errors, failed.get(row)] : errors,
+  }));
+  const saved = reported.filter((row) => !failed.has(row.row));
+
+  return {
+    summary: {
+      rows: rows.length,
+      create: saved.filter((row) => row.action === "create").length,
+      update: saved.filter((row) => row.action === "update").length,
+      invalid: reported.filter((row) => row.errors.length).length,
+      failed: failed.size,
+    },
+    rows: reported,
+  };
+};
+
+// Copy the images the rows use into the upload folder, skipping those
+// already in `stored` (a map of file name to stored name, named like the
+// uploader's files). Returns the names it added.
+const saveImages = async (rows, zipImages, stored) => {
+  const names = [...new Set(rows.flatMap((row) => row.images.map(imageKey)))].filter(
+    (name) => !stored.has(name)
+  );
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+
+  const stamp = Date.now();
+  for (const [index, name] of names.entries()) {
+    const file = zipImages.get(name);
+    const storedName = `${stamp}-${index}.${extensionOf(file.name)}`;
+    await fs.promises.writeFile(path.join(UPLOAD_DIR, storedName), file.data);
+    stored.set(name, storedName);
+  }
+  return names;
+};
+
+// Delete the named images from the upload folder and from `stored`
+const removeImages = (names, stored) =>
+  Promise.all(
+    names.map((name) => {
+      const storedName = stored.get(name);
+      stored.delete(name);
+      return fs.promises.unlink(path.join(UPLOAD_DIR, storedName)).catch(() => {});
+    })
+  );
+
+const createProduct = async (row, images, user, session) => {
+  const { fields } = row;
+  const [product] = await Product.create(
+    [
+      {
+        ...fields,
+        sku: row.sku,
+        discount: fields.discount || 0,
+        remainingUnits: fields.totalUnits,
+        soldUnits: 0,
+        costPrice: row.batch.costPrice,
+        images,
+        ...searchFieldsFor(fields.productName, row.categoryName),
+      },
+    ],
+    { session }
+  );
+  const batch = await createBatch(product._id, product.totalUnits, row.batch, user, session);
+  await recordMovement(
+    product,
+    {
+      type: "Opening",
+      remainingChange: product.totalUnits,
+      totalChange: product.totalUnits,
+      user: user._id,
+      batch: batch._id,
+      note: "Initial stock (CSV import)",
+    },
+    session
+  );
+};
+
+const updateProduct = async (row, images, user, session) => {
+  const { totalUnits, ...fields } = row.fields;
+  const current = await Product.findById(row.product._id).session(session);
+  if (!current) throw httpError(`${row.sku} was deleted during the import`);
+
+  const unitsDifference = totalUnits === undefined ? 0 : totalUnits - current.totalUnits;
+  const categoryName = row.categoryName || current.categoryName;
+
+  await Product.updateOne(
+    { _id: current._id },
+    {
+      ...fields,
+      ...(images.length ? { images } : {}),
+      ...searchFieldsFor(fields.productName || current.productName, categoryName),
+    },
+    { session }
+  );
+
+  // Through the stock ledger, so the new units get a batch. Stock may have
+  // moved since the check, and adjustStock guards against that.
+  if (unitsDifference !== 0) {
+    await adjustTotalUnits(
+      current._id,
+      unitsDifference,
+      user,
+      "Total units changed by CSV import",
+      session
+    );
+  }
+};
+
+// Save rows in one transaction, images first. Images the transaction
+// brought in are removed again if it fails.
+const saveRows = async (rows, { zipImages }, stored, user) => {
+  const added = await saveImages(rows, zipImages, stored);
+  const imagesFor = (row) => row.images.map((name) => stored.get(imageKey(name)));
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      for (const row of rows) {
+        if (row.action === "create") await createProduct(row, imagesFor(row), user, session);
+        else await updateProduct(row, imagesFor(row), user, session);
+      }
+    });
+  } catch (error) {
+    await removeImages(added, stored);
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Why a row could not be saved, as shown in its report
+const failureReason = (error) => {
+  if (error.status) return error.message;
+  if (error.code === 11000) return "Another product already has this SKU";
+  console.error("Product import row failed:", error);
+  return "Could not be saved";
+};
+
+// Save a plan with no errors, CHUNK_ROWS rows per transaction. A chunk
+// that fails is retried a row at a time, so only the rows at fault are left
+// out. Returns a map of the numbers of rows not saved to the reason.
+const applyImport = async (plan, user) => {
+  const stored = new Map();
+  const failed = new Map();
+
+  for (let start = 0; start < plan.rows.length; start += CHUNK_ROWS) {
+    const chunk = plan.rows.slice(start, start + CHUNK_ROWS);
+    try {
+      await saveRows(chunk, plan, stored, user);
+    } catch {
+      for (const row of chunk) {
+        try {
+          await saveRows([row], plan, stored, user);
+        } catch (error) {
+          failed.set(row.row, failureReason(error));
+        }
+      }
+    }
+  }
+
+  // Start or stop markdowns now rather than at the next expiry check
+  const saved = plan.rows.filter((row) => !failed.has(row.row));
+  if (saved.some((row) => row.fields.expiryMarkdown !== undefined)) {
+    await refreshMarkdowns();
+  }
+  return failed;
+};
+
+module.exports = {
+  COLUMNS,
+  planImport,
+  importReport,
+  applyImport,
+};
@@ -0,0 +1,188 @@
+// Revenue, cost of goods sold and gross profit from order items. Cancelled
+// and fully refunded orders don't count, nor do cancelled or returned items.
+// Revenue is what the items sold for less their share of the order's coupon
+// and of any partial refund; delivery fees are left out. Items sold without a known cost add no COGS
+// and are totalled separately as uncostedRevenue.
+const Order = require("../model/order.model");
+const { round2 } = require("./pricing");
+const { BILLABLE_ITEM_STATUSES } = require("./orderTotals");
+const { STORE_TIMEZONE, storeClock, startOfStoreDay, addDays } = require("./delivery");
+
+const GROUP_BY = ["day", "week", "month"];
+
+const sums = {
+  revenue: { $sum: "$revenue" },
+  cogs: { $sum: { $ifNull: ["$cost", 0] } },
+  uncostedRevenue: { $sum: { $cond: [{ $eq: [{ $ifNull: ["$cost", null] }, null] }, "$revenue", 0] } },
+  unitsSold: { $sum: "$quantity" },
+  orders: { $addToSet: "$orderId" },
+};
+
+const toRow = ({ revenue, cogs, uncostedRevenue, unitsSold, orders }) => {
+  const grossProfit = revenue - cogs;
+  // Margin on the items whose cost is known, so missing costs don't inflate it
+  const costedRevenue = revenue - uncostedRevenue;
+
+  return {
+    revenue: round2(revenue),
+    cogs: round2(cogs),
+    grossProfit: round2(grossProfit),
+    marginPercent:
+      costedRevenue > 0 ? round2(((costedRevenue - cogs) / costedRevenue) * 100) : null,
+    uncostedRevenue: round2(uncostedRevenue),
+    unitsSold,
+    orders: orders.length,
+  };
+};
+
+// from and to are "YYYY-MM-DD" store dates, both included
+const getProfitReport = async ({ from, to, groupBy = "day" }) => {
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        orderDate: { $gte: startOfStoreDay(from), $lt: startOfStoreDay(addDays(to, 1)) },
+        status: { $ne: "Cancelled" },
+        paymentStatus: { $ne: "Refunded" },
+      },
+    },
+    {
+      // Refunds up to the value of cancelled and returned items pay those
+      // back, and the items are already left out. Only the rest comes off
+      // the items still billed.
+      $addFields: {
+        itemsRefunded: {
+          $max: [
+            0,
+            {
+              $subtract: [
+                { $ifNull: ["$refundedAmount", 0] },
+                { $subtract: [{ $ifNull: ["$paidAmount", "$totalAmount"] }, "$totalAmount"] },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: "orderitems",
+        localField: "orderItems",
+        foreignField: "_id",
+        as: "item",
+      },
+    },
+    { $unwind: "$item" },
+    { $match: { "item.status": { $in: BILLABLE_ITEM_STATUSES } } },
+    {
+      $lookup: {
+        from: "products",
+        localField: "item.productId",
+        foreignField: "_id",
+        as: "product",
+        pipeline: [{ $project: { category: 1 } }],
+      },
+    },
+    {
+      $lookup: {
+        from: "categories",
+        localField: "product.0.category",
+        foreignField: "_id",
+        as: "category",
+        pipeline: [{ $project: { categoryName: 1 } }],
+      },
+    },
+    {
+      $project: {
+        orderId: "$_id",
+        orderDate: 1,
+        quantity: "$item.quantity",
+        cost: "$item.totalCost",
+        category: { $first: "$category" },
+        // The coupon and refunds came off the whole subtotal; give each item
+        // its share
+        revenue: {
+          $multiply: [
+            "$item.totalPrice",
+            {
+              $cond: [
+                { $gt: ["$subtotal", 0] },
+                {
+                  $max: [
+                    0,
+                    {
+                      $subtract: [
+                        1,
+                        {
+                          $divide: [
+                            { $add: [{ $ifNull: ["$couponDiscount", 0] }, "$itemsRefunded"] },
+                            "$subtotal",
+                          ],
+                        },
+                      ],
+                    },
+                  ],
+                },
+                1,
+              ],
+            },
+          ],
+        },
+      },
+    },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...sums } }],
+        periods: [
+          {
+            $group: {
+              _id: {
+                $dateTrunc: {
+                  date: "$orderDate",
+                  unit: groupBy,
+                  timezone: STORE_TIMEZONE,
+                  startOfWeek: "monday",
+                },
+              },
+              ...sums,
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        categories: [
+          {
+            $group: {
+              _id: "$category._id",
+              categoryName: { $first: "$category.categoryName" },
+              ...sums,
+            },
+          },
+          { $sort: { revenue: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const empty = { revenue: 0, cogs: 0, uncostedRevenue: 0, unitsSold: 0, orders: [] };
+
+  return {
+    from,
+    to,
+    groupBy,
+    totals: toRow(result.totals[0] || empty),
+    // period is the store date the day, week (from Monday) or month starts on
+    periods: result.periods.map((period) => ({
+      period: storeClock(period._id).date,
+      ...toRow(period),
+    })),
+    categories: result.categories.map((category) => ({
+      categoryId: category._id ?? null,
+      categoryName: category.categoryName || "Uncategorised",
+      ...toRow(category),
+    })),
+  };
+};
+
+module.exports = {
+  GROUP_BY,
+  getProfitReport,
+};
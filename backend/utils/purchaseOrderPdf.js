@@ -0,0 +1,100 @@
+// The purchase order as a PDF for the supplier: attached to the email when
+// the order is sent and downloadable from the admin page.
+const { PAGE_WIDTH, PAGE_HEIGHT, createPdf } = require("./pdf");
+const { STORE_NAME, formatMoney } = require("./emailTemplates");
+const { orderTotal } = require("./purchaseOrders");
+const { storeClock } = require("./delivery");
+
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const LINE_HEIGHT = 14;
+const ITEM_WIDTH = 240;
+// Right edges of the number columns
+const QTY_RIGHT = 370;
+const UNIT_COST_RIGHT = 455;
+
+const purchaseOrderPdf = ({ purchaseOrder: po, supplier }) => {
+  const pdf = createPdf({ title: `Purchase order ${po.poNumber}` });
+  let y = MARGIN;
+
+  const tableHeader = () => {
+    pdf.text(MARGIN, y, "Item", { bold: true });
+    pdf.text(QTY_RIGHT, y, "Qty", { bold: true, align: "right" });
+    pdf.text(UNIT_COST_RIGHT, y, "Unit Cost", { bold: true, align: "right" });
+    pdf.text(RIGHT, y, "Total", { bold: true, align: "right" });
+    pdf.line(MARGIN, y + 5, RIGHT, y + 5);
+    y += LINE_HEIGHT + 4;
+  };
+
+  // Start a new page when the next height won't fit
+  const makeRoom = (height, { inTable = false } = {}) => {
+    if (y + height <= PAGE_HEIGHT - MARGIN) return;
+    pdf.addPage();
+    y = MARGIN;
+    if (inTable) tableHeader();
+  };
+
+  const paragraph = (value, options) => {
+    for (const text of pdf.wrap(value, RIGHT - MARGIN, options)) {
+      makeRoom(LINE_HEIGHT);
+      pdf.text(MARGIN, y, text, options);
+      y += LINE_HEIGHT;
+    }
+  };
+
+  pdf.text(MARGIN, y + 10, "Purchase Order", { size: 20, bold: true });
+  pdf.text(RIGHT, y + 10, STORE_NAME, { size: 12, bold: true, align: "right" });
+  y += 30;
+  pdf.text(MARGIN, y, po.poNumber, { size: 12 });
+  y += LINE_HEIGHT * 2;
+
+  pdf.text(MARGIN, y, `Date: ${storeClock(po.sentAt || po.createdAt || new Date()).date}`);
+  y += LINE_HEIGHT;
+  if (po.expectedAt) {
+    pdf.text(MARGIN, y, `Needed by: ${storeClock(po.expectedAt).date}`);
+    y += LINE_HEIGHT;
+  }
+  y += LINE_HEIGHT;
+
+  pdf.text(MARGIN, y, "To:", { bold: true });
+  y += LINE_HEIGHT;
+  paragraph(supplier.name);
+  if (supplier.contactName) paragraph(`Attn. ${supplier.contactName}`);
+  if (supplier.address) paragraph(supplier.address);
+  const contact = [supplier.email, supplier.phone].filter(Boolean).join(" · ");
+  if (contact) paragraph(contact);
+  y += LINE_HEIGHT;
+
+  makeRoom(LINE_HEIGHT * 3);
+  tableHeader();
+  for (const line of po.lines) {
+    const names = pdf.wrap(line.productName, ITEM_WIDTH);
+    makeRoom(names.length * LINE_HEIGHT, { inTable: true });
+    names.forEach((name, index) => pdf.text(MARGIN, y + index * LINE_HEIGHT, name));
+    pdf.text(QTY_RIGHT, y, `${line.quantity} ${line.unit || ""}`.trim(), { align: "right" });
+    pdf.text(UNIT_COST_RIGHT, y, formatMoney(line.unitCost), { align: "right" });
+    pdf.text(RIGHT, y, formatMoney(line.quantity * line.unitCost), { align: "right" });
+    y += names.length * LINE_HEIGHT + 4;
+  }
+
+  makeRoom(LINE_HEIGHT * 2);
+  pdf.line(MARGIN, y - 9, RIGHT, y - 9);
+  y += 4;
+  pdf.text(UNIT_COST_RIGHT, y, "Total", { bold: true, align: "right" });
+  pdf.text(RIGHT, y, formatMoney(orderTotal(po)), { bold: true, align: "right" });
+  y += LINE_HEIGHT * 2;
+
+  if (po.notes) {
+    makeRoom(LINE_HEIGHT * 2);
+    pdf.text(MARGIN, y, "Notes:", { bold: true });
+    y += LINE_HEIGHT;
+    paragraph(po.notes);
+    y += LINE_HEIGHT;
+  }
+
+  paragraph(`Please quote ${po.poNumber} on your invoice.`);
+
+  return pdf.toBuffer();
+};
+
+module.exports = { purchaseOrderPdf };
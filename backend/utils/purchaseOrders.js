@@ -0,0 +1,144 @@
+// Purchase orders: building the lines from the catalogue and receiving
+// stock against them. Receiving goes through the same batch and ledger
+// bookkeeping as a manual restock, with the actual cost per unit.
+const mongoose = require("mongoose");
+const Product = require("../model/productmodel");
+const httpError = require("./httpError");
+const { recordMovement } = require("./stock");
+const { parseBatchInput, createBatch } = require("./batches");
+
+const EDITABLE_STATUSES = ["Draft"];
+const RECEIVABLE_STATUSES = ["Draft", "Sent", "Partially Received"];
+
+// Readable and unique without a counter: the tail of the document id
+const poNumberFor = (id) => `PO-${String(id).slice(-6).toUpperCase()}`;
+
+const outstanding = (line) => line.quantity - line.receivedQuantity;
+
+const orderTotal = (po) =>
+  po.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+
+// Validate requested lines ([{ product, quantity, unitCost }]) and copy in the
+// product name and unit as they are now
+const buildLines = async (lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw httpError("Add at least one product");
+  }
+
+  const ids = lines.map((line) => line.product);
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw httpError("Invalid product in the order");
+  }
+  if (new Set(ids.map(String)).size !== ids.length) {
+    throw httpError("Each product can only appear once");
+  }
+
+  const products = await Product.find({ _id: { $in: ids } }).select("productName unit").lean();
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+
+  return lines.map((line) => {
+    const product = byId.get(String(line.product));
+    if (!product) throw httpError("A product in the order no longer exists");
+
+    const quantity = Number(line.quantity);
+    const unitCost = Number(line.unitCost);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw httpError(`Quantity for ${product.productName} must be a whole number of at least 1`);
+    }
+    if (!(unitCost >= 0)) {
+      throw httpError(`Cost for ${product.productName} must be zero or more`);
+    }
+
+    return {
+      product: product._id,
+      productName: product.productName,
+      unit: product.unit,
+      quantity,
+      unitCost,
+    };
+  });
+};
+
+// Receive some or all of the outstanding quantities. received is
+// [{ lineId, quantity, unitCost?, expiresAt?, batchCode? }]; unitCost
+// defaults to the expected cost. Lines left short keep the order open.
+const receivePurchaseOrder = async (po, { lines: received, note }, user, session) => {
+  if (!RECEIVABLE_STATUSES.includes(po.status)) {
+    throw httpError(`A ${po.status.toLowerCase()} purchase order can't be received`);
+  }
+
+  const entries = (received || []).filter((entry) => Number(entry.quantity) > 0);
+  if (entries.length === 0) {
+    throw httpError("Enter the quantity received for at least one line");
+  }
+
+  const receiptLines = [];
+
+  for (const entry of entries) {
+    const line = po.lines.id(entry.lineId);
+    if (!line) throw httpError("Unknown purchase order line");
+
+    const quantity = Number(entry.quantity);
+    if (!Number.isInteger(quantity) || quantity > outstanding(line)) {
+      throw httpError(
+        `Only ${outstanding(line)} ${line.unit || "units"} of ${line.productName} are still due`
+      );
+    }
+    const { unitCost, ...batchFields } = entry;
+    const details = parseBatchInput({
+      ...batchFields,
+      costPrice: unitCost === undefined || unitCost === "" ? line.unitCost : unitCost,
+    });
+
+    // The product's cost price follows the latest delivery
+    const product = await Product.findByIdAndUpdate(
+      line.product,
+      {
+        $inc: { remainingUnits: quantity, totalUnits: quantity },
+        $set: { costPrice: details.costPrice },
+      },
+      { new: true, session }
+    );
+    if (!product) throw httpError(`${line.productName} no longer exists`);
+
+    const batch = await createBatch(
+      product._id,
+      quantity,
+      { ...details, batchCode: details.batchCode || po.poNumber },
+      user,
+      session
+    );
+    await recordMovement(
+      product,
+      {
+        type: "Restock",
+        remainingChange: quantity,
+        totalChange: quantity,
+        user: user._id,
+        batch: batch._id,
+        purchaseOrder: po._id,
+        note: `Received on ${po.poNumber}`,
+      },
+      session
+    );
+
+    line.receivedQuantity += quantity;
+    receiptLines.push({ lineId: line._id, quantity, unitCost: details.costPrice, batch: batch._id });
+  }
+
+  po.receipts.push({ receivedBy: user._id, note: note?.trim(), lines: receiptLines });
+  po.status = po.lines.every((line) => outstanding(line) === 0) ? "Received" : "Partially Received";
+  await po.save({ session });
+
+  return po;
+};
+
+module.exports = {
+  EDITABLE_STATUSES,
+  RECEIVABLE_STATUSES,
+  poNumberFor,
+  outstanding,
+  orderTotal,
+  buildLines,
+  receivePurchaseOrder,
+};
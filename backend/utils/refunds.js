@@ -0,0 +1,190 @@
+// Refunds against an order's payment. Refunds are recorded on the order;
+// "Original Payment" refunds of online payments also go back through the
+// provider when it supports refundPayment, everything else is a record of
+// money the admin returned by hand.
+const Order = require("../model/order.model");
+const httpError = require("./httpError");
+const { round2 } = require("./pricing");
+const { getProvider } = require("./payments");
+const { chargedAmount } = require("./orderTotals");
+
+const REFUND_METHODS = ["Original Payment", "Cash", "Bank Transfer"];
+
+// Only orders whose money has actually been received can be refunded.
+// Refunds are capped by what was paid, not the current totalAmount, which
+// drops when items are cancelled or returned.
+const REFUNDABLE_PAYMENT_STATUSES = ["Paid", "Partially Refunded"];
+
+// Completed refunds set the payment status; pending ones don't yet
+const applyRefundTotals = (order) => {
+  order.refundedAmount = round2(
+    order.refunds
+      .filter((refund) => refund.status === "Completed")
+      .reduce((sum, refund) => sum + refund.amount, 0)
+  );
+
+  if (order.refundedAmount <= 0) {
+    if (["Partially Refunded", "Refunded"].includes(order.paymentStatus)) {
+      order.paymentStatus = "Paid";
+    }
+    return;
+  }
+  order.paymentStatus =
+    order.refundedAmount >= chargedAmount(order) - 0.01
+      ? "Refunded"
+      : "Partially Refunded";
+};
+
+// Amount still available to refund, counting pending refunds as spent
+const refundableAmount = (order) =>
+  round2(
+    chargedAmount(order) -
+      order.refunds
+        .filter((refund) => refund.status !== "Failed")
+        .reduce((sum, refund) => sum + refund.amount, 0)
+  );
+
+const sumOpenRefunds = {
+  $sum: {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ["$refunds", []] },
+          cond: { $ne: ["$$this.status", "Failed"] },
+        },
+      },
+      in: "$$this.amount",
+    },
+  },
+};
+
+// Send the refund back through the payment provider, if it can do that
+const refundThroughProvider = async (order, refund) => {
+  const provider = getProvider(order.paymentMethod);
+  if (!provider?.refundPayment || !order.paymentGateway?.transactionId) {
+    return null;
+  }
+
+  // The provider may charge in another currency (PayPal), so refund the
+  // same share of what the provider actually took
+  const providerAmount = round2(
+    (refund.amount / chargedAmount(order)) * order.paymentGateway.amount
+  );
+
+  return provider.refundPayment({
+    order,
+    amount: providerAmount,
+    reason: refund.reason,
+  });
+};
+
+const issueRefund = async (orderId, { amount, reason, method, issuedBy }) => {
+  amount = round2(Number(amount));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw httpError("Refund amount must be greater than zero");
+  }
+  if (!reason?.trim()) {
+    throw httpError("Please give a reason for the refund");
+  }
+  if (!REFUND_METHODS.includes(method)) {
+    throw httpError(`Refund method must be one of: ${REFUND_METHODS.join(", ")}`);
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) throw httpError("Order not found", 404);
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw httpError("Only paid orders can be refunded");
+  }
+  if (amount > refundableAmount(order)) {
+    throw httpError(
+      `Refund exceeds the refundable amount of NPR ${refundableAmount(order).toFixed(2)}`
+    );
+  }
+
+  const refund = {
+    amount,
+    reason: reason.trim(),
+    method,
+    status: "Pending",
+    issuedBy,
+    createdAt: new Date(),
+  };
+
+  // Reserve the amount atomically so two admins can't refund the same money
+  const reserved = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES },
+      $expr: {
+        $lte: [
+          { $add: [sumOpenRefunds, amount] },
+          { $add: [{ $ifNull: ["$paidAmount", "$totalAmount"] }, 0.001] },
+        ],
+      },
+    },
+    { $push: { refunds: refund } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw httpError("Refund exceeds the refundable amount, please reload the order");
+  }
+
+  const saved = reserved.refunds[reserved.refunds.length - 1];
+
+  if (method === "Original Payment") {
+    try {
+      const result = await refundThroughProvider(reserved, saved);
+      // Without provider support (e.g. QR) the refund stays Pending until an
+      // admin has sent the money back and marks it completed
+      if (result) {
+        saved.providerRefundId = result.providerRefundId;
+        saved.status = result.status;
+      }
+    } catch (error) {
+      console.error("❌ Provider refund failed:", error.response?.data || error.message);
+      saved.status = "Failed";
+    }
+  } else {
+    // Cash and bank transfers are recorded once the admin has paid them out
+    saved.status = "Completed";
+  }
+
+  if (saved.status === "Completed") saved.completedAt = new Date();
+  applyRefundTotals(reserved);
+  await reserved.save();
+
+  if (saved.status === "Failed") {
+    throw httpError("The payment provider could not process the refund", 502);
+  }
+  return reserved;
+};
+
+// Settle a pending refund once the money has (or hasn't) reached the customer
+const updateRefundStatus = async (orderId, refundId, status) => {
+  if (!["Completed", "Failed"].includes(status)) {
+    throw httpError("Refund status must be Completed or Failed");
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) throw httpError("Order not found", 404);
+
+  const refund = order.refunds.id(refundId);
+  if (!refund) throw httpError("Refund not found", 404);
+  if (refund.status !== "Pending") {
+    throw httpError(`This refund is already ${refund.status.toLowerCase()}`);
+  }
+
+  refund.status = status;
+  if (status === "Completed") refund.completedAt = new Date();
+  applyRefundTotals(order);
+  await order.save();
+
+  return order;
+};
+
+module.exports = {
+  REFUND_METHODS,
+  refundableAmount,
+  issueRefund,
+  updateRefundStatus,
+};
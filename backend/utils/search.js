@@ -0,0 +1,114 @@
+// Helpers for product search: keyword extraction for prefix suggestions and
+// typo tolerance on top of MongoDB's text index.
+const Product = require("../model/productmodel");
+
+const MAX_QUERY_LENGTH = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Lowercase words of at least two letters, without duplicates
+const toKeywords = (...texts) => [
+  ...new Set(
+    texts
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length >= 2)
+  ),
+];
+
+// Denormalized fields the text index and suggestions rely on; set them
+// whenever a product's name or category changes
+const searchFieldsFor = (productName, categoryName) => ({
+  categoryName,
+  searchKeywords: toKeywords(productName, categoryName),
+});
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short words tolerate one typo, longer words two
+const maxTypos = (word) => (word.length <= 4 ? 0 : word.length <= 7 ? 1 : 2);
+
+// Replace each misspelled query word with the closest catalogue keyword.
+// Returns null when nothing could be corrected.
+const correctQuery = async (query) => {
+  const keywords = await Product.distinct("searchKeywords");
+  const known = new Set(keywords);
+
+  let changed = false;
+  const corrected = toKeywords(query).map((word) => {
+    if (known.has(word)) return word;
+
+    let best = null;
+    let bestDistance = maxTypos(word) + 1;
+    for (const keyword of keywords) {
+      if (Math.abs(keyword.length - word.length) >= bestDistance) continue;
+      const distance = levenshtein(word, keyword);
+      if (distance < bestDistance) {
+        best = keyword;
+        bestDistance = distance;
+      }
+    }
+
+    if (best) {
+      changed = true;
+      return best;
+    }
+    return word;
+  });
+
+  return changed ? corrected.join(" ") : null;
+};
+
+// Fill in search fields for products saved before they existed
+const backfillSearchFields = async () => {
+  const products = await Product.find({
+    $or: [
+      { searchKeywords: { $exists: false } },
+      { searchKeywords: { $size: 0 } },
+    ],
+  })
+    .populate("category", "categoryName")
+    .lean();
+
+  if (products.length === 0) return;
+
+  await Product.bulkWrite(
+    products.map((product) => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: {
+          $set: searchFieldsFor(
+            product.productName,
+            product.category?.categoryName
+          ),
+        },
+      },
+    }))
+  );
+  console.log(`🔎 Search fields backfilled for ${products.length} product(s)`);
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  escapeRegex,
+  searchFieldsFor,
+  levenshtein,
+  correctQuery,
+  backfillSearchFields,
+};
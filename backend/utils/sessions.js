@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const Session = require("../model/session.model");
+const {
+  REFRESH_TOKEN_TTL_MS,
+  signAccessToken,
+  issueRefreshToken,
+  revokeTokenFamily,
+} = require("./tokens");
+
+const LAST_SEEN_INTERVAL_MS = 60 * 1000; // Avoid a write on every request
+
+// Short "Browser on OS" label from the User-Agent header
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edg/", "Edge"],
+    ["OPR/", "Opera"],
+    ["Chrome/", "Chrome"],
+    ["Firefox/", "Firefox"],
+    ["Safari/", "Safari"],
+    ["PostmanRuntime", "Postman"],
+  ];
+  const systems = [
+    ["Android", "Android"],
+    ["iPhone", "iOS"],
+    ["iPad", "iPadOS"],
+    ["Windows", "Windows"],
+    ["Mac OS X", "macOS"],
+    ["Linux", "Linux"],
+  ];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !system) return "Unknown device";
+  if (!system) return browser[1];
+  if (!browser) return system[1];
+  return `${browser[1]} on ${system[1]}`;
+};
+
+// Start a session for a freshly authenticated user: records the device,
+// sets the refresh cookie and returns an access token bound to the session
+const createSession = async (req, res, user) => {
+  const sessionId = crypto.randomUUID();
+  const userAgent = req.headers["user-agent"];
+
+  await Session.create({
+    sessionId,
+    userId: user._id,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  await issueRefreshToken(res, user._id, sessionId);
+
+  return { token: signAccessToken(user, sessionId), sessionId };
+};
+
+const findActiveSession = (sessionId) =>
+  Session.findOne({
+    sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+
+// Record activity, at most once per LAST_SEEN_INTERVAL_MS
+const touchSession = (session, req, extendExpiry = false) => {
+  const now = Date.now();
+  if (!extendExpiry && now - session.lastSeenAt < LAST_SEEN_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+
+  const update = { lastSeenAt: new Date(now), ip: req.ip };
+  if (extendExpiry) update.expiresAt = new Date(now + REFRESH_TOKEN_TTL_MS);
+  return Session.updateOne({ _id: session._id }, update);
+};
+
+// Revoking a session also revokes every refresh token issued for it
+const revokeSession = async (sessionId) => {
+  await Session.updateOne(
+    { sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+  await revokeTokenFamily(sessionId);
+};
+
+const revokeAllSessions = async (userId) => {
+  const sessionIds = await Session.find({
+    userId,
+    revokedAt: { $exists: false },
+  }).distinct("sessionId");
+
+  await Promise.all(sessionIds.map(revokeSession));
+  return sessionIds.length;
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  findActiveSession,
+  touchSession,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,307 @@
+// Streams rows to the response as CSV or as a single-sheet XLSX workbook,
+// so large exports never sit in memory, and parses uploaded CSV. XLSX is a zip of XML parts; the
+// sheet is deflated as rows arrive and each entry's size and checksum go
+// in a trailing data descriptor, which lets the zip be written in one pass.
+const zlib = require("zlib");
+const httpError = require("./httpError");
+
+const FORMATS = ["csv", "xlsx"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Thrown when the download is closed (the client went away) before the
+// last row, so callers can stop reading and tidy up quietly
+const abortedError = () =>
+  Object.assign(new Error("The download was closed before it finished"), { aborted: true });
+
+// Write to a stream, waiting when its buffer is full. drain never comes
+// once the stream is closed, so closing or failing ends the wait too.
+const write = async (stream, chunk) => {
+  if (stream.destroyed) throw abortedError();
+  if (stream.write(chunk)) return;
+
+  await new Promise((resolve, reject) => {
+    const finish = (error) => {
+      stream.off("drain", onDrain);
+      stream.off("close", onClose);
+      stream.off("error", onClose);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onDrain = () => finish();
+    const onClose = () => finish(abortedError());
+    stream.on("drain", onDrain);
+    stream.on("close", onClose);
+    stream.on("error", onClose);
+  });
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "number") return String(value);
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const createCsvWriter = (res) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  res.write("\ufeff");
+  return {
+    addRow: (values) => write(res, `${values.map(csvCell).join(",")}\r\n`),
+    end: async () => res.end(),
+  };
+};
+
+// Rows of cells from CSV text (RFC 4180: quoted cells may hold commas,
+// doubled quotes and line breaks). Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw httpError("The CSV has a quoted cell that is never closed");
+  if (cell !== "" || row.length) endRow();
+
+  return rows;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+  let c = crc ^ 0xffffffff;
+  for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const escapeXml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters other than tab and newlines aren't allowed in XML
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, "");
+
+// "A", "B", ... "Z", "AA", ...
+const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const xlsxRow = (values, rowNumber, style) => {
+  const cells = values.map((value, index) => {
+    const ref = `${columnName(index)}${rowNumber}`;
+    const s = style ? ` s="${style}"` : "";
+    if (value === undefined || value === null || value === "") return "";
+    if (typeof value === "number" && Number.isFinite(value)) {
+      return `<c r="${ref}"${s}><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+      String(value)
+    )}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${cells.join("")}</row>`;
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SHEET_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PKG_REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+const staticParts = (sheetName) => ({
+  "[Content_Types].xml": `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+  "_rels/.rels": `${XML_HEADER}<Relationships xmlns="${PKG_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+  "xl/workbook.xml": `${XML_HEADER}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}"><sheets><sheet name="${escapeXml(
+    sheetName
+  )}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  "xl/_rels/workbook.xml.rels": `${XML_HEADER}<Relationships xmlns="${PKG_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`,
+  // Style 1 is the bold header row
+  "xl/styles.xml": `${XML_HEADER}<styleSheet xmlns="${SHEET_NS}"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>`,
+});
+
+// A zip written front to back: local header, deflated data, then a data
+// descriptor per entry, and the central directory at the end
+const createZipWriter = (out) => {
+  const entries = [];
+  let offset = 0;
+
+  const emit = async (chunk) => {
+    offset += chunk.length;
+    await write(out, chunk);
+  };
+
+  // Returns { write, close } for one entry's uncompressed content
+  const openEntry = async (name) => {
+    const nameBytes = Buffer.from(name, "utf8");
+    const entry = { nameBytes, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // Version needed
+    header.writeUInt16LE(0x0808, 6); // Data descriptor follows; UTF-8 names
+    header.writeUInt16LE(8, 8); // Deflate
+    header.writeUInt16LE(0, 10); // Time
+    header.writeUInt16LE(0x21, 12); // Date: 1980-01-01
+    header.writeUInt16LE(nameBytes.length, 26);
+    await emit(Buffer.concat([header, nameBytes]));
+
+    const deflate = zlib.createDeflateRaw();
+    const flushed = (async () => {
+      try {
+        for await (const chunk of deflate) {
+          entry.compressedSize += chunk.length;
+          await emit(chunk);
+        }
+      } catch (error) {
+        // Unblock writers waiting on the deflate stream
+        deflate.destroy(error);
+        throw error;
+      }
+    })();
+    // Awaited in close(); this only keeps an early failure from going unhandled
+    flushed.catch(() => {});
+
+    return {
+      write: async (text) => {
+        const bytes = Buffer.from(text, "utf8");
+        entry.crc = crc32(bytes, entry.crc);
+        entry.size += bytes.length;
+        await write(deflate, bytes);
+      },
+      close: async () => {
+        deflate.end();
+        await flushed;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await emit(descriptor);
+        entries.push(entry);
+      },
+    };
+  };
+
+  const finish = async () => {
+    const start = offset;
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4); // Made by
+      record.writeUInt16LE(20, 6); // Version needed
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(0, 12);
+      record.writeUInt16LE(0x21, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBytes.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await emit(Buffer.concat([record, entry.nameBytes]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await emit(end);
+  };
+
+  return { openEntry, finish };
+};
+
+const createXlsxWriter = async (res, sheetName) => {
+  const zip = createZipWriter(res);
+
+  for (const [name, content] of Object.entries(staticParts(sheetName))) {
+    const part = await zip.openEntry(name);
+    await part.write(content);
+    await part.close();
+  }
+
+  const sheet = await zip.openEntry("xl/worksheets/sheet1.xml");
+  await sheet.write(`${XML_HEADER}<worksheet xmlns="${SHEET_NS}"><sheetData>`);
+  let rowNumber = 0;
+
+  return {
+    addRow: (values) => {
+      rowNumber += 1;
+      // The first row is the header
+      return sheet.write(xlsxRow(values, rowNumber, rowNumber === 1 ? 1 : 0));
+    },
+    end: async () => {
+      await sheet.write("</sheetData></worksheet>");
+      await sheet.close();
+      await zip.finish();
+      res.end();
+    },
+  };
+};
+
+// Start a download named `${name}.${format}` whose first row is headers.
+// Returns { addRow(values), end() }; numbers stay numbers in XLSX.
+const startSpreadsheet = async (res, { format, name, headers }) => {
+  res.status(200);
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${name}.${format}"`);
+
+  const writer =
+    format === "xlsx" ? await createXlsxWriter(res, name.slice(0, 31)) : createCsvWriter(res);
+  await writer.addRow(headers);
+  return writer;
+};
+
+module.exports = {
+  FORMATS,
+  startSpreadsheet,
+  parseCsv,
+};
@@ -0,0 +1,338 @@
+// Stock ledger: every change to a product's totalUnits/remainingUnits/
+// soldUnits is paired with a StockMovement entry, and a periodic
+// reconciliation flags products whose counters have drifted from it.
+const mongoose = require("mongoose");
+const Product = require("../model/productmodel");
+const StockMovement = require("../model/stockmovement.model");
+const Batch = require("../model/batch.model");
+const httpError = require("./httpError");
+const {
+  parseBatchInput,
+  createBatch,
+  drawBatches,
+  refreshMarkdowns,
+} = require("./batches");
+
+// Changes an admin can make by hand, and how each moves the counters
+const MANUAL_MOVEMENTS = {
+  Restock: { sign: 1, signed: false }, // Goods received
+  Spoilage: { sign: -1, signed: false }, // Written off as damaged or expired
+  Adjustment: { sign: 1, signed: true }, // Stock-take correction, either way
+};
+
+const RECONCILE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const EXPIRY_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Append one ledger entry. product is the document after the change, so the
+// entry can show the stock level it left behind.
+const recordMovement = async (product, entry, session) => {
+  const [movement] = await StockMovement.create(
+    [
+      {
+        product: product._id,
+        remainingAfter: product.remainingUnits,
+        ...entry,
+      },
+    ],
+    { session }
+  );
+  return movement;
+};
+
+// Restock, spoilage or adjustment from the admin's stock page. Guarded so
+// remaining stock can't go below zero. A restock is received as a new batch
+// (with optional expiry, cost and lot number), and a restock cost becomes the
+// product's cost price; units taken away leave the batches FEFO.
+const adjustStock = async (productId, body, user, session) => {
+  const { type, quantity, note } = body;
+  const rule = MANUAL_MOVEMENTS[type];
+  if (!rule) {
+    throw httpError(`Type must be one of: ${Object.keys(MANUAL_MOVEMENTS).join(", ")}`);
+  }
+
+  const amount = Number(quantity);
+  if (!Number.isInteger(amount) || amount === 0 || (!rule.signed && amount < 0)) {
+    throw httpError(
+      rule.signed ? "Quantity must be a non-zero whole number" : "Quantity must be a positive whole number"
+    );
+  }
+  if (type !== "Restock" && !note?.trim()) {
+    throw httpError("Please give a reason for this change");
+  }
+
+  const batchDetails = type === "Restock" ? parseBatchInput(body) : null;
+
+  await writeOffExpiredStock(productId, session);
+  const change = rule.sign * amount;
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, remainingUnits: { $gte: -change } },
+    {
+      $inc: { remainingUnits: change, totalUnits: change },
+      ...(batchDetails?.costPrice !== undefined && { $set: { costPrice: batchDetails.costPrice } }),
+    },
+    { new: true, session }
+  );
+
+  if (!product) {
+    const existing = await Product.findById(productId).session(session);
+    if (!existing) throw httpError("Product not found", 404);
+    throw httpError(`Only ${existing.remainingUnits} units are in stock`);
+  }
+
+  const batch = batchDetails
+    ? await createBatch(product._id, change, batchDetails, user, session)
+    : null;
+  if (change < 0) await drawBatches(product._id, -change, session);
+
+  const movement = await recordMovement(
+    product,
+    {
+      type,
+      remainingChange: change,
+      totalChange: change,
+      user: user._id,
+      batch: batch?._id,
+      note: note?.trim(),
+    },
+    session
+  );
+
+  return { product, movement, batch };
+};
+
+// A new total typed on the product form or in an import. Extra units are
+// received as a restock batch; fewer leave the batches as an adjustment.
+const adjustTotalUnits = (productId, difference, user, note, session) =>
+  adjustStock(
+    productId,
+    { type: difference > 0 ? "Restock" : "Adjustment", quantity: difference, note },
+    user,
+    session
+  );
+
+// Take one expired batch out of sellable stock and log it as spoilage.
+// Call inside a transaction.
+const writeOffBatch = async (batch, now, session) => {
+  const current = await Product.findById(batch.product).session(session);
+  // Stock sold from outside batches can leave fewer units than the batch holds
+  const units = Math.min(batch.remaining, current?.remainingUnits || 0);
+
+  batch.remaining = 0;
+  batch.writtenOffAt = now;
+  await batch.save({ session });
+  if (!current || units === 0) return;
+
+  const product = await Product.findByIdAndUpdate(
+    current._id,
+    {
+      $inc: { remainingUnits: -units, totalUnits: -units },
+      ...(current.activeMarkdown?.batch?.equals(batch._id) && {
+        $unset: { activeMarkdown: "" },
+      }),
+    },
+    { new: true, session }
+  );
+  await recordMovement(
+    product,
+    {
+      type: "Spoilage",
+      remainingChange: -units,
+      totalChange: -units,
+      batch: batch._id,
+      note: `Batch ${batch.batchCode || batch._id.toString().slice(-6)} expired`,
+    },
+    session
+  );
+};
+
+// Write off a product's expired batches inside the caller's transaction, so
+// a sale or adjustment never counts units that expired since the last check
+const writeOffExpiredStock = async (productId, session, now = new Date()) => {
+  const expired = await Batch.find({
+    product: productId,
+    expiresAt: { $lte: now },
+    remaining: { $gt: 0 },
+  }).session(session);
+
+  for (const batch of expired) await writeOffBatch(batch, now, session);
+};
+
+// Take expired batches out of sellable stock, one transaction per batch, and
+// log each as spoilage
+const writeOffExpiredBatches = async (now = new Date()) => {
+  const expired = await Batch.find({ expiresAt: { $lte: now }, remaining: { $gt: 0 } })
+    .select("_id")
+    .lean();
+
+  for (const { _id } of expired) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const batch = await Batch.findById(_id).session(session);
+        if (!batch || batch.remaining === 0) return;
+        await writeOffBatch(batch, now, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  if (expired.length) console.log(`🗑️ Wrote off ${expired.length} expired batch(es)`);
+};
+
+// Write off expired batches and update expiry markdowns now and every 15 minutes
+const startBatchExpiry = () => {
+  const run = async () => {
+    try {
+      await writeOffExpiredBatches();
+      await refreshMarkdowns();
+    } catch (error) {
+      console.error("Batch expiry check failed:", error.message);
+    }
+  };
+
+  run();
+  setInterval(run, EXPIRY_CHECK_INTERVAL_MS);
+};
+
+// Products that existed before the ledger get one Opening entry matching
+// their counters, so reconciliation starts from a clean slate
+const backfillOpeningBalances = async () => {
+  const tracked = await StockMovement.distinct("product");
+  const products = await Product.find({ _id: { $nin: tracked } })
+    .select("totalUnits remainingUnits soldUnits")
+    .lean();
+
+  if (products.length === 0) return;
+
+  await StockMovement.insertMany(
+    products.map((product) => ({
+      product: product._id,
+      type: "Opening",
+      remainingChange: product.remainingUnits,
+      soldChange: product.soldUnits,
+      totalChange: product.totalUnits,
+      remainingAfter: product.remainingUnits,
+      note: "Opening balance",
+    }))
+  );
+  console.log(`📦 Opening stock recorded for ${products.length} product(s)`);
+};
+
+// Compare every product's counters with the sum of its ledger entries,
+// setting stockDiscrepancy on the ones that differ and clearing it on the
+// rest. Both are read from one snapshot so an order placed mid-check
+// doesn't look like drift.
+const reconcileStock = async () => {
+  const session = await mongoose.startSession();
+  let products;
+  let ledger;
+
+  try {
+    await session.withTransaction(
+      async () => {
+        [products, ledger] = await Promise.all([
+          Product.find()
+            .select("productName totalUnits remainingUnits soldUnits stockDiscrepancy")
+            .session(session)
+            .lean(),
+          StockMovement.aggregate([
+            {
+              $group: {
+                _id: "$product",
+                totalUnits: { $sum: "$totalChange" },
+                remainingUnits: { $sum: "$remainingChange" },
+                soldUnits: { $sum: "$soldChange" },
+              },
+            },
+          ]).session(session),
+        ]);
+      },
+      { readConcern: { level: "snapshot" } }
+    );
+  } finally {
+    await session.endSession();
+  }
+
+  const ledgerByProduct = new Map(ledger.map((entry) => [entry._id.toString(), entry]));
+  const mismatched = [];
+  const updates = [];
+
+  for (const product of products) {
+    const expected = ledgerByProduct.get(product._id.toString()) || {
+      totalUnits: 0,
+      remainingUnits: 0,
+      soldUnits: 0,
+    };
+    const matches = ["totalUnits", "remainingUnits", "soldUnits"].every(
+      (field) => (product[field] || 0) === expected[field]
+    );
+
+    if (!matches) {
+      mismatched.push({
+        productId: product._id,
+        productName: product.productName,
+        counters: {
+          totalUnits: product.totalUnits,
+          remainingUnits: product.remainingUnits,
+          soldUnits: product.soldUnits,
+        },
+        ledger: {
+          totalUnits: expected.totalUnits,
+          remainingUnits: expected.remainingUnits,
+          soldUnits: expected.soldUnits,
+        },
+      });
+      updates.push({
+        updateOne: {
+          filter: { _id: product._id },
+          update: {
+            $set: {
+              stockDiscrepancy: {
+                totalUnits: expected.totalUnits,
+                remainingUnits: expected.remainingUnits,
+                soldUnits: expected.soldUnits,
+                detectedAt: product.stockDiscrepancy?.detectedAt || new Date(),
+              },
+            },
+          },
+        },
+      });
+    } else if (product.stockDiscrepancy) {
+      updates.push({
+        updateOne: { filter: { _id: product._id }, update: { $unset: { stockDiscrepancy: "" } } },
+      });
+    }
+  }
+
+  if (updates.length) await Product.bulkWrite(updates);
+  if (mismatched.length) {
+    console.warn(`⚠️ Stock ledger mismatch on ${mismatched.length} product(s)`);
+  }
+
+  return mismatched;
+};
+
+// Run the reconciliation now and then every few hours
+const startStockReconciliation = () => {
+  const run = () =>
+    reconcileStock().catch((error) =>
+      console.error("Stock reconciliation failed:", error.message)
+    );
+
+  run();
+  setInterval(run, RECONCILE_INTERVAL_MS);
+};
+
+module.exports = {
+  MANUAL_MOVEMENTS,
+  recordMovement,
+  adjustStock,
+  adjustTotalUnits,
+  writeOffExpiredStock,
+  backfillOpeningBalances,
+  reconcileStock,
+  startStockReconciliation,
+  writeOffExpiredBatches,
+  startBatchExpiry,
+};
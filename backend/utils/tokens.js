@@ -0,0 +1,67 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../model/refreshtoken.model");
+require("dotenv").config();
+
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const REFRESH_COOKIE = "refreshToken";
+
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  path: "/v1/auth",
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// sid ties the access token to a Session so it can be revoked before it expires
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { userId: user._id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Create a refresh token, store its hash and set it as an httpOnly cookie.
+// The family is the session id, shared by every rotation of one login.
+const issueRefreshToken = async (res, userId, family) => {
+  const token = crypto.randomBytes(40).toString("hex");
+  const tokenHash = hashToken(token);
+
+  await RefreshToken.create({
+    userId,
+    tokenHash,
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  res.cookie(REFRESH_COOKIE, token, {
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_TTL_MS,
+  });
+
+  return { tokenHash, family };
+};
+
+// Revoke every token issued for one login, e.g. after reuse is detected
+const revokeTokenFamily = (family) =>
+  RefreshToken.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+
+const clearRefreshCookie = (res) =>
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+
+module.exports = {
+  REFRESH_TOKEN_TTL_MS,
+  REFRESH_COOKIE,
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  revokeTokenFamily,
+  clearRefreshCookie,
+};
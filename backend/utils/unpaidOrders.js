@@ -0,0 +1,76 @@
+// Online orders take their stock, coupon use and delivery slot place when
+// they are placed, before the customer has paid. Orders left unpaid are
+// cancelled after a while so they give those back. A payment that still
+// completes afterwards is refunded by the payment controller.
+const mongoose = require("mongoose");
+const Order = require("../model/order.model");
+const { ONLINE_PAYMENT_METHODS, UNPAID_STATUSES } = require("./payments");
+const { changeStatus } = require("./orderStatus");
+const { notifyOrderStatusChanged } = require("./orderNotifications");
+
+const UNPAID_ORDER_TIMEOUT_MS = 60 * 60 * 1000;
+const UNPAID_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+const EXPIRY_NOTE = "Payment was not completed in time";
+
+const unpaidFilter = {
+  status: "Pending",
+  paymentMethod: { $in: ONLINE_PAYMENT_METHODS },
+  paymentStatus: { $in: UNPAID_STATUSES },
+};
+
+// Cancel online orders still unpaid after the timeout, one transaction per
+// order, through the usual cancel path. Returns how many were cancelled.
+const expireUnpaidOrders = async (now = new Date()) => {
+  const stale = await Order.find({
+    ...unpaidFilter,
+    createdAt: { $lte: new Date(now.getTime() - UNPAID_ORDER_TIMEOUT_MS) },
+  })
+    .select("_id")
+    .lean();
+
+  let cancelled = 0;
+  for (const { _id } of stale) {
+    const session = await mongoose.startSession();
+    try {
+      let expired = false;
+      await session.withTransaction(async () => {
+        // Paid or cancelled since the query above
+        const order = await Order.findOne({ _id, ...unpaidFilter }).session(session);
+        expired = Boolean(order);
+        if (!order) return;
+
+        await changeStatus(order, "Cancelled", { note: EXPIRY_NOTE }, session);
+      });
+
+      if (expired) {
+        cancelled++;
+        notifyOrderStatusChanged(_id, "Cancelled", EXPIRY_NOTE);
+      }
+    } catch (error) {
+      console.error(`❌ Could not expire unpaid order ${_id}:`, error.message);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  if (cancelled) console.log(`⌛ Cancelled ${cancelled} unpaid order(s)`);
+  return cancelled;
+};
+
+// Expire unpaid orders now and every few minutes
+const startUnpaidOrderExpiry = () => {
+  const run = () =>
+    expireUnpaidOrders().catch((error) =>
+      console.error("Unpaid order expiry failed:", error.message)
+    );
+
+  run();
+  setInterval(run, UNPAID_CHECK_INTERVAL_MS);
+};
+
+module.exports = {
+  UNPAID_ORDER_TIMEOUT_MS,
+  expireUnpaidOrders,
+  startUnpaidOrderExpiry,
+};
@@ -0,0 +1,98 @@
+// Reads files out of an uploaded zip held in memory. Only what zip tools
+// write by default is supported: stored or deflated entries, no zip64 and
+// no encryption. The central directory is indexed first and only the
+// entries asked for are inflated, within per-entry and total size caps, so
+// a small upload can't expand into more memory than that.
+const zlib = require("zlib");
+const httpError = require("./httpError");
+
+const END_SIGNATURE = 0x06054b50;
+const ENTRY_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const MAX_ENTRIES = 5000;
+const MAX_ENTRY_SIZE = 10 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 200 * 1024 * 1024;
+
+const invalid = () => httpError("The zip file is damaged or not a zip");
+
+// The end record sits in the last 22 bytes plus up to 64 KB of comment
+const findEndRecord = (buffer) => {
+  const earliest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= earliest; i -= 1) {
+    if (buffer.readUInt32LE(i) === END_SIGNATURE) return i;
+  }
+  throw invalid();
+};
+
+// [{ name, method, flags, compressedSize, size, localOffset }] for each
+// file, from the central directory alone; folders and macOS metadata are
+// left out
+const listZip = (buffer) => {
+  if (buffer.length < 22) throw invalid();
+  const end = findEndRecord(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  if (count > MAX_ENTRIES) throw httpError(`The zip can hold at most ${MAX_ENTRIES} files`);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ENTRY_SIGNATURE) {
+      throw invalid();
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const entry = {
+      name: buffer
+        .subarray(offset + 46, offset + 46 + nameLength)
+        .toString(flags & 0x800 ? "utf8" : "latin1"),
+      flags,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    };
+    offset +=
+      46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+
+    if (entry.name.endsWith("/") || entry.name.startsWith("__MACOSX/")) continue;
+    entries.push(entry);
+  }
+  return entries;
+};
+
+const inflateEntry = (buffer, entry) => {
+  const { name, flags, method, compressedSize, size, localOffset } = entry;
+  if (flags & 0x1) throw httpError(`${name} in the zip is encrypted`);
+  if ([compressedSize, size, localOffset].includes(0xffffffff)) {
+    throw httpError("The zip file is too large");
+  }
+  if (size > MAX_ENTRY_SIZE) throw httpError(`${name} in the zip is larger than 10 MB`);
+
+  if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+    throw invalid();
+  }
+  const start =
+    localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const raw = buffer.subarray(start, start + compressedSize);
+  if (raw.length !== compressedSize) throw invalid();
+
+  if (method === 0) return raw;
+  if (method !== 8) throw httpError(`${name} in the zip uses an unsupported compression method`);
+  try {
+    // Held to the declared size, so a lying header can't inflate further
+    return zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+  } catch {
+    throw invalid();
+  }
+};
+
+// [{ name, data }] for the given entries from listZip
+const extractZip = (buffer, entries) => {
+  const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (total > MAX_TOTAL_SIZE) {
+    throw httpError("The images in the zip add up to more than 200 MB");
+  }
+  return entries.map((entry) => ({ name: entry.name, data: inflateEntry(buffer, entry) }));
+};
+
+module.exports = { listZip, extractZip };
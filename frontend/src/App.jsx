@@ -7,6 +7,7 @@ import Login from "./pages/Login";
 import Cart from "./pages/Cart";
 import Checkout from "./pages/Checkout";
 import Orders from "./pages/Orders";
+import PaymentReturn from "./pages/PaymentReturn";
 import Shop from "./pages/Shop";
 import UserLayout from "./layouts/UserLayout";
 import { Toaster } from "react-hot-toast";
@@ -17,14 +18,31 @@ import DashboardHome from "./pages/admin/DashboardHome";
 import CategoriesPage from "./pages/admin/CategoriesPage.jsx";
 import CreateCategory from "./pages/admin/CreateCategory.jsx";
 import UpdateCategory from "./pages/admin/UpdateCategory.jsx";
+import CouponsPage from "./pages/admin/CouponsPage.jsx";
+import CreateCoupon from "./pages/admin/CreateCoupon.jsx";
+import UpdateCoupon from "./pages/admin/UpdateCoupon.jsx";
+import SalesPage from "./pages/admin/SalesPage.jsx";
+import CreateSale from "./pages/admin/CreateSale.jsx";
+import UpdateSale from "./pages/admin/UpdateSale.jsx";
+import DeliveryPage from "./pages/admin/DeliveryPage.jsx";
 import ProductsPage from "./pages/admin/ProductsPage.jsx";
 import CreateProduct from "./pages/admin/CreateProduct.jsx";
 import UpdateProduct from "./pages/admin/UpdateProduct.jsx";
+import StockHistory from "./pages/admin/StockHistory.jsx";
+import ExpiringPage from "./pages/admin/ExpiringPage.jsx";
+import SuppliersPage from "./pages/admin/SuppliersPage.jsx";
+import ProfitReport from "./pages/admin/ProfitReport.jsx";
+import ImportProducts from "./pages/admin/ImportProducts.jsx";
+import PurchaseOrdersPage from "./pages/admin/PurchaseOrdersPage.jsx";
+import CreatePurchaseOrder from "./pages/admin/CreatePurchaseOrder.jsx";
+import UpdatePurchaseOrder from "./pages/admin/UpdatePurchaseOrder.jsx";
+import PurchaseOrderDetail from "./pages/admin/PurchaseOrderDetail.jsx";
 import UsersPage from "./pages/admin/UsersPage.jsx";
 import RequireAuth from "./hooks/requireAuth.jsx";
 import CustomerDashboard from "./layouts/CustomerLayout.jsx";
 import CustomerDashboardHome from "./pages/customer/Dashboard.jsx";
 import MyOrders from "./pages/customer/MyOrders.jsx";
+import MyReviews from "./pages/customer/MyReviews.jsx";
 import AdminAllOrders from "./pages/admin/AdminAllOrders.jsx";
 import CustomerSettings from "./pages/customer/Settings.jsx";
 import AdminSettings from "./pages/admin/Settings.jsx";
@@ -50,6 +68,7 @@ const App = () => {
             <Route path="/cart" element={<Cart />} />
             <Route path="/checkout" element={<Checkout />} />
             <Route path="/orders" element={<Orders />} />
+            <Route path="/payment/return" element={<PaymentReturn />} />
           </Route>
           <Route element={<RequireAuth allowedRoles={["Admin"]} />}>
             <Route path="/admin" element={<AdminDashboard />}>
@@ -57,11 +76,27 @@ const App = () => {
               <Route path="categories" element={<CategoriesPage />} />
               <Route path="categories/create" element={<CreateCategory />} />
               <Route path="categories/update/:id" element={<UpdateCategory />} />
+              <Route path="coupons" element={<CouponsPage />} />
+              <Route path="coupons/create" element={<CreateCoupon />} />
+              <Route path="coupons/update/:id" element={<UpdateCoupon />} />
+              <Route path="sales" element={<SalesPage />} />
+              <Route path="sales/create" element={<CreateSale />} />
+              <Route path="sales/update/:id" element={<UpdateSale />} />
+              <Route path="delivery" element={<DeliveryPage />} />
               <Route path="products" element={<ProductsPage />} />
               <Route path="products/create" element={<CreateProduct />} />
+              <Route path="products/import" element={<ImportProducts />} />
               <Route path="products/update/:id" element={<UpdateProduct />} />
+              <Route path="products/:id/stock" element={<StockHistory />} />
+              <Route path="expiring" element={<ExpiringPage />} />
+              <Route path="suppliers" element={<SuppliersPage />} />
+              <Route path="purchase-orders" element={<PurchaseOrdersPage />} />
+              <Route path="purchase-orders/create" element={<CreatePurchaseOrder />} />
+              <Route path="purchase-orders/update/:id" element={<UpdatePurchaseOrder />} />
+              <Route path="purchase-orders/:id" element={<PurchaseOrderDetail />} />
               <Route path="users" element={<UsersPage />} />
               <Route path="allorders" element={<AdminAllOrders />} />
+              <Route path="reports/profit" element={<ProfitReport />} />
               <Route path="settings" element={<AdminSettings />} />
             </Route>
           </Route>
@@ -69,6 +104,7 @@ const App = () => {
             <Route path="/customer" element={<CustomerDashboard />}>
               <Route path="dashboard" element={<CustomerDashboardHome />} />
               <Route path="myorders" element={<MyOrders />} />
+              <Route path="myreviews" element={<MyReviews />} />
               <Route path="settings" element={<CustomerSettings />} />
             </Route>
           </Route>
@@ -0,0 +1,239 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Pencil, Trash2, Plus, Star } from "lucide-react";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+import toast from "react-hot-toast";
+
+const LABELS = ["Home", "Work", "Other"];
+
+const EMPTY_ADDRESS = {
+  label: "Home",
+  phone: "",
+  ward: "",
+  municipality: "",
+  district: "",
+  street: "",
+  landmark: "",
+  isDefault: false,
+};
+
+const inputClass = "mt-1 w-full px-3 py-2 border border-gray-300 rounded-md";
+
+// Same wording as the server's utils/addresses.js
+export const formatAddress = (address) =>
+  [
+    address.landmark && `Near ${address.landmark}`,
+    address.street,
+    address.ward && `Ward ${address.ward}`,
+    address.municipality,
+    address.district,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+// Saved delivery addresses, managed from the customer's settings page
+const AddressBook = () => {
+  const axiosPrivate = useAxiosPrivate();
+  const [addresses, setAddresses] = useState([]);
+  const [form, setForm] = useState(null); // null when closed
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchAddresses = useCallback(async () => {
+    try {
+      const res = await axiosPrivate.get("/v1/addresses");
+      setAddresses(res.data.addresses || []);
+    } catch (err) {
+      console.error("Failed to fetch addresses", err);
+    }
+  }, [axiosPrivate]);
+
+  useEffect(() => {
+    fetchAddresses();
+  }, [fetchAddresses]);
+
+  const openForm = (address) => {
+    setEditingId(address?._id || null);
+    setForm(address ? { ...EMPTY_ADDRESS, ...address } : EMPTY_ADDRESS);
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = editingId
+        ? await axiosPrivate.put(`/v1/addresses/${editingId}`, form)
+        : await axiosPrivate.post("/v1/addresses", form);
+      setAddresses(res.data.addresses);
+      toast.success(res.data.message);
+      closeForm();
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to save address");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const makeDefault = async (id) => {
+    try {
+      const res = await axiosPrivate.put(`/v1/addresses/${id}/default`);
+      setAddresses(res.data.addresses);
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to change default address");
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Delete this address? Past orders keep their copy.")) return;
+    try {
+      const res = await axiosPrivate.delete(`/v1/addresses/${id}`);
+      setAddresses(res.data.addresses);
+      toast.success("Address deleted");
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to delete address");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xl font-semibold text-gray-700">Saved Addresses</h3>
+        {!form && (
+          <button
+            onClick={() => openForm(null)}
+            className="flex items-center gap-1 text-sm text-blue-600 hover:underline"
+          >
+            <Plus className="w-4 h-4" />
+            Add address
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <form onSubmit={handleSave} className="border rounded-md p-4 grid md:grid-cols-2 gap-3">
+          <label className="text-sm text-gray-700">
+            Label
+            <select name="label" value={form.label} onChange={handleChange} className={inputClass}>
+              {LABELS.map((label) => (
+                <option key={label}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Phone*
+            <input
+              name="phone"
+              type="tel"
+              value={form.phone}
+              onChange={handleChange}
+              pattern="[0-9]{10}"
+              maxLength={10}
+              placeholder="10-digit mobile number"
+              required
+              className={inputClass}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            District*
+            <input name="district" value={form.district} onChange={handleChange} required className={inputClass} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Municipality*
+            <input
+              name="municipality"
+              value={form.municipality}
+              onChange={handleChange}
+              required
+              className={inputClass}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Ward No.
+            <input name="ward" value={form.ward} onChange={handleChange} className={inputClass} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Street / Tole
+            <input name="street" value={form.street} onChange={handleChange} className={inputClass} />
+          </label>
+          <label className="text-sm text-gray-700 md:col-span-2">
+            Landmark
+            <input
+              name="landmark"
+              value={form.landmark}
+              onChange={handleChange}
+              placeholder="e.g. Bus Park"
+              className={inputClass}
+            />
+          </label>
+          <label className="text-sm text-gray-700 flex items-center gap-2">
+            <input name="isDefault" type="checkbox" checked={form.isDefault} onChange={handleChange} />
+            Use as default address
+          </label>
+          <div className="flex gap-2 justify-end">
+            <button type="button" onClick={closeForm} className="px-4 py-2 text-gray-600 hover:text-gray-800">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700"
+            >
+              {saving ? "Saving..." : editingId ? "Update Address" : "Save Address"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {addresses.length === 0 ? (
+        <p className="text-sm text-gray-500">No saved addresses yet.</p>
+      ) : (
+        <ul className="divide-y border rounded-md">
+          {addresses.map((address) => (
+            <li key={address._id} className="flex items-start justify-between p-4">
+              <div>
+                <p className="text-sm font-medium text-gray-800">
+                  {address.label}
+                  {address.isDefault && (
+                    <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded-full">
+                      Default
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-600">{formatAddress(address)}</p>
+                <p className="text-xs text-gray-500">{address.phone}</p>
+              </div>
+              <div className="flex gap-2">
+                {!address.isDefault && (
+                  <button
+                    onClick={() => makeDefault(address._id)}
+                    title="Make default"
+                    className="text-gray-500 hover:text-yellow-600"
+                  >
+                    <Star className="w-5 h-5" />
+                  </button>
+                )}
+                <button onClick={() => openForm(address)} className="text-blue-600 hover:text-blue-800">
+                  <Pencil className="w-5 h-5" />
+                </button>
+                <button onClick={() => handleDelete(address._id)} className="text-red-600 hover:text-red-800">
+                  <Trash2 className="w-5 h-5" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AddressBook;
@@ -6,9 +6,16 @@ import useLogout from "../hooks/useLogout";
 const navLinks = [
   { name: "Dashboard", to: "/admin/dashboard" },
   { name: "Categories", to: "/admin/categories" },
+  { name: "Coupons", to: "/admin/coupons" },
+  { name: "Sales", to: "/admin/sales" },
   { name: "Products", to: "/admin/products" },
+  { name: "Near Expiry", to: "/admin/expiring" },
+  { name: "Purchase Orders", to: "/admin/purchase-orders" },
+  { name: "Suppliers", to: "/admin/suppliers" },
   { name: "Users", to: "/admin/users" },
   { name: "Orders", to: "/admin/allorders" },
+  { name: "Profit Report", to: "/admin/reports/profit" },
+  { name: "Delivery", to: "/admin/delivery" },
   { name: "Settings", to: "/admin/settings" },
 ];
 
@@ -30,7 +37,7 @@ const AdminSidebar = ({ isOpen, toggleSidebar }) => {
     <>
       {/* Sidebar */}
       <div
-        className={`fixed md:static top-0 left-0 z-50 h-full w-64 bg-white shadow-md transform transition-transform duration-200 ease-in-out ${
+        className={`fixed md:static top-0 left-0 z-50 h-full w-64 bg-white shadow-md print:hidden transform transition-transform duration-200 ease-in-out ${
           isOpen ? "translate-x-0" : "-translate-x-full md:translate-x-0"
         }`}
       >
@@ -0,0 +1,257 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import useScopeOptions from "../hooks/useScopeOptions";
+
+const EMPTY_COUPON = {
+  code: "",
+  description: "",
+  discountType: "Percent",
+  value: "",
+  maxDiscount: "",
+  minOrderValue: "",
+  categories: [],
+  products: [],
+  validFrom: "",
+  validUntil: "",
+  usageLimit: "",
+  perUserLimit: "1",
+  isActive: true,
+};
+
+// Dates from the API as values for datetime-local inputs
+const toInputDate = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+};
+
+// Turn a coupon from the API into form values
+export const couponToForm = (coupon) => ({
+  code: coupon.code,
+  description: coupon.description || "",
+  discountType: coupon.discountType,
+  value: coupon.value,
+  isActive: coupon.isActive,
+  maxDiscount: coupon.maxDiscount ?? "",
+  minOrderValue: coupon.minOrderValue ?? "",
+  usageLimit: coupon.usageLimit ?? "",
+  perUserLimit: coupon.perUserLimit ?? "1",
+  categories: (coupon.categories || []).map((c) => c._id || c),
+  products: (coupon.products || []).map((p) => p._id || p),
+  validFrom: toInputDate(coupon.validFrom),
+  validUntil: toInputDate(coupon.validUntil),
+});
+
+const inputClass =
+  "w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm";
+
+// Shared by the create and update coupon pages. initialValues is only read
+// on mount, so render the form once the coupon has loaded.
+const CouponForm = ({ initialValues, submitLabel, isLoading, onSubmit }) => {
+  const [form, setForm] = useState(initialValues || EMPTY_COUPON);
+  const { categories, products } = useScopeOptions();
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      [field]: e.target.type === "checkbox" ? e.target.checked : e.target.value,
+    }));
+
+  const setMultiSelect = (field) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      [field]: Array.from(e.target.selectedOptions, (option) => option.value),
+    }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!form.code.trim() || !form.value) {
+      toast.error("Code and discount value are required");
+      return;
+    }
+
+    onSubmit({
+      ...form,
+      code: form.code.trim().toUpperCase(),
+      validFrom: form.validFrom ? new Date(form.validFrom).toISOString() : "",
+      validUntil: form.validUntil ? new Date(form.validUntil).toISOString() : "",
+    });
+  };
+
+  return (
+    <form className="space-y-5" onSubmit={handleSubmit}>
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+          <input
+            type="text"
+            value={form.code}
+            onChange={(e) => setForm((prev) => ({ ...prev, code: e.target.value.toUpperCase() }))}
+            placeholder="e.g. FRESH10"
+            required
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+          <input
+            type="text"
+            value={form.description}
+            onChange={setField("description")}
+            placeholder="Shown to admins only"
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Discount Type</label>
+          <select value={form.discountType} onChange={setField("discountType")} className={inputClass}>
+            <option value="Percent">Percent off</option>
+            <option value="Flat">Flat amount off (Rs.)</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {form.discountType === "Percent" ? "Percent" : "Amount (Rs.)"}
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={form.value}
+            onChange={setField("value")}
+            required
+            className={inputClass}
+          />
+        </div>
+
+        {form.discountType === "Percent" && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Maximum Discount (Rs.)
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.maxDiscount}
+              onChange={setField("maxDiscount")}
+              placeholder="No cap"
+              className={inputClass}
+            />
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Minimum Order Value (Rs.)
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={form.minOrderValue}
+            onChange={setField("minOrderValue")}
+            placeholder="0"
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Valid From</label>
+          <input
+            type="datetime-local"
+            value={form.validFrom}
+            onChange={setField("validFrom")}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Valid Until</label>
+          <input
+            type="datetime-local"
+            value={form.validUntil}
+            onChange={setField("validUntil")}
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Total Uses</label>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={form.usageLimit}
+            onChange={setField("usageLimit")}
+            placeholder="Unlimited"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Uses per Customer</label>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={form.perUserLimit}
+            onChange={setField("perUserLimit")}
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Categories <span className="text-gray-400">(none = all)</span>
+          </label>
+          <select
+            multiple
+            value={form.categories}
+            onChange={setMultiSelect("categories")}
+            className={`${inputClass} h-32`}
+          >
+            {categories.map((category) => (
+              <option key={category._id} value={category._id}>
+                {category.categoryName}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Products <span className="text-gray-400">(none = all)</span>
+          </label>
+          <select
+            multiple
+            value={form.products}
+            onChange={setMultiSelect("products")}
+            className={`${inputClass} h-32`}
+          >
+            {products.map((product) => (
+              <option key={product._id} value={product._id}>
+                {product.productName}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={form.isActive} onChange={setField("isActive")} />
+        Active
+      </label>
+
+      <button
+        type="submit"
+        disabled={isLoading}
+        className="w-full py-3 bg-green-600 hover:bg-green-700 text-white rounded-lg font-semibold transition disabled:opacity-50"
+      >
+        {isLoading ? "Saving..." : submitLabel}
+      </button>
+    </form>
+  );
+};
+
+export default CouponForm;
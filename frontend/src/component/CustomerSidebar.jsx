@@ -6,6 +6,7 @@ import useLogout from "../hooks/useLogout";
 const navLinks = [
   { name: "Dashboard", to: "/customer/dashboard" },
   { name: "MyOrders", to: "/customer/myorders" },
+  { name: "MyReviews", to: "/customer/myreviews" },
   { name: "Settings", to: "/customer/settings" },
 ];
 
@@ -0,0 +1,109 @@
+import React from "react";
+
+const formatDay = (date, index) => {
+  if (index === 0) return "Today";
+  if (index === 1) return "Tomorrow";
+  return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+  });
+};
+
+// Delivery area and time slot choice at checkout. options comes from
+// /v1/delivery/options; delivery is the quote's delivery summary.
+const DeliveryPicker = ({
+  options,
+  zoneId,
+  slotDate,
+  slotId,
+  delivery,
+  disabled,
+  onZoneChange,
+  onSlotChange,
+}) => {
+  const selectedDay = options.days.find((day) => day.date === slotDate) || options.days[0];
+  const selectedZone = options.zones.find((zone) => zone._id === zoneId);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-gray-700 font-medium mb-1">Delivery Area*</label>
+        <select
+          value={zoneId}
+          onChange={(e) => onZoneChange(e.target.value)}
+          className="w-full border rounded-md p-2"
+          disabled={disabled}
+        >
+          <option value="">Select your area</option>
+          {options.zones.map((zone) => (
+            <option key={zone._id} value={zone._id}>
+              {zone.name} — Rs. {zone.fee} delivery
+            </option>
+          ))}
+        </select>
+        {selectedZone?.description && (
+          <p className="text-xs text-gray-500 mt-1">Covers: {selectedZone.description}</p>
+        )}
+        {delivery && !delivery.meetsMinimum && (
+          <p className="text-sm text-red-600 mt-1">
+            Minimum order for {delivery.name} is Rs. {delivery.minOrderValue.toFixed(2)}
+          </p>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-gray-700 font-medium mb-1">Delivery Time*</label>
+        <div className="flex gap-2 mb-2">
+          {options.days.map((day, index) => (
+            <button
+              key={day.date}
+              type="button"
+              onClick={() => onSlotChange(day.date, "")}
+              disabled={disabled}
+              className={`px-3 py-1 rounded-full text-sm border ${
+                selectedDay?.date === day.date
+                  ? "bg-green-600 text-white border-green-600"
+                  : "bg-white text-gray-700 hover:bg-gray-50"
+              }`}
+            >
+              {formatDay(day.date, index)}
+            </button>
+          ))}
+        </div>
+
+        {selectedDay?.slots.length ? (
+          <div className="grid grid-cols-2 gap-2">
+            {selectedDay.slots.map((slot) => {
+              const full = slot.remaining === 0;
+              const selected = slotId === slot.slotId && slotDate === selectedDay.date;
+              return (
+                <button
+                  key={slot.slotId}
+                  type="button"
+                  onClick={() => onSlotChange(selectedDay.date, slot.slotId)}
+                  disabled={disabled || full}
+                  className={`border rounded-md p-2 text-left text-sm ${
+                    selected ? "border-green-600 bg-green-50" : "hover:bg-gray-50"
+                  } ${full ? "opacity-50 cursor-not-allowed" : ""}`}
+                >
+                  <p className="font-medium">{slot.label}</p>
+                  <p className="text-gray-500">
+                    {slot.startTime} – {slot.endTime}
+                  </p>
+                  <p className={`text-xs ${full ? "text-red-500" : "text-gray-400"}`}>
+                    {full ? "Full" : `${slot.remaining} left`}
+                  </p>
+                </button>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No slots left on this day.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryPicker;
@@ -0,0 +1,78 @@
+import React from "react";
+
+// Printable list of orders for the delivery rider. Hidden on screen; the
+// orders page prints only this.
+const DeliveryRunSheet = ({ orders, title }) => {
+  // Cancelled orders don't go out
+  const stops = orders.filter((order) => order.status !== "Cancelled");
+
+  // Cash to collect at the door: unpaid cash orders
+  const cashDue = (order) =>
+    order.paymentMethod === "Cash" && order.paymentStatus !== "Paid" ? order.totalAmount : 0;
+
+  return (
+    <div className="hidden print:block text-black text-sm">
+      <h1 className="text-xl font-bold mb-1">Delivery Run Sheet</h1>
+      <p className="mb-4">
+        {title} · {stops.length} stop{stops.length === 1 ? "" : "s"}
+      </p>
+
+      <table className="w-full border-collapse">
+        <thead>
+          <tr>
+            <th className="border px-2 py-1 text-left">#</th>
+            <th className="border px-2 py-1 text-left">Customer</th>
+            <th className="border px-2 py-1 text-left">Address</th>
+            <th className="border px-2 py-1 text-left">Slot</th>
+            <th className="border px-2 py-1 text-left">Items</th>
+            <th className="border px-2 py-1 text-right">Collect</th>
+            <th className="border px-2 py-1 text-left">Signature</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stops.map((order, index) => (
+            <tr key={order._id} className="align-top">
+              <td className="border px-2 py-1">{index + 1}</td>
+              <td className="border px-2 py-1">
+                {order.userId?.name || order.userId?.email}
+                <br />
+                {order.phoneNumber}
+                <br />
+                <span className="text-xs">#{order._id.slice(-8).toUpperCase()}</span>
+              </td>
+              <td className="border px-2 py-1">
+                {order.address}
+                {order.deliveryZone?.name && (
+                  <>
+                    <br />
+                    <span className="text-xs">{order.deliveryZone.name}</span>
+                  </>
+                )}
+              </td>
+              <td className="border px-2 py-1">
+                {order.deliverySlot?.label
+                  ? `${order.deliverySlot.label} ${order.deliverySlot.startTime}–${order.deliverySlot.endTime}`
+                  : "—"}
+              </td>
+              <td className="border px-2 py-1">
+                {order.orderItems
+                  .filter((item) => !item.status || item.status === "Active")
+                  .map((item) => (
+                    <div key={item._id}>
+                      {item.quantity} × {item.productId?.productName}
+                    </div>
+                  ))}
+              </td>
+              <td className="border px-2 py-1 text-right">
+                {cashDue(order) > 0 ? `Rs. ${cashDue(order).toFixed(2)}` : "Paid"}
+              </td>
+              <td className="border px-2 py-1 w-32"></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default DeliveryRunSheet;
@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { Download } from "lucide-react";
+import toast from "react-hot-toast";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+
+// Local "YYYY-MM-DD" for the file name
+const today = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// Downloads /v1/exports/<type> as CSV or XLSX with the list's current
+// filters. Empty params are left out.
+const ExportButton = ({ type, params = {} }) => {
+  const [exporting, setExporting] = useState(null);
+  const axiosPrivate = useAxiosPrivate();
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const query = Object.fromEntries(Object.entries(params).filter(([, value]) => value));
+      const res = await axiosPrivate.get(`/v1/exports/${type}`, {
+        params: { ...query, format },
+        responseType: "blob",
+      });
+
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${type}-${today()}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(`Failed to export ${type}`, err);
+      // Errors come back as a blob too
+      const body = await err.response?.data?.text?.().catch(() => null);
+      let message = `Failed to export ${type}`;
+      try {
+        message = JSON.parse(body).error || message;
+      } catch {
+        // Not JSON; keep the generic message
+      }
+      toast.error(message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="flex gap-1">
+      {["csv", "xlsx"].map((format) => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          disabled={exporting !== null}
+          className="flex items-center gap-1 px-3 py-2 rounded-md border border-gray-300 text-gray-700 text-sm hover:bg-gray-100 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          {exporting === format ? "Exporting..." : format.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportButton;
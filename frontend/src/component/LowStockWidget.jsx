@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Download } from "lucide-react";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+import toast from "react-hot-toast";
+
+const StockList = ({ title, items, badgeClass, empty }) => (
+  <div>
+    <h3 className="font-medium text-gray-700 mb-2">
+      {title}
+      <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${badgeClass}`}>{items.length}</span>
+    </h3>
+    {items.length === 0 ? (
+      <p className="text-sm text-gray-500">{empty}</p>
+    ) : (
+      <ul className="divide-y border rounded-md max-h-64 overflow-y-auto">
+        {items.map((item) => (
+          <li key={item._id} className="flex justify-between items-center px-3 py-2 text-sm">
+            <Link to={`/admin/products/${item._id}/stock`} className="text-gray-800 hover:underline">
+              {item.productName}
+            </Link>
+            <span className="text-gray-500">
+              {item.remainingUnits} {item.unit} left · reorder {item.suggestedQuantity}
+            </span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+// Products out of stock or at their reorder threshold, for the admin dashboard
+const LowStockWidget = () => {
+  const axiosPrivate = useAxiosPrivate();
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    const fetchLowStock = async () => {
+      try {
+        const res = await axiosPrivate.get("/v1/stock/low");
+        setReport(res.data);
+      } catch (err) {
+        console.error("Failed to fetch low stock:", err);
+      }
+    };
+    fetchLowStock();
+  }, [axiosPrivate]);
+
+  const downloadReorderList = async () => {
+    try {
+      const res = await axiosPrivate.get("/v1/stock/reorder-list.csv", { responseType: "blob" });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `reorder-list-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Failed to download reorder list:", err);
+      toast.error("Failed to download reorder list");
+    }
+  };
+
+  if (!report) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mt-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold">Stock Alerts</h2>
+        <button
+          onClick={downloadReorderList}
+          disabled={report.outOfStock.length + report.lowStock.length === 0}
+          className="flex items-center gap-2 text-sm border border-gray-300 px-3 py-1.5 rounded-md hover:bg-gray-100 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          Reorder list (CSV)
+        </button>
+      </div>
+      <div className="grid md:grid-cols-2 gap-6">
+        <StockList
+          title="Out of stock"
+          items={report.outOfStock}
+          badgeClass="bg-red-100 text-red-700"
+          empty="Everything is in stock."
+        />
+        <StockList
+          title="Running low"
+          items={report.lowStock}
+          badgeClass="bg-yellow-100 text-yellow-800"
+          empty="Nothing is at its reorder threshold."
+        />
+      </div>
+    </div>
+  );
+};
+
+export default LowStockWidget;
@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+
+const ITEM_STATUS_CLASSES = {
+  Active: "bg-green-100 text-green-800",
+  Cancelled: "bg-red-100 text-red-800",
+  "Return Requested": "bg-yellow-100 text-yellow-800",
+  Returned: "bg-gray-200 text-gray-700",
+};
+
+export const ItemStatusBadge = ({ status = "Active" }) => (
+  <span
+    className={`px-2 py-0.5 rounded-full text-xs ${ITEM_STATUS_CLASSES[status]}`}
+  >
+    {status}
+  </span>
+);
+
+// Customer view of an order's items, with per-item cancel and return
+const OrderItemsPanel = ({ order, onChanged }) => {
+  const axiosPrivate = useAxiosPrivate();
+  const [returningItemId, setReturningItemId] = useState(null);
+  const [reason, setReason] = useState("");
+  const [photo, setPhoto] = useState(null);
+  const [busyItemId, setBusyItemId] = useState(null);
+
+  const canCancelItems = ["Pending", "Processing"].includes(order.status);
+  const canReturnItems = order.status === "Delivered";
+
+  const handleCancel = async (itemId) => {
+    if (!window.confirm("Remove this item from your order?")) return;
+
+    try {
+      setBusyItemId(itemId);
+      const res = await axiosPrivate.delete(`/v1/orders/cancel-item/${itemId}`);
+      toast.success(res.data.message);
+      onChanged();
+    } catch (err) {
+      console.error("Failed to cancel item", err);
+      toast.error(err.response?.data?.error || "Failed to cancel item");
+    } finally {
+      setBusyItemId(null);
+    }
+  };
+
+  const openReturnForm = (itemId) => {
+    setReturningItemId(itemId);
+    setReason("");
+    setPhoto(null);
+  };
+
+  const handleReturn = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) {
+      toast.error("Please tell us why you are returning this item");
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append("reason", reason.trim());
+    if (photo) formData.append("photo", photo);
+
+    try {
+      setBusyItemId(returningItemId);
+      const res = await axiosPrivate.post(
+        `/v1/orders/return-item/${returningItemId}`,
+        formData,
+        { headers: { "Content-Type": "multipart/form-data" } }
+      );
+      toast.success(res.data.message);
+      setReturningItemId(null);
+      onChanged();
+    } catch (err) {
+      console.error("Failed to request return", err);
+      toast.error(err.response?.data?.error || "Failed to request return");
+    } finally {
+      setBusyItemId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <h3 className="font-semibold text-gray-900">Items</h3>
+      {order.orderItems.map((item) => (
+        <div key={item._id} className="space-y-2">
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            <span className="font-medium">
+              {item.productId?.productName || "Product"}
+            </span>
+            <span>
+              {item.quantity} × Rs. {item.price.toFixed(2)}
+            </span>
+            <ItemStatusBadge status={item.status} />
+            {item.returnRequest?.outcome === "Rejected" &&
+              item.status === "Active" && (
+                <span className="text-xs text-red-600">
+                  Return rejected
+                  {item.returnRequest.note && `: ${item.returnRequest.note}`}
+                </span>
+              )}
+            {busyItemId !== item._id && item.status === "Active" && (
+              <>
+                {canCancelItems && (
+                  <button
+                    onClick={() => handleCancel(item._id)}
+                    className="text-red-600 hover:underline"
+                  >
+                    Cancel item
+                  </button>
+                )}
+                {canReturnItems && (
+                  <button
+                    onClick={() => openReturnForm(item._id)}
+                    className="text-green-600 hover:underline"
+                  >
+                    Return item
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+
+          {returningItemId === item._id && (
+            <form onSubmit={handleReturn} className="space-y-2 max-w-md pl-4">
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows={2}
+                placeholder="What's wrong with this item?"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              <input
+                type="file"
+                accept="image/*"
+                onChange={(e) => setPhoto(e.target.files[0] || null)}
+                className="block w-full text-sm"
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={busyItemId === item._id}
+                  className="bg-green-600 text-white px-4 py-1.5 rounded-md text-sm hover:bg-green-700 disabled:opacity-50"
+                >
+                  Request return
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setReturningItemId(null)}
+                  className="bg-gray-200 text-gray-700 px-4 py-1.5 rounded-md text-sm hover:bg-gray-300"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default OrderItemsPanel;
@@ -0,0 +1,72 @@
+import { CheckCircle, Circle, XCircle } from "lucide-react";
+
+const FULFILMENT_STEPS = ["Pending", "Processing", "Shipped", "Delivered"];
+
+const STEP_LABELS = {
+  Pending: "Order placed",
+  Processing: "Being prepared",
+  Shipped: "Out for delivery",
+  Delivered: "Delivered",
+  Cancelled: "Cancelled",
+};
+
+const formatDateTime = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Tracking timeline built from the order's statusHistory
+export default function OrderTimeline({ order }) {
+  // Orders placed before history was recorded only know their creation time
+  const history = order.statusHistory?.length
+    ? order.statusHistory
+    : [{ status: "Pending", changedAt: order.createdAt }];
+
+  const reached = (status) => history.find((entry) => entry.status === status);
+  const cancelled = reached("Cancelled");
+
+  // A cancelled order shows the steps it got through, then the cancellation
+  const steps = cancelled
+    ? [...FULFILMENT_STEPS.filter((status) => reached(status)), "Cancelled"]
+    : FULFILMENT_STEPS;
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-3 space-y-6">
+      {steps.map((status) => {
+        const entry = reached(status);
+        const Icon =
+          status === "Cancelled" ? XCircle : entry ? CheckCircle : Circle;
+        const color =
+          status === "Cancelled"
+            ? "text-red-500"
+            : entry
+            ? "text-green-600"
+            : "text-gray-300";
+
+        return (
+          <li key={status} className="ml-6">
+            <span className="absolute -left-3 bg-white">
+              <Icon className={`w-6 h-6 ${color}`} />
+            </span>
+            <p
+              className={`text-sm font-medium ${
+                entry ? "text-gray-900" : "text-gray-400"
+              }`}
+            >
+              {STEP_LABELS[status]}
+            </p>
+            {entry && (
+              <p className="text-xs text-gray-500">
+                {formatDateTime(entry.changedAt)}
+                {entry.note && ` · ${entry.note}`}
+              </p>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
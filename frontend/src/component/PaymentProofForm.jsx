@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+
+// Lets a customer send a screenshot or transaction reference for a QR payment
+const PaymentProofForm = ({ order, onSubmitted }) => {
+  const axiosPrivate = useAxiosPrivate();
+  const [screenshot, setScreenshot] = useState(null);
+  const [transactionRef, setTransactionRef] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!screenshot && !transactionRef.trim()) {
+      toast.error("Upload a screenshot or enter a transaction reference");
+      return;
+    }
+
+    const formData = new FormData();
+    if (screenshot) formData.append("screenshot", screenshot);
+    formData.append("transactionRef", transactionRef.trim());
+
+    try {
+      setSubmitting(true);
+      const res = await axiosPrivate.put(
+        `/v1/orders/payment-proof/${order._id}`,
+        formData,
+        { headers: { "Content-Type": "multipart/form-data" } }
+      );
+      toast.success(res.data.message);
+      onSubmitted?.(res.data.order);
+    } catch (err) {
+      console.error("Failed to submit payment details", err);
+      toast.error(err.response?.data?.error || "Failed to submit payment details");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 max-w-md">
+      <h3 className="font-semibold text-gray-900">Payment details</h3>
+      {order.paymentStatus === "Rejected" && (
+        <p className="text-sm text-red-600">
+          Your payment could not be verified
+          {order.paymentVerification?.note &&
+            `: ${order.paymentVerification.note}`}
+          . Please submit it again.
+        </p>
+      )}
+      <input
+        type="file"
+        accept="image/*"
+        onChange={(e) => setScreenshot(e.target.files[0] || null)}
+        className="block w-full text-sm"
+      />
+      <input
+        type="text"
+        value={transactionRef}
+        onChange={(e) => setTransactionRef(e.target.value)}
+        placeholder="Transaction reference (optional with screenshot)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+      />
+      <button
+        type="submit"
+        disabled={submitting}
+        className="bg-green-600 text-white px-4 py-1.5 rounded-md text-sm hover:bg-green-700 disabled:opacity-50"
+      >
+        {submitting ? "Submitting..." : "Submit payment details"}
+      </button>
+    </form>
+  );
+};
+
+export default PaymentProofForm;
@@ -0,0 +1,138 @@
+import React, { useCallback, useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { Loader2 } from "lucide-react";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+
+// Admin queue of QR payments waiting to be approved or rejected
+const PaymentVerificationQueue = ({ onReviewed }) => {
+  const axiosPrivate = useAxiosPrivate();
+  const [queue, setQueue] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      const res = await axiosPrivate.get("/v1/orders/payment-queue");
+      setQueue(res.data.orders || []);
+    } catch (err) {
+      console.error("Failed to fetch payment queue", err);
+    }
+  }, [axiosPrivate]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const handleReview = async (orderId, approved) => {
+    const note = notes[orderId]?.trim();
+    if (!approved && !note) {
+      toast.error("Please add a reason for rejecting the payment");
+      return;
+    }
+
+    try {
+      setReviewingId(orderId);
+      const res = await axiosPrivate.put(`/v1/orders/verify-payment/${orderId}`, {
+        approved,
+        note,
+      });
+      toast.success(res.data.message);
+      setQueue((prev) => prev.filter((order) => order._id !== orderId));
+      onReviewed?.(res.data.order);
+    } catch (err) {
+      console.error("Failed to review payment", err);
+      toast.error(err.response?.data?.error || "Failed to review payment");
+      fetchQueue();
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  if (queue.length === 0) return null;
+
+  return (
+    <div className="mb-10 bg-yellow-50 border border-yellow-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">
+        QR Payments Awaiting Verification ({queue.length})
+      </h2>
+      <div className="space-y-4">
+        {queue.map((order) => {
+          const proof = order.paymentVerification || {};
+          return (
+            <div
+              key={order._id}
+              className="bg-white rounded-lg shadow-sm p-4 flex flex-col md:flex-row md:items-center gap-4"
+            >
+              <div className="flex-1 text-sm text-gray-700 space-y-1">
+                <p className="font-medium text-gray-900">Order #{order._id}</p>
+                <p>
+                  {order.userId?.name} ({order.userId?.email || "Unknown"})
+                </p>
+                <p className="font-semibold text-green-600">
+                  Amount: Rs. {order.totalAmount.toFixed(2)}
+                </p>
+                {proof.submittedAt ? (
+                  <>
+                    {proof.transactionRef && (
+                      <p>Transaction ref: {proof.transactionRef}</p>
+                    )}
+                    {proof.screenshot && (
+                      <a
+                        href={`http://localhost:3001/public/${proof.screenshot}`}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="text-blue-600 hover:underline"
+                      >
+                        View payment screenshot
+                      </a>
+                    )}
+                  </>
+                ) : (
+                  <p className="text-gray-400">
+                    Customer has not submitted payment details yet
+                  </p>
+                )}
+              </div>
+
+              {reviewingId === order._id ? (
+                <Loader2 className="w-5 h-5 animate-spin" />
+              ) : (
+                <div className="flex flex-col gap-2 md:w-72">
+                  <input
+                    type="text"
+                    value={notes[order._id] || ""}
+                    onChange={(e) =>
+                      setNotes((prev) => ({
+                        ...prev,
+                        [order._id]: e.target.value,
+                      }))
+                    }
+                    placeholder="Note (required to reject)"
+                    className="border rounded px-2 py-1 text-sm"
+                  />
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleReview(order._id, true)}
+                      disabled={!proof.submittedAt}
+                      className="flex-1 bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReview(order._id, false)}
+                      className="flex-1 bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentVerificationQueue;
@@ -1,5 +1,6 @@
 import { ShoppingCart } from "lucide-react";
 import { useNavigate } from "react-router-dom";
+import SaleCountdown from "./SaleCountdown";
 
 export default function ProductCard({
   id,
@@ -10,6 +11,7 @@ export default function ProductCard({
   price,
   oldPrice,
   discount,
+  sale,
   onAddToCart,
 }) {
   const navigate = useNavigate();
@@ -50,10 +52,15 @@ export default function ProductCard({
         Price per <span className="text-green-500 ml-1">{unit}</span>
       </p>
 
+      {/* Flash sale countdown */}
+      {sale?.isFlashSale && <SaleCountdown endsAt={sale.endsAt} className="mb-2" />}
+
       <div className="mt-auto flex items-center justify-between">
         <div>
           <p className="text-green-600 font-bold text-lg">Rs. {price}</p>
-          <p className="text-gray-400 text-sm line-through">Rs. {oldPrice}</p>
+          {oldPrice && (
+            <p className="text-gray-400 text-sm line-through">Rs. {oldPrice}</p>
+          )}
         </div>
         <button
           onClick={onAddToCart}
@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Star } from "lucide-react";
+import toast from "react-hot-toast";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+import useAuth from "../hooks/useAuth";
+
+export const StarRating = ({ rating, size = 16, onSelect }) => (
+  <div className="flex items-center gap-0.5">
+    {[1, 2, 3, 4, 5].map((star) => (
+      <Star
+        key={star}
+        size={size}
+        onClick={onSelect ? () => onSelect(star) : undefined}
+        className={`${
+          star <= Math.round(rating)
+            ? "fill-yellow-400 text-yellow-400"
+            : "text-gray-300"
+        } ${onSelect ? "cursor-pointer" : ""}`}
+      />
+    ))}
+  </div>
+);
+
+const ProductReviews = ({ productId }) => {
+  const axiosPrivate = useAxiosPrivate();
+  const { auth } = useAuth();
+  const [summary, setSummary] = useState({
+    reviews: [],
+    averageRating: 0,
+    totalReviews: 0,
+    breakdown: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 },
+  });
+  const [canReview, setCanReview] = useState(false);
+  const [rating, setRating] = useState(0);
+  const [reviewText, setReviewText] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      const response = await axiosPrivate.get(
+        `/v1/reviews/product/${productId}`
+      );
+      setSummary(response.data);
+    } catch (error) {
+      console.error("Error fetching reviews:", error);
+    }
+  }, [axiosPrivate, productId]);
+
+  const fetchEligibility = useCallback(async () => {
+    if (auth?.role !== "Customer") {
+      setCanReview(false);
+      return;
+    }
+    try {
+      const response = await axiosPrivate.get(
+        `/v1/reviews/eligibility/${productId}`
+      );
+      setCanReview(response.data.canReview);
+    } catch (error) {
+      console.error("Error checking review eligibility:", error);
+    }
+  }, [axiosPrivate, productId, auth?.role]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  useEffect(() => {
+    fetchEligibility();
+  }, [fetchEligibility]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      toast.error("Please select a rating");
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await axiosPrivate.post("/v1/reviews", {
+        productId,
+        rating,
+        reviewText,
+      });
+      toast.success("Thank you for your review");
+      setRating(0);
+      setReviewText("");
+      setCanReview(false);
+      fetchReviews();
+    } catch (error) {
+      console.error("Error adding review:", error);
+      toast.error(error.response?.data?.error || "Failed to add review");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+
+  return (
+    <div className="mt-16">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">
+        Customer Reviews
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+        {/* Rating Breakdown */}
+        <div className="bg-white rounded-2xl shadow-md p-6 space-y-4">
+          <div className="flex items-center gap-3">
+            <span className="text-4xl font-bold text-gray-900">
+              {summary.averageRating.toFixed(1)}
+            </span>
+            <div>
+              <StarRating rating={summary.averageRating} size={20} />
+              <p className="text-sm text-gray-500 mt-1">
+                {summary.totalReviews}{" "}
+                {summary.totalReviews === 1 ? "review" : "reviews"}
+              </p>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            {[5, 4, 3, 2, 1].map((star) => {
+              const count = summary.breakdown[star] || 0;
+              const percent = summary.totalReviews
+                ? (count / summary.totalReviews) * 100
+                : 0;
+              return (
+                <div key={star} className="flex items-center gap-2 text-sm">
+                  <span className="w-10 text-gray-600">{star} star</span>
+                  <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-yellow-400"
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                  <span className="w-8 text-right text-gray-500">{count}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Review Form and List */}
+        <div className="md:col-span-2 space-y-6">
+          {canReview && (
+            <form
+              onSubmit={handleSubmit}
+              className="bg-white rounded-2xl shadow-md p-6 space-y-4"
+            >
+              <h3 className="text-lg font-semibold text-gray-900">
+                Write a review
+              </h3>
+              <StarRating rating={rating} size={24} onSelect={setRating} />
+              <textarea
+                value={reviewText}
+                onChange={(e) => setReviewText(e.target.value)}
+                rows={3}
+                placeholder="Share your thoughts about this product"
+                className="w-full px-4 py-2 border border-gray-300 rounded-md"
+              />
+              <button
+                type="submit"
+                disabled={submitting}
+                className="bg-green-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-green-700 transition disabled:opacity-50"
+              >
+                {submitting ? "Submitting..." : "Submit Review"}
+              </button>
+            </form>
+          )}
+
+          {summary.reviews.length === 0 ? (
+            <p className="text-gray-500">No reviews yet.</p>
+          ) : (
+            summary.reviews.map((review) => (
+              <div
+                key={review._id}
+                className="bg-white rounded-2xl shadow-md p-6 space-y-2"
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-gray-900">
+                    {review.userId?.name || "Customer"}
+                  </span>
+                  <span className="text-sm text-gray-400">
+                    {formatDate(review.createdAt)}
+                  </span>
+                </div>
+                <StarRating rating={review.rating} />
+                {review.reviewText && (
+                  <p className="text-gray-600">{review.reviewText}</p>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductReviews;
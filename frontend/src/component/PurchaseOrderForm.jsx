@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { Plus, Trash2 } from "lucide-react";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+import useScopeOptions from "../hooks/useScopeOptions";
+
+const EMPTY_LINE = { product: "", quantity: "", unitCost: "" };
+
+const EMPTY_PURCHASE_ORDER = {
+  supplier: "",
+  expectedAt: "",
+  notes: "",
+  lines: [EMPTY_LINE],
+};
+
+// Turn a purchase order from the API into form values
+export const purchaseOrderToForm = (po) => ({
+  supplier: po.supplier?._id || po.supplier,
+  expectedAt: po.expectedAt ? po.expectedAt.slice(0, 10) : "",
+  notes: po.notes || "",
+  lines: po.lines.map((line) => ({
+    product: line.product,
+    quantity: line.quantity,
+    unitCost: line.unitCost,
+  })),
+});
+
+const inputClass =
+  "w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm";
+
+// Shared by the create and edit purchase order pages; initialValues is read on mount
+const PurchaseOrderForm = ({ initialValues, submitLabel, isLoading, onSubmit }) => {
+  const [form, setForm] = useState(initialValues || EMPTY_PURCHASE_ORDER);
+  const [suppliers, setSuppliers] = useState([]);
+  const { products } = useScopeOptions();
+  const axiosPrivate = useAxiosPrivate();
+
+  useEffect(() => {
+    const fetchSuppliers = async () => {
+      try {
+        const res = await axiosPrivate.get("/v1/suppliers?active=true");
+        setSuppliers(res.data.suppliers);
+      } catch (err) {
+        console.error("Failed to load suppliers", err);
+        toast.error("Failed to load suppliers");
+      }
+    };
+    fetchSuppliers();
+  }, []);
+
+  const setField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const setLine = (index, field) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => (i === index ? { ...line, [field]: e.target.value } : line)),
+    }));
+
+  const addLine = () => setForm((prev) => ({ ...prev, lines: [...prev.lines, EMPTY_LINE] }));
+
+  const removeLine = (index) =>
+    setForm((prev) => ({ ...prev, lines: prev.lines.filter((_, i) => i !== index) }));
+
+  const total = form.lines.reduce(
+    (sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0),
+    0
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const lines = form.lines.filter((line) => line.product);
+    if (!form.supplier || lines.length === 0) {
+      toast.error("Choose a supplier and at least one product");
+      return;
+    }
+
+    onSubmit({ ...form, lines });
+  };
+
+  return (
+    <form className="space-y-5" onSubmit={handleSubmit}>
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+          <select value={form.supplier} onChange={setField("supplier")} required className={inputClass}>
+            <option value="">Choose a supplier</option>
+            {suppliers.map((supplier) => (
+              <option key={supplier._id} value={supplier._id}>
+                {supplier.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Expected Delivery</label>
+          <input type="date" value={form.expectedAt} onChange={setField("expectedAt")} className={inputClass} />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Items</label>
+        <div className="space-y-2">
+          {form.lines.map((line, index) => (
+            <div key={index} className="grid grid-cols-12 gap-2 items-center">
+              <select
+                value={line.product}
+                onChange={setLine(index, "product")}
+                className={`${inputClass} col-span-6`}
+              >
+                <option value="">Choose a product</option>
+                {products.map((product) => (
+                  <option key={product._id} value={product._id}>
+                    {product.productName} ({product.unit})
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                placeholder="Qty"
+                value={line.quantity}
+                onChange={setLine(index, "quantity")}
+                required={Boolean(line.product)}
+                className={`${inputClass} col-span-2`}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Cost / unit"
+                value={line.unitCost}
+                onChange={setLine(index, "unitCost")}
+                required={Boolean(line.product)}
+                className={`${inputClass} col-span-3`}
+              />
+              <button
+                type="button"
+                onClick={() => removeLine(index)}
+                disabled={form.lines.length === 1}
+                className="text-red-600 hover:text-red-800 disabled:opacity-30"
+              >
+                <Trash2 className="w-5 h-5" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between items-center mt-2 text-sm">
+          <button
+            type="button"
+            onClick={addLine}
+            className="flex items-center gap-1 text-blue-600 hover:text-blue-800"
+          >
+            <Plus className="w-4 h-4" />
+            Add item
+          </button>
+          <span className="font-medium">Expected total: Rs. {total.toFixed(2)}</span>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Notes for the Supplier</label>
+        <textarea
+          rows="3"
+          value={form.notes}
+          onChange={setField("notes")}
+          placeholder="Delivery instructions, packaging"
+          className={inputClass}
+        />
+      </div>
+
+      <button
+        type="submit"
+        disabled={isLoading}
+        className="w-full py-3 bg-green-600 hover:bg-green-700 text-white rounded-lg font-semibold transition disabled:opacity-50"
+      >
+        {isLoading ? "Saving..." : submitLabel}
+      </button>
+    </form>
+  );
+};
+
+export default PurchaseOrderForm;
@@ -0,0 +1,210 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+
+const REFUND_STATUS_CLASSES = {
+  Completed: "bg-green-100 text-green-800",
+  Pending: "bg-yellow-100 text-yellow-800",
+  Failed: "bg-red-100 text-red-800",
+};
+
+// Refund history for an order plus the admin form to issue a new refund
+const RefundPanel = ({ order, refundMethods, onUpdated }) => {
+  const axiosPrivate = useAxiosPrivate();
+  const refunds = order.refunds || [];
+
+  // Refunds are capped by what was paid; the total drops when items are
+  // cancelled or returned, and the difference is owed back to the customer.
+  // Pending refunds already hold their share.
+  const charged = order.paidAmount ?? order.totalAmount;
+  const committed = refunds
+    .filter((refund) => refund.status !== "Failed")
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  const refundable = charged - committed;
+  const isPaid = ["Paid", "Partially Refunded"].includes(order.paymentStatus);
+  const canRefund = isPaid && refundable > 0.009;
+  const refundDue = isPaid
+    ? Math.max(0, charged - committed - order.totalAmount)
+    : 0;
+
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ amount: "", reason: "", method: "" });
+  const [submitting, setSubmitting] = useState(false);
+
+  const openForm = () => {
+    setForm({
+      amount: (refundDue > 0.009 ? refundDue : refundable).toFixed(2),
+      reason:
+        order.status === "Cancelled"
+          ? "Order cancelled"
+          : refundDue > 0.009
+          ? "Items cancelled or returned"
+          : "",
+      method: refundMethods[0] || "",
+    });
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.reason.trim()) {
+      toast.error("Please give a reason for the refund");
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const res = await axiosPrivate.post(`/v1/orders/refund/${order._id}`, {
+        ...form,
+        amount: Number(form.amount),
+      });
+      toast.success(res.data.message);
+      setShowForm(false);
+      onUpdated(res.data.order);
+    } catch (err) {
+      console.error("Failed to issue refund", err);
+      toast.error(err.response?.data?.error || "Failed to issue refund");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSettle = async (refundId, status) => {
+    try {
+      const res = await axiosPrivate.put(
+        `/v1/orders/refund/${order._id}/${refundId}`,
+        { status }
+      );
+      toast.success(res.data.message);
+      onUpdated(res.data.order);
+    } catch (err) {
+      console.error("Failed to update refund", err);
+      toast.error(err.response?.data?.error || "Failed to update refund");
+    }
+  };
+
+  if (refunds.length === 0 && !canRefund) return null;
+
+  return (
+    <div className="border-t pt-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-gray-800">
+          Refunds
+          {order.refundedAmount > 0 && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              Rs. {order.refundedAmount.toFixed(2)} refunded
+            </span>
+          )}
+          {refundDue > 0.009 && (
+            <span className="ml-2 text-sm font-medium text-red-600">
+              Rs. {refundDue.toFixed(2)} refund due
+            </span>
+          )}
+        </h3>
+        {canRefund && !showForm && (
+          <button
+            onClick={openForm}
+            className="bg-gray-700 text-white px-3 py-1 rounded text-sm hover:bg-gray-800"
+          >
+            Issue Refund
+          </button>
+        )}
+      </div>
+
+      {refunds.map((refund) => (
+        <div
+          key={refund._id}
+          className="flex flex-wrap items-center gap-3 text-sm text-gray-700"
+        >
+          <span className="font-medium">Rs. {refund.amount.toFixed(2)}</span>
+          <span>{refund.method}</span>
+          <span className="text-gray-500">{refund.reason}</span>
+          <span
+            className={`px-2 py-0.5 rounded-full text-xs ${
+              REFUND_STATUS_CLASSES[refund.status]
+            }`}
+          >
+            {refund.status}
+          </span>
+          {refund.status === "Pending" && (
+            <>
+              <button
+                onClick={() => handleSettle(refund._id, "Completed")}
+                className="text-green-600 hover:underline"
+              >
+                Mark completed
+              </button>
+              <button
+                onClick={() => handleSettle(refund._id, "Failed")}
+                className="text-red-600 hover:underline"
+              >
+                Mark failed
+              </button>
+            </>
+          )}
+        </div>
+      ))}
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-col md:flex-row md:items-end gap-3 bg-gray-50 p-3 rounded"
+        >
+          <label className="text-sm">
+            Amount (max Rs. {refundable.toFixed(2)})
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              max={refundable.toFixed(2)}
+              value={form.amount}
+              onChange={(e) => setForm((prev) => ({ ...prev, amount: e.target.value }))}
+              className="block border rounded px-2 py-1 w-32"
+            />
+          </label>
+          <label className="text-sm flex-1">
+            Reason
+            <input
+              type="text"
+              value={form.reason}
+              onChange={(e) => setForm((prev) => ({ ...prev, reason: e.target.value }))}
+              className="block border rounded px-2 py-1 w-full"
+            />
+          </label>
+          <label className="text-sm">
+            Method
+            <select
+              value={form.method}
+              onChange={(e) => setForm((prev) => ({ ...prev, method: e.target.value }))}
+              className="block border rounded px-2 py-1"
+            >
+              {refundMethods.map((method) => (
+                <option key={method} value={method}>
+                  {method}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700 disabled:opacity-50"
+            >
+              {submitting ? "Refunding..." : "Refund"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="bg-gray-200 px-3 py-1 rounded hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default RefundPanel;
@@ -0,0 +1,149 @@
+import React, { useCallback, useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { Loader2 } from "lucide-react";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+
+// Admin queue of items customers have asked to return
+const ReturnRequestsQueue = ({ onReviewed }) => {
+  const axiosPrivate = useAxiosPrivate();
+  const [items, setItems] = useState([]);
+  const [decisions, setDecisions] = useState({});
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const fetchReturns = useCallback(async () => {
+    try {
+      const res = await axiosPrivate.get("/v1/orders/returns");
+      setItems(res.data.items || []);
+    } catch (err) {
+      console.error("Failed to fetch return requests", err);
+    }
+  }, [axiosPrivate]);
+
+  useEffect(() => {
+    fetchReturns();
+  }, [fetchReturns]);
+
+  const updateDecision = (itemId, changes) =>
+    setDecisions((prev) => ({
+      ...prev,
+      [itemId]: { ...prev[itemId], ...changes },
+    }));
+
+  const handleReview = async (itemId, approved) => {
+    const { note = "", restock = false } = decisions[itemId] || {};
+    if (!approved && !note.trim()) {
+      toast.error("Please add a reason for rejecting the return");
+      return;
+    }
+
+    try {
+      setReviewingId(itemId);
+      const res = await axiosPrivate.put(`/v1/orders/review-return/${itemId}`, {
+        approved,
+        note: note.trim(),
+        restock,
+      });
+      toast.success(res.data.message);
+      setItems((prev) => prev.filter((item) => item._id !== itemId));
+      onReviewed?.();
+    } catch (err) {
+      console.error("Failed to review return", err);
+      toast.error(err.response?.data?.error || "Failed to review return");
+      fetchReturns();
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  if (items.length === 0) return null;
+
+  return (
+    <div className="mb-10 bg-orange-50 border border-orange-200 rounded-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">
+        Return Requests ({items.length})
+      </h2>
+      <div className="space-y-4">
+        {items.map((item) => {
+          const decision = decisions[item._id] || {};
+          return (
+            <div
+              key={item._id}
+              className="bg-white rounded-lg shadow-sm p-4 flex flex-col md:flex-row md:items-center gap-4"
+            >
+              {item.returnRequest?.photo && (
+                <a
+                  href={`http://localhost:3001/public/${item.returnRequest.photo}`}
+                  target="_blank"
+                  rel="noreferrer"
+                >
+                  <img
+                    src={`http://localhost:3001/public/${item.returnRequest.photo}`}
+                    alt="Returned item"
+                    className="w-20 h-20 object-cover rounded"
+                  />
+                </a>
+              )}
+              <div className="flex-1 text-sm text-gray-700 space-y-1">
+                <p className="font-medium text-gray-900">
+                  {item.productId?.productName || "Product"} × {item.quantity}
+                  <span className="ml-2 text-green-600">
+                    Rs. {item.totalPrice.toFixed(2)}
+                  </span>
+                </p>
+                <p>
+                  Order #{item.orderId?._id} ·{" "}
+                  {item.orderId?.userId?.email || "Unknown"}
+                </p>
+                <p className="text-gray-600">
+                  Reason: {item.returnRequest?.reason}
+                </p>
+              </div>
+
+              {reviewingId === item._id ? (
+                <Loader2 className="w-5 h-5 animate-spin" />
+              ) : (
+                <div className="flex flex-col gap-2 md:w-72">
+                  <input
+                    type="text"
+                    value={decision.note || ""}
+                    onChange={(e) =>
+                      updateDecision(item._id, { note: e.target.value })
+                    }
+                    placeholder="Note (required to reject)"
+                    className="border rounded px-2 py-1 text-sm"
+                  />
+                  <label className="flex items-center gap-2 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(decision.restock)}
+                      onChange={(e) =>
+                        updateDecision(item._id, { restock: e.target.checked })
+                      }
+                    />
+                    Put the units back in stock
+                  </label>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleReview(item._id, true)}
+                      className="flex-1 bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReview(item._id, false)}
+                      className="flex-1 bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ReturnRequestsQueue;
@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+import { Timer } from "lucide-react";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "2d 04:05:09" or "04:05:09"
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const clock = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  return days > 0 ? `${days}d ${clock}` : clock;
+};
+
+// Ticking countdown to the end of a flash sale. The price shown next to it
+// is refreshed on the next page load; checkout always re-prices on the server.
+export default function SaleCountdown({ endsAt, className = "" }) {
+  const [remaining, setRemaining] = useState(() => new Date(endsAt) - Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const left = new Date(endsAt) - Date.now();
+      setRemaining(left);
+      if (left <= 0) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [endsAt]);
+
+  return (
+    <div className={`flex items-center gap-1 text-xs font-semibold text-orange-600 ${className}`}>
+      <Timer size={14} />
+      {remaining > 0 ? `Ends in ${formatRemaining(remaining)}` : "Sale ended"}
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import useScopeOptions from "../hooks/useScopeOptions";
+
+const EMPTY_SALE = {
+  name: "",
+  discountType: "Percent",
+  value: "",
+  products: [],
+  categories: [],
+  startsAt: "",
+  endsAt: "",
+  isFlashSale: false,
+  isActive: true,
+};
+
+// API dates as local datetime-local values
+const toLocalInput = (value) => {
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+};
+
+// Turn a price rule from the API into form values
+export const ruleToForm = (rule) => ({
+  name: rule.name,
+  discountType: rule.discountType,
+  value: rule.value,
+  products: (rule.products || []).map((p) => p._id || p),
+  categories: (rule.categories || []).map((c) => c._id || c),
+  startsAt: toLocalInput(rule.startsAt),
+  endsAt: toLocalInput(rule.endsAt),
+  isFlashSale: rule.isFlashSale,
+  isActive: rule.isActive,
+});
+
+const inputClass =
+  "w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm";
+
+// Shared by the schedule and edit sale pages; initialValues is read on mount
+const SaleForm = ({ initialValues, submitLabel, isLoading, onSubmit }) => {
+  const [form, setForm] = useState(initialValues || EMPTY_SALE);
+  const { categories, products } = useScopeOptions();
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      [field]: e.target.type === "checkbox" ? e.target.checked : e.target.value,
+    }));
+
+  const setMultiSelect = (field) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      [field]: Array.from(e.target.selectedOptions, (option) => option.value),
+    }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!form.name.trim() || !form.value || !form.startsAt || !form.endsAt) {
+      toast.error("Name, discount and sale times are required");
+      return;
+    }
+    if (form.products.length === 0 && form.categories.length === 0) {
+      toast.error("Choose at least one product or category");
+      return;
+    }
+
+    onSubmit({
+      ...form,
+      startsAt: new Date(form.startsAt).toISOString(),
+      endsAt: new Date(form.endsAt).toISOString(),
+    });
+  };
+
+  return (
+    <form className="space-y-5" onSubmit={handleSubmit}>
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Sale Name</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={setField("name")}
+            placeholder="e.g. Weekend Veg Sale"
+            required
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Discount Type</label>
+          <select value={form.discountType} onChange={setField("discountType")} className={inputClass}>
+            <option value="Percent">Percent off</option>
+            <option value="Fixed">Fixed amount off each unit (Rs.)</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {form.discountType === "Percent" ? "Percent" : "Amount (Rs.)"}
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={form.value}
+            onChange={setField("value")}
+            required
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+          <input
+            type="datetime-local"
+            value={form.startsAt}
+            onChange={setField("startsAt")}
+            required
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+          <input
+            type="datetime-local"
+            value={form.endsAt}
+            onChange={setField("endsAt")}
+            required
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Categories</label>
+          <select
+            multiple
+            value={form.categories}
+            onChange={setMultiSelect("categories")}
+            className={`${inputClass} h-32`}
+          >
+            {categories.map((category) => (
+              <option key={category._id} value={category._id}>
+                {category.categoryName}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Products</label>
+          <select
+            multiple
+            value={form.products}
+            onChange={setMultiSelect("products")}
+            className={`${inputClass} h-32`}
+          >
+            {products.map((product) => (
+              <option key={product._id} value={product._id}>
+                {product.productName}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex gap-6 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={form.isFlashSale} onChange={setField("isFlashSale")} />
+          Flash sale (show a countdown on product cards)
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={form.isActive} onChange={setField("isActive")} />
+          Active
+        </label>
+      </div>
+
+      <button
+        type="submit"
+        disabled={isLoading}
+        className="w-full py-3 bg-green-600 hover:bg-green-700 text-white rounded-lg font-semibold transition disabled:opacity-50"
+      >
+        {isLoading ? "Saving..." : submitLabel}
+      </button>
+    </form>
+  );
+};
+
+export default SaleForm;
@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+import TrendChart from "./TrendChart";
+
+const GRANULARITY_OPTIONS = [
+  { value: "day", label: "Day" },
+  { value: "week", label: "Week" },
+  { value: "month", label: "Month" },
+];
+
+// Local "YYYY-MM-DD", days ago
+const dateInput = (daysAgo = 0) => {
+  const date = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const money = (value) => `Rs. ${Math.round(value).toLocaleString()}`;
+
+const periodLabel = (granularity) => (row) => {
+  const date = new Date(`${row.period}T00:00:00`);
+  return granularity === "month"
+    ? date.toLocaleDateString("en-US", { month: "short", year: "2-digit" })
+    : date.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+};
+
+// Horizontal bars for the top products and categories
+const BarList = ({ title, rows, nameKey }) => {
+  const max = Math.max(1, ...rows.map((row) => row.revenue));
+  return (
+    <div className="bg-white shadow-sm rounded-lg p-4">
+      <h3 className="font-semibold mb-3">{title}</h3>
+      {rows.length > 0 ? (
+        <ul className="space-y-2 text-sm">
+          {rows.map((row) => (
+            <li key={row[nameKey]}>
+              <div className="flex justify-between mb-1">
+                <span className="truncate pr-2">{row[nameKey]}</span>
+                <span className="text-gray-600 shrink-0">
+                  {money(row.revenue)} · {row.unitsSold} sold
+                </span>
+              </div>
+              <div className="h-2 bg-gray-100 rounded">
+                <div
+                  className="h-2 bg-green-500 rounded"
+                  style={{ width: `${(row.revenue / max) * 100}%` }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">No sales in this period.</p>
+      )}
+    </div>
+  );
+};
+
+const ChartCard = ({ title, children }) => (
+  <div className="bg-white shadow-sm rounded-lg p-4">
+    <h3 className="font-semibold mb-2">{title}</h3>
+    {children}
+  </div>
+);
+
+// Sales over time for the admin dashboard, from /v1/stats/analytics
+const SalesAnalytics = () => {
+  const [from, setFrom] = useState(dateInput(29));
+  const [to, setTo] = useState(dateInput());
+  const [granularity, setGranularity] = useState("day");
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const axiosPrivate = useAxiosPrivate();
+
+  useEffect(() => {
+    const fetchAnalytics = async () => {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams({ from, to, granularity });
+        const res = await axiosPrivate.get(`/v1/stats/analytics?${params}`);
+        setAnalytics(res.data);
+      } catch (err) {
+        console.error("Failed to load sales analytics", err);
+        toast.error(err.response?.data?.error || "Failed to load sales analytics");
+      } finally {
+        setLoading(false);
+      }
+    };
+    if (from && to) fetchAnalytics();
+  }, [axiosPrivate, from, to, granularity]);
+
+  const summary = analytics?.summary;
+  const xLabel = periodLabel(analytics?.granularity);
+
+  return (
+    <div className="mt-10">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <h2 className="text-xl font-semibold">Sales Analytics</h2>
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+          <label>
+            From{" "}
+            <input
+              type="date"
+              value={from}
+              max={to}
+              onChange={(e) => setFrom(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1"
+            />
+          </label>
+          <label>
+            To{" "}
+            <input
+              type="date"
+              value={to}
+              min={from}
+              onChange={(e) => setTo(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1"
+            />
+          </label>
+          <label>
+            By{" "}
+            <select
+              value={granularity}
+              onChange={(e) => setGranularity(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1"
+            >
+              {GRANULARITY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {loading && !analytics ? (
+        <p className="text-gray-500">Loading...</p>
+      ) : (
+        analytics && (
+          <div className={loading ? "opacity-60" : ""}>
+            <div className="grid grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
+              {[
+                { label: "Revenue", value: money(summary.revenue) },
+                { label: "Orders", value: summary.orders },
+                { label: "Avg. Order Value", value: money(summary.averageOrderValue) },
+                {
+                  label: "New / Returning",
+                  value: `${summary.newCustomers} / ${summary.returningCustomers}`,
+                },
+                {
+                  label: "Cancellation Rate",
+                  value: `${summary.cancellationRate}%`,
+                  note: `${summary.cancelledOrders} cancelled`,
+                },
+              ].map((card) => (
+                <div key={card.label} className="bg-white shadow-sm rounded-lg p-4">
+                  <p className="text-sm text-gray-500">{card.label}</p>
+                  <p className="text-2xl font-semibold">{card.value}</p>
+                  {card.note && <p className="text-xs text-gray-500">{card.note}</p>}
+                </div>
+              ))}
+            </div>
+
+            <div className="grid lg:grid-cols-2 gap-4 mb-4">
+              <ChartCard title="Revenue">
+                <TrendChart
+                  data={analytics.series}
+                  xLabel={xLabel}
+                  formatValue={money}
+                  series={[{ key: "revenue", label: "Revenue", className: "stroke-green-600" }]}
+                />
+              </ChartCard>
+              <ChartCard title="Orders">
+                <TrendChart
+                  type="bar"
+                  data={analytics.series}
+                  xLabel={xLabel}
+                  formatValue={(value) => Math.round(value)}
+                  series={[
+                    { key: "orders", label: "Orders", className: "fill-blue-500" },
+                    { key: "cancelled", label: "Cancelled", className: "fill-red-300" },
+                  ]}
+                />
+              </ChartCard>
+              <ChartCard title="Average Order Value">
+                <TrendChart
+                  data={analytics.series}
+                  xLabel={xLabel}
+                  formatValue={money}
+                  series={[
+                    { key: "averageOrderValue", label: "Average order value", className: "stroke-purple-600" },
+                  ]}
+                />
+              </ChartCard>
+              <ChartCard title="New vs Returning Customers">
+                <TrendChart
+                  type="bar"
+                  data={analytics.series}
+                  xLabel={xLabel}
+                  formatValue={(value) => Math.round(value)}
+                  series={[
+                    { key: "newCustomers", label: "New", className: "fill-teal-500" },
+                    { key: "returningCustomers", label: "Returning", className: "fill-amber-400" },
+                  ]}
+                />
+              </ChartCard>
+            </div>
+
+            <div className="grid lg:grid-cols-2 gap-4">
+              <BarList title="Top Products" rows={analytics.topProducts} nameKey="productName" />
+              <BarList title="Top Categories" rows={analytics.topCategories} nameKey="categoryName" />
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default SalesAnalytics;
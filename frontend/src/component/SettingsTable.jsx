@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from "react";
+import { Pencil, Trash2, Plus, X } from "lucide-react";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+import toast from "react-hot-toast";
+
+const inputClass = "border border-gray-300 rounded-md px-2 py-1 text-sm w-full";
+
+// Inline add/edit form and table for a simple admin list (delivery zones,
+// slots, suppliers)
+const SettingsTable = ({
+  title,
+  endpoint,
+  itemsKey,
+  empty,
+  columns,
+  fields,
+  deleteMessage = "Delete this entry?",
+}) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null); // null when closed
+  const [editingId, setEditingId] = useState(null);
+  const axiosPrivate = useAxiosPrivate();
+
+  const fetchItems = async () => {
+    try {
+      const res = await axiosPrivate.get(endpoint);
+      setItems(res.data[itemsKey]);
+    } catch (err) {
+      console.error(`Failed to load ${itemsKey}`, err);
+      toast.error(`Failed to load ${title.toLowerCase()}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchItems();
+  }, []);
+
+  const openForm = (item) => {
+    setEditingId(item?._id || null);
+    setForm(item ? { ...empty, ...item } : empty);
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        await axiosPrivate.put(`${endpoint}/${editingId}`, form);
+      } else {
+        await axiosPrivate.post(endpoint, form);
+      }
+      toast.success("Saved");
+      closeForm();
+      fetchItems();
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to save");
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm(deleteMessage)) return;
+    try {
+      await axiosPrivate.delete(`${endpoint}/${id}`);
+      toast.success("Deleted");
+      setItems((prev) => prev.filter((item) => item._id !== id));
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to delete");
+    }
+  };
+
+  return (
+    <div className="mb-10">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold">{title}</h2>
+        {!form && (
+          <button
+            onClick={() => openForm(null)}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+          >
+            <Plus className="w-4 h-4" />
+            Add
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <form
+          onSubmit={handleSave}
+          className="bg-white shadow-sm rounded-lg p-4 mb-4 grid md:grid-cols-3 gap-3 items-end"
+        >
+          {fields.map((field) => (
+            <label key={field.name} className="text-sm text-gray-700">
+              {field.label}
+              {field.type === "checkbox" ? (
+                <input
+                  type="checkbox"
+                  className="ml-2"
+                  checked={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.checked })}
+                />
+              ) : (
+                <input
+                  type={field.type || "text"}
+                  className={inputClass}
+                  value={form[field.name]}
+                  placeholder={field.placeholder}
+                  required={field.required}
+                  min={field.type === "number" ? 0 : undefined}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                />
+              )}
+            </label>
+          ))}
+          <div className="flex gap-2">
+            <button type="submit" className="bg-green-600 hover:bg-green-700 text-white px-4 py-1 rounded-md">
+              {editingId ? "Update" : "Create"}
+            </button>
+            <button type="button" onClick={closeForm} className="text-gray-500 hover:text-gray-700">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              {columns.map((column) => (
+                <th key={column.label} className="text-left px-4 py-2 border-b">
+                  {column.label}
+                </th>
+              ))}
+              <th className="text-left px-4 py-2 border-b">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {!loading && items.length > 0 ? (
+              items.map((item) => (
+                <tr key={item._id} className="hover:bg-gray-50">
+                  {columns.map((column) => (
+                    <td key={column.label} className="px-4 py-2 border-b">
+                      {column.render(item)}
+                    </td>
+                  ))}
+                  <td className="px-4 py-2 border-b">
+                    <div className="flex gap-2">
+                      <button onClick={() => openForm(item)} className="text-blue-600 hover:text-blue-800">
+                        <Pencil className="w-5 h-5" />
+                      </button>
+                      <button onClick={() => handleDelete(item._id)} className="text-red-600 hover:text-red-800">
+                        <Trash2 className="w-5 h-5" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan={columns.length + 1} className="text-center py-4 text-gray-500">
+                  {loading ? "Loading..." : "Nothing set up yet."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export const activeBadge = (item) => (
+  <span
+    className={`px-2 py-1 rounded-full text-xs font-medium ${
+      item.isActive ? "bg-green-100 text-green-800" : "bg-gray-100 text-gray-600"
+    }`}
+  >
+    {item.isActive ? "Active" : "Inactive"}
+  </span>
+);
+
+export default SettingsTable;
@@ -0,0 +1,134 @@
+import React from "react";
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 12, bottom: 28, left: 56 };
+const GRID_LINES = 4;
+const MAX_X_LABELS = 8;
+
+// A round number at or above value, so the y-axis ticks read nicely
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 2.5, 5, 10].find((factor) => factor * magnitude >= value);
+  return step * magnitude;
+};
+
+// Plain SVG line or bar chart over evenly spaced periods. series is
+// [{ key, label, className, legendClassName }] where className colours the
+// SVG ("stroke-green-600" for lines, "fill-green-500" for bars) and
+// legendClassName fills the legend swatch for lines. Bar series stack.
+const TrendChart = ({ data, series, type = "line", xLabel, formatValue = String }) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const totals = data.map((row) =>
+    type === "bar"
+      ? series.reduce((sum, s) => sum + (row[s.key] || 0), 0)
+      : Math.max(...series.map((s) => row[s.key] || 0))
+  );
+  const max = niceMax(Math.max(0, ...totals));
+
+  const slot = plotWidth / Math.max(data.length, 1);
+  const xCenter = (index) => PADDING.left + slot * index + slot / 2;
+  const y = (value) => PADDING.top + plotHeight - (value / max) * plotHeight;
+  const labelEvery = Math.ceil(data.length / MAX_X_LABELS);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto text-xs" role="img">
+        {Array.from({ length: GRID_LINES + 1 }, (_, i) => {
+          const value = (max / GRID_LINES) * i;
+          return (
+            <g key={i}>
+              <line
+                x1={PADDING.left}
+                x2={WIDTH - PADDING.right}
+                y1={y(value)}
+                y2={y(value)}
+                className="stroke-gray-200"
+              />
+              <text x={PADDING.left - 6} y={y(value) + 4} textAnchor="end" className="fill-gray-500">
+                {formatValue(value)}
+              </text>
+            </g>
+          );
+        })}
+
+        {type === "bar"
+          ? data.map((row, index) => {
+              let base = 0;
+              return series.map((s) => {
+                const value = row[s.key] || 0;
+                const top = base + value;
+                const rect = (
+                  <rect
+                    key={`${index}-${s.key}`}
+                    x={xCenter(index) - slot * 0.35}
+                    width={slot * 0.7}
+                    y={y(top)}
+                    height={y(base) - y(top)}
+                    className={s.className}
+                  >
+                    <title>{`${xLabel(row)}: ${s.label} ${formatValue(value)}`}</title>
+                  </rect>
+                );
+                base = top;
+                return rect;
+              });
+            })
+          : series.map((s) => (
+              <g key={s.key}>
+                <polyline
+                  fill="none"
+                  strokeWidth="2"
+                  className={s.className}
+                  points={data.map((row, index) => `${xCenter(index)},${y(row[s.key] || 0)}`).join(" ")}
+                />
+                {data.map((row, index) => (
+                  <circle
+                    key={index}
+                    cx={xCenter(index)}
+                    cy={y(row[s.key] || 0)}
+                    r="3"
+                    className={`${s.className} fill-white`}
+                    strokeWidth="2"
+                  >
+                    <title>{`${xLabel(row)}: ${s.label} ${formatValue(row[s.key] || 0)}`}</title>
+                  </circle>
+                ))}
+              </g>
+            ))}
+
+        {data.map((row, index) =>
+          index % labelEvery === 0 ? (
+            <text
+              key={index}
+              x={xCenter(index)}
+              y={HEIGHT - 8}
+              textAnchor="middle"
+              className="fill-gray-500"
+            >
+              {xLabel(row)}
+            </text>
+          ) : null
+        )}
+      </svg>
+
+      {series.length > 1 && (
+        <div className="flex gap-4 justify-center text-xs text-gray-600 mt-1">
+          {series.map((s) => (
+            <span key={s.key} className="flex items-center gap-1">
+              <svg width="10" height="10">
+                <rect width="10" height="10" className={s.legendClassName || s.className} />
+              </svg>
+              {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrendChart;
@@ -6,11 +6,7 @@ export const SearchProvider = ({ children }) => {
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
-  const [selectedCategories, setSelectedCategories] = useState([]);
-
-  const resetFilters = () => {
-    setSelectedCategories([]);
-  };
+  const [correctedQuery, setCorrectedQuery] = useState(null); // Set when typos were fixed
 
   const value = {
     searchQuery,
@@ -19,9 +15,8 @@ export const SearchProvider = ({ children }) => {
     setSearchResults,
     isSearching,
     setIsSearching,
-    selectedCategories,
-    setSelectedCategories,
-    resetFilters
+    correctedQuery,
+    setCorrectedQuery
   };
 
   return (
@@ -1,39 +1,48 @@
 import { Outlet, useNavigate } from "react-router-dom";
 import { useState, useEffect } from "react";
 import useAuth from "../hooks/useAuth";
+import useRefreshToken from "./useRefreshToken";
+
+const isTokenValid = (token) => {
+  try {
+    const decodedToken = JSON.parse(atob(token.split(".")[1]));
+    const currentTime = Math.floor(Date.now() / 1000);
+    return decodedToken.exp > currentTime;
+  } catch {
+    return false; // Invalid token format
+  }
+};
 
 const PersistLogin = () => {
   const [isLoading, setIsLoading] = useState(true);
-  const { auth, setAuth } = useAuth();
+  const { setAuth } = useAuth();
+  const refresh = useRefreshToken();
   const navigate = useNavigate();
 
   useEffect(() => {
-    const storedAuth = JSON.parse(localStorage.getItem("user"));
+    const restoreLogin = async () => {
+      const storedAuth = JSON.parse(localStorage.getItem("user"));
+
+      if (storedAuth?.accessToken) {
+        if (isTokenValid(storedAuth.accessToken)) {
+          setAuth(storedAuth);
+        } else {
+          // Access token expired: silently log in again with the refresh cookie
+          try {
+            await refresh();
+          } catch {
+            localStorage.removeItem("user");
+            setAuth({});
+            navigate("/login");
+          }
+        }
+      }
 
-    if (storedAuth?.accessToken) {
-      const isValid = isTokenValid(storedAuth.accessToken);
+      setIsLoading(false);
+    };
 
-      if (isValid) {
-        setAuth(storedAuth);
-      } else {
-        localStorage.removeItem("user");
-        setAuth({});
-        navigate("/login");
-      }
-    }
-
-    setIsLoading(false);
-  }, [setAuth, navigate]);
-
-  const isTokenValid = (token) => {
-    try {
-      const decodedToken = JSON.parse(atob(token.split(".")[1]));
-      const currentTime = Math.floor(Date.now() / 1000);
-      return decodedToken.exp > currentTime;
-    } catch (err) {
-      return false; // Invalid token format
-    }
-  };
+    restoreLogin();
+  }, [setAuth, navigate, refresh]);
 
   return <>{isLoading ? <p>Loading...</p> : <Outlet />}</>;
 };
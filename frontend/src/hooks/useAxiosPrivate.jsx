@@ -1,11 +1,11 @@
 import { axiosPrivate } from "../api/axios";
 import { useEffect } from "react";
 import useAuth from "./useAuth";
+import useRefreshToken from "./useRefreshToken";
 
 const useAxiosPrivate = () => {
-  const { auth } = useAuth();
-
-  console.log(auth);
+  const { auth, setAuth } = useAuth();
+  const refresh = useRefreshToken();
 
   useEffect(() => {
     const requestIntercept = axiosPrivate.interceptors.request.use(
@@ -18,10 +18,33 @@ const useAxiosPrivate = () => {
       (error) => Promise.reject(error)
     );
 
+    // On a 401, refresh the access token once and retry the original request
+    const responseIntercept = axiosPrivate.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const prevRequest = error?.config;
+        if (error?.response?.status === 401 && prevRequest && !prevRequest.sent) {
+          prevRequest.sent = true;
+          try {
+            const newAccessToken = await refresh();
+            prevRequest.headers["Authorization"] = `Bearer ${newAccessToken}`;
+            return axiosPrivate(prevRequest);
+          } catch (refreshError) {
+            // Refresh token is missing, expired or revoked: sign out locally
+            localStorage.removeItem("user");
+            setAuth({});
+            return Promise.reject(refreshError);
+          }
+        }
+        return Promise.reject(error);
+      }
+    );
+
     return () => {
       axiosPrivate.interceptors.request.eject(requestIntercept);
+      axiosPrivate.interceptors.response.eject(responseIntercept);
     };
-  }, [auth]);
+  }, [auth, setAuth, refresh]);
 
   return axiosPrivate;
 };
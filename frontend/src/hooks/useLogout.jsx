@@ -1,19 +1,20 @@
+import axios from "../api/axios";
 import useAuth from "./useAuth";
 
 const useLogout = () => {
   const { setAuth } = useAuth();
 
-  const logout = () => {
+  const logout = async () => {
     // Clear auth state
     setAuth({});
+    localStorage.removeItem("user");
 
-    // Remove tokens or user info from localStorage
-    localStorage.removeItem("accessToken");
-    localStorage.removeItem("refreshToken");
-    localStorage.removeItem("user"); // Optional, if stored
-
-    // You can also clear all localStorage (optional)
-    // localStorage.clear();
+    // Revoke the refresh token cookie on the server
+    try {
+      await axios.post("/v1/auth/logout", {}, { withCredentials: true });
+    } catch (err) {
+      console.error("Logout request failed:", err);
+    }
   };
 
   return logout;
@@ -0,0 +1,39 @@
+import { useCallback } from "react";
+import axios from "../api/axios";
+import useAuth from "./useAuth";
+
+// Shared so that several 401s at once trigger only one refresh request
+let refreshPromise = null;
+
+const useRefreshToken = () => {
+  const { setAuth } = useAuth();
+
+  const refresh = useCallback(async () => {
+    if (!refreshPromise) {
+      refreshPromise = axios
+        .post("/v1/auth/refresh", {}, { withCredentials: true })
+        .finally(() => {
+          refreshPromise = null;
+        });
+    }
+
+    const response = await refreshPromise;
+    const { user, token } = response.data;
+
+    const userData = {
+      userId: user.userId,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      accessToken: token,
+    };
+    localStorage.setItem("user", JSON.stringify(userData));
+    setAuth(userData);
+
+    return token;
+  }, [setAuth]);
+
+  return refresh;
+};
+
+export default useRefreshToken;
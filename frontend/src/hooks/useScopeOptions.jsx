@@ -0,0 +1,36 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import useAxiosPrivate from "./useAxiosPrivate";
+
+// Categories and products to pick from when targeting a coupon or sale
+const useScopeOptions = () => {
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+
+  const axiosPrivate = useAxiosPrivate();
+
+  useEffect(() => {
+    const fetchScopeOptions = async () => {
+      try {
+        const [categoryRes, productRes] = await Promise.all([
+          axiosPrivate.get("/v1/categories"),
+          axiosPrivate.get("/v1/products?limit=100"),
+        ]);
+        setCategories(categoryRes.data);
+        setProducts(
+          [...productRes.data.products].sort((a, b) =>
+            a.productName.localeCompare(b.productName)
+          )
+        );
+      } catch (err) {
+        console.error("Failed to load categories and products", err);
+        toast.error("Failed to load categories and products");
+      }
+    };
+    fetchScopeOptions();
+  }, []);
+
+  return { categories, products };
+};
+
+export default useScopeOptions;
@@ -0,0 +1,19 @@
+import useAxiosPrivate from "./useAxiosPrivate";
+
+// Payment methods handled by an online provider on the server
+export const ONLINE_PAYMENT_METHODS = ["PayPal", "Wallet"];
+
+// Starts an online payment for an order and sends the browser to the
+// provider's approval page. Throws if the payment could not be started.
+const useStartPayment = () => {
+  const axiosPrivate = useAxiosPrivate();
+
+  const startPayment = async (orderId) => {
+    const res = await axiosPrivate.post(`/v1/payments/${orderId}/start`);
+    window.location.assign(res.data.approvalUrl);
+  };
+
+  return startPayment;
+};
+
+export default useStartPayment;
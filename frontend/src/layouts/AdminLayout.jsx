@@ -15,7 +15,7 @@ const AdminDashboard = () => {
       {/* Main Content */}
       <div className="flex-1 flex flex-col">
         {/* Mobile Header */}
-        <header className="md:hidden bg-white shadow p-4 flex items-center justify-between">
+        <header className="md:hidden print:hidden bg-white shadow p-4 flex items-center justify-between">
           <h1 className="text-lg font-bold">FreshBazar Admin</h1>
           <button onClick={toggleSidebar}>
             <Menu className="w-6 h-6" />
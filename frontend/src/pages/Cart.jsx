@@ -42,13 +42,10 @@ const Cart = () => {
     fetchCart();
   }, []);
 
+  // product.price is already discounted on the server; oldPrice is the original
   const calculateItemPrice = (item) => {
     if (!item?.productId) return 0;
-    const basePrice = item.productId.price || 0;
-    const discount = item.productId.discount || 0;
-    return discount > 0 
-      ? basePrice - (basePrice * discount / 100)
-      : basePrice;
+    return item.productId.price || 0;
   };
 
   const calculateTotal = () => {
@@ -199,7 +196,7 @@ const Cart = () => {
                       <div className="text-gray-600">
                         {product.discount ? (
                           <div className="flex items-center gap-2">
-                            <span className="line-through">Rs.{product.price?.toFixed(2)}</span>
+                            <span className="line-through">Rs.{product.oldPrice?.toFixed(2)}</span>
                             <span className="text-green-600">Rs.{finalPrice.toFixed(2)}</span>
                             <span className="text-sm text-red-500">(-{product.discount}%)</span>
                           </div>
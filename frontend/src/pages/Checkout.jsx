@@ -1,21 +1,129 @@
 import React, { useEffect, useState } from "react";
 import { useNavigate, Link } from "react-router-dom";
 import useAxiosPrivate from "../hooks/useAxiosPrivate";
+import useStartPayment, { ONLINE_PAYMENT_METHODS } from "../hooks/useStartPayment";
 import toast from "react-hot-toast";
 import dummyqr from '../assets/dummyqr.png';
+import DeliveryPicker from "../component/DeliveryPicker";
+import { formatAddress } from "../component/AddressBook";
 
 const CheckoutPage = () => {
   const [cartItems, setCartItems] = useState([]);
   const [paymentMethod, setPaymentMethod] = useState("QR");
   const [address, setAddress] = useState("");
   const [phoneNumber, setPhoneNumber] = useState("");
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [addressId, setAddressId] = useState(""); // "" means a new address typed below
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [processing, setProcessing] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [couponInput, setCouponInput] = useState("");
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
+  const [deliveryOptions, setDeliveryOptions] = useState({ zones: [], days: [] });
+  const [zoneId, setZoneId] = useState("");
+  const [slotDate, setSlotDate] = useState("");
+  const [slotId, setSlotId] = useState("");
 
   const axiosPrivate = useAxiosPrivate();
+  const startPayment = useStartPayment();
   const navigate = useNavigate();
 
+  const toSelectedProducts = (items) =>
+    items.map((item) => ({
+      productId: item.productId._id,
+      quantity: item.quantity,
+    }));
+
+  // Prices, discounts and the delivery fee always come from the server.
+  // Defaults to the coupon and zone currently chosen.
+  const fetchQuote = async (
+    items,
+    { couponCode = appliedCoupon, zone = zoneId } = {}
+  ) => {
+    const res = await axiosPrivate.post("/v1/cart/quote", {
+      selectedProducts: toSelectedProducts(items),
+      couponCode: couponCode || undefined,
+      zoneId: zone || undefined,
+    });
+    setQuote(res.data.quote);
+    return res.data.quote;
+  };
+
+  // The server checks the code and prices the discount into the quote
+  const handleApplyCoupon = async (e) => {
+    e.preventDefault();
+    const code = couponInput.trim();
+    if (!code) return;
+
+    try {
+      setApplyingCoupon(true);
+      const newQuote = await fetchQuote(cartItems, { couponCode: code });
+      setAppliedCoupon(newQuote.coupon?.code || null);
+      toast.success(`Coupon applied: you save Rs. ${newQuote.couponDiscount.toFixed(2)}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Could not apply this coupon");
+    } finally {
+      setApplyingCoupon(false);
+    }
+  };
+
+  const handleRemoveCoupon = async () => {
+    try {
+      setApplyingCoupon(true);
+      await fetchQuote(cartItems, { couponCode: null });
+      setAppliedCoupon(null);
+      setCouponInput("");
+    } catch (err) {
+      console.error("Failed to refresh quote:", err);
+      toast.error("Failed to update your total");
+    } finally {
+      setApplyingCoupon(false);
+    }
+  };
+
+  const fetchDeliveryOptions = async () => {
+    try {
+      const res = await axiosPrivate.get("/v1/delivery/options");
+      setDeliveryOptions(res.data);
+    } catch (err) {
+      console.error("Failed to load delivery options:", err);
+      toast.error("Failed to load delivery areas and slots");
+    }
+  };
+
+  // The zone sets the delivery fee, so the total is re-quoted
+  const handleZoneChange = async (newZoneId) => {
+    setZoneId(newZoneId);
+    try {
+      await fetchQuote(cartItems, { zone: newZoneId });
+    } catch (err) {
+      console.error("Failed to refresh quote:", err);
+      toast.error(err.response?.data?.error || "Failed to update your total");
+    }
+  };
+
+  // Starts on the customer's default address when they have one
+  const fetchAddresses = async () => {
+    try {
+      const res = await axiosPrivate.get("/v1/addresses");
+      const addresses = res.data.addresses || [];
+      setSavedAddresses(addresses);
+      setAddressId(addresses.find((entry) => entry.isDefault)?._id || "");
+    } catch (err) {
+      console.error("Failed to load saved addresses:", err);
+    }
+  };
+
+  const handleSlotChange = (date, id) => {
+    setSlotDate(date);
+    setSlotId(id);
+  };
+
+  const getQuoteLine = (productId) =>
+    quote?.items.find((line) => line.productId === productId);
+
   const fetchCart = async () => {
     try {
       setLoading(true);
@@ -54,6 +162,7 @@ const CheckoutPage = () => {
       }
 
       setCartItems(validItems);
+      await fetchQuote(validItems);
     } catch (err) {
       console.error("Failed to fetch cart:", err);
       setError("Failed to load cart items");
@@ -66,39 +175,30 @@ const CheckoutPage = () => {
 
   useEffect(() => {
     fetchCart();
+    fetchDeliveryOptions();
+    fetchAddresses();
   }, []);
 
-  const calculateItemPrice = (item) => {
-    if (!item?.productId) return 0;
-    const basePrice = item.productId.price || 0;
-    const discount = item.productId.discount || 0;
-    return discount > 0 
-      ? basePrice - (basePrice * discount / 100)
-      : basePrice;
-  };
-
-  const calculateTotal = () => {
-    return cartItems
-      .reduce((total, item) => {
-        const price = calculateItemPrice(item);
-        return total + price * (item.quantity || 0);
-      }, 0)
-      .toFixed(2);
-  };
 
   const validateForm = () => {
-    if (!address.trim()) {
+    if (addressId) {
+      // The saved address already has a checked phone number
+    } else if (!address.trim()) {
       toast.error("Please enter your delivery address");
       return false;
     }
-    if (!phoneNumber.trim()) {
+    if (!addressId && !phoneNumber.trim()) {
       toast.error("Please enter your phone number");
       return false;
     }
-    if (!/^[0-9]{10}$/.test(phoneNumber.trim())) {
+    if (!addressId && !/^[0-9]{10}$/.test(phoneNumber.trim())) {
       toast.error("Please enter a valid 10-digit phone number");
       return false;
     }
+    if (!zoneId || !slotId) {
+      toast.error("Please choose a delivery area and time slot");
+      return false;
+    }
     return true;
   };
 
@@ -109,27 +209,63 @@ const CheckoutPage = () => {
       navigate("/cart");
       return;
     }
+    if (!quote) {
+      toast.error("Order total is not ready yet, please wait");
+      return;
+    }
 
     try {
       setProcessing(true);
-      const selectedProducts = cartItems.map((item) => ({
-        productId: item.productId._id,
-        quantity: item.quantity,
-      }));
-
       const res = await axiosPrivate.post("/v1/cart/placeorder", {
-        selectedProducts,
-        address: address.trim(),
-        phoneNumber: phoneNumber.trim(),
+        selectedProducts: toSelectedProducts(cartItems),
+        ...(addressId
+          ? { addressId }
+          : { address: address.trim(), phoneNumber: phoneNumber.trim() }),
         paymentMethod,
+        quotedTotal: quote.grandTotal,
+        couponCode: appliedCoupon || undefined,
+        zoneId,
+        slotId,
+        slotDate: slotDate || deliveryOptions.days[0]?.date,
       });
 
       toast.success(res.data.message);
-      navigate("/orders");
+
+      // Online payments continue on the provider's page
+      if (ONLINE_PAYMENT_METHODS.includes(paymentMethod)) {
+        try {
+          await startPayment(res.data.orderId);
+          return;
+        } catch (paymentErr) {
+          console.error("Payment could not start:", paymentErr);
+          toast.error(
+            paymentErr.response?.data?.error ||
+              "Could not start the payment. You can pay from My Orders."
+          );
+          navigate("/customer/myorders");
+          return;
+        }
+      }
+
+      // QR orders need payment details, which are submitted from My Orders
+      navigate(paymentMethod === "QR" ? "/customer/myorders" : "/orders");
     } catch (err) {
       console.error("Order failed:", err);
       const errorMessage = err.response?.data?.error || "Order failed. Please try again.";
       toast.error(errorMessage);
+
+      // Prices changed since the quote was shown: show the new total to confirm
+      if (err.response?.status === 409 && err.response.data?.quote) {
+        setQuote(err.response.data.quote);
+        return;
+      }
+
+      // The slot may have filled up or closed meanwhile
+      if (errorMessage.toLowerCase().includes("slot")) {
+        setSlotId("");
+        fetchDeliveryOptions();
+        return;
+      }
       
       // If there's a stock-related error, redirect to cart
       if (errorMessage.toLowerCase().includes("stock") || 
@@ -182,7 +318,7 @@ const CheckoutPage = () => {
               {cartItems.map((item) => {
                 if (!item.productId) return null;
                 const product = item.productId;
-                const finalPrice = calculateItemPrice(item);
+                const line = getQuoteLine(product._id);
 
                 return (
                   <div
@@ -203,10 +339,10 @@ const CheckoutPage = () => {
                         <p className="font-medium">{product.productName}</p>
                         <p className="text-sm text-gray-500">
                           Qty: {item.quantity} × Rs.{" "}
-                          {finalPrice.toFixed(2)}
-                          {product.discount > 0 && (
+                          {(line?.unitPrice ?? 0).toFixed(2)}
+                          {line?.lineDiscount > 0 && (
                             <span className="text-red-500 ml-1">
-                              (-{product.discount}%)
+                              (-{line.discountPercent}%)
                             </span>
                           )}
                         </p>
@@ -216,7 +352,7 @@ const CheckoutPage = () => {
                       </div>
                     </div>
                     <p className="font-bold text-green-600">
-                      Rs. {(item.quantity * finalPrice).toFixed(2)}
+                      Rs. {(line?.lineTotal ?? 0).toFixed(2)}
                     </p>
                   </div>
                 );
@@ -227,18 +363,73 @@ const CheckoutPage = () => {
             <div className="space-y-2">
               <div className="flex justify-between text-gray-600">
                 <span>Subtotal</span>
-                <span>Rs. {calculateTotal()}</span>
+                <span>Rs. {(quote?.subtotal ?? 0).toFixed(2)}</span>
               </div>
+              {quote?.discountTotal > 0 && (
+                <div className="flex justify-between text-red-500">
+                  <span>You Save</span>
+                  <span>Rs. {quote.discountTotal.toFixed(2)}</span>
+                </div>
+              )}
+              {quote?.couponDiscount > 0 && (
+                <div className="flex justify-between text-red-500">
+                  <span>Coupon ({quote.coupon.code})</span>
+                  <span>- Rs. {quote.couponDiscount.toFixed(2)}</span>
+                </div>
+              )}
               <div className="flex justify-between text-gray-600">
-                <span>Delivery Fee</span>
-                <span>Rs. 100.00</span>
+                <span>
+                  Delivery Fee
+                  {!quote?.delivery && (
+                    <span className="text-xs text-gray-400"> (select your area)</span>
+                  )}
+                </span>
+                <span>Rs. {(quote?.deliveryFee ?? 0).toFixed(2)}</span>
               </div>
               <div className="flex justify-between text-lg font-semibold border-t pt-2">
                 <span>Total</span>
-                <span>Rs. {(parseFloat(calculateTotal()) + 100).toFixed(2)}</span>
+                <span>Rs. {(quote?.grandTotal ?? 0).toFixed(2)}</span>
               </div>
             </div>
 
+            {/* Coupon */}
+            <div>
+              <label className="block text-gray-700 font-medium mb-1">
+                Coupon Code
+              </label>
+              {appliedCoupon ? (
+                <div className="flex justify-between items-center border rounded-md p-2 bg-green-50">
+                  <span className="font-medium text-green-700">{appliedCoupon}</span>
+                  <button
+                    type="button"
+                    onClick={handleRemoveCoupon}
+                    disabled={processing || applyingCoupon}
+                    className="text-sm text-red-600 hover:underline disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ) : (
+                <form onSubmit={handleApplyCoupon} className="flex gap-2">
+                  <input
+                    type="text"
+                    value={couponInput}
+                    onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+                    className="flex-1 border rounded-md p-2"
+                    placeholder="Enter code"
+                    disabled={processing || applyingCoupon}
+                  />
+                  <button
+                    type="submit"
+                    disabled={processing || applyingCoupon || !couponInput.trim()}
+                    className="bg-gray-800 text-white px-4 rounded-md hover:bg-gray-900 disabled:bg-gray-400"
+                  >
+                    {applyingCoupon ? "Applying..." : "Apply"}
+                  </button>
+                </form>
+              )}
+            </div>
+
             {/* Payment Method */}
             <div>
               <label className="block text-gray-700 font-medium mb-1">
@@ -252,51 +443,119 @@ const CheckoutPage = () => {
               >
                 <option value="QR">QR Payment</option>
                 <option value="Cash">Cash on Delivery</option>
+                <option value="PayPal">PayPal</option>
+                <option value="Wallet">Digital Wallet (NPR)</option>
               </select>
             </div>
 
+            {/* Delivery area and slot */}
+            <DeliveryPicker
+              options={deliveryOptions}
+              zoneId={zoneId}
+              slotDate={slotDate || deliveryOptions.days[0]?.date}
+              slotId={slotId}
+              delivery={quote?.delivery}
+              disabled={processing}
+              onZoneChange={handleZoneChange}
+              onSlotChange={handleSlotChange}
+            />
+
+            {/* Saved addresses */}
+            {savedAddresses.length > 0 && (
+              <div>
+                <div className="flex justify-between items-center mb-1">
+                  <label className="block text-gray-700 font-medium">Deliver To*</label>
+                  <Link to="/customer/settings" className="text-sm text-blue-600 hover:underline">
+                    Manage addresses
+                  </Link>
+                </div>
+                <div className="space-y-2">
+                  {savedAddresses.map((entry) => (
+                    <label
+                      key={entry._id}
+                      className={`flex gap-2 border rounded-md p-2 text-sm cursor-pointer ${
+                        addressId === entry._id ? "border-green-600 bg-green-50" : ""
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="savedAddress"
+                        checked={addressId === entry._id}
+                        onChange={() => setAddressId(entry._id)}
+                        disabled={processing}
+                      />
+                      <span>
+                        <span className="font-medium">{entry.label}</span>
+                        <span className="block text-gray-600">{formatAddress(entry)}</span>
+                        <span className="block text-gray-500 text-xs">{entry.phone}</span>
+                      </span>
+                    </label>
+                  ))}
+                  <label className="flex gap-2 text-sm cursor-pointer">
+                    <input
+                      type="radio"
+                      name="savedAddress"
+                      checked={addressId === ""}
+                      onChange={() => setAddressId("")}
+                      disabled={processing}
+                    />
+                    Use a different address
+                  </label>
+                </div>
+              </div>
+            )}
+
             {/* Address */}
-            <div>
-              <label className="block text-gray-700 font-medium mb-1">
-                Delivery Address*
-              </label>
-              <textarea
-                value={address}
-                onChange={(e) => setAddress(e.target.value)}
-                className="w-full border rounded-md p-2"
-                rows={3}
-                placeholder="Enter your complete delivery address"
-                disabled={processing}
-                required
-              />
-            </div>
+            {!addressId && (
+              <>
+                <div>
+                  <label className="block text-gray-700 font-medium mb-1">
+                    Delivery Address*
+                  </label>
+                  <textarea
+                    value={address}
+                    onChange={(e) => setAddress(e.target.value)}
+                    className="w-full border rounded-md p-2"
+                    rows={3}
+                    placeholder="Enter your complete delivery address"
+                    disabled={processing}
+                    required
+                  />
+                </div>
 
-            {/* Phone Number */}
-            <div>
-              <label className="block text-gray-700 font-medium mb-1">
-                Phone Number*
-              </label>
-              <input
-                type="tel"
-                value={phoneNumber}
-                onChange={(e) => setPhoneNumber(e.target.value)}
-                className="w-full border rounded-md p-2"
-                placeholder="10-digit mobile number"
-                pattern="[0-9]{10}"
-                maxLength={10}
-                disabled={processing}
-                required
-              />
-            </div>
+                {/* Phone Number */}
+                <div>
+                  <label className="block text-gray-700 font-medium mb-1">
+                    Phone Number*
+                  </label>
+                  <input
+                    type="tel"
+                    value={phoneNumber}
+                    onChange={(e) => setPhoneNumber(e.target.value)}
+                    className="w-full border rounded-md p-2"
+                    placeholder="10-digit mobile number"
+                    pattern="[0-9]{10}"
+                    maxLength={10}
+                    disabled={processing}
+                    required
+                  />
+                </div>
+              </>
+            )}
 
             {/* Place Order */}
             <button
               onClick={handleOrderSubmit}
-              disabled={processing || cartItems.length === 0}
+              disabled={
+                processing ||
+                cartItems.length === 0 ||
+                !quote ||
+                quote.delivery?.meetsMinimum === false
+              }
               className={`w-full bg-green-600 text-white py-3 rounded-lg hover:bg-green-700 
                 disabled:bg-gray-400 disabled:cursor-not-allowed ${processing ? "opacity-75" : ""}`}
             >
-              {processing ? "Processing Order..." : `Pay Rs. ${(parseFloat(calculateTotal()) + 100).toFixed(2)}`}
+              {processing ? "Processing Order..." : `Pay Rs. ${(quote?.grandTotal ?? 0).toFixed(2)}`}
             </button>
           </div>
 
@@ -313,20 +572,19 @@ const CheckoutPage = () => {
               </div>
               <div className="text-center space-y-2">
                 <p className="font-semibold">
-                  Amount to Pay: Rs. {(parseFloat(calculateTotal()) + 100).toFixed(2)}
+                  Amount to Pay: Rs. {(quote?.grandTotal ?? 0).toFixed(2)}
                 </p>
                 <div className="text-sm text-gray-700 space-y-1">
                   <p className="font-medium">Instructions:</p>
                   <ol className="list-decimal list-inside text-left">
                     <li>Scan the QR code using any UPI app</li>
                     <li>Enter the exact amount shown above</li>
-                    <li>Add your email in payment remarks</li>
                     <li>Complete the payment</li>
+                    <li>Upload the payment screenshot or transaction reference from My Orders</li>
                   </ol>
                 </div>
                 <p className="text-sm text-gray-700 mt-4">
-                  You can also WhatsApp us your payment screenshot for faster
-                  confirmation.
+                  Your order is confirmed once we have verified the payment.
                 </p>
               </div>
             </div>
@@ -36,6 +36,7 @@ const Login = () => {
         JSON.stringify({ email, password }),
         {
           headers: { "Content-Type": "application/json" },
+          withCredentials: true, // Receive the httpOnly refresh token cookie
         }
       );
 
@@ -44,7 +45,7 @@ const Login = () => {
       const name = response.data.user.name;
       const role = response.data.user.role;
       const accessToken = response.data.token;
-      const userId = response.data.userId;
+      const userId = response.data.user.userId;
 
       const userData = { userId, name, email, role, accessToken };
       console.log(userData);
@@ -46,17 +46,6 @@ const Orders = () => {
       day: "numeric",
     });
 
-  const calculateOrderTotal = (items) => {
-    if (!items || !Array.isArray(items)) return "0.00";
-    return items
-      .reduce((total, item) => {
-        const price = item.productId?.price || 0;
-        const quantity = item.quantity || 0;
-        return total + (price * quantity);
-      }, 0)
-      .toFixed(2);
-  };
-
   const getStatusClass = (status) => {
     switch (status) {
       case "Pending":
@@ -156,7 +145,7 @@ const Orders = () => {
                         </div>
                         <p className="font-semibold text-gray-900">
                           Rs.{" "}
-                          {((item.productId?.price || 0) * (item.quantity || 0)).toFixed(2)}
+                          {(item.totalPrice || 0).toFixed(2)}
                         </p>
                       </div>
                     ))}
@@ -183,7 +172,7 @@ const Orders = () => {
                           <span>Total</span>
                         </div>
                         <span className="font-bold text-lg text-green-600">
-                          Rs. {calculateOrderTotal(order.orderItems)}
+                          Rs. {(order.totalAmount || 0).toFixed(2)}
                         </span>
                       </div>
                       <div className="flex justify-between text-sm text-gray-500">
@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { CheckCircle, Loader2, XCircle } from "lucide-react";
+import useAxiosPrivate from "../hooks/useAxiosPrivate";
+
+// Landing page the payment provider sends the customer back to
+const PaymentReturn = () => {
+  const axiosPrivate = useAxiosPrivate();
+  const [searchParams] = useSearchParams();
+  const orderId = searchParams.get("orderId");
+  const cancelled = searchParams.get("cancelled") === "true";
+
+  const [state, setState] = useState(cancelled ? "cancelled" : "confirming");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    if (cancelled || !orderId) return;
+
+    const confirmPayment = async () => {
+      try {
+        const res = await axiosPrivate.post(
+          `/v1/payments/${orderId}/confirm`,
+          Object.fromEntries(searchParams)
+        );
+        setMessage(res.data.message);
+        setState("paid");
+      } catch (err) {
+        console.error("Payment confirmation failed", err);
+        setMessage(err.response?.data?.error || "We could not confirm your payment");
+        setState("failed");
+      }
+    };
+
+    confirmPayment();
+  }, [axiosPrivate, cancelled, orderId, searchParams]);
+
+  return (
+    <section className="min-h-[60vh] flex items-center justify-center py-20 lg:pt-40">
+      <div className="bg-white rounded-lg shadow-md p-10 max-w-md w-full text-center space-y-4">
+        {state === "confirming" && (
+          <>
+            <Loader2 className="w-10 h-10 animate-spin text-green-600 mx-auto" />
+            <p className="text-gray-700">Confirming your payment...</p>
+          </>
+        )}
+        {state === "paid" && (
+          <>
+            <CheckCircle className="w-12 h-12 text-green-600 mx-auto" />
+            <h1 className="text-2xl font-bold">Payment successful</h1>
+            <p className="text-gray-600">{message}</p>
+          </>
+        )}
+        {(state === "failed" || state === "cancelled") && (
+          <>
+            <XCircle className="w-12 h-12 text-red-500 mx-auto" />
+            <h1 className="text-2xl font-bold">
+              {state === "cancelled" ? "Payment cancelled" : "Payment not completed"}
+            </h1>
+            <p className="text-gray-600">
+              {state === "cancelled"
+                ? "Your order has been saved. You can pay for it from My Orders within an hour of placing it."
+                : message}
+            </p>
+          </>
+        )}
+        {state !== "confirming" && (
+          <Link
+            to="/customer/myorders"
+            className="inline-block bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700"
+          >
+            Go to My Orders
+          </Link>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default PaymentReturn;
@@ -4,6 +4,8 @@ import { motion } from "framer-motion";
 import { ShoppingCart, ChevronLeft } from "lucide-react";
 import useAxiosPrivate from "../hooks/useAxiosPrivate";
 import toast from "react-hot-toast";
+import ProductReviews, { StarRating } from "../component/ProductReviews";
+import SaleCountdown from "../component/SaleCountdown";
 
 const ProductDetails = () => {
   const { id } = useParams();
@@ -163,6 +165,12 @@ const ProductDetails = () => {
               <p className="text-lg text-gray-500 mt-2">
                 Category: {product.category?.categoryName}
               </p>
+              <div className="flex items-center gap-2 mt-2">
+                <StarRating rating={product.averageRating || 0} />
+                <span className="text-sm text-gray-500">
+                  ({product.totalReviews || 0} reviews)
+                </span>
+              </div>
             </div>
 
             <div className="space-y-2">
@@ -179,6 +187,14 @@ const ProductDetails = () => {
                   {product.discount}% OFF
                 </span>
               )}
+              {product.sale && (
+                <p className="text-sm font-medium text-orange-600">
+                  {product.sale.name}
+                  {!product.sale.isFlashSale &&
+                    ` · until ${new Date(product.sale.endsAt).toLocaleString()}`}
+                </p>
+              )}
+              {product.sale?.isFlashSale && <SaleCountdown endsAt={product.sale.endsAt} />}
             </div>
 
             <div>
@@ -236,6 +252,8 @@ const ProductDetails = () => {
             </div>
           </motion.div>
         </div>
+
+        <ProductReviews productId={id} />
       </div>
     </div>
   );
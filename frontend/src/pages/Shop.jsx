@@ -1,86 +1,110 @@
 import React, { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import { motion } from "framer-motion";
 import ProductCard from "../component/ProductCard";
+import Pagination from "../component/Pagination";
 import useAxiosPrivate from "../hooks/useAxiosPrivate";
 import { toast } from "react-hot-toast";
 import { useSearch } from "../context/SearchProvider";
 import { Loader2 } from "lucide-react";
 
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "price_asc", label: "Price: Low to High" },
+  { value: "price_desc", label: "Price: High to Low" },
+  { value: "best_selling", label: "Best Selling" },
+];
+
+// Filters live in the URL (?category=..&minPrice=..&sort=..&page=..) so
+// filtered views can be bookmarked and shared
 export default function Shop() {
   const axiosPrivate = useAxiosPrivate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [products, setProducts] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
-  const [categories, setCategories] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+  const [facets, setFacets] = useState({
+    categories: [],
+    inStock: 0,
+    discounted: 0,
+    price: { min: 0, max: 0 },
+  });
   const [loading, setLoading] = useState(true);
 
-  const { 
-    searchQuery, 
-    searchResults, 
-    isSearching,
-    selectedCategories,
-    setSelectedCategories 
-  } = useSearch();
+  const { searchQuery, searchResults, isSearching, correctedQuery } =
+    useSearch();
 
-  // Fetch all products with populated category
-  const fetchProducts = async () => {
-    try {
-      const res = await axiosPrivate.get("/v1/products");
-      const allProducts = res.data.products || [];
-      setProducts(allProducts);
-      setFilteredProducts(allProducts);
-    } catch (error) {
-      console.error("Error fetching products:", error);
-      toast.error("Failed to load products");
-    } finally {
-      setLoading(false);
-    }
-  };
+  const selectedCategories = (searchParams.get("category") || "")
+    .split(",")
+    .filter(Boolean);
+  const page = Number(searchParams.get("page")) || 1;
+  const sort = searchParams.get("sort") || "newest";
+  const inStock = searchParams.get("inStock") === "true";
+  const discounted = searchParams.get("discounted") === "true";
 
-  // Fetch all available categories
-  const fetchCategories = async () => {
-    try {
-      const res = await axiosPrivate.get("/v1/categories");
-      setCategories(res.data || []);
-    } catch (error) {
-      console.error("Error fetching categories:", error);
-      toast.error("Failed to load categories");
-    }
-  };
+  const [priceInput, setPriceInput] = useState({
+    minPrice: searchParams.get("minPrice") || "",
+    maxPrice: searchParams.get("maxPrice") || "",
+  });
 
+  // Fetch the current page of products whenever the URL filters change
   useEffect(() => {
+    const fetchProducts = async () => {
+      try {
+        setLoading(true);
+        const res = await axiosPrivate.get(
+          `/v1/products?${searchParams.toString()}`
+        );
+        setProducts(res.data.products || []);
+        setPagination({
+          total: res.data.total,
+          totalPages: res.data.totalPages,
+        });
+        setFacets(res.data.facets);
+      } catch (error) {
+        console.error("Error fetching products:", error);
+        toast.error(error.response?.data?.message || "Failed to load products");
+      } finally {
+        setLoading(false);
+      }
+    };
+
     fetchProducts();
-    fetchCategories();
-  }, []);
+  }, [axiosPrivate, searchParams]);
 
-  // Apply filters (categories and search)
-  useEffect(() => {
-    let filtered = searchQuery ? searchResults : products;
+  // Update one or more params; any filter change goes back to page 1
+  const updateParams = (updates, resetPage = true) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value === "" || value === false || value == null) {
+        next.delete(key);
+      } else {
+        next.set(key, String(value));
+      }
+    });
+    if (resetPage) next.delete("page");
+    setSearchParams(next);
+  };
 
-    if (selectedCategories.length > 0) {
-      filtered = filtered.filter((product) =>
-        selectedCategories.includes(product.category?.categoryName)
-      );
-    }
+  const handleCategoryChange = (categoryId) => {
+    const updated = selectedCategories.includes(categoryId)
+      ? selectedCategories.filter((id) => id !== categoryId)
+      : [...selectedCategories, categoryId];
+    updateParams({ category: updated.join(",") });
+  };
 
-    setFilteredProducts(filtered);
-  }, [searchQuery, searchResults, selectedCategories, products]);
-
-  // Handle filter change
-  const handleCategoryChange = (categoryName) => {
-    if (searchQuery) {
-      // If there's a search query, clear it first
-      setSelectedCategories([categoryName]);
-    } else {
-      const updatedCategories = selectedCategories.includes(categoryName)
-        ? selectedCategories.filter((c) => c !== categoryName)
-        : [...selectedCategories, categoryName];
-      setSelectedCategories(updatedCategories);
-    }
+  const applyPriceRange = (e) => {
+    e.preventDefault();
+    updateParams(priceInput);
+  };
+
+  const clearFilters = () => {
+    setPriceInput({ minPrice: "", maxPrice: "" });
+    setSearchParams({});
   };
 
   const handleAddToCart = async (productId) => {
     try {
-      const response = await axiosPrivate.post("/v1/cart/add", {
+      await axiosPrivate.post("/v1/cart/add", {
         productId,
         quantity: 1,
       });
@@ -93,6 +117,9 @@ export default function Shop() {
     }
   };
 
+  const showingSearch = Boolean(searchQuery);
+  const visibleProducts = showingSearch ? searchResults : products;
+
   return (
     <section className="bg-gray-50 py-20 lg:pt-40">
       <motion.div
@@ -117,28 +144,102 @@ export default function Shop() {
           transition={{ duration: 0.5 }}
           className="w-full lg:w-1/4"
         >
-          <div className="bg-white rounded-xl shadow p-6 sticky top-36">
-            <h2 className="text-xl font-semibold text-gray-800 mb-6">
-              Product Categories
-            </h2>
-            <ul className="space-y-4">
-              {categories.map((category) => (
-                <li
-                  key={category._id}
-                  className="flex items-center gap-2 cursor-pointer group"
-                >
-                  <input
-                    type="checkbox"
-                    className="accent-green-600"
-                    checked={selectedCategories.includes(category.categoryName)}
-                    onChange={() => handleCategoryChange(category.categoryName)}
-                  />
-                  <span className="text-gray-700 group-hover:text-green-600 transition">
-                    {category.categoryName}
-                  </span>
-                </li>
-              ))}
-            </ul>
+          <div className="bg-white rounded-xl shadow p-6 sticky top-36 space-y-8">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-800 mb-6">
+                Product Categories
+              </h2>
+              <ul className="space-y-4">
+                {facets.categories.map((category) => (
+                  <li
+                    key={category._id}
+                    className="flex items-center gap-2 cursor-pointer group"
+                  >
+                    <input
+                      type="checkbox"
+                      className="accent-green-600"
+                      checked={selectedCategories.includes(category._id)}
+                      onChange={() => handleCategoryChange(category._id)}
+                    />
+                    <span className="text-gray-700 group-hover:text-green-600 transition">
+                      {category.categoryName}
+                    </span>
+                    <span className="ml-auto text-xs text-gray-400">
+                      {category.count}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <form onSubmit={applyPriceRange}>
+              <h2 className="text-lg font-semibold text-gray-800 mb-4">
+                Price (Rs.)
+              </h2>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  value={priceInput.minPrice}
+                  onChange={(e) =>
+                    setPriceInput((prev) => ({ ...prev, minPrice: e.target.value }))
+                  }
+                  placeholder={String(facets.price.min)}
+                  className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                />
+                <span className="text-gray-400">–</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={priceInput.maxPrice}
+                  onChange={(e) =>
+                    setPriceInput((prev) => ({ ...prev, maxPrice: e.target.value }))
+                  }
+                  placeholder={String(facets.price.max)}
+                  className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                />
+              </div>
+              <button
+                type="submit"
+                className="mt-3 w-full bg-green-100 text-green-700 text-sm font-medium py-1.5 rounded-md hover:bg-green-200 transition"
+              >
+                Apply
+              </button>
+            </form>
+
+            <div className="space-y-3">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="accent-green-600"
+                  checked={inStock}
+                  onChange={() => updateParams({ inStock: !inStock })}
+                />
+                <span className="text-gray-700">In stock only</span>
+                <span className="ml-auto text-xs text-gray-400">
+                  {facets.inStock}
+                </span>
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="accent-green-600"
+                  checked={discounted}
+                  onChange={() => updateParams({ discounted: !discounted })}
+                />
+                <span className="text-gray-700">On discount</span>
+                <span className="ml-auto text-xs text-gray-400">
+                  {facets.discounted}
+                </span>
+              </label>
+            </div>
+
+            <button
+              onClick={clearFilters}
+              className="text-sm text-gray-500 hover:text-green-600"
+            >
+              Clear all filters
+            </button>
           </div>
         </motion.aside>
 
@@ -152,14 +253,21 @@ export default function Shop() {
                   <Loader2 className="animate-spin" size={16} />
                   Searching...
                 </span>
-              ) : (
+              ) : showingSearch ? (
                 <>
-                  Showing {filteredProducts.length} result(s)
-                  {searchQuery && (
-                    <span className="ml-1">
-                      for "{searchQuery}"
+                  Showing {searchResults.length} result(s)
+                  <span className="ml-1">
+                    for "{correctedQuery || searchQuery}"
+                  </span>
+                  {correctedQuery && (
+                    <span className="ml-1 text-gray-400">
+                      (no exact matches for "{searchQuery}")
                     </span>
                   )}
+                </>
+              ) : (
+                <>
+                  Showing {products.length} of {pagination.total} product(s)
                   {selectedCategories.length > 0 && (
                     <span className="ml-1">
                       in {selectedCategories.length} selected {selectedCategories.length === 1 ? 'category' : 'categories'}
@@ -168,6 +276,20 @@ export default function Shop() {
                 </>
               )}
             </p>
+
+            {!showingSearch && (
+              <select
+                value={sort}
+                onChange={(e) => updateParams({ sort: e.target.value })}
+                className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            )}
           </div>
 
           {/* Products Grid */}
@@ -187,16 +309,16 @@ export default function Shop() {
               <div className="col-span-full flex justify-center items-center py-12">
                 <Loader2 className="animate-spin" size={32} />
               </div>
-            ) : filteredProducts.length === 0 ? (
+            ) : visibleProducts.length === 0 ? (
               <div className="col-span-full text-center py-12">
                 <p className="text-gray-500 text-lg">
-                  {searchQuery
+                  {showingSearch
                     ? `No products found matching "${searchQuery}"`
-                    : "No products found in selected categories."}
+                    : "No products match the selected filters."}
                 </p>
               </div>
             ) : (
-              filteredProducts.map((product) => (
+              visibleProducts.map((product) => (
                 <motion.div key={product._id} whileHover={{ scale: 1.03 }}>
                   <ProductCard
                     id={product._id}
@@ -206,6 +328,7 @@ export default function Shop() {
                     price={product.price}
                     oldPrice={product.oldPrice}
                     discount={product.discount}
+                    sale={product.sale}
                     unit={product.unit}
                     onAddToCart={() => handleAddToCart(product._id)}
                   />
@@ -213,6 +336,14 @@ export default function Shop() {
               ))
             )}
           </motion.div>
+
+          {!showingSearch && (
+            <Pagination
+              page={page}
+              totalPages={pagination.totalPages}
+              onPageChange={(newPage) => updateParams({ page: newPage }, false)}
+            />
+          )}
         </div>
       </div>
     </section>
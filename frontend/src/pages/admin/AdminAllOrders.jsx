@@ -1,19 +1,38 @@
 import React, { useEffect, useState } from "react";
 import useAxiosPrivate from "../../hooks/useAxiosPrivate";
 import toast from "react-hot-toast";
-import { Loader2 } from "lucide-react";
+import { Loader2, Printer } from "lucide-react";
+import PaymentVerificationQueue from "../../component/PaymentVerificationQueue";
+import RefundPanel from "../../component/RefundPanel";
+import ReturnRequestsQueue from "../../component/ReturnRequestsQueue";
+import { ItemStatusBadge } from "../../component/OrderItemsPanel";
+import DeliveryRunSheet from "../../component/DeliveryRunSheet";
+import ExportButton from "../../component/ExportButton";
+
+const EMPTY_FILTERS = { from: "", to: "", slotDate: "", slotId: "", zoneId: "" };
 
 const AdminAllOrders = () => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [processingOrderId, setProcessingOrderId] = useState(null);
+  const [transitions, setTransitions] = useState({});
+  const [refundMethods, setRefundMethods] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [deliverySlots, setDeliverySlots] = useState([]);
+  const [deliveryZones, setDeliveryZones] = useState([]);
 
   const axiosPrivate = useAxiosPrivate();
 
   const fetchAllOrders = async () => {
     try {
-      const res = await axiosPrivate.get("/v1/orders/getallorder");
+      // Empty filters are left out
+      const params = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value)
+      );
+      const res = await axiosPrivate.get("/v1/orders/getallorder", { params });
       setOrders(res.data.orders);
+      setTransitions(res.data.transitions || {});
+      setRefundMethods(res.data.refundMethods || []);
     } catch (err) {
       console.error("Failed to fetch orders", err);
       toast.error("Failed to load orders");
@@ -24,8 +43,34 @@ const AdminAllOrders = () => {
 
   useEffect(() => {
     fetchAllOrders();
+  }, [filters]);
+
+  useEffect(() => {
+    const fetchDeliverySettings = async () => {
+      try {
+        const [slotRes, zoneRes] = await Promise.all([
+          axiosPrivate.get("/v1/delivery/slots"),
+          axiosPrivate.get("/v1/delivery/zones"),
+        ]);
+        setDeliverySlots(slotRes.data.slots);
+        setDeliveryZones(zoneRes.data.zones);
+      } catch (err) {
+        console.error("Failed to fetch delivery settings", err);
+      }
+    };
+    fetchDeliverySettings();
   }, []);
 
+  const setFilter = (name) => (e) =>
+    setFilters((prev) => ({ ...prev, [name]: e.target.value }));
+
+  // Heading for the printed run sheet
+  const runSheetTitle = [
+    filters.slotDate || "All dates",
+    deliverySlots.find((slot) => slot._id === filters.slotId)?.label || "All slots",
+    deliveryZones.find((zone) => zone._id === filters.zoneId)?.name || "All areas",
+  ].join(" · ");
+
   const handleStatusChange = async (orderId, newStatus, currentStatus) => {
     // Prevent status change for cancelled orders
     if (currentStatus === "Cancelled") {
@@ -39,11 +84,11 @@ const AdminAllOrders = () => {
         status: newStatus,
       });
 
-      // Update orders list with new status
+      // Update orders list with the updated order and its history
       setOrders(prevOrders =>
         prevOrders.map(order =>
           order._id === orderId
-            ? { ...order, status: newStatus }
+            ? { ...order, ...res.data.order }
             : order
         )
       );
@@ -94,6 +139,35 @@ const AdminAllOrders = () => {
     }
   };
 
+  const handleCancelItem = async (itemId) => {
+    if (!window.confirm("Remove this item from the order?")) return;
+
+    try {
+      const res = await axiosPrivate.delete(`/v1/orders/cancel-item/${itemId}`);
+      toast.success(res.data.message);
+      fetchAllOrders();
+    } catch (err) {
+      console.error("Failed to cancel item", err);
+      toast.error(err.response?.data?.error || "Failed to cancel item");
+    }
+  };
+
+  // Refund responses aren't populated, so only take over the payment fields
+  const handleRefundUpdated = (updated) => {
+    setOrders((prevOrders) =>
+      prevOrders.map((order) =>
+        order._id === updated._id
+          ? {
+              ...order,
+              paymentStatus: updated.paymentStatus,
+              refunds: updated.refunds,
+              refundedAmount: updated.refundedAmount,
+            }
+          : order
+      )
+    );
+  };
+
   if (loading) {
     return (
       <div className="py-20 flex justify-center items-center">
@@ -103,96 +177,223 @@ const AdminAllOrders = () => {
   }
 
   return (
-    <div className="py-20 max-w-7xl mx-auto px-4">
-      <h1 className="text-3xl font-bold mb-8">All Orders (Admin)</h1>
-      {orders.length === 0 ? (
-        <p>No orders found.</p>
-      ) : (
-        <div className="space-y-6">
-          {orders.map((order) => (
-            <div
-              key={order._id}
-              className="bg-white p-6 rounded-lg shadow-md space-y-4"
+    <div className="py-20 max-w-7xl mx-auto px-4 print:p-0">
+      <DeliveryRunSheet orders={orders} title={runSheetTitle} />
+      <div className="print:hidden">
+        <h1 className="text-3xl font-bold mb-8">All Orders (Admin)</h1>
+
+        {/* Order date and delivery filters, the rider's run sheet and exports */}
+        <div className="bg-white p-4 rounded-lg shadow-md mb-6 flex flex-wrap gap-4 items-end">
+          <label className="text-sm text-gray-700">
+            Ordered from
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={setFilter("from")}
+              className="block border rounded p-1"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Ordered to
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={setFilter("to")}
+              className="block border rounded p-1"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Delivery date
+            <input
+              type="date"
+              value={filters.slotDate}
+              onChange={setFilter("slotDate")}
+              className="block border rounded p-1"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Slot
+            <select value={filters.slotId} onChange={setFilter("slotId")} className="block border rounded p-1">
+              <option value="">All slots</option>
+              {deliverySlots.map((slot) => (
+                <option key={slot._id} value={slot._id}>
+                  {slot.label} ({slot.startTime}–{slot.endTime})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Area
+            <select value={filters.zoneId} onChange={setFilter("zoneId")} className="block border rounded p-1">
+              <option value="">All areas</option>
+              {deliveryZones.map((zone) => (
+                <option key={zone._id} value={zone._id}>
+                  {zone.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          {Object.values(filters).some(Boolean) && (
+            <button
+              onClick={() => setFilters(EMPTY_FILTERS)}
+              className="text-sm text-gray-600 hover:underline"
             >
-              <div className="flex justify-between items-center">
-                <div>
-                  <h2 className="font-bold text-xl">Order #{order._id}</h2>
-                  <p className="text-sm text-gray-600">
-                    Placed by: {order.userId?.email || "Unknown"}
-                  </p>
-                  <p className="text-sm text-gray-600">
-                    Address: {order.address}
-                  </p>
-                  <p className="text-sm text-gray-600">
-                    Payment: {order.paymentMethod} ({order.paymentStatus})
-                  </p>
-                  <p className="text-sm text-gray-600">
-                    Phone: {order.phoneNumber}
-                  </p>
-                  <p className={`text-sm font-medium ${
-                    order.status === 'Cancelled' ? 'text-red-600' :
-                    order.status === 'Delivered' ? 'text-green-600' :
-                    'text-blue-600'
-                  }`}>
-                    Status: {order.status}
-                  </p>
-                </div>
-                <div className="space-x-2">
-                  {processingOrderId === order._id ? (
-                    <Loader2 className="w-5 h-5 animate-spin" />
-                  ) : (
-                    <>
-                      <select
-                        value={order.status}
-                        onChange={(e) =>
-                          handleStatusChange(order._id, e.target.value, order.status)
-                        }
-                        className={`border rounded p-1 ${
-                          order.status === 'Cancelled' 
-                            ? 'opacity-50 cursor-not-allowed' 
-                            : 'cursor-pointer'
-                        }`}
-                        disabled={order.status === 'Cancelled'}
-                      >
-                        <option value="Pending">Pending</option>
-                        <option value="Processing">Processing</option>
-                        <option value="Shipped">Shipped</option>
-                        <option value="Delivered">Delivered</option>
-                        <option value="Cancelled">Cancelled</option>
-                      </select>
-                      {order.status === 'Pending' && (
-                        <button
-                          onClick={() => handleCancelOrder(order._id, order.status)}
-                          className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600 transition-colors"
+              Clear
+            </button>
+          )}
+          <button
+            onClick={() => window.print()}
+            disabled={orders.length === 0}
+            className="ml-auto flex items-center gap-2 bg-gray-800 text-white px-4 py-2 rounded hover:bg-gray-900 disabled:bg-gray-400"
+          >
+            <Printer className="w-4 h-4" />
+            Print run sheet
+          </button>
+          <ExportButton type="orders" params={filters} />
+        </div>
+
+        <PaymentVerificationQueue
+          onReviewed={(reviewed) =>
+            setOrders((prevOrders) =>
+              prevOrders.map((order) =>
+                order._id === reviewed._id
+                  ? {
+                      ...order,
+                      paymentStatus: reviewed.paymentStatus,
+                      paymentVerification: reviewed.paymentVerification,
+                    }
+                  : order
+              )
+            )
+          }
+        />
+        <ReturnRequestsQueue onReviewed={fetchAllOrders} />
+        {orders.length === 0 ? (
+          <p>No orders found.</p>
+        ) : (
+          <div className="space-y-6">
+            {orders.map((order) => (
+              <div
+                key={order._id}
+                className="bg-white p-6 rounded-lg shadow-md space-y-4"
+              >
+                <div className="flex justify-between items-center">
+                  <div>
+                    <h2 className="font-bold text-xl">Order #{order._id}</h2>
+                    <p className="text-sm text-gray-600">
+                      Placed by: {order.userId?.email || "Unknown"}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      Address: {order.address}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      Payment: {order.paymentMethod} ({order.paymentStatus})
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      Phone: {order.phoneNumber}
+                    </p>
+                    {order.deliverySlot?.date && (
+                      <p className="text-sm text-gray-600">
+                        Delivery: {order.deliverySlot.date}, {order.deliverySlot.label} (
+                        {order.deliverySlot.startTime}–{order.deliverySlot.endTime})
+                        {order.deliveryZone?.name && ` · ${order.deliveryZone.name}`}
+                      </p>
+                    )}
+                    <p className={`text-sm font-medium ${
+                      order.status === 'Cancelled' ? 'text-red-600' :
+                      order.status === 'Delivered' ? 'text-green-600' :
+                      'text-blue-600'
+                    }`}>
+                      Status: {order.status}
+                    </p>
+                  </div>
+                  <div className="space-x-2">
+                    {processingOrderId === order._id ? (
+                      <Loader2 className="w-5 h-5 animate-spin" />
+                    ) : (
+                      <>
+                        <select
+                          value={order.status}
+                          onChange={(e) =>
+                            handleStatusChange(order._id, e.target.value, order.status)
+                          }
+                          className={`border rounded p-1 ${
+                            !transitions[order.status]?.length
+                              ? 'opacity-50 cursor-not-allowed' 
+                              : 'cursor-pointer'
+                          }`}
+                          disabled={!transitions[order.status]?.length}
                         >
-                          Cancel
-                        </button>
-                      )}
-                    </>
-                  )}
+                          {/* Only the current status and its allowed next statuses */}
+                          {[order.status, ...(transitions[order.status] || [])].map(
+                            (status) => (
+                              <option key={status} value={status}>
+                                {status}
+                              </option>
+                            )
+                          )}
+                        </select>
+                        {order.status === 'Pending' && (
+                          <button
+                            onClick={() => handleCancelOrder(order._id, order.status)}
+                            className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600 transition-colors"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </div>
                 </div>
-              </div>
 
-              <div className="border-t pt-4 space-y-2">
-                {order.orderItems.map((item) => (
-                  <div
-                    key={item._id}
-                    className="flex justify-between text-sm text-gray-700"
-                  >
-                    <span>{item.productId?.productName}</span>
-                    <span>
-                      {item.quantity} × Rs. {item.productId?.price?.toFixed(2)}
-                    </span>
+                <div className="border-t pt-4 space-y-2">
+                  {order.orderItems.map((item) => (
+                    <div
+                      key={item._id}
+                      className="flex justify-between text-sm text-gray-700"
+                    >
+                      <span className="flex items-center gap-2">
+                        {item.productId?.productName}
+                        {item.status && item.status !== "Active" && (
+                          <ItemStatusBadge status={item.status} />
+                        )}
+                        {item.status === "Active" &&
+                          ["Pending", "Processing"].includes(order.status) && (
+                            <button
+                              onClick={() => handleCancelItem(item._id)}
+                              className="text-xs text-red-600 hover:underline"
+                            >
+                              Cancel item
+                            </button>
+                          )}
+                      </span>
+                      <span>
+                        {item.quantity} × Rs. {item.price.toFixed(2)}
+                      </span>
+                    </div>
+                  ))}
+                  {order.couponDiscount > 0 && (
+                    <div className="text-right text-sm text-red-500">
+                      Coupon {order.couponCode}: - Rs. {order.couponDiscount.toFixed(2)}
+                    </div>
+                  )}
+                  <div className="text-right font-semibold text-green-600">
+                    Total: Rs. {order.totalAmount.toFixed(2)}
                   </div>
-                ))}
-                <div className="text-right font-semibold text-green-600">
-                  Total: Rs. {order.totalAmount.toFixed(2)}
                 </div>
+
+                <RefundPanel
+                  order={order}
+                  refundMethods={refundMethods}
+                  onUpdated={handleRefundUpdated}
+                />
               </div>
-            </div>
-          ))}
-        </div>
-      )}
+            ))}
+          </div>
+        )}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from "react";
+import { Pencil, Trash2, Plus } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import toast from "react-hot-toast";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "—");
+
+const describeDiscount = (coupon) =>
+  coupon.discountType === "Percent"
+    ? `${coupon.value}% off${coupon.maxDiscount ? ` (max Rs. ${coupon.maxDiscount})` : ""}`
+    : `Rs. ${coupon.value} off`;
+
+const describeScope = (coupon) => {
+  const names = [
+    ...(coupon.categories || []).map((c) => c.categoryName),
+    ...(coupon.products || []).map((p) => p.productName),
+  ].filter(Boolean);
+  return names.length > 0 ? names.join(", ") : "All products";
+};
+
+const CouponsPage = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const axiosPrivate = useAxiosPrivate();
+  const navigate = useNavigate();
+
+  const fetchCoupons = async () => {
+    try {
+      const response = await axiosPrivate.get("/v1/coupons");
+      setCoupons(response.data.coupons);
+    } catch (err) {
+      toast.error("Failed to load coupons");
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCoupons();
+  }, []);
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Delete this coupon?")) return;
+
+    try {
+      await axiosPrivate.delete(`/v1/coupons/${id}`);
+      toast.success("Coupon deleted");
+      setCoupons((prev) => prev.filter((coupon) => coupon._id !== id));
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to delete coupon");
+    }
+  };
+
+  return (
+    <div className="p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-xl font-semibold">Coupons</h1>
+        <button
+          onClick={() => navigate("create")}
+          className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+        >
+          <Plus className="w-4 h-4" />
+          Create Coupon
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="text-left px-4 py-2 border-b">Code</th>
+              <th className="text-left px-4 py-2 border-b">Discount</th>
+              <th className="text-left px-4 py-2 border-b">Applies To</th>
+              <th className="text-left px-4 py-2 border-b">Min. Order</th>
+              <th className="text-left px-4 py-2 border-b">Valid</th>
+              <th className="text-left px-4 py-2 border-b">Used</th>
+              <th className="text-left px-4 py-2 border-b">Status</th>
+              <th className="text-left px-4 py-2 border-b">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {!loading && coupons.length > 0 ? (
+              coupons.map((coupon) => (
+                <tr key={coupon._id} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 border-b font-medium">{coupon.code}</td>
+                  <td className="px-4 py-2 border-b">{describeDiscount(coupon)}</td>
+                  <td className="px-4 py-2 border-b">{describeScope(coupon)}</td>
+                  <td className="px-4 py-2 border-b">
+                    {coupon.minOrderValue ? `Rs. ${coupon.minOrderValue}` : "—"}
+                  </td>
+                  <td className="px-4 py-2 border-b">
+                    {formatDate(coupon.validFrom)} – {formatDate(coupon.validUntil)}
+                  </td>
+                  <td className="px-4 py-2 border-b">
+                    {coupon.usedCount}
+                    {coupon.usageLimit ? ` / ${coupon.usageLimit}` : ""}
+                    <span className="text-gray-400"> ({coupon.perUserLimit} per customer)</span>
+                  </td>
+                  <td className="px-4 py-2 border-b">
+                    <span
+                      className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        coupon.isActive ? "bg-green-100 text-green-800" : "bg-gray-100 text-gray-600"
+                      }`}
+                    >
+                      {coupon.isActive ? "Active" : "Inactive"}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 border-b">
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => navigate(`/admin/coupons/update/${coupon._id}`)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        <Pencil className="w-5 h-5" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(coupon._id)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        <Trash2 className="w-5 h-5" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="8" className="text-center py-4 text-gray-500">
+                  {loading ? "Loading coupons..." : "No coupons found."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CouponsPage;
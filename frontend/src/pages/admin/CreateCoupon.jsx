@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import CouponForm from "../../component/CouponForm";
+
+const CreateCoupon = () => {
+  const [isLoading, setIsLoading] = useState(false);
+
+  const axiosPrivate = useAxiosPrivate();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (coupon) => {
+    try {
+      setIsLoading(true);
+      await axiosPrivate.post("/v1/coupons", coupon);
+
+      toast.success("Coupon created successfully!");
+      navigate("/admin/coupons");
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to create coupon");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-white to-green-50 flex items-center justify-center py-12 px-4">
+      <div className="w-full max-w-2xl bg-white p-8 rounded-2xl shadow-2xl">
+        <h2 className="text-2xl font-bold mb-6 text-center text-gray-800">
+          Create New Coupon
+        </h2>
+
+        <CouponForm
+          submitLabel="Create Coupon"
+          isLoading={isLoading}
+          onSubmit={handleSubmit}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default CreateCoupon;
@@ -10,11 +10,17 @@ const GET_CATEGORIES_URL = "/v1/categories";
 const CreateProduct = () => {
   const [productName, setProductName] = useState("");
   const [unit, setUnit] = useState("");
+  const [sku, setSku] = useState("");
   const [description, setDescription] = useState("");
   const [category, setCategory] = useState("");
   const [price, setPrice] = useState("");
   const [discount, setDiscount] = useState("");
   const [totalUnits, setTotalUnits] = useState("");
+  const [reorderThreshold, setReorderThreshold] = useState("");
+  const [reorderQuantity, setReorderQuantity] = useState("");
+  const [expiryMarkdown, setExpiryMarkdown] = useState("");
+  const [expiresAt, setExpiresAt] = useState("");
+  const [costPrice, setCostPrice] = useState("");
   const [images, setImages] = useState([]);
   const [imagePreviews, setImagePreviews] = useState([]);
   const [categories, setCategories] = useState([]);
@@ -75,11 +81,17 @@ const CreateProduct = () => {
     const formData = new FormData();
     formData.append("productName", productName);
     formData.append("unit", unit);
+    formData.append("sku", sku);
     formData.append("description", description);
     formData.append("category", category);
     formData.append("price", price);
     formData.append("discount", discount);
     formData.append("totalUnits", parseInt(totalUnits));
+    formData.append("reorderThreshold", reorderThreshold);
+    formData.append("reorderQuantity", reorderQuantity);
+    formData.append("expiryMarkdown", expiryMarkdown);
+    formData.append("expiresAt", expiresAt);
+    formData.append("costPrice", costPrice);
     images.forEach((file) => formData.append("images", file));
 
     try {
@@ -119,6 +131,18 @@ const CreateProduct = () => {
               className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
             />
           </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              SKU
+            </label>
+            <input
+              type="text"
+              value={sku}
+              onChange={(e) => setSku(e.target.value)}
+              placeholder="Used to match rows in a CSV import"
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
+            />
+          </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Unit *
@@ -203,6 +227,85 @@ const CreateProduct = () => {
             </div>
           </div>
 
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Reorder Threshold
+              </label>
+              <input
+                type="number"
+                value={reorderThreshold}
+                onChange={(e) => setReorderThreshold(e.target.value)}
+                min="0"
+                placeholder="Default"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">Alert when stock falls to this many units</p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Reorder Quantity
+              </label>
+              <input
+                type="number"
+                value={reorderQuantity}
+                onChange={(e) => setReorderQuantity(e.target.value)}
+                min="0"
+                placeholder="Optional"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">Usual order size for the reorder list</p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Expiry Date
+              </label>
+              <input
+                type="date"
+                value={expiresAt}
+                onChange={(e) => setExpiresAt(e.target.value)}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">Of this first batch; leave empty if it doesn't expire</p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Cost per Unit (Rs.)
+              </label>
+              <input
+                type="number"
+                value={costPrice}
+                onChange={(e) => setCostPrice(e.target.value)}
+                min="0"
+                step="0.01"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Expiry Markdown (%)
+              </label>
+              <input
+                type="number"
+                value={expiryMarkdown}
+                onChange={(e) => setExpiryMarkdown(e.target.value)}
+                min="0"
+                max="100"
+                placeholder="None"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">Discount while the next batch to sell is close to expiry</p>
+            </div>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Upload Images *
@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import PurchaseOrderForm from "../../component/PurchaseOrderForm";
+
+const CreatePurchaseOrder = () => {
+  const [isLoading, setIsLoading] = useState(false);
+
+  const axiosPrivate = useAxiosPrivate();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (values) => {
+    try {
+      setIsLoading(true);
+      const res = await axiosPrivate.post("/v1/purchase-orders", values);
+
+      toast.success("Purchase order saved as draft");
+      navigate(`/admin/purchase-orders/${res.data.purchaseOrder._id}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to create purchase order");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-white to-green-50 flex items-center justify-center py-12 px-4">
+      <div className="w-full max-w-3xl bg-white p-8 rounded-2xl shadow-2xl">
+        <h2 className="text-2xl font-bold mb-6 text-center text-gray-800">
+          New Purchase Order
+        </h2>
+
+        <PurchaseOrderForm
+          submitLabel="Save Draft"
+          isLoading={isLoading}
+          onSubmit={handleSubmit}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default CreatePurchaseOrder;
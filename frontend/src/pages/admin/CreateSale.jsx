@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import SaleForm from "../../component/SaleForm";
+
+const CreateSale = () => {
+  const [isLoading, setIsLoading] = useState(false);
+
+  const axiosPrivate = useAxiosPrivate();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (rule) => {
+    try {
+      setIsLoading(true);
+      await axiosPrivate.post("/v1/price-rules", rule);
+
+      toast.success("Sale scheduled!");
+      navigate("/admin/sales");
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to schedule sale");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-white to-green-50 flex items-center justify-center py-12 px-4">
+      <div className="w-full max-w-2xl bg-white p-8 rounded-2xl shadow-2xl">
+        <h2 className="text-2xl font-bold mb-6 text-center text-gray-800">
+          Schedule a Sale
+        </h2>
+
+        <SaleForm
+          submitLabel="Schedule Sale"
+          isLoading={isLoading}
+          onSubmit={handleSubmit}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default CreateSale;
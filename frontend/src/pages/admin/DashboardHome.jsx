@@ -1,8 +1,41 @@
 import React, { useEffect, useState } from "react";
 import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import LowStockWidget from "../../component/LowStockWidget";
+import SalesAnalytics from "../../component/SalesAnalytics";
+
+const STATUS_COLORS = {
+  Pending: "bg-orange-100 text-orange-700",
+  Processing: "bg-indigo-100 text-indigo-700",
+  Shipped: "bg-blue-100 text-blue-700",
+  Delivered: "bg-green-100 text-green-700",
+  Cancelled: "bg-red-100 text-red-700",
+};
+
+// Cards from the /v1/stats/adminstats totals
+const toCards = (stats) => [
+  { label: "Total Users", value: stats.users, color: "bg-green-100 text-green-700" },
+  { label: "Total Products", value: stats.products, color: "bg-blue-100 text-blue-700" },
+  { label: "Total Categories", value: stats.categories, color: "bg-yellow-100 text-yellow-700" },
+  { label: "Total Orders", value: stats.orders, color: "bg-purple-100 text-purple-700" },
+  {
+    label: "Gross Revenue (NPR)",
+    value: stats.grossRevenue.toFixed(2),
+    color: "bg-teal-100 text-teal-700",
+  },
+  {
+    label: "Total Refunds (NPR)",
+    value: stats.refunds.toFixed(2),
+    color: "bg-rose-100 text-rose-700",
+  },
+  ...Object.entries(stats.ordersByStatus).map(([status, count]) => ({
+    label: `${status} Orders`,
+    value: count,
+    color: STATUS_COLORS[status] || "bg-gray-100 text-gray-700",
+  })),
+];
 
 const DashboardHome = () => {
-  const [stats, setStats] = useState([]);
+  const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
 
   const axiosPrivate = useAxiosPrivate();
@@ -10,7 +43,6 @@ const DashboardHome = () => {
   const fetchStats = async () => {
     try {
       const res = await axiosPrivate.get("/v1/stats/adminstats");
-      console.log(res.data);
       setStats(res.data.stats);
     } catch (error) {
       console.error("Failed to fetch admin stats:", error);
@@ -30,17 +62,20 @@ const DashboardHome = () => {
   return (
     <div>
       <h1 className="text-2xl font-semibold mb-6">Dashboard Overview</h1>
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
-        {stats.map((stat, index) => (
-          <div
-            key={index}
-            className={`p-6 rounded-lg shadow ${stat.color} ${stat.textColor} text-center`}
-          >
-            <p className="text-lg font-medium">{stat.label}</p>
-            <p className="text-3xl font-bold mt-2">{stat.value}</p>
-          </div>
-        ))}
-      </div>
+      {stats && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+          {toCards(stats).map((card) => (
+            <div key={card.label} className={`p-6 rounded-lg shadow ${card.color} text-center`}>
+              <p className="text-lg font-medium">{card.label}</p>
+              <p className="text-3xl font-bold mt-2">{card.value}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <SalesAnalytics />
+
+      <LowStockWidget />
     </div>
   );
 };
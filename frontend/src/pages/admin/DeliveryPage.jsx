@@ -0,0 +1,56 @@
+import React from "react";
+import SettingsTable, { activeBadge } from "../../component/SettingsTable";
+
+const EMPTY_ZONE = { name: "", description: "", fee: "", minOrderValue: "", isActive: true };
+const EMPTY_SLOT = { label: "", startTime: "", endTime: "", capacity: "", isActive: true };
+
+const DeliveryPage = () => (
+  <div className="p-4">
+    <h1 className="text-xl font-semibold mb-6">Delivery</h1>
+
+    <SettingsTable
+      title="Delivery Zones"
+      endpoint="/v1/delivery/zones"
+      itemsKey="zones"
+      empty={EMPTY_ZONE}
+      deleteMessage="Delete this zone? Existing orders keep their copy."
+      fields={[
+        { name: "name", label: "Name", placeholder: "e.g. Kushma Bazaar", required: true },
+        { name: "description", label: "Areas covered", placeholder: "Wards, landmarks" },
+        { name: "fee", label: "Delivery fee (Rs.)", type: "number", required: true },
+        { name: "minOrderValue", label: "Minimum order (Rs.)", type: "number" },
+        { name: "isActive", label: "Active", type: "checkbox" },
+      ]}
+      columns={[
+        { label: "Name", render: (zone) => zone.name },
+        { label: "Areas", render: (zone) => zone.description || "—" },
+        { label: "Fee", render: (zone) => `Rs. ${zone.fee}` },
+        { label: "Min. Order", render: (zone) => (zone.minOrderValue ? `Rs. ${zone.minOrderValue}` : "—") },
+        { label: "Status", render: activeBadge },
+      ]}
+    />
+
+    <SettingsTable
+      title="Delivery Slots"
+      endpoint="/v1/delivery/slots"
+      itemsKey="slots"
+      empty={EMPTY_SLOT}
+      deleteMessage="Delete this slot? Existing orders keep their copy."
+      fields={[
+        { name: "label", label: "Label", placeholder: "e.g. Morning", required: true },
+        { name: "startTime", label: "Starts", type: "time", required: true },
+        { name: "endTime", label: "Ends", type: "time", required: true },
+        { name: "capacity", label: "Orders per day", type: "number", required: true },
+        { name: "isActive", label: "Active", type: "checkbox" },
+      ]}
+      columns={[
+        { label: "Label", render: (slot) => slot.label },
+        { label: "Time", render: (slot) => `${slot.startTime} – ${slot.endTime}` },
+        { label: "Capacity", render: (slot) => `${slot.capacity} orders/day` },
+        { label: "Status", render: activeBadge },
+      ]}
+    />
+  </div>
+);
+
+export default DeliveryPage;
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import toast from "react-hot-toast";
+
+const DAY_OPTIONS = [1, 3, 7, 14];
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+// "Expired", "Today", "2 days"
+const timeLeft = (dateString) => {
+  const ms = new Date(dateString) - Date.now();
+  if (ms <= 0) return "Expired";
+  const days = Math.floor(ms / (24 * 60 * 60 * 1000));
+  if (days === 0) return "Today";
+  return `${days} day${days === 1 ? "" : "s"}`;
+};
+
+// Batches close to expiry. Expired ones are written off automatically within
+// a few minutes; products with an expiry markdown set are discounted meanwhile.
+const ExpiringPage = () => {
+  const [batches, setBatches] = useState([]);
+  const [days, setDays] = useState(3);
+  const [loading, setLoading] = useState(true);
+  const axiosPrivate = useAxiosPrivate();
+
+  useEffect(() => {
+    const fetchExpiring = async () => {
+      try {
+        setLoading(true);
+        const res = await axiosPrivate.get(`/v1/stock/expiring?days=${days}`);
+        setBatches(res.data.batches);
+      } catch (err) {
+        console.error("Failed to load expiring batches", err);
+        toast.error("Failed to load expiring batches");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchExpiring();
+  }, [axiosPrivate, days]);
+
+  const markdownText = (batch) => {
+    const product = batch.product;
+    if (product?.activeMarkdown?.batch === batch._id) {
+      return `${product.activeMarkdown.percent}% off now`;
+    }
+    return product?.expiryMarkdown ? `${product.expiryMarkdown}% when next to sell` : "None";
+  };
+
+  return (
+    <div className="p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-xl font-semibold">Near Expiry</h1>
+        <label className="text-sm text-gray-700">
+          Expiring within{" "}
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          >
+            {DAY_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                {option} day{option === 1 ? "" : "s"}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="text-left px-4 py-2 border-b">Product</th>
+              <th className="text-left px-4 py-2 border-b">Batch</th>
+              <th className="text-left px-4 py-2 border-b">Expires</th>
+              <th className="text-left px-4 py-2 border-b">Left</th>
+              <th className="text-right px-4 py-2 border-b">Units</th>
+              <th className="text-right px-4 py-2 border-b">Cost Value</th>
+              <th className="text-left px-4 py-2 border-b">Markdown</th>
+            </tr>
+          </thead>
+          <tbody>
+            {!loading && batches.length > 0 ? (
+              batches.map((batch) => (
+                <tr key={batch._id} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 border-b">
+                    {batch.product ? (
+                      <Link
+                        to={`/admin/products/${batch.product._id}/stock`}
+                        className="text-blue-600 hover:underline"
+                      >
+                        {batch.product.productName}
+                      </Link>
+                    ) : (
+                      "Deleted product"
+                    )}
+                  </td>
+                  <td className="px-4 py-2 border-b">{batch.batchCode || `#${batch._id.slice(-6)}`}</td>
+                  <td className="px-4 py-2 border-b">{formatDate(batch.expiresAt)}</td>
+                  <td
+                    className={`px-4 py-2 border-b ${
+                      new Date(batch.expiresAt) <= Date.now() ? "text-red-600 font-medium" : ""
+                    }`}
+                  >
+                    {timeLeft(batch.expiresAt)}
+                  </td>
+                  <td className="px-4 py-2 border-b text-right">
+                    {batch.remaining} {batch.product?.unit}
+                  </td>
+                  <td className="px-4 py-2 border-b text-right">
+                    {batch.costPrice !== undefined
+                      ? `Rs. ${(batch.costPrice * batch.remaining).toFixed(2)}`
+                      : "—"}
+                  </td>
+                  <td className="px-4 py-2 border-b">{markdownText(batch)}</td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="7" className="text-center py-4 text-gray-500">
+                  {loading ? "Loading..." : "Nothing expires in this period."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ExpiringPage;
@@ -0,0 +1,204 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { ArrowLeft, Download, Upload } from "lucide-react";
+import toast from "react-hot-toast";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+
+// Mirrors the columns the server accepts (utils/productImport.js)
+const COLUMNS = [
+  { name: "sku", note: "Required. Matches existing products; a new SKU creates one" },
+  { name: "productName", note: "Required for new products" },
+  { name: "categoryName", note: "Required for new products; must match an existing category" },
+  { name: "price", note: "Required for new products" },
+  { name: "unit", note: "Required for new products, e.g. kg" },
+  { name: "description", note: "" },
+  { name: "discount", note: "Percent, 0–100" },
+  { name: "totalUnits", note: "Required for new products; on updates moves stock like the product form" },
+  { name: "costPrice", note: "Per unit" },
+  { name: "expiresAt", note: "YYYY-MM-DD; opening stock of new products only" },
+  { name: "batchCode", note: "Opening stock of new products only" },
+  { name: "reorderThreshold", note: "" },
+  { name: "reorderQuantity", note: "" },
+  { name: "expiryMarkdown", note: "Percent, 0–100" },
+  { name: "images", note: "Required for new products; file names in the zip, separated by ;" },
+];
+
+const downloadTemplate = () => {
+  const blob = new Blob([`${COLUMNS.map((column) => column.name).join(",")}\r\n`], {
+    type: "text/csv",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "product-import-template.csv";
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Upload a CSV of products (and a zip of their images), check it with a dry
+// run, then import
+const ImportProducts = () => {
+  const [csvFile, setCsvFile] = useState(null);
+  const [zipFile, setZipFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [submitting, setSubmitting] = useState(null);
+  const axiosPrivate = useAxiosPrivate();
+
+  const handleUpload = async (dryRun) => {
+    if (!csvFile) {
+      toast.error("Choose a CSV file first");
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append("file", csvFile);
+    if (zipFile) formData.append("images", zipFile);
+
+    try {
+      setSubmitting(dryRun ? "check" : "import");
+      const res = await axiosPrivate.post(`/v1/products/import?dryRun=${dryRun}`, formData);
+      setReport(res.data);
+      if (res.data.summary.invalid > 0) toast.error(res.data.message);
+      else toast.success(res.data.message);
+    } catch (err) {
+      console.error("Product import failed", err);
+      // A rejected import still reports which rows were wrong
+      if (err.response?.data?.rows) setReport(err.response.data);
+      toast.error(err.response?.data?.message || "Failed to import products");
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const chooseFile = (setter) => (e) => {
+    setter(e.target.files[0] || null);
+    setReport(null);
+  };
+
+  const imported = report && !report.dryRun && report.summary.invalid === 0;
+
+  return (
+    <div className="p-4">
+      <Link
+        to="/admin/products"
+        className="inline-flex items-center gap-1 text-sm text-gray-600 hover:underline mb-4"
+      >
+        <ArrowLeft className="w-4 h-4" />
+        Products
+      </Link>
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-xl font-semibold">Import Products</h1>
+        <button
+          onClick={downloadTemplate}
+          className="flex items-center gap-1 px-3 py-2 rounded-md border border-gray-300 text-gray-700 text-sm hover:bg-gray-100"
+        >
+          <Download className="w-4 h-4" />
+          CSV template
+        </button>
+      </div>
+
+      <div className="bg-white shadow-sm rounded-lg p-4 mb-6 space-y-4">
+        <div className="grid md:grid-cols-2 gap-4">
+          <label className="block text-sm font-medium text-gray-700">
+            Products CSV *
+            <input
+              type="file"
+              accept=".csv"
+              onChange={chooseFile(setCsvFile)}
+              className="block w-full mt-1 text-sm"
+            />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Images zip
+            <input
+              type="file"
+              accept=".zip"
+              onChange={chooseFile(setZipFile)}
+              className="block w-full mt-1 text-sm"
+            />
+          </label>
+        </div>
+        <p className="text-sm text-gray-500">
+          Rows are matched to products by SKU. On existing products, blank cells leave the value
+          unchanged. Nothing is saved unless every row is valid; any row that still can't be
+          saved is listed with the reason.
+        </p>
+        <div className="flex gap-2">
+          <button
+            onClick={() => handleUpload(true)}
+            disabled={submitting !== null}
+            className="px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+          >
+            {submitting === "check" ? "Checking..." : "Check File"}
+          </button>
+          <button
+            onClick={() => handleUpload(false)}
+            disabled={submitting !== null || imported}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md disabled:opacity-50"
+          >
+            <Upload className="w-4 h-4" />
+            {submitting === "import" ? "Importing..." : "Import"}
+          </button>
+        </div>
+      </div>
+
+      {report && (
+        <div className="mb-6">
+          <p className="mb-2 text-sm text-gray-700">
+            {report.summary.rows} row(s): {report.summary.create} new, {report.summary.update}{" "}
+            update(s), {report.summary.invalid} with errors
+            {report.dryRun ? " (dry run, nothing saved)" : ""}
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="text-left px-4 py-2 border-b">Row</th>
+                  <th className="text-left px-4 py-2 border-b">SKU</th>
+                  <th className="text-left px-4 py-2 border-b">Product</th>
+                  <th className="text-left px-4 py-2 border-b">Action</th>
+                  <th className="text-left px-4 py-2 border-b">Problems</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map((row) => (
+                  <tr key={row.row} className={row.errors.length ? "bg-red-50" : ""}>
+                    <td className="px-4 py-2 border-b">{row.row}</td>
+                    <td className="px-4 py-2 border-b">{row.sku || "—"}</td>
+                    <td className="px-4 py-2 border-b">{row.productName || "—"}</td>
+                    <td className="px-4 py-2 border-b capitalize">{row.action}</td>
+                    <td className="px-4 py-2 border-b text-red-700">
+                      {row.errors.length ? (
+                        <ul className="list-disc pl-4">
+                          {row.errors.map((error) => (
+                            <li key={error}>{error}</li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <span className="text-green-700">OK</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <h2 className="font-semibold mb-2">Columns</h2>
+      <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg text-sm">
+        <tbody>
+          {COLUMNS.map((column) => (
+            <tr key={column.name}>
+              <td className="px-4 py-2 border-b font-mono">{column.name}</td>
+              <td className="px-4 py-2 border-b text-gray-600">{column.note}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ImportProducts;
@@ -1,20 +1,28 @@
 import React, { useEffect, useState } from "react";
-import { Pencil, Trash2, Plus } from "lucide-react";
+import { Pencil, Trash2, Plus, History, AlertTriangle, Upload } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import useAxiosPrivate from "../../hooks/useAxiosPrivate";
 import toast from "react-hot-toast";
+import Pagination from "../../component/Pagination";
+import ExportButton from "../../component/ExportButton";
 
 const ProductsPage = () => {
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [flaggedIds, setFlaggedIds] = useState([]); // Stock doesn't match its history
+  const [checking, setChecking] = useState(false);
   const axiosPrivate = useAxiosPrivate();
   const navigate = useNavigate();
 
   const fetchProducts = async () => {
     try {
-      const response = await axiosPrivate.get("/v1/products");
-      setProducts(response.data.products); // adjust based on your backend's response shape
-      console.log(response.data.products); // adjust based on your backend's response shape
+      const response = await axiosPrivate.get(
+        `/v1/products?page=${page}&limit=20`
+      );
+      setProducts(response.data.products);
+      setTotalPages(response.data.totalPages);
     } catch (err) {
       toast.error("Failed to load products");
       console.error(err);
@@ -23,10 +31,38 @@ const ProductsPage = () => {
     }
   };
 
+  const fetchDiscrepancies = async () => {
+    try {
+      const response = await axiosPrivate.get("/v1/stock/discrepancies");
+      setFlaggedIds(response.data.products.map((product) => product._id));
+    } catch (err) {
+      console.error("Failed to load stock discrepancies", err);
+    }
+  };
+
   useEffect(() => {
     fetchProducts();
+  }, [page]);
+
+  useEffect(() => {
+    fetchDiscrepancies();
   }, []);
 
+  // Runs the ledger reconciliation now rather than waiting for the next run
+  const handleStockCheck = async () => {
+    try {
+      setChecking(true);
+      const response = await axiosPrivate.post("/v1/stock/reconcile");
+      setFlaggedIds(response.data.mismatched.map((entry) => entry.productId));
+      toast.success(response.data.message);
+    } catch (err) {
+      console.error(err);
+      toast.error("Failed to check stock");
+    } finally {
+      setChecking(false);
+    }
+  };
+
   const handleEdit = (id) => {
     navigate(`/admin/products/update/${id}`);
   };
@@ -49,21 +85,46 @@ const ProductsPage = () => {
     <div className="p-4">
       <div className="flex justify-between items-center mb-4">
         <h1 className="text-xl font-semibold">Products</h1>
-        <button
-          onClick={handleCreate}
-          className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
-        >
-          <Plus className="w-4 h-4" />
-          Create Product
-        </button>
+        <div className="flex gap-2">
+          <ExportButton type="products" />
+          <button
+            onClick={() => navigate("import")}
+            className="flex items-center gap-2 px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+          >
+            <Upload className="w-4 h-4" />
+            Import CSV
+          </button>
+          <button
+            onClick={handleStockCheck}
+            disabled={checking}
+            className="px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+          >
+            {checking ? "Checking..." : "Check Stock"}
+          </button>
+          <button
+            onClick={handleCreate}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+          >
+            <Plus className="w-4 h-4" />
+            Create Product
+          </button>
+        </div>
       </div>
 
+      {flaggedIds.length > 0 && (
+        <p className="flex items-center gap-2 bg-red-50 border border-red-200 text-red-800 rounded-md p-3 mb-4 text-sm">
+          <AlertTriangle className="w-5 h-5" />
+          {flaggedIds.length} product(s) have stock counts that don't match their stock history.
+        </p>
+      )}
+
       <div className="overflow-x-auto">
         <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg">
           <thead className="bg-gray-100">
             <tr>
               <th className="text-left px-4 py-2 border-b">Name</th>
               <th className="text-left px-4 py-2 border-b">Price</th>
+              <th className="text-left px-4 py-2 border-b">In Stock</th>
               <th className="text-left px-4 py-2 border-b">Images</th>
               <th className="text-left px-4 py-2 border-b">Actions</th>
             </tr>
@@ -74,6 +135,16 @@ const ProductsPage = () => {
                 <tr key={product._id} className="hover:bg-gray-50">
                   <td className="px-4 py-2 border-b">{product.productName}</td>
                   <td className="px-4 py-2 border-b">Rs.{product.price}</td>
+                  <td className="px-4 py-2 border-b">
+                    <span className="flex items-center gap-1">
+                      {product.remainingUnits}
+                      {flaggedIds.includes(product._id) && (
+                        <span title="Doesn't match its stock history">
+                          <AlertTriangle className="w-4 h-4 text-red-600" />
+                        </span>
+                      )}
+                    </span>
+                  </td>
                   <td className="px-4 py-2 border-b">
                     <div className="flex gap-2">
                       {product.images?.map((img, i) => (
@@ -88,6 +159,13 @@ const ProductsPage = () => {
                   </td>
                   <td className="px-4 py-2 border-b">
                     <div className="flex gap-2">
+                      <button
+                        onClick={() => navigate(`/admin/products/${product._id}/stock`)}
+                        title="Stock history"
+                        className="text-gray-600 hover:text-gray-800"
+                      >
+                        <History className="w-5 h-5" />
+                      </button>
                       <button
                         onClick={() => handleEdit(product._id)}
                         className="text-blue-600 hover:text-blue-800"
@@ -106,7 +184,7 @@ const ProductsPage = () => {
               ))
             ) : (
               <tr>
-                <td colSpan="4" className="text-center py-4 text-gray-500">
+                <td colSpan="5" className="text-center py-4 text-gray-500">
                   {loading ? "Loading products..." : "No products found."}
                 </td>
               </tr>
@@ -114,6 +192,8 @@ const ProductsPage = () => {
           </tbody>
         </table>
       </div>
+
+      <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
     </div>
   );
 };
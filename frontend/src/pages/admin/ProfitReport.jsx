@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from "react";
+import { AlertTriangle } from "lucide-react";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import toast from "react-hot-toast";
+
+const GROUP_OPTIONS = [
+  { value: "day", label: "Day" },
+  { value: "week", label: "Week" },
+  { value: "month", label: "Month" },
+];
+
+// Local "YYYY-MM-DD", days ago
+const dateInput = (daysAgo = 0) => {
+  const date = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const money = (value) => `Rs. ${Number(value).toFixed(2)}`;
+
+const margin = (row) => (row.marginPercent === null ? "—" : `${row.marginPercent.toFixed(1)}%`);
+
+// "Oct 19, 2026", "Week of Oct 13, 2026", "Oct 2026"
+const periodLabel = (period, groupBy) => {
+  const date = new Date(`${period}T00:00:00`);
+  if (groupBy === "month") {
+    return date.toLocaleDateString("en-US", { year: "numeric", month: "short" });
+  }
+  const day = date.toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" });
+  return groupBy === "week" ? `Week of ${day}` : day;
+};
+
+const ReportTable = ({ firstColumn, rows, label }) => (
+  <div className="overflow-x-auto mb-8">
+    <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg text-sm">
+      <thead className="bg-gray-100">
+        <tr>
+          <th className="text-left px-4 py-2 border-b">{firstColumn}</th>
+          <th className="text-right px-4 py-2 border-b">Orders</th>
+          <th className="text-right px-4 py-2 border-b">Units</th>
+          <th className="text-right px-4 py-2 border-b">Revenue</th>
+          <th className="text-right px-4 py-2 border-b">COGS</th>
+          <th className="text-right px-4 py-2 border-b">Gross Profit</th>
+          <th className="text-right px-4 py-2 border-b">Margin</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.length > 0 ? (
+          rows.map((row) => (
+            <tr key={label(row)} className="hover:bg-gray-50">
+              <td className="px-4 py-2 border-b">{label(row)}</td>
+              <td className="px-4 py-2 border-b text-right">{row.orders}</td>
+              <td className="px-4 py-2 border-b text-right">{row.unitsSold}</td>
+              <td className="px-4 py-2 border-b text-right">{money(row.revenue)}</td>
+              <td className="px-4 py-2 border-b text-right">{money(row.cogs)}</td>
+              <td className="px-4 py-2 border-b text-right">{money(row.grossProfit)}</td>
+              <td className="px-4 py-2 border-b text-right">{margin(row)}</td>
+            </tr>
+          ))
+        ) : (
+          <tr>
+            <td colSpan="7" className="text-center py-4 text-gray-500">
+              No sales in this period.
+            </td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  </div>
+);
+
+// Revenue, cost of goods sold and gross profit, excluding cancelled and
+// refunded orders
+const ProfitReport = () => {
+  const [from, setFrom] = useState(dateInput(29));
+  const [to, setTo] = useState(dateInput());
+  const [groupBy, setGroupBy] = useState("day");
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const axiosPrivate = useAxiosPrivate();
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams({ from, to, groupBy });
+        const res = await axiosPrivate.get(`/v1/stats/profit?${params}`);
+        setReport(res.data);
+      } catch (err) {
+        console.error("Failed to load profit report", err);
+        toast.error(err.response?.data?.error || "Failed to load profit report");
+      } finally {
+        setLoading(false);
+      }
+    };
+    if (from && to) fetchReport();
+  }, [axiosPrivate, from, to, groupBy]);
+
+  const totals = report?.totals;
+
+  return (
+    <div className="p-4">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <h1 className="text-xl font-semibold">Profit Report</h1>
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+          <label>
+            From{" "}
+            <input
+              type="date"
+              value={from}
+              max={to}
+              onChange={(e) => setFrom(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1"
+            />
+          </label>
+          <label>
+            To{" "}
+            <input
+              type="date"
+              value={to}
+              min={from}
+              onChange={(e) => setTo(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1"
+            />
+          </label>
+          <label>
+            By{" "}
+            <select
+              value={groupBy}
+              onChange={(e) => setGroupBy(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1"
+            >
+              {GROUP_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {loading && !report ? (
+        <p className="text-gray-500">Loading...</p>
+      ) : (
+        report && (
+          <>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+              {[
+                { label: "Revenue", value: money(totals.revenue) },
+                { label: "COGS", value: money(totals.cogs) },
+                { label: "Gross Profit", value: money(totals.grossProfit) },
+                { label: "Gross Margin", value: margin(totals) },
+              ].map((card) => (
+                <div key={card.label} className="bg-white shadow-sm rounded-lg p-4">
+                  <p className="text-sm text-gray-500">{card.label}</p>
+                  <p className="text-2xl font-semibold">{card.value}</p>
+                </div>
+              ))}
+            </div>
+
+            <p className="text-sm text-gray-500 mb-4">
+              Revenue is what items sold for after coupons, without delivery fees. Cancelled and
+              fully refunded orders, and cancelled or returned items, are left out.
+            </p>
+
+            {totals.uncostedRevenue > 0 && (
+              <div className="flex gap-2 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-md p-3 mb-6 text-sm">
+                <AlertTriangle className="w-5 h-5 shrink-0" />
+                <p>
+                  {money(totals.uncostedRevenue)} of sales had no cost recorded, so they add no COGS
+                  and gross profit is overstated. Margins only cover sales with a known cost. Set a
+                  cost price on the product or record costs when receiving stock.
+                </p>
+              </div>
+            )}
+
+            <h2 className="text-lg font-semibold mb-2">
+              By {GROUP_OPTIONS.find((option) => option.value === report.groupBy).label}
+            </h2>
+            <ReportTable
+              firstColumn="Period"
+              rows={report.periods}
+              label={(row) => periodLabel(row.period, report.groupBy)}
+            />
+
+            <h2 className="text-lg font-semibold mb-2">By Category</h2>
+            <ReportTable firstColumn="Category" rows={report.categories} label={(row) => row.categoryName} />
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ProfitReport;
@@ -0,0 +1,368 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { ArrowLeft, FileDown, Pencil, Send } from "lucide-react";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import toast from "react-hot-toast";
+import { STATUS_STYLES } from "./PurchaseOrdersPage";
+
+const RECEIVABLE_STATUSES = ["Draft", "Sent", "Partially Received"];
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })
+    : "—";
+
+const outstanding = (line) => line.quantity - line.receivedQuantity;
+
+// One row per line still due, prefilled with the rest of the quantity
+const emptyReceipt = (po) =>
+  po.lines
+    .filter((line) => outstanding(line) > 0)
+    .map((line) => ({
+      lineId: line._id,
+      quantity: outstanding(line),
+      unitCost: line.unitCost,
+      expiresAt: "",
+      batchCode: "",
+    }));
+
+const PurchaseOrderDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const axiosPrivate = useAxiosPrivate();
+  const [po, setPo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [receipt, setReceipt] = useState(null); // null when the receive form is closed
+  const [receiptNote, setReceiptNote] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const fetchPurchaseOrder = async () => {
+    try {
+      const res = await axiosPrivate.get(`/v1/purchase-orders/${id}`);
+      setPo(res.data.purchaseOrder);
+    } catch (err) {
+      console.error("Failed to load purchase order", err);
+      toast.error(err.response?.data?.error || "Failed to load purchase order");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPurchaseOrder();
+  }, [id]);
+
+  const runAction = async (action, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+    setSaving(true);
+    try {
+      const res = await axiosPrivate.post(`/v1/purchase-orders/${id}/${action}`);
+      toast.success(res.data.message);
+      fetchPurchaseOrder();
+    } catch (err) {
+      toast.error(err.response?.data?.error || `Failed to ${action} purchase order`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // The same PDF the supplier gets with the email
+  const handleDownloadPdf = async () => {
+    try {
+      const res = await axiosPrivate.get(`/v1/purchase-orders/${id}/pdf`, { responseType: "blob" });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${po.poNumber}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Failed to download purchase order PDF", err);
+      toast.error("Failed to download the PDF");
+    }
+  };
+
+  const setReceiptField = (index, field) => (e) =>
+    setReceipt((prev) =>
+      prev.map((entry, i) => (i === index ? { ...entry, [field]: e.target.value } : entry))
+    );
+
+  const handleReceive = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await axiosPrivate.post(`/v1/purchase-orders/${id}/receive`, {
+        lines: receipt,
+        note: receiptNote,
+      });
+      toast.success(res.data.message);
+      setReceipt(null);
+      setReceiptNote("");
+      fetchPurchaseOrder();
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to record receipt");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <p className="p-4 text-gray-500">Loading...</p>;
+  if (!po) return <p className="p-4 text-gray-500">Purchase order not found.</p>;
+
+  const lineById = new Map(po.lines.map((line) => [line._id, line]));
+  const total = po.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+
+  return (
+    <div className="p-4">
+      <button
+        onClick={() => navigate("/admin/purchase-orders")}
+        className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-800 mb-4"
+      >
+        <ArrowLeft className="w-4 h-4" />
+        Purchase Orders
+      </button>
+
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+        <div>
+          <h1 className="text-xl font-semibold mb-1">
+            {po.poNumber}{" "}
+            <span className={`ml-2 px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[po.status]}`}>
+              {po.status}
+            </span>
+          </h1>
+          <p className="text-sm text-gray-600">
+            {po.supplier?.name}
+            {po.supplier?.email && ` · ${po.supplier.email}`} · Created {formatDate(po.createdAt)}
+            {po.createdBy && ` by ${po.createdBy.name || po.createdBy.email}`}
+            {po.sentAt && ` · Sent ${formatDate(po.sentAt)}`}
+            {po.expectedAt && ` · Expected ${formatDate(po.expectedAt)}`}
+            {po.closedAt && ` · Closed short ${formatDate(po.closedAt)}`}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {po.status === "Draft" && (
+            <button
+              onClick={() => navigate(`/admin/purchase-orders/update/${po._id}`)}
+              className="flex items-center gap-2 border border-gray-300 hover:bg-gray-100 px-4 py-2 rounded-md text-sm"
+            >
+              <Pencil className="w-4 h-4" />
+              Edit
+            </button>
+          )}
+          <button
+            onClick={handleDownloadPdf}
+            className="flex items-center gap-2 border border-gray-300 hover:bg-gray-100 px-4 py-2 rounded-md text-sm"
+          >
+            <FileDown className="w-4 h-4" />
+            Download PDF
+          </button>
+          {["Draft", "Sent"].includes(po.status) && (
+            <button
+              onClick={() => runAction("send", po.status === "Sent" ? "Email this order to the supplier again?" : null)}
+              disabled={saving}
+              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm disabled:opacity-50"
+            >
+              <Send className="w-4 h-4" />
+              {po.status === "Sent" ? "Resend" : "Send to Supplier"}
+            </button>
+          )}
+          {RECEIVABLE_STATUSES.includes(po.status) && !receipt && (
+            <button
+              onClick={() => setReceipt(emptyReceipt(po))}
+              className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-md text-sm"
+            >
+              Receive Goods
+            </button>
+          )}
+          {po.status === "Partially Received" && !receipt && (
+            <button
+              onClick={() =>
+                runAction("close", "Close this order short? The quantities still due will no longer be expected.")
+              }
+              disabled={saving}
+              className="border border-gray-300 hover:bg-gray-100 px-4 py-2 rounded-md text-sm disabled:opacity-50"
+            >
+              Close Short
+            </button>
+          )}
+          {["Draft", "Sent"].includes(po.status) && (
+            <button
+              onClick={() => runAction("cancel", "Cancel this purchase order?")}
+              disabled={saving}
+              className="text-red-600 hover:text-red-800 px-2 text-sm disabled:opacity-50"
+            >
+              Cancel Order
+            </button>
+          )}
+        </div>
+      </div>
+
+      {receipt && (
+        <form onSubmit={handleReceive} className="bg-white shadow-sm rounded-lg p-4 mb-6">
+          <h2 className="text-lg font-semibold mb-1">Receive Goods</h2>
+          <p className="text-sm text-gray-500 mb-3">
+            Enter what actually arrived. Anything short stays open on this order. Each line is
+            added to stock as a new batch.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm mb-3">
+              <thead>
+                <tr className="text-gray-600">
+                  <th className="text-left py-1 pr-2">Product</th>
+                  <th className="text-left py-1 pr-2">Due</th>
+                  <th className="text-left py-1 pr-2">Received</th>
+                  <th className="text-left py-1 pr-2">Cost / Unit (Rs.)</th>
+                  <th className="text-left py-1 pr-2">Expiry Date</th>
+                  <th className="text-left py-1">Batch / Lot No.</th>
+                </tr>
+              </thead>
+              <tbody>
+                {receipt.map((entry, index) => {
+                  const line = lineById.get(entry.lineId);
+                  return (
+                    <tr key={entry.lineId}>
+                      <td className="py-1 pr-2">{line.productName}</td>
+                      <td className="py-1 pr-2">
+                        {outstanding(line)} {line.unit}
+                      </td>
+                      <td className="py-1 pr-2">
+                        <input
+                          type="number"
+                          min="0"
+                          max={outstanding(line)}
+                          step="1"
+                          value={entry.quantity}
+                          onChange={setReceiptField(index, "quantity")}
+                          className="border border-gray-300 rounded-md px-2 py-1 w-24"
+                        />
+                      </td>
+                      <td className="py-1 pr-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={entry.unitCost}
+                          onChange={setReceiptField(index, "unitCost")}
+                          className="border border-gray-300 rounded-md px-2 py-1 w-28"
+                        />
+                      </td>
+                      <td className="py-1 pr-2">
+                        <input
+                          type="date"
+                          value={entry.expiresAt}
+                          onChange={setReceiptField(index, "expiresAt")}
+                          className="border border-gray-300 rounded-md px-2 py-1"
+                        />
+                      </td>
+                      <td className="py-1">
+                        <input
+                          value={entry.batchCode}
+                          onChange={setReceiptField(index, "batchCode")}
+                          placeholder={po.poNumber}
+                          className="border border-gray-300 rounded-md px-2 py-1 w-32"
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex flex-wrap gap-2 items-center">
+            <input
+              value={receiptNote}
+              onChange={(e) => setReceiptNote(e.target.value)}
+              placeholder="Delivery note / invoice no."
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm flex-1 min-w-48"
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-green-600 hover:bg-green-700 text-white px-4 py-1.5 rounded-md disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Record Receipt"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setReceipt(null)}
+              className="text-gray-500 hover:text-gray-700 px-2"
+            >
+              Close
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="overflow-x-auto mb-6">
+        <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="text-left px-4 py-2 border-b">Product</th>
+              <th className="text-right px-4 py-2 border-b">Ordered</th>
+              <th className="text-right px-4 py-2 border-b">Received</th>
+              <th className="text-right px-4 py-2 border-b">Cost / Unit</th>
+              <th className="text-right px-4 py-2 border-b">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {po.lines.map((line) => (
+              <tr key={line._id} className="hover:bg-gray-50">
+                <td className="px-4 py-2 border-b">{line.productName}</td>
+                <td className="px-4 py-2 border-b text-right">
+                  {line.quantity} {line.unit}
+                </td>
+                <td
+                  className={`px-4 py-2 border-b text-right ${
+                    outstanding(line) > 0 && line.receivedQuantity > 0 ? "text-yellow-700" : ""
+                  }`}
+                >
+                  {line.receivedQuantity}
+                </td>
+                <td className="px-4 py-2 border-b text-right">Rs. {line.unitCost.toFixed(2)}</td>
+                <td className="px-4 py-2 border-b text-right">
+                  Rs. {(line.quantity * line.unitCost).toFixed(2)}
+                </td>
+              </tr>
+            ))}
+            <tr>
+              <td colSpan="4" className="px-4 py-2 text-right font-semibold">
+                Expected total
+              </td>
+              <td className="px-4 py-2 text-right font-semibold">Rs. {total.toFixed(2)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {po.notes && <p className="text-sm text-gray-600 mb-6">Notes: {po.notes}</p>}
+
+      <h2 className="text-lg font-semibold mb-2">Receipts</h2>
+      {po.receipts.length > 0 ? (
+        <div className="space-y-3">
+          {po.receipts.map((rec) => (
+            <div key={rec._id} className="bg-white shadow-sm rounded-lg p-3 text-sm">
+              <p className="text-gray-600 mb-1">
+                {formatDate(rec.receivedAt)}
+                {rec.receivedBy && ` · ${rec.receivedBy.name || rec.receivedBy.email}`}
+                {rec.note && ` · ${rec.note}`}
+              </p>
+              <ul className="list-disc list-inside">
+                {rec.lines.map((entry) => (
+                  <li key={entry._id}>
+                    {lineById.get(entry.lineId)?.productName}: {entry.quantity} at Rs.{" "}
+                    {entry.unitCost.toFixed(2)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">Nothing received yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrderDetail;
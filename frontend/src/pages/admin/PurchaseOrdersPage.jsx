@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from "react";
+import { Plus } from "lucide-react";
+import { Link, useNavigate } from "react-router-dom";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import toast from "react-hot-toast";
+import Pagination from "../../component/Pagination";
+
+const STATUSES = ["Draft", "Sent", "Partially Received", "Received", "Closed Short", "Cancelled"];
+
+export const STATUS_STYLES = {
+  Draft: "bg-gray-100 text-gray-700",
+  Sent: "bg-blue-100 text-blue-800",
+  "Partially Received": "bg-yellow-100 text-yellow-800",
+  Received: "bg-green-100 text-green-800",
+  "Closed Short": "bg-orange-100 text-orange-800",
+  Cancelled: "bg-red-100 text-red-800",
+};
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })
+    : "—";
+
+const orderTotal = (po) => po.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+
+const PurchaseOrdersPage = () => {
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [status, setStatus] = useState("");
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const axiosPrivate = useAxiosPrivate();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchPurchaseOrders = async () => {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams({ page });
+        if (status) params.set("status", status);
+        const res = await axiosPrivate.get(`/v1/purchase-orders?${params}`);
+        setPurchaseOrders(res.data.purchaseOrders);
+        setTotalPages(res.data.totalPages);
+      } catch (err) {
+        console.error("Failed to load purchase orders", err);
+        toast.error("Failed to load purchase orders");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchPurchaseOrders();
+  }, [axiosPrivate, status, page]);
+
+  return (
+    <div className="p-4">
+      <div className="flex justify-between items-center mb-4 gap-4">
+        <h1 className="text-xl font-semibold">Purchase Orders</h1>
+        <div className="flex items-center gap-3">
+          <select
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+            className="border border-gray-300 rounded-md px-2 py-2 text-sm"
+          >
+            <option value="">All statuses</option>
+            {STATUSES.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => navigate("create")}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+          >
+            <Plus className="w-4 h-4" />
+            New Purchase Order
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="text-left px-4 py-2 border-b">PO</th>
+              <th className="text-left px-4 py-2 border-b">Supplier</th>
+              <th className="text-left px-4 py-2 border-b">Created</th>
+              <th className="text-left px-4 py-2 border-b">Expected</th>
+              <th className="text-right px-4 py-2 border-b">Items</th>
+              <th className="text-right px-4 py-2 border-b">Total</th>
+              <th className="text-left px-4 py-2 border-b">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {!loading && purchaseOrders.length > 0 ? (
+              purchaseOrders.map((po) => (
+                <tr key={po._id} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 border-b">
+                    <Link to={`/admin/purchase-orders/${po._id}`} className="text-blue-600 hover:underline">
+                      {po.poNumber}
+                    </Link>
+                  </td>
+                  <td className="px-4 py-2 border-b">{po.supplier?.name || "—"}</td>
+                  <td className="px-4 py-2 border-b">{formatDate(po.createdAt)}</td>
+                  <td className="px-4 py-2 border-b">{formatDate(po.expectedAt)}</td>
+                  <td className="px-4 py-2 border-b text-right">{po.lines.length}</td>
+                  <td className="px-4 py-2 border-b text-right">Rs. {orderTotal(po).toFixed(2)}</td>
+                  <td className="px-4 py-2 border-b">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[po.status]}`}>
+                      {po.status}
+                    </span>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="7" className="text-center py-4 text-gray-500">
+                  {loading ? "Loading..." : "No purchase orders found."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
+    </div>
+  );
+};
+
+export default PurchaseOrdersPage;
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from "react";
+import { Pencil, Trash2, Plus } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import toast from "react-hot-toast";
+
+const formatDateTime = (value) => new Date(value).toLocaleString();
+
+// Where a rule stands right now; the server applies it on the same basis
+const ruleState = (rule) => {
+  const now = Date.now();
+  if (!rule.isActive) return { label: "Off", className: "bg-gray-100 text-gray-600" };
+  if (now < new Date(rule.startsAt).getTime()) {
+    return { label: "Scheduled", className: "bg-blue-100 text-blue-800" };
+  }
+  if (now >= new Date(rule.endsAt).getTime()) {
+    return { label: "Ended", className: "bg-gray-100 text-gray-600" };
+  }
+  return { label: "Running", className: "bg-green-100 text-green-800" };
+};
+
+const SalesPage = () => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const axiosPrivate = useAxiosPrivate();
+  const navigate = useNavigate();
+
+  const fetchRules = async () => {
+    try {
+      const response = await axiosPrivate.get("/v1/price-rules");
+      setRules(response.data.rules);
+    } catch (err) {
+      toast.error("Failed to load sales");
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Delete this sale?")) return;
+
+    try {
+      await axiosPrivate.delete(`/v1/price-rules/${id}`);
+      toast.success("Sale deleted");
+      setRules((prev) => prev.filter((rule) => rule._id !== id));
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to delete sale");
+    }
+  };
+
+  return (
+    <div className="p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-xl font-semibold">Sales</h1>
+        <button
+          onClick={() => navigate("create")}
+          className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+        >
+          <Plus className="w-4 h-4" />
+          Schedule Sale
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="text-left px-4 py-2 border-b">Name</th>
+              <th className="text-left px-4 py-2 border-b">Discount</th>
+              <th className="text-left px-4 py-2 border-b">Applies To</th>
+              <th className="text-left px-4 py-2 border-b">Starts</th>
+              <th className="text-left px-4 py-2 border-b">Ends</th>
+              <th className="text-left px-4 py-2 border-b">Status</th>
+              <th className="text-left px-4 py-2 border-b">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {!loading && rules.length > 0 ? (
+              rules.map((rule) => {
+                const state = ruleState(rule);
+                return (
+                  <tr key={rule._id} className="hover:bg-gray-50">
+                    <td className="px-4 py-2 border-b font-medium">
+                      {rule.name}
+                      {rule.isFlashSale && (
+                        <span className="ml-2 text-xs text-orange-600">⚡ Flash</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 border-b">
+                      {rule.discountType === "Percent"
+                        ? `${rule.value}% off`
+                        : `Rs. ${rule.value} off`}
+                    </td>
+                    <td className="px-4 py-2 border-b">
+                      {[
+                        ...rule.categories.map((c) => c.categoryName),
+                        ...rule.products.map((p) => p.productName),
+                      ]
+                        .filter(Boolean)
+                        .join(", ")}
+                    </td>
+                    <td className="px-4 py-2 border-b">{formatDateTime(rule.startsAt)}</td>
+                    <td className="px-4 py-2 border-b">{formatDateTime(rule.endsAt)}</td>
+                    <td className="px-4 py-2 border-b">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${state.className}`}>
+                        {state.label}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 border-b">
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => navigate(`/admin/sales/update/${rule._id}`)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          <Pencil className="w-5 h-5" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(rule._id)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          <Trash2 className="w-5 h-5" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            ) : (
+              <tr>
+                <td colSpan="7" className="text-center py-4 text-gray-500">
+                  {loading ? "Loading sales..." : "No sales scheduled."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SalesPage;
@@ -0,0 +1,317 @@
+import React, { useEffect, useState } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { ArrowLeft, AlertTriangle } from "lucide-react";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import toast from "react-hot-toast";
+import Pagination from "../../component/Pagination";
+
+const EMPTY_ADJUSTMENT = {
+  type: "Restock",
+  quantity: "",
+  note: "",
+  expiresAt: "",
+  costPrice: "",
+  batchCode: "",
+};
+
+const TYPE_STYLES = {
+  Opening: "bg-gray-100 text-gray-700",
+  Restock: "bg-green-100 text-green-800",
+  Sale: "bg-blue-100 text-blue-800",
+  Cancellation: "bg-yellow-100 text-yellow-800",
+  Return: "bg-purple-100 text-purple-800",
+  Adjustment: "bg-orange-100 text-orange-800",
+  Spoilage: "bg-red-100 text-red-800",
+};
+
+const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })
+    : "—";
+
+const formatDateTime = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Stock ledger and batches for one product, with restock/spoilage/adjustment entry
+const StockHistory = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const axiosPrivate = useAxiosPrivate();
+  const [product, setProduct] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [adjustment, setAdjustment] = useState(EMPTY_ADJUSTMENT);
+  const [saving, setSaving] = useState(false);
+
+  const fetchMovements = async () => {
+    try {
+      const res = await axiosPrivate.get(`/v1/stock/${id}/movements?page=${page}`);
+      setProduct(res.data.product);
+      setMovements(res.data.movements);
+      setTotalPages(res.data.totalPages);
+    } catch (err) {
+      console.error("Failed to load stock history", err);
+      toast.error(err.response?.data?.error || "Failed to load stock history");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Batches with stock left, in the order they will sell
+  const fetchBatches = async () => {
+    try {
+      const res = await axiosPrivate.get(`/v1/stock/${id}/batches`);
+      setBatches(res.data.batches);
+    } catch (err) {
+      console.error("Failed to load batches", err);
+    }
+  };
+
+  useEffect(() => {
+    fetchMovements();
+  }, [id, page]);
+
+  useEffect(() => {
+    fetchBatches();
+  }, [id]);
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await axiosPrivate.post(`/v1/stock/${id}/adjust`, adjustment);
+      toast.success("Stock updated");
+      setAdjustment(EMPTY_ADJUSTMENT);
+      fetchBatches();
+      if (page === 1) fetchMovements();
+      else setPage(1);
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to update stock");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !product) return <p className="p-4 text-gray-500">Loading...</p>;
+  if (!product) return <p className="p-4 text-gray-500">Product not found.</p>;
+
+  return (
+    <div className="p-4">
+      <button
+        onClick={() => navigate("/admin/products")}
+        className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-800 mb-4"
+      >
+        <ArrowLeft className="w-4 h-4" />
+        Products
+      </button>
+
+      <h1 className="text-xl font-semibold mb-1">{product.productName}</h1>
+      <p className="text-sm text-gray-600 mb-4">
+        {product.remainingUnits} {product.unit} in stock · {product.soldUnits} sold ·{" "}
+        {product.totalUnits} received in total
+      </p>
+
+      {product.stockDiscrepancy?.detectedAt && (
+        <div className="flex gap-2 bg-red-50 border border-red-200 text-red-800 rounded-md p-3 mb-4 text-sm">
+          <AlertTriangle className="w-5 h-5 shrink-0" />
+          <p>
+            The stock counters don't match this history (found{" "}
+            {formatDateTime(product.stockDiscrepancy.detectedAt)}). The history adds up to{" "}
+            {product.stockDiscrepancy.remainingUnits} in stock and {product.stockDiscrepancy.soldUnits}{" "}
+            sold. Count the shelf and record an adjustment.
+          </p>
+        </div>
+      )}
+
+      <form
+        onSubmit={handleAdjust}
+        className="bg-white shadow-sm rounded-lg p-4 mb-6 grid md:grid-cols-4 gap-3 items-end"
+      >
+        <label className="text-sm text-gray-700">
+          Change
+          <select
+            value={adjustment.type}
+            onChange={(e) => setAdjustment({ ...adjustment, type: e.target.value })}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm w-full"
+          >
+            <option value="Restock">Restock (received)</option>
+            <option value="Spoilage">Spoilage (written off)</option>
+            <option value="Adjustment">Adjustment (stock-take, ±)</option>
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          Quantity
+          <input
+            type="number"
+            step="1"
+            min={adjustment.type === "Adjustment" ? undefined : 1}
+            value={adjustment.quantity}
+            onChange={(e) => setAdjustment({ ...adjustment, quantity: e.target.value })}
+            required
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm w-full"
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          Reason
+          <input
+            value={adjustment.note}
+            onChange={(e) => setAdjustment({ ...adjustment, note: e.target.value })}
+            required={adjustment.type !== "Restock"}
+            placeholder={adjustment.type === "Restock" ? "Supplier, invoice no." : "Why the stock changed"}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm w-full"
+          />
+        </label>
+        {adjustment.type === "Restock" && (
+          <>
+            <label className="text-sm text-gray-700">
+              Expiry date
+              <input
+                type="date"
+                value={adjustment.expiresAt}
+                onChange={(e) => setAdjustment({ ...adjustment, expiresAt: e.target.value })}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm w-full"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              Cost per unit (Rs.)
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={adjustment.costPrice}
+                onChange={(e) => setAdjustment({ ...adjustment, costPrice: e.target.value })}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm w-full"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              Batch / lot no.
+              <input
+                value={adjustment.batchCode}
+                onChange={(e) => setAdjustment({ ...adjustment, batchCode: e.target.value })}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm w-full"
+              />
+            </label>
+          </>
+        )}
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-1.5 rounded-md disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Record"}
+        </button>
+      </form>
+
+      <h2 className="text-lg font-semibold mb-2">Batches in Stock</h2>
+      <p className="text-sm text-gray-500 mb-2">
+        Listed in the order they sell: earliest expiry first.
+        {batches.reduce((sum, batch) => sum + batch.remaining, 0) < product.remainingUnits &&
+          " Some stock predates batch tracking and isn't in any batch."}
+      </p>
+      <div className="overflow-x-auto mb-8">
+        <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="text-left px-4 py-2 border-b">Batch</th>
+              <th className="text-left px-4 py-2 border-b">Received</th>
+              <th className="text-left px-4 py-2 border-b">Expires</th>
+              <th className="text-right px-4 py-2 border-b">Remaining</th>
+              <th className="text-right px-4 py-2 border-b">Cost / Unit</th>
+            </tr>
+          </thead>
+          <tbody>
+            {batches.length > 0 ? (
+              batches.map((batch) => (
+                <tr key={batch._id} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 border-b">{batch.batchCode || `#${batch._id.slice(-6)}`}</td>
+                  <td className="px-4 py-2 border-b">{formatDate(batch.receivedAt)}</td>
+                  <td className="px-4 py-2 border-b">{formatDate(batch.expiresAt)}</td>
+                  <td className="px-4 py-2 border-b text-right">
+                    {batch.remaining} / {batch.quantity}
+                  </td>
+                  <td className="px-4 py-2 border-b text-right">
+                    {batch.costPrice !== undefined ? `Rs. ${batch.costPrice}` : "—"}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="5" className="text-center py-4 text-gray-500">
+                  No batches in stock.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <h2 className="text-lg font-semibold mb-2">Stock History</h2>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="text-left px-4 py-2 border-b">When</th>
+              <th className="text-left px-4 py-2 border-b">Type</th>
+              <th className="text-right px-4 py-2 border-b">Stock</th>
+              <th className="text-right px-4 py-2 border-b">Sold</th>
+              <th className="text-right px-4 py-2 border-b">In Stock After</th>
+              <th className="text-left px-4 py-2 border-b">By</th>
+              <th className="text-left px-4 py-2 border-b">Reference</th>
+            </tr>
+          </thead>
+          <tbody>
+            {movements.length > 0 ? (
+              movements.map((movement) => (
+                <tr key={movement._id} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 border-b">{formatDateTime(movement.createdAt)}</td>
+                  <td className="px-4 py-2 border-b">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${TYPE_STYLES[movement.type]}`}>
+                      {movement.type}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 border-b text-right">
+                    {movement.remainingChange ? signed(movement.remainingChange) : "—"}
+                  </td>
+                  <td className="px-4 py-2 border-b text-right">
+                    {movement.soldChange ? signed(movement.soldChange) : "—"}
+                  </td>
+                  <td className="px-4 py-2 border-b text-right">{movement.remainingAfter ?? "—"}</td>
+                  <td className="px-4 py-2 border-b">
+                    {movement.user?.name || movement.user?.email || "System"}
+                  </td>
+                  <td className="px-4 py-2 border-b text-gray-600">
+                    {movement.order && `Order #${movement.order.slice(-8).toUpperCase()}`}
+                    {movement.order && movement.note && " · "}
+                    {movement.note}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="7" className="text-center py-4 text-gray-500">
+                  No stock changes recorded yet.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
+    </div>
+  );
+};
+
+export default StockHistory;
@@ -0,0 +1,44 @@
+import React from "react";
+import SettingsTable, { activeBadge } from "../../component/SettingsTable";
+
+const EMPTY_SUPPLIER = {
+  name: "",
+  contactName: "",
+  email: "",
+  phone: "",
+  address: "",
+  notes: "",
+  isActive: true,
+};
+
+const SuppliersPage = () => (
+  <div className="p-4">
+    <h1 className="text-xl font-semibold mb-6">Suppliers</h1>
+
+    <SettingsTable
+      title="Suppliers"
+      endpoint="/v1/suppliers"
+      itemsKey="suppliers"
+      empty={EMPTY_SUPPLIER}
+      deleteMessage="Delete this supplier?"
+      fields={[
+        { name: "name", label: "Name", placeholder: "e.g. Pokhara Fresh Farms", required: true },
+        { name: "contactName", label: "Contact person" },
+        { name: "email", label: "Email (purchase orders go here)", type: "email" },
+        { name: "phone", label: "Phone", type: "tel" },
+        { name: "address", label: "Address" },
+        { name: "notes", label: "Notes", placeholder: "Delivery days, payment terms" },
+        { name: "isActive", label: "Active", type: "checkbox" },
+      ]}
+      columns={[
+        { label: "Name", render: (supplier) => supplier.name },
+        { label: "Contact", render: (supplier) => supplier.contactName || "—" },
+        { label: "Email", render: (supplier) => supplier.email || "—" },
+        { label: "Phone", render: (supplier) => supplier.phone || "—" },
+        { label: "Status", render: activeBadge },
+      ]}
+    />
+  </div>
+);
+
+export default SuppliersPage;
@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { useNavigate, useParams } from "react-router-dom";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import CouponForm, { couponToForm } from "../../component/CouponForm";
+
+const UpdateCoupon = () => {
+  const [coupon, setCoupon] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const { id } = useParams();
+  const axiosPrivate = useAxiosPrivate();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchCoupon = async () => {
+      try {
+        const response = await axiosPrivate.get(`/v1/coupons/${id}`);
+        setCoupon(response.data.coupon);
+      } catch (err) {
+        console.error("Failed to fetch coupon", err);
+        toast.error("Failed to fetch coupon");
+      }
+    };
+    fetchCoupon();
+  }, [id]);
+
+  const handleSubmit = async (values) => {
+    try {
+      setIsLoading(true);
+      await axiosPrivate.put(`/v1/coupons/${id}`, values);
+
+      toast.success("Coupon updated successfully!");
+      navigate("/admin/coupons");
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to update coupon");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-white to-green-50 flex items-center justify-center py-12 px-4">
+      <div className="w-full max-w-2xl bg-white p-8 rounded-2xl shadow-2xl">
+        <h2 className="text-2xl font-bold mb-6 text-center text-gray-800">
+          Update Coupon
+        </h2>
+
+        {coupon ? (
+          <>
+            <p className="text-sm text-gray-500 mb-4 text-center">
+              Used {coupon.usedCount} time{coupon.usedCount === 1 ? "" : "s"}
+            </p>
+            <CouponForm
+              initialValues={couponToForm(coupon)}
+              submitLabel="Update Coupon"
+              isLoading={isLoading}
+              onSubmit={handleSubmit}
+            />
+          </>
+        ) : (
+          <p className="text-center text-gray-500">Loading coupon...</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UpdateCoupon;
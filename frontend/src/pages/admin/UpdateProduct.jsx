@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { motion } from "framer-motion";
 import toast from "react-hot-toast";
-import { useNavigate, useParams } from "react-router-dom";
+import { Link, useNavigate, useParams } from "react-router-dom";
 import useAxiosPrivate from "../../hooks/useAxiosPrivate";
 
 const GET_CATEGORIES_URL = "/v1/categories";
@@ -11,11 +11,16 @@ const UPDATE_PRODUCT_URL = "/v1/product"; // Will append ID
 const UpdateProduct = () => {
   const [productName, setProductName] = useState("");
   const [unit, setUnit] = useState("");
+  const [sku, setSku] = useState("");
   const [description, setDescription] = useState("");
   const [category, setCategory] = useState("");
   const [price, setPrice] = useState("");
   const [discount, setDiscount] = useState("");
   const [totalUnits, setTotalUnits] = useState("");
+  const [reorderThreshold, setReorderThreshold] = useState("");
+  const [reorderQuantity, setReorderQuantity] = useState("");
+  const [expiryMarkdown, setExpiryMarkdown] = useState("");
+  const [costPrice, setCostPrice] = useState("");
   const [remainingUnits, setRemainingUnits] = useState("");
   const [soldUnits, setSoldUnits] = useState("");
   const [images, setImages] = useState([]);
@@ -45,14 +50,23 @@ const UpdateProduct = () => {
 
         setProductName(data.productName);
         setUnit(data.unit);
+        setSku(data.sku ?? "");
         setDescription(data.description);
         setCategory(data.category);
-        setPrice(data.oldPrice || data.price);
-        setDiscount(data.discount);
+        // The product's own base price and discount, not today's sale price
+        setPrice(data.basePrice ?? data.price);
+        setDiscount(data.standingDiscount ?? data.discount);
         setTotalUnits(data.totalUnits);
+        setReorderThreshold(data.reorderThreshold ?? "");
+        setReorderQuantity(data.reorderQuantity ?? "");
+        setExpiryMarkdown(data.expiryMarkdown ?? "");
         setRemainingUnits(data.remainingUnits);
         setSoldUnits(data.soldUnits);
         setExistingImages(data.images || []);
+
+        // Admin-only; the product itself never carries its cost
+        const costRes = await axiosPrivate.get(`${GET_PRODUCT_URL}/${id}/cost`);
+        setCostPrice(costRes.data.costPrice ?? "");
       } catch (err) {
         toast.error("Failed to load product");
       }
@@ -109,11 +123,16 @@ const UpdateProduct = () => {
     const formData = new FormData();
     formData.append("productName", productName);
     formData.append("unit", unit);
+    formData.append("sku", sku);
     formData.append("description", description);
     formData.append("category", category);
     formData.append("price", price);
     formData.append("discount", discount);
     formData.append("totalUnits", parseInt(totalUnits));
+    formData.append("reorderThreshold", reorderThreshold);
+    formData.append("reorderQuantity", reorderQuantity);
+    formData.append("expiryMarkdown", expiryMarkdown);
+    formData.append("costPrice", costPrice);
     images.forEach((file) => formData.append("images", file));
 
     try {
@@ -165,6 +184,18 @@ const UpdateProduct = () => {
               className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
             />
           </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              SKU
+            </label>
+            <input
+              type="text"
+              value={sku}
+              onChange={(e) => setSku(e.target.value)}
+              placeholder="Used to match rows in a CSV import"
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
+            />
+          </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Unit *
@@ -246,6 +277,79 @@ const UpdateProduct = () => {
                 min={soldUnits}
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
               />
+              <p className="text-xs text-gray-500 mt-1">
+                For deliveries, receive a{" "}
+                <Link to="/admin/purchase-orders" className="text-blue-600 hover:underline">
+                  purchase order
+                </Link>{" "}
+                so the cost is recorded
+              </p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Reorder Threshold
+              </label>
+              <input
+                type="number"
+                value={reorderThreshold}
+                onChange={(e) => setReorderThreshold(e.target.value)}
+                min="0"
+                placeholder="Default"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">Alert when stock falls to this many units</p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Reorder Quantity
+              </label>
+              <input
+                type="number"
+                value={reorderQuantity}
+                onChange={(e) => setReorderQuantity(e.target.value)}
+                min="0"
+                placeholder="Optional"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">Usual order size for the reorder list</p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Expiry Markdown (%)
+              </label>
+              <input
+                type="number"
+                value={expiryMarkdown}
+                onChange={(e) => setExpiryMarkdown(e.target.value)}
+                min="0"
+                max="100"
+                placeholder="None"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">Discount while the next batch to sell is close to expiry</p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Cost per Unit (Rs.)
+              </label>
+              <input
+                type="number"
+                value={costPrice}
+                onChange={(e) => setCostPrice(e.target.value)}
+                min="0"
+                step="0.01"
+                placeholder="Unknown"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:outline-none text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">Updated by each delivery; batches keep their own cost</p>
             </div>
           </div>
 
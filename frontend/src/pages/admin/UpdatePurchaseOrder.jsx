@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { useNavigate, useParams } from "react-router-dom";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import PurchaseOrderForm, { purchaseOrderToForm } from "../../component/PurchaseOrderForm";
+
+const UpdatePurchaseOrder = () => {
+  const [purchaseOrder, setPurchaseOrder] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const { id } = useParams();
+  const axiosPrivate = useAxiosPrivate();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchPurchaseOrder = async () => {
+      try {
+        const response = await axiosPrivate.get(`/v1/purchase-orders/${id}`);
+        setPurchaseOrder(response.data.purchaseOrder);
+      } catch (err) {
+        console.error("Failed to fetch purchase order", err);
+        toast.error("Failed to fetch purchase order");
+      }
+    };
+    fetchPurchaseOrder();
+  }, [id]);
+
+  const handleSubmit = async (values) => {
+    try {
+      setIsLoading(true);
+      await axiosPrivate.put(`/v1/purchase-orders/${id}`, values);
+
+      toast.success("Purchase order updated!");
+      navigate(`/admin/purchase-orders/${id}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to update purchase order");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-white to-green-50 flex items-center justify-center py-12 px-4">
+      <div className="w-full max-w-3xl bg-white p-8 rounded-2xl shadow-2xl">
+        <h2 className="text-2xl font-bold mb-6 text-center text-gray-800">
+          Edit {purchaseOrder?.poNumber || "Purchase Order"}
+        </h2>
+
+        {purchaseOrder ? (
+          <PurchaseOrderForm
+            initialValues={purchaseOrderToForm(purchaseOrder)}
+            submitLabel="Update Draft"
+            isLoading={isLoading}
+            onSubmit={handleSubmit}
+          />
+        ) : (
+          <p className="text-center text-gray-500">Loading purchase order...</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePurchaseOrder;
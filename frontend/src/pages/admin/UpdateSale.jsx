@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { useNavigate, useParams } from "react-router-dom";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import SaleForm, { ruleToForm } from "../../component/SaleForm";
+
+const UpdateSale = () => {
+  const [rule, setRule] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const { id } = useParams();
+  const axiosPrivate = useAxiosPrivate();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchRule = async () => {
+      try {
+        const response = await axiosPrivate.get(`/v1/price-rules/${id}`);
+        setRule(response.data.rule);
+      } catch (err) {
+        console.error("Failed to fetch sale", err);
+        toast.error("Failed to fetch sale");
+      }
+    };
+    fetchRule();
+  }, [id]);
+
+  const handleSubmit = async (values) => {
+    try {
+      setIsLoading(true);
+      await axiosPrivate.put(`/v1/price-rules/${id}`, values);
+
+      toast.success("Sale updated!");
+      navigate("/admin/sales");
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to update sale");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-white to-green-50 flex items-center justify-center py-12 px-4">
+      <div className="w-full max-w-2xl bg-white p-8 rounded-2xl shadow-2xl">
+        <h2 className="text-2xl font-bold mb-6 text-center text-gray-800">
+          Edit Sale
+        </h2>
+
+        {rule ? (
+          <SaleForm
+            initialValues={ruleToForm(rule)}
+            submitLabel="Update Sale"
+            isLoading={isLoading}
+            onSubmit={handleSubmit}
+          />
+        ) : (
+          <p className="text-center text-gray-500">Loading sale...</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UpdateSale;
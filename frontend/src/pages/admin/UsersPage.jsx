@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from "react";
 import useAxiosPrivate from "../../hooks/useAxiosPrivate";
 import toast from "react-hot-toast";
+import ExportButton from "../../component/ExportButton";
 
 const UsersPage = () => {
   const [users, setUsers] = useState([]);
@@ -29,7 +30,10 @@ const UsersPage = () => {
 
   return (
     <div className="p-4">
-      <h1 className="text-xl font-semibold mb-4">Customers</h1>
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-xl font-semibold">Customers</h1>
+        <ExportButton type="customers" />
+      </div>
 
       <div className="overflow-x-auto">
         <table className="min-w-full border border-gray-200 bg-white shadow-sm rounded-lg">
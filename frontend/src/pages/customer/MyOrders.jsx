@@ -1,31 +1,41 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import { Calendar } from "lucide-react";
 import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import OrderTimeline from "../../component/OrderTimeline";
+import PaymentProofForm from "../../component/PaymentProofForm";
+import OrderItemsPanel from "../../component/OrderItemsPanel";
+import useStartPayment, {
+  ONLINE_PAYMENT_METHODS,
+} from "../../hooks/useStartPayment";
+import toast from "react-hot-toast";
 
 const MyOrders = () => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [trackedOrderId, setTrackedOrderId] = useState(null);
+  const [payingOrderId, setPayingOrderId] = useState(null);
+  const [itemsOrderId, setItemsOrderId] = useState(null);
   const axiosPrivate = useAxiosPrivate();
+  const startPayment = useStartPayment();
 
-  useEffect(() => {
-    const fetchOrders = async () => {
-      try {
-        const res = await axiosPrivate.get("/v1/orders/myorders");
-        console.log(res.data.orders);
-        setOrders(
-          (res.data.orders || []).sort(
-            (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-          )
-        );
-      } catch (err) {
-        console.error("Failed to fetch orders", err);
-      } finally {
-        setLoading(false);
-      }
-    };
+  const fetchOrders = useCallback(async () => {
+    try {
+      const res = await axiosPrivate.get("/v1/orders/myorders");
+      setOrders(
+        (res.data.orders || []).sort(
+          (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+        )
+      );
+    } catch (err) {
+      console.error("Failed to fetch orders", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [axiosPrivate]);
 
+  useEffect(() => {
     fetchOrders();
-  }, []);
+  }, [fetchOrders]);
 
   const formatDate = (dateString) =>
     new Date(dateString).toLocaleDateString("en-US", {
@@ -34,10 +44,40 @@ const MyOrders = () => {
       day: "numeric",
     });
 
-  const calculateOrderTotal = (items) =>
-    items
-      .reduce((total, item) => total + item.productId.price * item.quantity, 0)
-      .toFixed(2);
+
+  // QR payments the customer still has to send (or resend) details for
+  const needsPaymentProof = (order) =>
+    order.paymentMethod === "QR" &&
+    order.status !== "Cancelled" &&
+    (order.paymentStatus === "Rejected" ||
+      (order.paymentStatus === "Awaiting Verification" &&
+        !order.paymentVerification?.submittedAt));
+
+  // Online orders whose payment was never completed can be paid again
+  const canPayOnline = (order) =>
+    ONLINE_PAYMENT_METHODS.includes(order.paymentMethod) &&
+    order.status !== "Cancelled" &&
+    order.paymentStatus !== "Paid";
+
+  const handlePayNow = async (orderId) => {
+    try {
+      await startPayment(orderId);
+    } catch (err) {
+      console.error("Payment could not start", err);
+      toast.error(err.response?.data?.error || "Could not start the payment");
+    }
+  };
+
+  const handleProofSubmitted = (updatedOrder) => {
+    setOrders((prev) =>
+      prev.map((order) =>
+        order._id === updatedOrder._id
+          ? { ...order, ...updatedOrder, orderItems: order.orderItems }
+          : order
+      )
+    );
+    setPayingOrderId(null);
+  };
 
   const getStatusClass = (status) => {
     switch (status) {
@@ -89,11 +129,15 @@ const MyOrders = () => {
                 <th className="px-6 py-3 text-left text-sm font-medium text-gray-700">
                   Status
                 </th>
+                <th className="px-6 py-3 text-left text-sm font-medium text-gray-700">
+                  Tracking
+                </th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {orders.map((order) => (
-                <tr key={order._id}>
+                <React.Fragment key={order._id}>
+                <tr>
                   <td className="px-6 py-4 text-sm text-gray-900">
                     #{order._id.slice(-6)}
                   </td>
@@ -104,13 +148,46 @@ const MyOrders = () => {
                     </div>
                   </td>
                   <td className="px-6 py-4 text-sm text-gray-600">
-                    {order.orderItems.length}
+                    <button
+                      onClick={() =>
+                        setItemsOrderId(
+                          itemsOrderId === order._id ? null : order._id
+                        )
+                      }
+                      className="text-green-600 hover:underline"
+                    >
+                      {order.orderItems.length}{" "}
+                      {order.orderItems.length === 1 ? "item" : "items"}
+                    </button>
                   </td>
                   <td className="px-6 py-4 text-sm font-semibold text-green-600">
-                    Rs. {calculateOrderTotal(order.orderItems)}
+                    Rs. {order.totalAmount.toFixed(2)}
                   </td>
                   <td className="px-6 py-4 text-sm text-gray-600">
-                    {order.paymentMethod}
+                    <div>{order.paymentMethod}</div>
+                    <div className="text-xs text-gray-400">
+                      {order.paymentStatus}
+                    </div>
+                    {needsPaymentProof(order) && (
+                      <button
+                        onClick={() =>
+                          setPayingOrderId(
+                            payingOrderId === order._id ? null : order._id
+                          )
+                        }
+                        className="text-xs text-green-600 hover:underline"
+                      >
+                        Submit payment
+                      </button>
+                    )}
+                    {canPayOnline(order) && (
+                      <button
+                        onClick={() => handlePayNow(order._id)}
+                        className="text-xs text-green-600 hover:underline"
+                      >
+                        Pay now
+                      </button>
+                    )}
                   </td>
                   <td className="px-6 py-4 text-sm">
                     <span
@@ -121,7 +198,44 @@ const MyOrders = () => {
                       {order.status}
                     </span>
                   </td>
+                  <td className="px-6 py-4 text-sm">
+                    <button
+                      onClick={() =>
+                        setTrackedOrderId(
+                          trackedOrderId === order._id ? null : order._id
+                        )
+                      }
+                      className="text-green-600 hover:underline"
+                    >
+                      {trackedOrderId === order._id ? "Hide" : "Track"}
+                    </button>
+                  </td>
                 </tr>
+                {itemsOrderId === order._id && (
+                  <tr>
+                    <td colSpan="7" className="px-10 py-6 bg-gray-50">
+                      <OrderItemsPanel order={order} onChanged={fetchOrders} />
+                    </td>
+                  </tr>
+                )}
+                {payingOrderId === order._id && (
+                  <tr>
+                    <td colSpan="7" className="px-10 py-6 bg-gray-50">
+                      <PaymentProofForm
+                        order={order}
+                        onSubmitted={handleProofSubmitted}
+                      />
+                    </td>
+                  </tr>
+                )}
+                {trackedOrderId === order._id && (
+                  <tr>
+                    <td colSpan="7" className="px-10 py-6 bg-gray-50">
+                      <OrderTimeline order={order} />
+                    </td>
+                  </tr>
+                )}
+                </React.Fragment>
               ))}
             </tbody>
           </table>
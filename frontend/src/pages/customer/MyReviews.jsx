@@ -0,0 +1,180 @@
+import React, { useEffect, useState, useCallback } from "react";
+import { Link } from "react-router-dom";
+import toast from "react-hot-toast";
+import useAxiosPrivate from "../../hooks/useAxiosPrivate";
+import { StarRating } from "../../component/ProductReviews";
+
+const MyReviews = () => {
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [editData, setEditData] = useState({ rating: 0, reviewText: "" });
+  const axiosPrivate = useAxiosPrivate();
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      const res = await axiosPrivate.get("/v1/reviews/myreviews");
+      setReviews(res.data.reviews || []);
+    } catch (err) {
+      console.error("Failed to fetch reviews", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [axiosPrivate]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const startEditing = (review) => {
+    setEditingId(review._id);
+    setEditData({ rating: review.rating, reviewText: review.reviewText || "" });
+  };
+
+  const handleUpdate = async (reviewId) => {
+    try {
+      await axiosPrivate.put(`/v1/reviews/${reviewId}`, editData);
+      toast.success("Review updated successfully");
+      setEditingId(null);
+      fetchReviews();
+    } catch (err) {
+      console.error(err);
+      toast.error(err.response?.data?.error || "Failed to update review");
+    }
+  };
+
+  const handleDelete = async (reviewId) => {
+    if (!window.confirm("Are you sure you want to delete this review?")) return;
+
+    try {
+      await axiosPrivate.delete(`/v1/reviews/${reviewId}`);
+      toast.success("Review deleted successfully");
+      setReviews((prev) => prev.filter((r) => r._id !== reviewId));
+    } catch (err) {
+      console.error(err);
+      toast.error("Failed to delete review");
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+
+  return (
+    <div className="p-6">
+      <h2 className="text-2xl font-bold mb-6">My Reviews</h2>
+
+      {loading ? (
+        <p className="text-gray-500">Loading reviews...</p>
+      ) : reviews.length === 0 ? (
+        <div className="text-center text-gray-600 py-10 bg-white shadow rounded-lg">
+          <p className="text-xl">You haven't reviewed any products yet.</p>
+          <p className="text-sm mt-2">
+            Products from your delivered orders can be reviewed on their
+            product page.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map((review) => (
+            <div
+              key={review._id}
+              className="bg-white shadow rounded-lg p-6 flex gap-4"
+            >
+              {review.productId?.images?.[0] && (
+                <img
+                  src={`http://localhost:3001/public/${review.productId.images[0]}`}
+                  alt={review.productId.productName}
+                  className="w-20 h-20 object-cover rounded-lg"
+                />
+              )}
+
+              <div className="flex-1 space-y-2">
+                <div className="flex items-center justify-between">
+                  {review.productId ? (
+                    <Link
+                      to={`/product/${review.productId._id}`}
+                      className="font-semibold text-gray-900 hover:text-green-600"
+                    >
+                      {review.productId.productName}
+                    </Link>
+                  ) : (
+                    <span className="font-semibold text-gray-500">
+                      Product no longer available
+                    </span>
+                  )}
+                  <span className="text-sm text-gray-400">
+                    {formatDate(review.updatedAt)}
+                  </span>
+                </div>
+
+                {editingId === review._id ? (
+                  <div className="space-y-3">
+                    <StarRating
+                      rating={editData.rating}
+                      size={20}
+                      onSelect={(rating) =>
+                        setEditData((prev) => ({ ...prev, rating }))
+                      }
+                    />
+                    <textarea
+                      value={editData.reviewText}
+                      onChange={(e) =>
+                        setEditData((prev) => ({
+                          ...prev,
+                          reviewText: e.target.value,
+                        }))
+                      }
+                      rows={3}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-md"
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleUpdate(review._id)}
+                        className="bg-green-600 text-white px-4 py-1.5 rounded-md text-sm hover:bg-green-700"
+                      >
+                        Save
+                      </button>
+                      <button
+                        onClick={() => setEditingId(null)}
+                        className="bg-gray-200 text-gray-700 px-4 py-1.5 rounded-md text-sm hover:bg-gray-300"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    <StarRating rating={review.rating} />
+                    {review.reviewText && (
+                      <p className="text-gray-600">{review.reviewText}</p>
+                    )}
+                    <div className="flex gap-4 text-sm">
+                      <button
+                        onClick={() => startEditing(review)}
+                        className="text-blue-600 hover:underline"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(review._id)}
+                        className="text-red-600 hover:underline"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyReviews;
@@ -1,7 +1,11 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { Monitor } from "lucide-react";
 import useAxiosPrivate from "../../hooks/useAxiosPrivate";
 import useAuth from "../../hooks/useAuth";
+import useLogout from "../../hooks/useLogout";
 import toast from "react-hot-toast";
+import AddressBook from "../../component/AddressBook";
 
 const CustomerSettings = () => {
   const axiosPrivate = useAxiosPrivate();
@@ -20,6 +24,61 @@ const CustomerSettings = () => {
   });
 
   const [loading, setLoading] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const logout = useLogout();
+  const navigate = useNavigate();
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await axiosPrivate.get("/v1/auth/sessions");
+      setSessions(res.data.sessions || []);
+    } catch (err) {
+      console.error("Failed to fetch sessions", err);
+    }
+  }, [axiosPrivate]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const endSession = async (session) => {
+    try {
+      await axiosPrivate.delete(`/v1/auth/sessions/${session.sessionId}`);
+      if (session.current) {
+        await logout();
+        navigate("/login");
+        return;
+      }
+      toast.success("Device logged out");
+      fetchSessions();
+    } catch (err) {
+      console.error(err);
+      toast.error("Failed to log out device");
+    }
+  };
+
+  const logoutAllDevices = async () => {
+    if (!window.confirm("Log out of all devices, including this one?")) return;
+
+    try {
+      await axiosPrivate.post("/v1/auth/logout-all");
+      await logout();
+      toast.success("Logged out of all devices");
+      navigate("/login");
+    } catch (err) {
+      console.error(err);
+      toast.error("Failed to log out of all devices");
+    }
+  };
+
+  const formatDateTime = (dateString) =>
+    new Date(dateString).toLocaleString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
 
   const handleProfileChange = (e) => {
     setProfileData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
@@ -165,6 +224,63 @@ const CustomerSettings = () => {
           {loading ? "Changing..." : "Change Password"}
         </button>
       </form>
+
+      {/* Section 3: Saved Addresses */}
+      <div className="mt-10 border-t pt-6">
+        <AddressBook />
+      </div>
+
+      {/* Section 4: Active Sessions */}
+      <div className="space-y-4 mt-10 border-t pt-6">
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold text-gray-700">
+            Active Sessions
+          </h3>
+          <button
+            onClick={logoutAllDevices}
+            className="text-sm text-red-600 hover:underline"
+          >
+            Log out of all devices
+          </button>
+        </div>
+
+        {sessions.length === 0 ? (
+          <p className="text-sm text-gray-500">No active sessions found.</p>
+        ) : (
+          <ul className="divide-y border rounded-md">
+            {sessions.map((session) => (
+              <li
+                key={session.sessionId}
+                className="flex items-center justify-between p-4"
+              >
+                <div className="flex items-center gap-3">
+                  <Monitor className="w-5 h-5 text-gray-400" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-800">
+                      {session.device}
+                      {session.current && (
+                        <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded-full">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {session.ip || "Unknown IP"} · Last seen{" "}
+                      {formatDateTime(session.lastSeenAt)}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => endSession(session)}
+                  className="text-sm text-gray-600 hover:text-red-600"
+                >
+                  Log out
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
     </div>
   );
 };
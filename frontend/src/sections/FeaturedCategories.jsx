@@ -33,7 +33,7 @@ export default function FeaturedCategories() {
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
-  const { setSelectedCategories, setSearchQuery, setSearchResults } = useSearch();
+  const { setSearchQuery, setSearchResults } = useSearch();
 
   const fetchCategories = async () => {
     try {
@@ -55,10 +55,8 @@ export default function FeaturedCategories() {
     // Reset any existing search
     setSearchQuery('');
     setSearchResults([]);
-    // Set the selected category
-    setSelectedCategories([category.categoryName]);
-    // Navigate to shop page
-    navigate('/shop');
+    // Navigate to shop page filtered by this category
+    navigate(`/shop?category=${category._id}`);
   };
 
   return (
@@ -139,7 +137,6 @@ export default function FeaturedCategories() {
               </h3>
               <button 
                 onClick={() => {
-                  setSelectedCategories([]);
                   setSearchQuery('');
                   setSearchResults([]);
                   navigate("/shop");
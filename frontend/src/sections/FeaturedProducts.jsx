@@ -13,9 +13,8 @@ export default function FeaturedProducts() {
 
   const fetchProducts = async () => {
     try {
-      const res = await axiosPrivate.get("/v1/products");
-      const allProducts = res.data.products || [];
-      setFeaturedProducts(allProducts.slice(0, 4)); // Show only first 4
+      const res = await axiosPrivate.get("/v1/products?limit=4"); // Show only first 4
+      setFeaturedProducts(res.data.products || []);
     } catch (error) {
       console.error("Error fetching products:", error);
     } finally {
@@ -107,6 +106,7 @@ export default function FeaturedProducts() {
                   price={product.price}
                   oldPrice={product.oldPrice}
                   discount={product.discount}
+                  sale={product.sale}
                   unit={product.unit}
                   onAddToCart={() => handleAddToCart(product._id)}
                 />
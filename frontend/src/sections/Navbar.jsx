@@ -16,28 +16,33 @@ const Navbar = () => {
   const navigate = useNavigate();
 
   const { auth } = useAuth();
-  const { setSearchQuery, setSearchResults, setIsSearching } = useSearch();
+  const {
+    setSearchQuery,
+    setSearchResults,
+    setIsSearching,
+    setCorrectedQuery,
+  } = useSearch();
   const axiosPrivate = useAxiosPrivate();
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
 
-  // Debounced search function
-  const debouncedSearch = useCallback(
+  // Debounced autocomplete for the dropdown under the search bar
+  const debouncedSuggest = useCallback(
     debounce(async (query) => {
       if (!query.trim()) {
-        setSearchResults([]);
-        setIsSearching(false);
+        setSuggestions([]);
         return;
       }
 
       try {
-        setIsSearching(true);
-        const response = await axiosPrivate.get(`/v1/products/search?query=${query}`);
-        setSearchResults(response.data.products);
+        const response = await axiosPrivate.get(
+          `/v1/products/suggest?q=${encodeURIComponent(query)}`
+        );
+        setSuggestions(response.data.suggestions || []);
       } catch (error) {
-        console.error("Search error:", error);
-      } finally {
-        setIsSearching(false);
+        console.error("Suggest error:", error);
       }
-    }, 500),
+    }, 300),
     []
   );
 
@@ -45,18 +50,49 @@ const Navbar = () => {
   const handleSearchChange = (e) => {
     const value = e.target.value;
     setSearchInput(value);
-    setSearchQuery(value);
-    debouncedSearch(value);
+    setShowSuggestions(true);
+    debouncedSuggest(value);
   };
 
-  // Handle search form submission
-  const handleSearchSubmit = (e) => {
+  const clearSearch = () => {
+    setSearchInput("");
+    setSearchQuery("");
+    setSearchResults([]);
+    setCorrectedQuery(null);
+    setSuggestions([]);
+  };
+
+  // Handle search form submission: run the full relevance search
+  const handleSearchSubmit = async (e) => {
     e.preventDefault();
-    if (searchInput.trim()) {
-      navigate('/shop');
+    const query = searchInput.trim();
+    if (!query) return;
+
+    setShowSuggestions(false);
+    setSearchQuery(query);
+    navigate('/shop');
+
+    try {
+      setIsSearching(true);
+      const response = await axiosPrivate.get(
+        `/v1/products/search?query=${encodeURIComponent(query)}`
+      );
+      setSearchResults(response.data.products);
+      setCorrectedQuery(response.data.correctedQuery);
+    } catch (error) {
+      console.error("Search error:", error);
+    } finally {
+      setIsSearching(false);
     }
   };
 
+  const handleSuggestionClick = (productId) => {
+    setShowSuggestions(false);
+    setSuggestions([]);
+    setSearchInput("");
+    navigate(`/product/${productId}`);
+  };
+
   useEffect(() => {
     const fetchCartCount = async () => {
       try {
@@ -114,22 +150,49 @@ const Navbar = () => {
                   type="text"
                   value={searchInput}
                   onChange={handleSearchChange}
+                  onFocus={() => setShowSuggestions(true)}
+                  onBlur={() => setShowSuggestions(false)}
                   placeholder="Search products..."
                   className="w-full px-4 py-2 rounded-l-full border-t border-b border-l border-gray-300 focus:ring-2 focus:ring-green-400 outline-none"
                 />
                 {searchInput && (
                   <button
                     type="button"
-                    onClick={() => {
-                      setSearchInput("");
-                      setSearchQuery("");
-                      setSearchResults([]);
-                    }}
+                    onClick={clearSearch}
                     className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
                   >
                     <X size={16} />
                   </button>
                 )}
+                {showSuggestions && suggestions.length > 0 && (
+                  <ul className="absolute left-0 right-0 top-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-50 overflow-hidden">
+                    {suggestions.map((suggestion) => (
+                      <li
+                        key={suggestion._id}
+                        // onMouseDown fires before the input's onBlur hides the list
+                        onMouseDown={() => handleSuggestionClick(suggestion._id)}
+                        className="flex items-center gap-3 px-4 py-2 cursor-pointer hover:bg-green-50"
+                      >
+                        <img
+                          src={`http://localhost:3001/public/${suggestion.images?.[0]}`}
+                          alt={suggestion.productName}
+                          className="w-8 h-8 object-cover rounded"
+                        />
+                        <div className="flex-1">
+                          <p className="text-sm text-gray-800">
+                            {suggestion.productName}
+                          </p>
+                          <p className="text-xs text-gray-400">
+                            {suggestion.categoryName}
+                          </p>
+                        </div>
+                        <span className="text-sm text-green-600">
+                          Rs. {suggestion.price}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
               <button
                 type="submit"